@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Creates the first admin of a fresh installation
+ * @description Accounts are not self-registered: this admin signs in and adds everybody else from
+ * the Users page. Refuses to run once an admin exists. The password is read from ADMIN_PASSWORD
+ * so it stays out of the shell history.
+ * @usage ADMIN_PASSWORD=<password> npm run create-admin -- <email> <name>
+ */
+
+import mongoose from 'mongoose';
+import { connectMongoDB } from '../src/config/database.js';
+import UserService from '../src/services/userService.js';
+
+/**
+ * Creates the admin account and reports the outcome
+ * @async
+ * @function createAdmin
+ * @param {string} email - Email address
+ * @param {string} name - Display name
+ * @param {string} password - Password
+ */
+async function createAdmin(email, name, password) {
+  try {
+    await connectMongoDB();
+
+    const admin = await UserService.createFirstAdmin({ name, email, password });
+    console.log(`✅ Created admin ${admin.email}; sign in and add users from the Users page`);
+  } catch (error) {
+    console.error('❌ Error creating admin:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+// Run if script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const [email, ...nameParts] = process.argv.slice(2);
+  const name = nameParts.join(' ');
+
+  if (!email || !name || !process.env.ADMIN_PASSWORD) {
+    console.error('❌ Please provide an email, a name and the ADMIN_PASSWORD environment variable');
+    console.log('Usage: ADMIN_PASSWORD=<password> node scripts/create-admin.js <email> <name>');
+    process.exit(1);
+  }
+
+  createAdmin(email, name, process.env.ADMIN_PASSWORD);
+}
+
+export { createAdmin };
@@ -8,9 +8,37 @@
 import mongoose from 'mongoose';
 import { connectMongoDB } from '../src/config/database.js';
 import Task from '../src/models/Task.js';
+import User from '../src/models/User.js';
+import Workspace from '../src/models/Workspace.js';
+import AuthService from '../src/services/authService.js';
+import TaskImportService from '../src/services/taskImportService.js';
 
 /**
- * Sample task titles categorized by type
+ * Password every sample user signs in with; SEED_PASSWORD overrides it
+ */
+const SAMPLE_PASSWORD = process.env.SEED_PASSWORD || 'password123';
+
+/**
+ * Sample workspaces; tasks are split evenly between them
+ */
+const SAMPLE_WORKSPACES = [
+  { name: 'Engineering', description: 'Product development and design' },
+  { name: 'Operations', description: 'Planning and maintenance' }
+];
+
+/**
+ * Sample team members tasks are assigned to, one of each role, with the names of the
+ * workspaces they belong to
+ */
+const SAMPLE_USERS = [
+  { name: 'Ada Lovelace', email: 'ada@example.com', role: 'admin', workspaces: ['Engineering', 'Operations'] },
+  { name: 'Grace Hopper', email: 'grace@example.com', role: 'member', workspaces: ['Engineering'] },
+  { name: 'Alan Turing', email: 'alan@example.com', role: 'member', workspaces: ['Operations'] },
+  { name: 'Katherine Johnson', email: 'katherine@example.com', role: 'viewer', workspaces: ['Engineering', 'Operations'] }
+];
+
+/**
+ * Sample task titles categorized by type; each task is tagged with its category
  */
 const TASK_TEMPLATES = {
   development: [
@@ -147,11 +175,13 @@ function getRandomElement(array) {
 }
 
 /**
- * Generate sample tasks with realistic data distribution
+ * Generate sample tasks with realistic data distribution, tagged with their template category
  * @param {number} count - Number of tasks to generate
+ * @param {Array} userIds - IDs of the users tasks are assigned to
+ * @param {Array} authorIds - IDs of the users who may have created tasks
  * @returns {Array} Array of task objects
  */
-function generateSampleTasks(count = 50) {
+function generateSampleTasks(count = 50, userIds = [], authorIds = []) {
   const tasks = [];
   const categories = Object.keys(TASK_TEMPLATES);
   const statuses = ['pending', 'in-progress', 'completed'];
@@ -239,7 +269,11 @@ function generateSampleTasks(count = 50) {
       updatedAt,
       completedAt,
       estimatedTime,
-      actualTime
+      actualTime,
+      tags: [category],
+      // About one task in five stays unassigned
+      assignee: userIds.length > 0 && Math.random() < 0.8 ? getRandomElement(userIds) : null,
+      createdBy: authorIds.length > 0 ? getRandomElement(authorIds) : null
     };
     
     tasks.push(task);
@@ -265,15 +299,41 @@ async function seedTasks(count = 50) {
     console.log('🗑️  Clearing existing tasks...');
     const deleteResult = await Task.deleteMany({});
     console.log(`   Deleted ${deleteResult.deletedCount} existing tasks`);
+
+    // Replace the sample workspaces
+    console.log('🏢 Creating sample workspaces...');
+    await Workspace.deleteMany({ name: { $in: SAMPLE_WORKSPACES.map(workspace => workspace.name) } });
+    const workspaces = await Workspace.insertMany(SAMPLE_WORKSPACES);
+    const workspaceIds = new Map(workspaces.map(workspace => [workspace.name, workspace._id]));
+    console.log(`   Created ${workspaces.length} workspaces`);
+
+    // Replace the sample users
+    console.log('👥 Creating sample users...');
+    await User.deleteMany({ email: { $in: SAMPLE_USERS.map(user => user.email) } });
+    const passwordHash = await AuthService.hashPassword(SAMPLE_PASSWORD);
+    const users = await User.insertMany(SAMPLE_USERS.map(user => ({
+      ...user,
+      workspaces: user.workspaces.map(name => workspaceIds.get(name)),
+      passwordHash
+    })));
+    console.log(`   Created ${users.length} users; sign in as ${SAMPLE_USERS[0].email} (admin) / ${SAMPLE_PASSWORD}`);
     
-    // Generate sample tasks
+    // Generate sample tasks, assigned to members of their workspace
     console.log(`🎲 Generating ${count} sample tasks...`);
-    const sampleTasks = generateSampleTasks(count);
+    const sampleTasks = workspaces.flatMap((workspace, index) => {
+      const members = users.filter(user => user.workspaces.some(id => id.equals(workspace._id)));
+      const share = Math.floor(count / workspaces.length) + (index < count % workspaces.length ? 1 : 0);
+      return generateSampleTasks(
+        share,
+        members.map(user => user._id),
+        members.filter(user => user.role !== 'viewer').map(user => user._id)
+      ).map(task => ({ ...task, workspace: workspace._id }));
+    });
     
     // Insert tasks into database
     console.log('💾 Inserting tasks into database...');
-    const insertResult = await Task.insertMany(sampleTasks);
-    console.log(`   Successfully inserted ${insertResult.length} tasks`);
+    const insertedCount = await TaskImportService.insertTasks(sampleTasks);
+    console.log(`   Successfully inserted ${insertedCount} tasks`);
     
     // Display summary statistics
     const stats = await Task.aggregate([
@@ -304,6 +364,21 @@ async function seedTasks(count = 50) {
     priorityStats.forEach(stat => {
       console.log(`   ${stat._id}: ${stat.count} tasks`);
     });
+
+    const tagStats = await Task.aggregate([
+      { $unwind: '$tags' },
+      {
+        $group: {
+          _id: '$tags',
+          count: { $sum: 1 }
+        }
+      }
+    ]);
+
+    console.log('Tag Distribution:');
+    tagStats.forEach(stat => {
+      console.log(`   ${stat._id}: ${stat.count} tasks`);
+    });
     
     const totalTasks = await Task.countDocuments();
     const completedTasks = await Task.countDocuments({ status: 'completed' });
@@ -0,0 +1,1643 @@
+/**
+ * @fileoverview OpenAPI 3 description of the REST API; the single source for the published
+ * documentation and for request and response validation
+ * @module docs/openapi
+ */
+
+import Task, { MAX_TAGS, MAX_TAG_LENGTH } from '../models/Task.js';
+import Export from '../models/Export.js';
+import { EXPORT_FORMATS } from '../services/exportService.js';
+import { SORT_FIELDS, DUE_FILTERS, DUE_SOON_HOURS, TAG_MODES, UNASSIGNED } from '../services/taskQueryService.js';
+import { BULK_ACTIONS, BULK_UPDATE_FIELDS, MAX_BULK_TASKS } from '../services/taskBulkService.js';
+import { IMPORT_FORMATS, IMPORT_FIELDS, MAX_IMPORT_ROWS } from '../services/taskImportService.js';
+import TaskHistory from '../models/TaskHistory.js';
+import { TRACKED_FIELDS } from '../services/taskHistoryService.js';
+import { TRASH_RETENTION_DAYS } from '../services/taskTrashService.js';
+import { MIN_PASSWORD_LENGTH, MAX_PASSWORD_LENGTH } from '../services/authService.js';
+import { PERMISSIONS } from '../services/accessService.js';
+import {
+  TIME_SERIES_INTERVALS,
+  TIME_SERIES_DEFAULT_BUCKETS,
+  MAX_TIME_SERIES_BUCKETS,
+  LEAD_TIME_PERCENTILES,
+  WORST_ESTIMATES,
+  MAX_ESTIMATE_POINTS,
+  BURNDOWN_DEFAULT_DAYS,
+  MAX_BURNDOWN_DAYS,
+  BURNDOWN_FILTER_PARAMS
+} from '../services/analyticsService.js';
+import { ROLES } from '../models/User.js';
+
+/**
+ * Largest page size any list endpoint returns; larger limits are capped to it
+ * @type {number}
+ */
+const MAX_PAGE_SIZE = 100;
+
+const TASK_STATUSES = Task.schema.path('status').enumValues;
+const TASK_PRIORITIES = Task.schema.path('priority').enumValues;
+const EXPORT_STATUSES = Export.schema.path('status').enumValues;
+const HISTORY_ACTIONS = TaskHistory.schema.path('action').enumValues;
+const HISTORY_SOURCES = TaskHistory.schema.path('source').enumValues;
+const FORMATS = Object.keys(EXPORT_FORMATS);
+
+/**
+ * Permission each role-restricted operation checks (see middleware/auth.js authorize); the
+ * route drift test keeps it in line with the router
+ * @type {Object<string, string>}
+ */
+const OPERATION_PERMISSIONS = {
+  listTasks: 'tasks:read',
+  exportTasks: 'tasks:read',
+  bulkTasks: 'tasks:bulk',
+  importTasks: 'tasks:import',
+  listTrash: 'tasks:trash',
+  getTask: 'tasks:read',
+  getTaskHistory: 'tasks:read',
+  createTask: 'tasks:create',
+  updateTask: 'tasks:update',
+  deleteTask: 'tasks:delete',
+  restoreTask: 'tasks:trash',
+  purgeTask: 'tasks:trash',
+  listExports: 'exports:read',
+  createExportJob: 'exports:read',
+  getExport: 'exports:read',
+  rerunExport: 'exports:read',
+  downloadExportFile: 'exports:read',
+  listUsers: 'users:read',
+  getUser: 'users:read',
+  createUser: 'users:manage',
+  deleteUser: 'users:manage',
+  listWorkspaces: 'workspaces:read',
+  createWorkspace: 'workspaces:manage',
+  updateWorkspace: 'workspaces:manage',
+  deleteWorkspace: 'workspaces:manage',
+  getAnalytics: 'analytics:read',
+  getAnalyticsTimeSeries: 'analytics:read',
+  getAnalyticsLeadTime: 'analytics:read',
+  getAnalyticsEstimates: 'analytics:read',
+  getAnalyticsBurndown: 'analytics:read'
+};
+
+/**
+ * Tags of the operations whose data belongs to a workspace (see middleware/workspace.js)
+ * @type {Array<string>}
+ */
+const WORKSPACE_TAGS = ['Tasks', 'Exports', 'Analytics'];
+
+/**
+ * Operations outside those tags that also work in a workspace
+ * @type {Array<string>}
+ */
+const WORKSPACE_OPERATIONS = ['listUsers', 'getUser'];
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const dateTime = { type: 'string', format: 'date-time' };
+const hours = { type: 'number', minimum: 0 };
+
+/**
+ * Task filter and sort parameters, shared by GET /tasks, GET /tasks/export and POST /exports
+ * @type {Object<string, Object>}
+ */
+const taskFilterProperties = {
+  status: {
+    type: 'array',
+    items: { type: 'string', enum: TASK_STATUSES },
+    description: 'Task statuses, comma-separated'
+  },
+  priority: {
+    type: 'array',
+    items: { type: 'string', enum: TASK_PRIORITIES },
+    description: 'Task priorities, comma-separated'
+  },
+  due: {
+    type: 'string',
+    enum: DUE_FILTERS,
+    description: `Only open tasks past their due date (overdue) or due within ${DUE_SOON_HOURS} hours (due-soon)`
+  },
+  tags: {
+    type: 'array',
+    items: { type: 'string', maxLength: MAX_TAG_LENGTH },
+    description: 'Tags, comma-separated; case-insensitive'
+  },
+  tagMode: {
+    type: 'string',
+    enum: TAG_MODES,
+    description: 'Match tasks with any of the tags (default) or with all of them'
+  },
+  assignee: {
+    type: 'array',
+    items: { type: 'string' },
+    description: `Assignee user IDs, comma-separated; \`${UNASSIGNED}\` matches tasks without an assignee`
+  },
+  search: {
+    type: 'string',
+    maxLength: 200,
+    description: 'Case-insensitive text matched against title and description'
+  },
+  searchMode: {
+    type: 'string',
+    enum: ['text'],
+    description: 'Use the weighted full-text index; results are ranked by relevance and include highlights'
+  },
+  createdFrom: { ...dateTime, description: 'Created on or after (ISO 8601 date or date-time)' },
+  createdTo: { ...dateTime, description: 'Created on or before; a date-only value includes the whole day' },
+  updatedFrom: { ...dateTime, description: 'Updated on or after' },
+  updatedTo: { ...dateTime, description: 'Updated on or before' },
+  completedFrom: { ...dateTime, description: 'Completed on or after' },
+  completedTo: { ...dateTime, description: 'Completed on or before' },
+  minEstimatedTime: { ...hours, description: 'Minimum estimated hours' },
+  maxEstimatedTime: { ...hours, description: 'Maximum estimated hours' },
+  minActualTime: { ...hours, description: 'Minimum actual hours' },
+  maxActualTime: { ...hours, description: 'Maximum actual hours' },
+  sortBy: { type: 'string', enum: SORT_FIELDS, description: 'Sort field (default createdAt)' },
+  sortOrder: { type: 'string', enum: ['asc', 'desc'], description: 'Sort direction (default desc)' }
+};
+
+/**
+ * Builds OpenAPI query parameters from schema properties
+ * @param {Object<string, Object>} properties - Parameter schemas keyed by name
+ * @returns {Array<Object>} Query parameter objects; arrays use comma-separated form style
+ */
+const queryParameters = (properties) => Object.entries(properties).map(([name, { description, ...schema }]) => ({
+  name,
+  in: 'query',
+  description,
+  schema,
+  ...(schema.type === 'array' && { style: 'form', explode: false })
+}));
+
+const pageParameters = queryParameters({
+  page: { type: 'integer', minimum: 1, default: 1, description: 'Page number' },
+  limit: {
+    type: 'integer',
+    minimum: 1,
+    maximum: MAX_PAGE_SIZE,
+    default: 10,
+    'x-cap-to-maximum': true,
+    description: `Items per page; values above ${MAX_PAGE_SIZE} are capped`
+  }
+});
+
+const idParameter = (description) => ({
+  name: 'id',
+  in: 'path',
+  required: true,
+  description,
+  schema: ref('ObjectId')
+});
+
+/**
+ * Wraps a data schema in the { success, data, message } response envelope
+ * @param {Object} data - Schema of the data property
+ * @param {string} description - Response description
+ * @returns {Object} OpenAPI response object
+ */
+const success = (data, description) => ({
+  description,
+  content: {
+    'application/json': {
+      schema: {
+        type: 'object',
+        required: ['success', 'data'],
+        properties: {
+          success: { type: 'boolean', enum: [true] },
+          data,
+          message: { type: 'string' }
+        }
+      }
+    }
+  }
+});
+
+const errorResponse = (description) => ({
+  description,
+  content: { 'application/json': { schema: ref('Error') } }
+});
+
+const validationFailed = {
+  description: 'Invalid parameters or body',
+  content: { 'application/json': { schema: ref('ValidationError') } }
+};
+
+const notFound = errorResponse('Not found');
+
+const ifMatchParameter = {
+  name: 'If-Match',
+  in: 'header',
+  required: false,
+  description: 'ETag of the task version the client last read. The request fails with 412 if the task has changed since.',
+  schema: { type: 'string', example: '"3"' }
+};
+
+/**
+ * Adds the task version ETag header to a single-task success response
+ * @param {Object} response - OpenAPI response object
+ * @returns {Object} Response object documenting the ETag header
+ */
+const withEtag = (response) => ({
+  ...response,
+  headers: {
+    ETag: { description: 'Task version as a strong entity tag, e.g. "3"', schema: { type: 'string' } }
+  }
+});
+
+const workspaceParameter = {
+  name: 'X-Workspace-Id',
+  in: 'header',
+  required: false,
+  description: 'Workspace the request works in; defaults to the oldest workspace the user can open',
+  schema: ref('ObjectId')
+};
+
+const idempotencyKeyParameter = {
+  name: 'Idempotency-Key',
+  in: 'header',
+  required: false,
+  description: 'Unique key (1 to 255 characters) making the request safe to retry. The first response is stored and replayed, with an Idempotent-Replayed header, for retries with the same key.',
+  schema: { type: 'string', minLength: 1, maxLength: 255 }
+};
+
+const versionConflict = (description) => ({
+  description,
+  content: { 'application/json': { schema: ref('VersionConflict') } }
+});
+
+const fileResponse = (description) => ({
+  description,
+  headers: {
+    'Content-Disposition': {
+      description: 'attachment; filename="tasks-<timestamp>.<ext>"',
+      schema: { type: 'string' }
+    }
+  },
+  content: Object.fromEntries(
+    Object.values(EXPORT_FORMATS).map(({ contentType }) => [contentType.split(';')[0], {
+      schema: { type: 'string', format: 'binary' }
+    }])
+  )
+});
+
+const taskFields = {
+  title: { type: 'string', minLength: 1, maxLength: 200 },
+  description: { type: 'string', maxLength: 1000 },
+  status: { type: 'string', enum: TASK_STATUSES },
+  priority: { type: 'string', enum: TASK_PRIORITIES },
+  estimatedTime: { ...hours, nullable: true, description: 'Estimated hours' },
+  actualTime: { ...hours, nullable: true, description: 'Actual hours' },
+  dueDate: { ...dateTime, nullable: true, description: 'Deadline; open tasks past it are overdue' },
+  tags: {
+    type: 'array',
+    items: { type: 'string', maxLength: MAX_TAG_LENGTH },
+    maxItems: MAX_TAGS,
+    description: 'Labels such as development or design; stored lowercase without duplicates'
+  },
+  assignee: { ...ref('ObjectId'), nullable: true, description: 'User working on the task; must exist' }
+};
+
+const userFields = {
+  name: { type: 'string', minLength: 1, maxLength: 100 },
+  email: { type: 'string', format: 'email', maxLength: 254, description: 'Unique; stored lowercase' },
+  avatarUrl: { type: 'string', nullable: true, maxLength: 500, description: 'Profile picture; initials are shown without one' }
+};
+
+const workspaceFields = {
+  name: { type: 'string', minLength: 1, maxLength: 100, description: 'Unique' },
+  description: { type: 'string', maxLength: 500 }
+};
+
+const membershipField = {
+  type: 'array',
+  items: ref('ObjectId'),
+  uniqueItems: true,
+  description: 'Workspaces the user belongs to; admins open every workspace regardless'
+};
+
+const roleField = {
+  type: 'string',
+  enum: ROLES,
+  description: 'viewer reads, member also creates tasks and edits their own, admin does everything'
+};
+
+const passwordField = {
+  type: 'string',
+  minLength: MIN_PASSWORD_LENGTH,
+  maxLength: MAX_PASSWORD_LENGTH,
+  writeOnly: true,
+  description: 'Stored as a salted scrypt hash'
+};
+
+const refreshTokenBody = {
+  required: true,
+  content: {
+    'application/json': {
+      schema: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['refreshToken'],
+        properties: { refreshToken: { type: 'string', minLength: 1, maxLength: 200 } }
+      }
+    }
+  }
+};
+
+/**
+ * OpenAPI 3 document for the REST API
+ * @type {Object}
+ */
+const openApiDocument = {
+  openapi: '3.0.3',
+  info: {
+    title: 'Task Analytics API',
+    version: '1.0.0',
+    description: 'Task management, exports and real-time analytics. All endpoints are served under `/api`. '
+      + 'Send the access token from `/auth/login` as `Authorization: Bearer <token>`; '
+      + 'Socket.IO clients pass it as `auth.token` in the handshake. '
+      + 'What a user may do depends on their role; operations list the roles they allow and answer 403 to others. '
+      + 'Tasks, exports and analytics belong to a workspace, chosen with the `X-Workspace-Id` header.'
+  },
+  servers: [{ url: '/api' }],
+  security: [{ bearerAuth: [] }],
+  tags: [
+    { name: 'Auth' },
+    { name: 'Tasks' },
+    { name: 'Exports' },
+    { name: 'Users' },
+    { name: 'Workspaces' },
+    { name: 'Analytics' },
+    { name: 'Meta' }
+  ],
+  paths: {
+    '/tasks': {
+      get: {
+        operationId: 'listTasks',
+        tags: ['Tasks'],
+        summary: 'List tasks with filtering, sorting and page or cursor pagination',
+        parameters: [
+          ...pageParameters,
+          ...queryParameters(taskFilterProperties),
+          ...queryParameters({
+            pagination: {
+              type: 'string',
+              enum: ['page', 'cursor'],
+              description: 'Use cursor pagination instead of page numbers'
+            },
+            after: { type: 'string', maxLength: 1000, description: 'Return the tasks after this cursor' },
+            before: { type: 'string', maxLength: 1000, description: 'Return the tasks before this cursor' }
+          })
+        ],
+        responses: {
+          200: success({
+            type: 'object',
+            required: ['tasks', 'pagination'],
+            properties: {
+              tasks: { type: 'array', items: ref('Task') },
+              pagination: { oneOf: [ref('Pagination'), ref('CursorPagination')] }
+            }
+          }, 'A page of tasks'),
+          400: validationFailed
+        }
+      },
+      post: {
+        operationId: 'createTask',
+        tags: ['Tasks'],
+        summary: 'Create a task',
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: ref('TaskInput') } }
+        },
+        responses: {
+          201: withEtag(success(ref('Task'), 'Created task')),
+          400: validationFailed
+        }
+      }
+    },
+    '/tasks/bulk': {
+      post: {
+        operationId: 'bulkTasks',
+        tags: ['Tasks'],
+        summary: 'Update or delete many tasks at once',
+        description: `Selects tasks by \`ids\` or by \`filters\` (exactly one) and applies the change with a single write. Caches are invalidated once and one batched \`task-update\` Socket.IO event is emitted. At most ${MAX_BULK_TASKS} tasks can be changed per request.`,
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: ref('TaskBulkInput') } }
+        },
+        responses: {
+          200: success(ref('TaskBulkResult'), 'Tasks changed'),
+          400: validationFailed
+        }
+      }
+    },
+    '/tasks/import': {
+      post: {
+        operationId: 'importTasks',
+        tags: ['Tasks'],
+        summary: 'Import tasks from a CSV or JSON file',
+        description: `Maps file columns onto task fields and runs model validation on every row. With \`dryRun\` nothing is written and the report lists the errors for each row. Without \`skipInvalid\`, any invalid row rejects the whole import. At most ${MAX_IMPORT_ROWS} rows per file.`,
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: ref('TaskImportInput') } }
+        },
+        responses: {
+          200: success(ref('TaskImportReport'), 'Import report'),
+          400: validationFailed
+        }
+      }
+    },
+    '/tasks/trash': {
+      get: {
+        operationId: 'listTrash',
+        tags: ['Tasks'],
+        summary: 'List deleted tasks, most recently deleted first',
+        description: `Deleted tasks can be restored until they are purged, which happens ${TRASH_RETENTION_DAYS} days after deletion (TRASH_RETENTION_DAYS).`,
+        parameters: pageParameters,
+        responses: {
+          200: success({
+            type: 'object',
+            required: ['tasks', 'pagination', 'retentionDays'],
+            properties: {
+              tasks: { type: 'array', items: ref('TrashedTask') },
+              pagination: ref('Pagination'),
+              retentionDays: { type: 'integer', description: 'Days a deleted task is kept before it is purged' }
+            }
+          }, 'A page of deleted tasks'),
+          400: validationFailed
+        }
+      }
+    },
+    '/tasks/export': {
+      get: {
+        operationId: 'exportTasks',
+        tags: ['Exports'],
+        summary: 'Stream the tasks matching the filters as a file download',
+        parameters: queryParameters({
+          format: { type: 'string', enum: FORMATS, default: 'csv', description: 'Export format' },
+          ...taskFilterProperties
+        }),
+        responses: {
+          200: fileResponse('Exported tasks'),
+          400: validationFailed
+        }
+      }
+    },
+    '/tasks/{id}': {
+      get: {
+        operationId: 'getTask',
+        tags: ['Tasks'],
+        summary: 'Get a task',
+        parameters: [idParameter('Task ID')],
+        responses: {
+          200: withEtag(success(ref('Task'), 'The task')),
+          400: validationFailed,
+          404: notFound
+        }
+      },
+      put: {
+        operationId: 'updateTask',
+        tags: ['Tasks'],
+        summary: 'Update a task',
+        description: 'Send the ETag from a read as If-Match, or its version in the body, to reject the update if someone else has changed the task since.',
+        parameters: [idParameter('Task ID'), ifMatchParameter],
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: ref('TaskUpdate') } }
+        },
+        responses: {
+          200: withEtag(success(ref('Task'), 'Updated task')),
+          400: validationFailed,
+          404: notFound,
+          409: versionConflict('The body version is stale (data holds the current task), or a request with the same Idempotency-Key is still being processed'),
+          412: versionConflict('If-Match does not match the current version; data holds the current task')
+        }
+      },
+      delete: {
+        operationId: 'deleteTask',
+        tags: ['Tasks'],
+        summary: 'Move a task to the trash',
+        description: 'The task disappears from listings and analytics but can be restored from the trash until it is purged.',
+        parameters: [idParameter('Task ID'), ifMatchParameter],
+        responses: {
+          200: {
+            description: 'Task moved to the trash',
+            content: { 'application/json': { schema: ref('Message') } }
+          },
+          400: validationFailed,
+          404: notFound,
+          412: versionConflict('If-Match does not match the current version; data holds the current task')
+        }
+      }
+    },
+    '/tasks/{id}/restore': {
+      post: {
+        operationId: 'restoreTask',
+        tags: ['Tasks'],
+        summary: 'Restore a deleted task from the trash',
+        parameters: [idParameter('Task ID')],
+        responses: {
+          200: withEtag(success(ref('Task'), 'Restored task')),
+          400: validationFailed,
+          404: notFound
+        }
+      }
+    },
+    '/tasks/{id}/purge': {
+      delete: {
+        operationId: 'purgeTask',
+        tags: ['Tasks'],
+        summary: 'Permanently delete a task from the trash',
+        description: 'Only tasks in the trash can be purged; delete an active task first.',
+        parameters: [idParameter('Task ID')],
+        responses: {
+          200: {
+            description: 'Task permanently deleted',
+            content: { 'application/json': { schema: ref('Message') } }
+          },
+          400: validationFailed,
+          404: notFound
+        }
+      }
+    },
+    '/tasks/{id}/history': {
+      get: {
+        operationId: 'getTaskHistory',
+        tags: ['Tasks'],
+        summary: 'List the field-level change history of a task, newest first',
+        description: 'History is kept after the task is deleted.',
+        parameters: [idParameter('Task ID'), ...pageParameters],
+        responses: {
+          200: success({
+            type: 'object',
+            required: ['entries', 'pagination'],
+            properties: {
+              entries: { type: 'array', items: ref('TaskHistoryEntry') },
+              pagination: ref('Pagination')
+            }
+          }, 'A page of history entries'),
+          400: validationFailed,
+          404: notFound
+        }
+      }
+    },
+    '/exports': {
+      get: {
+        operationId: 'listExports',
+        tags: ['Exports'],
+        summary: 'List past exports, newest first',
+        parameters: [
+          ...pageParameters,
+          ...queryParameters({
+            format: { type: 'string', enum: FORMATS, description: 'Export format' },
+            status: { type: 'string', enum: EXPORT_STATUSES, description: 'Export status' }
+          })
+        ],
+        responses: {
+          200: success({
+            type: 'object',
+            required: ['exports', 'pagination'],
+            properties: {
+              exports: { type: 'array', items: ref('Export') },
+              pagination: ref('Pagination')
+            }
+          }, 'A page of exports'),
+          400: validationFailed
+        }
+      },
+      post: {
+        operationId: 'createExportJob',
+        tags: ['Exports'],
+        summary: 'Start a background export job',
+        description: 'Progress is pushed to `socketId` through the export-progress, export-complete and export-failed Socket.IO events. '
+          + 'The socket must be connected as the requesting user; any other socket is ignored.',
+        requestBody: {
+          content: { 'application/json': { schema: ref('ExportJobInput') } }
+        },
+        responses: {
+          202: success(ref('Export'), 'Queued export'),
+          400: validationFailed
+        }
+      }
+    },
+    '/exports/{id}': {
+      get: {
+        operationId: 'getExport',
+        tags: ['Exports'],
+        summary: 'Get an export record',
+        parameters: [idParameter('Export ID')],
+        responses: {
+          200: success(ref('Export'), 'The export record'),
+          400: validationFailed,
+          404: notFound
+        }
+      }
+    },
+    '/exports/{id}/download': {
+      get: {
+        operationId: 'rerunExport',
+        tags: ['Exports'],
+        summary: 'Re-run an export with its original filters and format',
+        parameters: [idParameter('Export ID')],
+        responses: {
+          200: fileResponse('Exported tasks'),
+          400: validationFailed,
+          404: notFound
+        }
+      }
+    },
+    '/exports/{id}/file': {
+      get: {
+        operationId: 'downloadExportFile',
+        tags: ['Exports'],
+        summary: 'Download the file written by a completed background export',
+        parameters: [idParameter('Export ID')],
+        responses: {
+          200: fileResponse('Export file'),
+          400: validationFailed,
+          404: notFound
+        }
+      }
+    },
+    '/auth/login': {
+      post: {
+        operationId: 'login',
+        tags: ['Auth'],
+        summary: 'Sign in with email and password',
+        security: [],
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: ref('LoginInput') } }
+        },
+        responses: {
+          200: success(ref('Session'), 'Session tokens'),
+          400: validationFailed,
+          401: errorResponse('Unknown email, wrong password, or a user without a password')
+        }
+      }
+    },
+    '/auth/refresh': {
+      post: {
+        operationId: 'refreshToken',
+        tags: ['Auth'],
+        summary: 'Exchange a refresh token for new tokens',
+        description: 'The refresh token is consumed; use the one in the response next time.',
+        security: [],
+        requestBody: refreshTokenBody,
+        responses: {
+          200: success(ref('Session'), 'New session tokens'),
+          400: validationFailed,
+          401: errorResponse('The refresh token is invalid, already used or expired')
+        }
+      }
+    },
+    '/auth/logout': {
+      post: {
+        operationId: 'logout',
+        tags: ['Auth'],
+        summary: 'Revoke a refresh token',
+        description: 'Access tokens already issued stay valid until they expire.',
+        security: [],
+        requestBody: refreshTokenBody,
+        responses: {
+          200: {
+            description: 'Session ended',
+            content: { 'application/json': { schema: ref('Message') } }
+          },
+          400: validationFailed
+        }
+      }
+    },
+    '/auth/me': {
+      get: {
+        operationId: 'getCurrentUser',
+        tags: ['Auth'],
+        summary: 'Get the signed-in user',
+        responses: {
+          200: success(ref('User'), 'The user the access token was issued to'),
+          400: validationFailed
+        }
+      }
+    },
+    '/users': {
+      get: {
+        operationId: 'listUsers',
+        tags: ['Users'],
+        summary: 'List users sorted by name',
+        description: 'Lists the members of the workspace; users who can manage accounts see everyone.',
+        parameters: [
+          ...queryParameters({
+            page: { type: 'integer', minimum: 1, default: 1, description: 'Page number' },
+            limit: {
+              type: 'integer',
+              minimum: 1,
+              maximum: MAX_PAGE_SIZE,
+              default: 50,
+              'x-cap-to-maximum': true,
+              description: `Users per page; values above ${MAX_PAGE_SIZE} are capped`
+            },
+            search: { type: 'string', maxLength: 100, description: 'Case-insensitive text matched against name and email' }
+          })
+        ],
+        responses: {
+          200: success({
+            type: 'object',
+            required: ['users', 'pagination'],
+            properties: {
+              users: { type: 'array', items: ref('User') },
+              pagination: ref('Pagination')
+            }
+          }, 'A page of users'),
+          400: validationFailed
+        }
+      },
+      post: {
+        operationId: 'createUser',
+        tags: ['Users'],
+        summary: 'Create a user',
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: ref('UserInput') } }
+        },
+        responses: {
+          201: success(ref('User'), 'Created user'),
+          400: validationFailed,
+          409: errorResponse('A user with this email already exists, or a request with the same Idempotency-Key is still being processed')
+        }
+      }
+    },
+    '/users/{id}': {
+      get: {
+        operationId: 'getUser',
+        tags: ['Users'],
+        summary: 'Get a user',
+        description: 'Finds members of the workspace only; users who can manage accounts find anyone.',
+        parameters: [idParameter('User ID')],
+        responses: {
+          200: success(ref('User'), 'The user'),
+          400: validationFailed,
+          404: notFound
+        }
+      },
+      put: {
+        operationId: 'updateUser',
+        tags: ['Users'],
+        summary: 'Update a user',
+        description: 'Admins edit anyone; other users only their own profile. The last admin cannot be demoted. '
+          + 'Only admins change roles and workspace membership.',
+        parameters: [idParameter('User ID')],
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: ref('UserUpdate') } }
+        },
+        responses: {
+          200: success(ref('User'), 'Updated user'),
+          400: validationFailed,
+          403: errorResponse('Non-admins can only edit their own profile and cannot change their role or workspaces'),
+          404: notFound,
+          409: errorResponse('A user with this email already exists, or a request with the same Idempotency-Key is still being processed')
+        }
+      },
+      delete: {
+        operationId: 'deleteUser',
+        tags: ['Users'],
+        summary: 'Delete a user',
+        description: 'Tasks assigned to the user become unassigned. The last admin cannot be deleted.',
+        parameters: [idParameter('User ID')],
+        responses: {
+          200: success({
+            type: 'object',
+            required: ['unassignedTasks'],
+            properties: {
+              unassignedTasks: { type: 'integer', description: 'Number of tasks that lost their assignee' }
+            }
+          }, 'User deleted'),
+          400: validationFailed,
+          404: notFound
+        }
+      }
+    },
+    '/workspaces': {
+      get: {
+        operationId: 'listWorkspaces',
+        tags: ['Workspaces'],
+        summary: 'List the workspaces the signed-in user can open, oldest first',
+        description: 'Admins see every workspace, others the ones they are members of.',
+        responses: {
+          200: success({ type: 'array', items: ref('Workspace') }, 'Workspaces'),
+          400: validationFailed
+        }
+      },
+      post: {
+        operationId: 'createWorkspace',
+        tags: ['Workspaces'],
+        summary: 'Create a workspace',
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: ref('WorkspaceInput') } }
+        },
+        responses: {
+          201: success(ref('Workspace'), 'Created workspace'),
+          400: validationFailed,
+          409: errorResponse('A workspace with this name already exists, or a request with the same Idempotency-Key is still being processed')
+        }
+      }
+    },
+    '/workspaces/{id}': {
+      put: {
+        operationId: 'updateWorkspace',
+        tags: ['Workspaces'],
+        summary: 'Rename a workspace or change its description',
+        parameters: [idParameter('Workspace ID')],
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: ref('WorkspaceUpdate') } }
+        },
+        responses: {
+          200: success(ref('Workspace'), 'Updated workspace'),
+          400: validationFailed,
+          404: notFound,
+          409: errorResponse('A workspace with this name already exists, or a request with the same Idempotency-Key is still being processed')
+        }
+      },
+      delete: {
+        operationId: 'deleteWorkspace',
+        tags: ['Workspaces'],
+        summary: 'Delete a workspace',
+        description: 'Only workspaces without tasks, including trashed ones, can be deleted, and never the last one. '
+          + 'Members lose their membership.',
+        parameters: [idParameter('Workspace ID')],
+        responses: {
+          200: success({ type: 'object' }, 'Workspace deleted'),
+          400: errorResponse('Invalid ID, the workspace still has tasks, or it is the last workspace'),
+          404: notFound
+        }
+      }
+    },
+    '/analytics': {
+      get: {
+        operationId: 'getAnalytics',
+        tags: ['Analytics'],
+        summary: 'Get task metrics',
+        responses: {
+          200: success(ref('Analytics'), 'Current task metrics'),
+          400: validationFailed
+        }
+      }
+    },
+    '/analytics/timeseries': {
+      get: {
+        operationId: 'getAnalyticsTimeSeries',
+        tags: ['Analytics'],
+        summary: 'Get created and completed task counts over time',
+        description: 'Counts tasks per UTC hour, day, week (starting Monday) or month bucket. The start of the ' +
+          'range moves back to the start of its bucket, empty buckets are included, and a series holds at most ' +
+          `${MAX_TIME_SERIES_BUCKETS} buckets.`,
+        parameters: queryParameters({
+          interval: { type: 'string', enum: TIME_SERIES_INTERVALS, default: 'day', description: 'Bucket size' },
+          from: {
+            ...dateTime,
+            description: 'Start of the range; defaults to ' +
+              Object.entries(TIME_SERIES_DEFAULT_BUCKETS).map(([interval, count]) => `${count} ${interval}s`).join(', ') +
+              ' before `to`, by interval'
+          },
+          to: { ...dateTime, description: 'End of the range, defaults to now; a date-only value includes the whole day' }
+        }),
+        responses: {
+          200: success(ref('TimeSeries'), 'Task counts per bucket, oldest first'),
+          400: errorResponse('Invalid parameters, a start after the end, or too many buckets')
+        }
+      }
+    },
+    '/analytics/lead-time': {
+      get: {
+        operationId: 'getAnalyticsLeadTime',
+        tags: ['Analytics'],
+        summary: 'Get lead and cycle time percentiles',
+        description: 'Summarises completed tasks in hours. Lead time runs from creation to completion; cycle time ' +
+          'from the first move to in-progress in the task history, so tasks that skipped in-progress only count ' +
+          'towards lead time. Percentiles are approximate.',
+        responses: {
+          200: success(ref('LeadTime'), 'Lead and cycle time statistics')
+        }
+      }
+    },
+    '/analytics/estimates': {
+      get: {
+        operationId: 'getAnalyticsEstimates',
+        tags: ['Analytics'],
+        summary: 'Get estimate accuracy',
+        description: 'Compares actual with estimated time for completed tasks that have both. The ratio is actual ' +
+          'divided by estimated time, so above 1 means the task overran. Lists the ' +
+          `${WORST_ESTIMATES} worst estimates, furthest off in either direction first, and the ` +
+          `${MAX_ESTIMATE_POINTS} latest completions for plotting.`,
+        responses: {
+          200: success(ref('EstimateAccuracy'), 'Estimate accuracy')
+        }
+      }
+    },
+    '/analytics/burndown': {
+      get: {
+        operationId: 'getAnalyticsBurndown',
+        tags: ['Analytics'],
+        summary: 'Get daily burndown and burnup series',
+        description: 'For each UTC day of the window, counts the tasks created by the end of the day (total), the ' +
+          'ones completed by then and the ones still open (remaining). Task filters narrow the tasks counted, e.g. ' +
+          `to a sprint's tag. A window spans at most ${MAX_BURNDOWN_DAYS} days.`,
+        parameters: queryParameters({
+          from: {
+            ...dateTime,
+            description: `First day; defaults to ${BURNDOWN_DEFAULT_DAYS} days ending with \`to\``
+          },
+          to: { ...dateTime, description: 'End of the window, defaults to now; a date-only value includes the whole day' },
+          ...Object.fromEntries(BURNDOWN_FILTER_PARAMS.map(name => [name, taskFilterProperties[name]]))
+        }),
+        responses: {
+          200: success(ref('Burndown'), 'Daily counts, oldest first'),
+          400: errorResponse('Invalid parameters, a start after the end, or too many days')
+        }
+      }
+    },
+    '/health': {
+      get: {
+        operationId: 'getHealth',
+        tags: ['Meta'],
+        summary: 'Health check',
+        security: [],
+        responses: {
+          200: {
+            description: 'The API is up',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  required: ['success', 'message', 'timestamp'],
+                  properties: {
+                    success: { type: 'boolean' },
+                    message: { type: 'string' },
+                    timestamp: dateTime
+                  }
+                }
+              }
+            }
+          },
+          400: validationFailed
+        }
+      }
+    },
+    '/openapi.json': {
+      get: {
+        operationId: 'getOpenApiDocument',
+        tags: ['Meta'],
+        summary: 'This OpenAPI document',
+        security: [],
+        responses: {
+          200: {
+            description: 'OpenAPI 3 document',
+            content: { 'application/json': { schema: { type: 'object' } } }
+          }
+        }
+      }
+    },
+    '/docs': {
+      get: {
+        operationId: 'getDocs',
+        tags: ['Meta'],
+        summary: 'Interactive API documentation',
+        security: [],
+        responses: {
+          200: {
+            description: 'HTML documentation page',
+            content: { 'text/html': { schema: { type: 'string' } } }
+          }
+        }
+      }
+    }
+  },
+  components: {
+    securitySchemes: {
+      bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+    },
+    schemas: {
+      ObjectId: {
+        type: 'string',
+        format: 'objectid',
+        pattern: '^[0-9a-fA-F]{24}$',
+        example: '507f1f77bcf86cd799439011'
+      },
+      Task: {
+        type: 'object',
+        required: ['_id', 'title', 'status', 'priority', 'createdAt', 'updatedAt'],
+        properties: {
+          _id: ref('ObjectId'),
+          ...taskFields,
+          createdBy: { ...ref('ObjectId'), nullable: true, description: 'User who created the task; members may edit it' },
+          workspace: { ...ref('ObjectId'), description: 'Workspace the task belongs to' },
+          version: { type: 'integer', minimum: 0, description: 'Incremented by every write; also sent as the ETag header' },
+          createdAt: dateTime,
+          updatedAt: dateTime,
+          completedAt: { ...dateTime, nullable: true },
+          deletedAt: { ...dateTime, nullable: true, description: 'When the task was moved to the trash' },
+          highlights: {
+            type: 'object',
+            description: 'Matched words, only present for searchMode=text',
+            properties: {
+              title: { type: 'array', items: ref('HighlightSegment') },
+              description: { type: 'array', items: ref('HighlightSegment') }
+            }
+          }
+        }
+      },
+      TrashedTask: {
+        allOf: [
+          ref('Task'),
+          {
+            type: 'object',
+            required: ['deletedAt', 'purgeAt'],
+            properties: {
+              purgeAt: { ...dateTime, description: 'When the task will be permanently deleted' }
+            }
+          }
+        ]
+      },
+      TaskHistoryEntry: {
+        type: 'object',
+        required: ['_id', 'taskId', 'action', 'changes', 'createdAt'],
+        properties: {
+          _id: ref('ObjectId'),
+          taskId: ref('ObjectId'),
+          action: { type: 'string', enum: HISTORY_ACTIONS },
+          source: { type: 'string', enum: HISTORY_SOURCES, description: 'single task request, bulk operation, import, or the trash retention job' },
+          taskTitle: { type: 'string', description: 'Task title at the time of the change' },
+          changes: { type: 'array', items: ref('TaskFieldChange') },
+          changedBy: { type: 'string' },
+          ipAddress: { type: 'string' },
+          userAgent: { type: 'string' },
+          createdAt: dateTime
+        }
+      },
+      TaskFieldChange: {
+        type: 'object',
+        required: ['field'],
+        properties: {
+          field: { type: 'string', enum: TRACKED_FIELDS },
+          before: { nullable: true, description: 'Value before the change; null for creates or unset fields' },
+          after: { nullable: true, description: 'Value after the change; null for deletes or unset fields' }
+        }
+      },
+      HighlightSegment: {
+        type: 'object',
+        required: ['text', 'match'],
+        properties: {
+          text: { type: 'string' },
+          match: { type: 'boolean' }
+        }
+      },
+      TaskInput: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['title'],
+        properties: taskFields
+      },
+      TaskUpdate: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          ...taskFields,
+          version: {
+            type: 'integer',
+            minimum: 0,
+            description: 'Version the edit is based on, for clients that cannot send If-Match; a stale version fails with 409'
+          }
+        }
+      },
+      TaskBulkInput: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['action'],
+        properties: {
+          action: { type: 'string', enum: BULK_ACTIONS },
+          ids: { type: 'array', items: ref('ObjectId'), maxItems: MAX_BULK_TASKS },
+          filters: ref('TaskFilters'),
+          updates: {
+            type: 'object',
+            additionalProperties: false,
+            description: 'Field changes, required for the update action',
+            properties: Object.fromEntries(BULK_UPDATE_FIELDS.map(field => [field, taskFields[field]]))
+          }
+        }
+      },
+      TaskBulkResult: {
+        type: 'object',
+        required: ['action', 'count', 'ids', 'tasks'],
+        properties: {
+          action: { type: 'string', enum: BULK_ACTIONS },
+          count: { type: 'integer' },
+          ids: { type: 'array', items: ref('ObjectId') },
+          tasks: { type: 'array', items: ref('Task') }
+        }
+      },
+      TaskImportInput: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['format', 'content'],
+        properties: {
+          format: { type: 'string', enum: IMPORT_FORMATS },
+          content: {
+            type: 'string',
+            minLength: 1,
+            description: 'File content: CSV with a header row, or a JSON array of objects'
+          },
+          mapping: ref('TaskImportMapping'),
+          dryRun: { type: 'boolean', default: false, description: 'Validate only; write nothing' },
+          skipInvalid: { type: 'boolean', default: false, description: 'Import the valid rows even if some rows are invalid' }
+        }
+      },
+      TaskImportMapping: {
+        type: 'object',
+        additionalProperties: false,
+        description: 'File column for each task field; an empty string leaves the field unmapped. Suggested from the column names when omitted.',
+        properties: Object.fromEntries(Object.keys(IMPORT_FIELDS).map(field => [field, { type: 'string', maxLength: 200 }]))
+      },
+      TaskImportReport: {
+        type: 'object',
+        required: ['dryRun', 'columns', 'mapping', 'total', 'valid', 'invalid', 'inserted', 'errors', 'preview'],
+        properties: {
+          dryRun: { type: 'boolean' },
+          columns: { type: 'array', items: { type: 'string' } },
+          mapping: ref('TaskImportMapping'),
+          total: { type: 'integer' },
+          valid: { type: 'integer' },
+          invalid: { type: 'integer' },
+          inserted: { type: 'integer' },
+          errors: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['row', 'errors'],
+              properties: {
+                row: { type: 'integer', description: '1-based data row (the CSV header is not counted)' },
+                errors: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    required: ['field', 'message'],
+                    properties: {
+                      field: { type: 'string' },
+                      message: { type: 'string' }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          preview: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['row', 'data', 'valid'],
+              properties: {
+                row: { type: 'integer' },
+                data: { type: 'object' },
+                valid: { type: 'boolean' }
+              }
+            }
+          }
+        }
+      },
+      TaskFilters: {
+        type: 'object',
+        additionalProperties: false,
+        properties: taskFilterProperties
+      },
+      Pagination: {
+        type: 'object',
+        required: ['page', 'limit', 'total', 'pages'],
+        properties: {
+          page: { type: 'integer' },
+          limit: { type: 'integer' },
+          total: { type: 'integer' },
+          pages: { type: 'integer' }
+        }
+      },
+      CursorPagination: {
+        type: 'object',
+        required: ['mode', 'limit', 'total', 'hasNext', 'hasPrevious', 'nextCursor', 'prevCursor'],
+        properties: {
+          mode: { type: 'string', enum: ['cursor'] },
+          limit: { type: 'integer' },
+          total: { type: 'integer' },
+          hasNext: { type: 'boolean' },
+          hasPrevious: { type: 'boolean' },
+          nextCursor: { type: 'string', nullable: true },
+          prevCursor: { type: 'string', nullable: true }
+        }
+      },
+      Export: {
+        type: 'object',
+        required: ['_id', 'format', 'status', 'rowCount', 'createdAt'],
+        properties: {
+          _id: ref('ObjectId'),
+          workspace: { ...ref('ObjectId'), nullable: true, description: 'Workspace whose tasks were exported' },
+          format: { type: 'string', enum: FORMATS },
+          filters: { type: 'object' },
+          status: { type: 'string', enum: EXPORT_STATUSES },
+          rowCount: { type: 'integer' },
+          total: { type: 'integer', nullable: true },
+          fileName: { type: 'string', nullable: true },
+          requestedBy: { type: 'string' },
+          ipAddress: { type: 'string' },
+          userAgent: { type: 'string' },
+          cacheHit: { type: 'boolean' },
+          rerunOf: { ...ref('ObjectId'), nullable: true },
+          error: { type: 'string' },
+          completedAt: { ...dateTime, nullable: true },
+          createdAt: dateTime,
+          updatedAt: dateTime
+        }
+      },
+      User: {
+        type: 'object',
+        required: ['_id', 'name', 'email'],
+        properties: {
+          _id: ref('ObjectId'),
+          ...userFields,
+          role: roleField,
+          workspaces: membershipField,
+          createdAt: dateTime,
+          updatedAt: dateTime
+        }
+      },
+      UserInput: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['name', 'email'],
+        properties: {
+          ...userFields,
+          role: { ...roleField, default: ROLES[1] },
+          workspaces: membershipField,
+          password: { ...passwordField, description: 'Without one the user cannot sign in' }
+        }
+      },
+      UserUpdate: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          ...userFields,
+          role: { ...roleField, description: 'Admins only' },
+          workspaces: { ...membershipField, description: 'Admins only' },
+          password: { ...passwordField, description: 'Signs the user out of every session' }
+        }
+      },
+      Workspace: {
+        type: 'object',
+        required: ['_id', 'name'],
+        properties: {
+          _id: ref('ObjectId'),
+          ...workspaceFields,
+          createdAt: dateTime,
+          updatedAt: dateTime
+        }
+      },
+      WorkspaceInput: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['name'],
+        properties: workspaceFields
+      },
+      WorkspaceUpdate: {
+        type: 'object',
+        additionalProperties: false,
+        properties: workspaceFields
+      },
+      LoginInput: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['email', 'password'],
+        properties: {
+          email: { type: 'string', maxLength: 254 },
+          password: { type: 'string', minLength: 1, maxLength: MAX_PASSWORD_LENGTH, writeOnly: true }
+        }
+      },
+      Session: {
+        type: 'object',
+        required: ['user', 'accessToken', 'refreshToken', 'tokenType', 'expiresIn'],
+        properties: {
+          user: ref('User'),
+          accessToken: { type: 'string', description: 'HS256 JSON Web Token for the Authorization header' },
+          refreshToken: { type: 'string', description: 'Single-use token for /auth/refresh' },
+          tokenType: { type: 'string', enum: ['Bearer'] },
+          expiresIn: { type: 'integer', description: 'Seconds until the access token expires' }
+        }
+      },
+      AssigneeWorkload: {
+        type: 'object',
+        required: ['assignee', 'openTasks', 'completedTasks', 'completionRate', 'averageCompletionTime'],
+        properties: {
+          assignee: {
+            type: 'object',
+            required: ['_id', 'name'],
+            properties: {
+              _id: ref('ObjectId'),
+              name: { type: 'string' },
+              email: { type: 'string' },
+              avatarUrl: { type: 'string', nullable: true }
+            }
+          },
+          openTasks: { type: 'integer', description: 'Pending and in-progress tasks' },
+          completedTasks: { type: 'integer' },
+          completionRate: { type: 'number', description: 'Completed share of the assigned tasks, 0-100' },
+          averageCompletionTime: { type: 'number', description: 'Hours from creation to completion' }
+        }
+      },
+      ExportJobInput: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          format: { type: 'string', enum: FORMATS, default: 'csv' },
+          filters: { ...ref('TaskFilters'), default: {} },
+          socketId: { type: 'string', maxLength: 100, description: 'Socket.IO id of one of your own connections that receives progress events' }
+        }
+      },
+      Analytics: {
+        type: 'object',
+        required: ['totalTasks', 'tasksByStatus', 'tasksByPriority', 'completionRate'],
+        properties: {
+          totalTasks: { type: 'integer' },
+          tasksByStatus: {
+            type: 'object',
+            properties: Object.fromEntries(TASK_STATUSES.map(status => [status, { type: 'integer' }]))
+          },
+          tasksByPriority: {
+            type: 'object',
+            properties: Object.fromEntries(TASK_PRIORITIES.map(priority => [priority, { type: 'integer' }]))
+          },
+          tasksByTag: {
+            type: 'object',
+            additionalProperties: { type: 'integer' },
+            description: 'Task counts for the most used tags'
+          },
+          workloadByAssignee: {
+            type: 'array',
+            items: ref('AssigneeWorkload'),
+            description: 'Workload of every user with assigned tasks, most open tasks first'
+          },
+          completionRate: { type: 'number' },
+          averageCompletionTime: { type: 'number', nullable: true },
+          tasksCreatedToday: { type: 'integer' },
+          tasksCompletedToday: { type: 'integer' },
+          overdueTasks: { type: 'integer', description: 'Open tasks past their due date' },
+          dueSoonTasks: { type: 'integer', description: `Open tasks due within ${DUE_SOON_HOURS} hours` },
+          recentActivity: { type: 'array', items: ref('TaskHistoryEntry'), description: 'Latest task changes' },
+          lastUpdated: dateTime
+        }
+      },
+      TimeSeries: {
+        type: 'object',
+        required: ['interval', 'from', 'to', 'buckets'],
+        properties: {
+          interval: { type: 'string', enum: TIME_SERIES_INTERVALS },
+          from: { ...dateTime, description: 'Start of the first bucket' },
+          to: { ...dateTime, description: 'End of the range' },
+          buckets: { type: 'array', items: ref('TimeSeriesBucket') }
+        }
+      },
+      TimeSeriesBucket: {
+        type: 'object',
+        required: ['start', 'created', 'completed', 'netOpen', 'open'],
+        properties: {
+          start: dateTime,
+          created: { type: 'integer', description: 'Tasks created in the bucket' },
+          completed: { type: 'integer', description: 'Tasks completed in the bucket' },
+          netOpen: { type: 'integer', description: 'Change in open tasks: created minus completed' },
+          open: { type: 'integer', description: 'Tasks open at the end of the bucket' }
+        }
+      },
+      LeadTime: {
+        type: 'object',
+        required: ['leadTime', 'cycleTime', 'histogram', 'byPriority', 'byTag'],
+        properties: {
+          leadTime: { ...ref('DurationStats'), description: 'Creation to completion' },
+          cycleTime: { ...ref('DurationStats'), description: 'First move to in-progress to completion' },
+          histogram: {
+            type: 'array',
+            description: 'Completed tasks per lead time range',
+            items: {
+              type: 'object',
+              required: ['min', 'max', 'count'],
+              properties: {
+                min: { type: 'number', description: 'Lower edge in hours, inclusive' },
+                max: { type: 'number', nullable: true, description: 'Upper edge in hours, exclusive; null for the last range' },
+                count: { type: 'integer' }
+              }
+            }
+          },
+          byPriority: {
+            type: 'array',
+            description: 'Lead time per priority, highest first',
+            items: {
+              allOf: [
+                { type: 'object', required: ['priority'], properties: { priority: { type: 'string', enum: TASK_PRIORITIES } } },
+                ref('DurationStats')
+              ]
+            }
+          },
+          byTag: {
+            type: 'array',
+            description: 'Lead time per tag, most used tags first',
+            items: {
+              allOf: [{ type: 'object', required: ['tag'], properties: { tag: { type: 'string' } } }, ref('DurationStats')]
+            }
+          }
+        }
+      },
+      Burndown: {
+        type: 'object',
+        required: ['from', 'to', 'days'],
+        properties: {
+          from: { ...dateTime, description: 'Start of the first day' },
+          to: { ...dateTime, description: 'End of the window' },
+          days: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['date', 'total', 'completed', 'remaining'],
+              properties: {
+                date: { ...dateTime, description: 'Start of the UTC day' },
+                total: { type: 'integer', description: 'Tasks created by the end of the day' },
+                completed: { type: 'integer', description: 'Tasks completed by the end of the day' },
+                remaining: { type: 'integer', description: 'Tasks still open at the end of the day' }
+              }
+            }
+          }
+        }
+      },
+      EstimateAccuracy: {
+        allOf: [
+          ref('EstimateRatios'),
+          {
+            type: 'object',
+            required: ['byPriority', 'worst', 'points'],
+            properties: {
+              byPriority: {
+                type: 'array',
+                description: 'Ratios per priority, highest first',
+                items: {
+                  allOf: [
+                    { type: 'object', required: ['priority'], properties: { priority: { type: 'string', enum: TASK_PRIORITIES } } },
+                    ref('EstimateRatios')
+                  ]
+                }
+              },
+              worst: { type: 'array', items: ref('TaskEstimate'), description: 'Furthest off estimates first' },
+              points: { type: 'array', items: ref('TaskEstimate'), description: 'Latest completions first' }
+            }
+          }
+        ]
+      },
+      EstimateRatios: {
+        type: 'object',
+        required: ['count', 'meanRatio', 'medianRatio', 'overrunCount', 'underrunCount'],
+        properties: {
+          count: { type: 'integer', description: 'Completed tasks with estimated and actual time' },
+          meanRatio: { type: 'number', description: 'Mean of actual divided by estimated time' },
+          medianRatio: { type: 'number', description: 'Median of actual divided by estimated time (approximate)' },
+          overrunCount: { type: 'integer', description: 'Tasks that took longer than estimated' },
+          underrunCount: { type: 'integer', description: 'Tasks that took less time than estimated' }
+        }
+      },
+      TaskEstimate: {
+        type: 'object',
+        required: ['_id', 'title', 'priority', 'estimatedTime', 'actualTime', 'ratio'],
+        properties: {
+          _id: ref('ObjectId'),
+          title: { type: 'string' },
+          priority: { type: 'string', enum: TASK_PRIORITIES },
+          estimatedTime: { type: 'number', description: 'Estimated hours' },
+          actualTime: { type: 'number', description: 'Actual hours' },
+          ratio: { type: 'number', description: 'Actual divided by estimated time' }
+        }
+      },
+      DurationStats: {
+        type: 'object',
+        required: ['count', 'mean', ...LEAD_TIME_PERCENTILES.map(p => `p${p}`)],
+        properties: {
+          count: { type: 'integer', description: 'Tasks measured' },
+          mean: { type: 'number', description: 'Mean in hours' },
+          ...Object.fromEntries(LEAD_TIME_PERCENTILES.map(p => [
+            `p${p}`,
+            { type: 'number', description: `${p}th percentile in hours` }
+          ]))
+        }
+      },
+      Message: {
+        type: 'object',
+        required: ['success', 'message'],
+        properties: {
+          success: { type: 'boolean', enum: [true] },
+          message: { type: 'string' }
+        }
+      },
+      Error: {
+        type: 'object',
+        required: ['success', 'message'],
+        properties: {
+          success: { type: 'boolean', enum: [false] },
+          message: { type: 'string' }
+        }
+      },
+      VersionConflict: {
+        type: 'object',
+        required: ['success', 'message', 'data'],
+        properties: {
+          success: { type: 'boolean', enum: [false] },
+          message: { type: 'string' },
+          data: ref('Task')
+        }
+      },
+      ValidationError: {
+        type: 'object',
+        required: ['success', 'message', 'errors'],
+        properties: {
+          success: { type: 'boolean', enum: [false] },
+          message: { type: 'string', enum: ['Validation Error'] },
+          errors: { type: 'array', items: { type: 'string' } }
+        }
+      }
+    }
+  }
+};
+
+// Every mutating operation outside Auth accepts an Idempotency-Key (see middleware/idempotency.js);
+// session tokens are never stored for replay
+Object.values(openApiDocument.paths).forEach(pathItem => {
+  ['post', 'put', 'delete'].forEach(method => {
+    const operation = pathItem[method];
+    if (!operation || operation.tags.includes('Auth')) return;
+
+    operation.parameters = [...(operation.parameters || []), idempotencyKeyParameter];
+    operation.responses[409] = operation.responses[409]
+      || errorResponse('A request with the same Idempotency-Key is still being processed');
+    operation.responses[422] = errorResponse('The Idempotency-Key was already used for a different request');
+  });
+});
+
+// Operations that do not opt out of the document-wide bearer security need a signed-in user
+Object.values(openApiDocument.paths).forEach(pathItem => {
+  Object.values(pathItem).forEach(operation => {
+    if (operation.security?.length === 0) return;
+
+    operation.responses[401] = errorResponse('Missing, invalid or expired access token');
+  });
+});
+
+// Role-restricted operations name their permission and the roles holding it
+Object.values(openApiDocument.paths).forEach(pathItem => {
+  Object.values(pathItem).forEach(operation => {
+    const permission = OPERATION_PERMISSIONS[operation.operationId];
+    if (!permission) return;
+
+    const roles = PERMISSIONS[permission];
+    operation['x-permission'] = permission;
+    operation.description = [operation.description, `Roles: ${roles.join(', ')}.`].filter(Boolean).join(' ');
+    if (roles.length < ROLES.length) {
+      operation.responses[403] = errorResponse('Your role does not allow this operation');
+    }
+  });
+});
+
+// Task, export and analytics operations work in the workspace named by X-Workspace-Id
+Object.values(openApiDocument.paths).forEach(pathItem => {
+  Object.values(pathItem).forEach(operation => {
+    if (!operation.tags.some(tag => WORKSPACE_TAGS.includes(tag))
+      && !WORKSPACE_OPERATIONS.includes(operation.operationId)) return;
+
+    operation.parameters = [workspaceParameter, ...(operation.parameters || [])];
+    operation.responses[403] = errorResponse(operation.responses[403]
+      ? 'Your role does not allow this operation, or you are not a member of any workspace'
+      : 'You are not a member of any workspace');
+    operation.responses[404] = operation.responses[404] || errorResponse('Not found, or the workspace does not exist');
+  });
+});
+
+/**
+ * Renders the interactive documentation page for the OpenAPI document
+ * @param {string} specUrl - URL of the OpenAPI JSON document
+ * @returns {string} HTML page loading Swagger UI
+ */
+const renderDocsPage = (specUrl) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Task Analytics API</title>
+  <link rel="stylesheet" href="https://unpkg.com/swagger-ui-dist@5/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="https://unpkg.com/swagger-ui-dist@5/swagger-ui-bundle.js"></script>
+  <script>
+    window.ui = SwaggerUIBundle({ url: ${JSON.stringify(specUrl)}, dom_id: '#swagger-ui' });
+  </script>
+</body>
+</html>
+`;
+
+export { MAX_PAGE_SIZE, renderDocsPage };
+export default openApiDocument;
@@ -13,8 +13,14 @@ import { connectMongoDB } from './config/database.js';
 import { connectRedis } from './config/redis.js';
 import apiRoutes, { setSocketHandlers } from './routes/api.js';
 import { errorHandler, notFound } from './middleware/errorHandler.js';
+import { authenticateSocket } from './middleware/auth.js';
 import SocketHandlers from './sockets/socketHandlers.js';
+import AuthService from './services/authService.js';
 import AnalyticsService from './services/analyticsService.js';
+import ExportService from './services/exportService.js';
+import TaskTrashService from './services/taskTrashService.js';
+import WorkspaceService from './services/workspaceService.js';
+import TaskDueService, { DUE_CHECK_INTERVAL_MS } from './services/taskDueService.js';
 
 dotenv.config();
 
@@ -28,11 +34,15 @@ const io = new Server(server, {
   }
 });
 
+// Every Socket.IO connection must present an access token in its handshake
+io.use(authenticateSocket());
+
 const PORT = process.env.PORT || 3001;
 
 app.use(cors({
   origin: process.env.CORS_ORIGIN || 'http://localhost:5173',
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['ETag', 'Idempotent-Replayed', 'WWW-Authenticate']
 }));
 
 app.use(express.json({ limit: '10mb' }));
@@ -46,9 +56,12 @@ app.get('/', (req, res) => {
     version: '1.0.0',
     status: 'running',
     endpoints: {
+      auth: '/api/auth/login',
       tasks: '/api/tasks',
       analytics: '/api/analytics',
-      health: '/api/health'
+      health: '/api/health',
+      openapi: '/api/openapi.json',
+      docs: '/api/docs'
     }
   });
 });
@@ -90,11 +103,13 @@ process.on('SIGINT', () => gracefulShutdown('SIGINT'));
  */
 const startServer = async () => {
   try {
+    AuthService.assertConfigured();
     await connectMongoDB();
     await connectRedis();
 
     // Fix any existing data issues
     console.log('🔧 Running data consistency checks...');
+    await WorkspaceService.ensureDefault();
     await AnalyticsService.fixCompletedTasksData();
 
     server.listen(PORT, () => {
@@ -103,7 +118,7 @@ const startServer = async () => {
       console.log(`🌐 Environment: ${process.env.NODE_ENV || 'development'}`);
     });
 
-    // Broadcast analytics updates every 15 seconds (for any missed real-time updates)
+    // Broadcast analytics updates to every joined workspace every 15 seconds (for any missed real-time updates)
     setInterval(async () => {
       try {
         await socketHandlers.broadcastAnalyticsUpdate();
@@ -112,6 +127,40 @@ const startServer = async () => {
       }
     }, 15000);
 
+    // Remove background export files past their retention period every hour
+    setInterval(async () => {
+      try {
+        const purged = await ExportService.purgeExpiredFiles();
+        if (purged > 0) console.log(`🧹 Purged ${purged} expired export files`);
+      } catch (error) {
+        console.error('Error purging export files:', error);
+      }
+    }, 60 * 60 * 1000);
+
+    // Permanently delete tasks that have been in the trash past their retention period every hour
+    setInterval(async () => {
+      try {
+        const purged = await TaskTrashService.purgeExpired();
+        if (purged > 0) console.log(`🗑️  Purged ${purged} tasks from the trash`);
+      } catch (error) {
+        console.error('Error purging deleted tasks:', error);
+      }
+    }, 60 * 60 * 1000);
+
+    // Warn clients about tasks that crossed their due date since the previous check, which
+    // is kept in Redis so the window carries over restarts
+    let lastDueCheck = await TaskDueService.getLastCheck();
+    setInterval(async () => {
+      const now = new Date();
+      try {
+        await socketHandlers.notifyOverdueTasks(lastDueCheck, now);
+        lastDueCheck = now;
+        await TaskDueService.saveLastCheck(now);
+      } catch (error) {
+        console.error('Error checking due dates:', error);
+      }
+    }, DUE_CHECK_INTERVAL_MS);
+
   } catch (error) {
     console.error('❌ Failed to start server:', error);
     process.exit(1);
@@ -0,0 +1,84 @@
+/**
+ * @fileoverview Bearer token authentication and role checks for HTTP requests and Socket.IO connections
+ * @module middleware/auth
+ */
+
+import AuthService from '../services/authService.js';
+import AccessService from '../services/accessService.js';
+
+/**
+ * Extracts the token from an `Authorization: Bearer <token>` header
+ * @param {string|undefined} header - Authorization header value
+ * @returns {string|undefined} Access token, or undefined for a missing or non-Bearer header
+ */
+const bearerToken = (header) => {
+  const [scheme, token] = String(header ?? '').split(' ');
+  return scheme === 'Bearer' ? token : undefined;
+};
+
+/**
+ * Creates middleware that requires a valid access token and loads its user into req.user.
+ * Requests without one fail with 401 and a WWW-Authenticate challenge.
+ * @param {Object} [options={}] - Middleware options
+ * @param {Object} [options.service=AuthService] - Service resolving tokens to users
+ * @returns {Function} Express middleware
+ * @example
+ * router.use('/tasks', authenticate());
+ */
+const authenticate = ({ service = AuthService } = {}) => {
+  return async (req, res, next) => {
+    try {
+      req.user = await service.authenticate(bearerToken(req.get('Authorization')));
+      next();
+    } catch (error) {
+      if (error.statusCode === 401) res.set('WWW-Authenticate', 'Bearer');
+      next(error);
+    }
+  };
+};
+
+/**
+ * Creates middleware that lets a request through only when the signed-in user's role grants
+ * a permission; others get 403. Runs after authenticate.
+ * @param {string} permission - Permission name from AccessService, e.g. tasks:delete
+ * @returns {Function} Express middleware, exposing the permission it checks as `permission`
+ * @example
+ * router.delete('/tasks/:id', authorize('tasks:delete'), handler);
+ */
+const authorize = (permission) => {
+  const middleware = (req, res, next) => {
+    try {
+      AccessService.assert(req.user, permission);
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+  middleware.permission = permission;
+  return middleware;
+};
+
+/**
+ * Creates Socket.IO middleware that accepts connections whose handshake carries a valid
+ * access token in `auth.token`, storing the user in socket.data.user. Rejected clients get a
+ * connect_error whose data.status is 401, telling them to refresh their token and reconnect.
+ * @param {Object} [options={}] - Middleware options
+ * @param {Object} [options.service=AuthService] - Service resolving tokens to users
+ * @returns {Function} Socket.IO middleware
+ * @example
+ * io.use(authenticateSocket());
+ */
+const authenticateSocket = ({ service = AuthService } = {}) => {
+  return async (socket, next) => {
+    try {
+      socket.data.user = await service.authenticate(socket.handshake.auth?.token);
+      next();
+    } catch (error) {
+      const rejection = new Error(error.statusCode === 401 ? error.message : 'Authentication failed');
+      rejection.data = { status: error.statusCode || 500 };
+      next(rejection);
+    }
+  };
+};
+
+export { authenticate, authorize, authenticateSocket, bearerToken };
@@ -43,6 +43,7 @@ const errorHandler = (err, req, res, _next) => {
   res.status(statusCode).json({
     success: false,
     message,
+    ...(err.data !== undefined && { data: err.data }),
     ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
   });
 };
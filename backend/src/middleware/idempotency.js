@@ -0,0 +1,152 @@
+/**
+ * @fileoverview Idempotency-Key support for mutating requests, backed by Redis
+ * @module middleware/idempotency
+ */
+
+import { createHash } from 'crypto';
+import { redisClient } from '../config/redis.js';
+
+/**
+ * Seconds a stored response is replayed for; IDEMPOTENCY_TTL_SECONDS overrides the 24 hour default
+ * @type {number}
+ */
+const IDEMPOTENCY_TTL_SECONDS = Number(process.env.IDEMPOTENCY_TTL_SECONDS) || 24 * 60 * 60;
+
+/**
+ * Longest accepted Idempotency-Key header value
+ * @type {number}
+ */
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * HTTP methods whose requests may carry an Idempotency-Key
+ * @type {Array<string>}
+ */
+const IDEMPOTENT_METHODS = ['POST', 'PUT', 'DELETE'];
+
+/**
+ * Response headers stored with a response and restored on replay
+ * @type {Array<string>}
+ */
+const REPLAYED_HEADERS = ['ETag'];
+
+/**
+ * Hashes what makes a request unique, so a key reused for a different request is detected.
+ * The workspace comes from the X-Workspace-Id header rather than the URL, so it is hashed too.
+ * @param {Object} req - Express request object
+ * @returns {string} Hex SHA-256 of the method, URL, workspace and JSON body
+ */
+const fingerprint = (req) => createHash('sha256')
+  .update(`${req.method} ${req.originalUrl} ${req.workspace?._id ?? ''}\n${JSON.stringify(req.body ?? null)}`)
+  .digest('hex');
+
+/**
+ * Sends a JSON error without going through the route's handlers
+ * @param {Object} res - Express response object
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Object} Express response
+ */
+const reject = (res, statusCode, message) => res.status(statusCode).json({ success: false, message });
+
+/**
+ * Creates middleware that makes POST, PUT and DELETE requests carrying an Idempotency-Key
+ * header safe to retry. The first response for a key is stored in Redis and replayed, with
+ * an Idempotent-Replayed header, for later requests with the same key. Server errors are
+ * not stored, so those requests can be retried for real.
+ * - A key reused with a different method, URL, workspace or body is rejected with 422
+ * - A retry arriving while the first request is still running is rejected with 409
+ * - Without Redis, requests run normally and nothing is stored
+ * @param {Object} [options={}] - Middleware options
+ * @param {Object} [options.client=redisClient] - Redis client
+ * @param {number} [options.ttlSeconds=IDEMPOTENCY_TTL_SECONDS] - Replay window in seconds
+ * @returns {Function} Express middleware
+ * @example
+ * router.use(idempotency());
+ */
+const idempotency = ({ client = redisClient, ttlSeconds = IDEMPOTENCY_TTL_SECONDS } = {}) => {
+  return async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (!IDEMPOTENT_METHODS.includes(req.method) || key === undefined) return next();
+
+    if (key.length === 0 || key.length > MAX_KEY_LENGTH) {
+      return reject(res, 400, `Idempotency-Key must be 1 to ${MAX_KEY_LENGTH} characters`);
+    }
+
+    // Keys are per user, so one user's key never replays another user's response
+    const cacheKey = req.user ? `idempotency:${req.user._id}:${key}` : `idempotency:${key}`;
+    const requestHash = fingerprint(req);
+    let claimed;
+
+    try {
+      claimed = await client.set(
+        cacheKey,
+        JSON.stringify({ state: 'processing', fingerprint: requestHash }),
+        'EX',
+        ttlSeconds,
+        'NX'
+      );
+    } catch (error) {
+      console.warn('Idempotency-Key ignored, Redis unavailable:', error.message);
+      return next();
+    }
+
+    if (claimed !== 'OK') {
+      const stored = JSON.parse(await client.get(cacheKey) || 'null');
+
+      if (!stored) {
+        return reject(res, 409, 'A request with this Idempotency-Key just expired; retry it');
+      }
+      if (stored.fingerprint !== requestHash) {
+        return reject(res, 422, 'Idempotency-Key was already used for a different request');
+      }
+      if (stored.state === 'processing') {
+        return reject(res, 409, 'A request with this Idempotency-Key is still being processed');
+      }
+
+      res.set(stored.headers);
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(stored.statusCode).json(stored.body);
+    }
+
+    let settled = false;
+    const release = () => {
+      settled = true;
+      client.del(cacheKey).catch(() => {});
+    };
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      if (!settled) {
+        if (res.statusCode >= 500) {
+          release();
+        } else {
+          settled = true;
+          const headers = Object.fromEntries(REPLAYED_HEADERS
+            .filter(name => res.get(name) !== undefined)
+            .map(name => [name, res.get(name)]));
+
+          client.set(cacheKey, JSON.stringify({
+            state: 'completed',
+            fingerprint: requestHash,
+            statusCode: res.statusCode,
+            headers,
+            body
+          }), 'EX', ttlSeconds).catch(error => {
+            console.warn('Failed to store idempotent response:', error.message);
+          });
+        }
+      }
+      return json(body);
+    };
+
+    // A request that ends without a JSON response must not hold its key
+    res.on('close', () => {
+      if (!settled) release();
+    });
+
+    next();
+  };
+};
+
+export { idempotency, IDEMPOTENCY_TTL_SECONDS, MAX_KEY_LENGTH };
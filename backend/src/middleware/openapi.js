@@ -0,0 +1,316 @@
+/**
+ * @fileoverview Request and response validation generated from the OpenAPI document
+ * @module middleware/openapi
+ */
+
+import openApiDocument from '../docs/openapi.js';
+import { validate } from './validate.js';
+
+/**
+ * Request parts that OpenAPI parameters can live in, keyed by their `in` value
+ * @type {Object<string, string>}
+ */
+const PARAMETER_LOCATIONS = {
+  path: 'params',
+  query: 'query'
+};
+
+/**
+ * HTTP methods that can appear in an OpenAPI path item
+ * @type {Array<string>}
+ */
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'patch'];
+
+/**
+ * Follows a local $ref, keeping sibling keywords such as nullable and default
+ * @param {Object} schema - Schema that may contain a $ref
+ * @param {Object} [document=openApiDocument] - Document the reference points into
+ * @returns {Object} Resolved schema
+ */
+const resolveSchema = (schema, document = openApiDocument) => {
+  if (!schema || !schema.$ref) return schema;
+
+  const { $ref, ...siblings } = schema;
+  const target = $ref
+    .replace(/^#\//, '')
+    .split('/')
+    .reduce((node, key) => node?.[key], document);
+
+  if (!target) {
+    throw new Error(`Unresolvable OpenAPI reference: ${$ref}`);
+  }
+
+  return { ...resolveSchema(target, document), ...siblings };
+};
+
+/**
+ * Finds an operation and its path template by operationId
+ * @param {string} operationId - Operation identifier from the document
+ * @param {Object} [document=openApiDocument] - OpenAPI document
+ * @returns {{path: string, method: string, operation: Object}} Matching operation
+ * @throws {Error} When no operation has this id
+ */
+const findOperation = (operationId, document = openApiDocument) => {
+  for (const [path, pathItem] of Object.entries(document.paths)) {
+    for (const method of HTTP_METHODS) {
+      if (pathItem[method]?.operationId === operationId) {
+        return { path, method, operation: pathItem[method] };
+      }
+    }
+  }
+
+  throw new Error(`Unknown OpenAPI operation: ${operationId}`);
+};
+
+/**
+ * Converts an OpenAPI schema into a validate.js field rule
+ * @param {Object} schema - OpenAPI schema (may be a $ref)
+ * @param {string} location - Request part the value comes from ('params', 'query' or 'body')
+ * @param {Object} [document=openApiDocument] - Document used to resolve references
+ * @returns {Object} Field rule
+ */
+const toRule = (schema, location, document = openApiDocument) => {
+  const resolved = resolveSchema(schema, document);
+  const rule = {};
+
+  if (resolved.nullable) rule.nullable = true;
+  if (resolved.default !== undefined) {
+    const fallback = resolved.default;
+    // Object and array defaults become factories so requests never share them
+    rule.default = typeof fallback === 'object' && fallback !== null
+      ? () => JSON.parse(JSON.stringify(fallback))
+      : fallback;
+  }
+
+  switch (resolved.type) {
+  case 'integer':
+  case 'number':
+    return {
+      ...rule,
+      type: resolved.type,
+      minimum: resolved.minimum,
+      maximum: resolved.maximum,
+      cap: resolved['x-cap-to-maximum'] === true
+    };
+  case 'boolean':
+    return { ...rule, type: 'boolean' };
+  case 'array':
+    return {
+      ...rule,
+      type: 'list',
+      items: resolved.items && toRule(resolved.items, location, document),
+      maxItems: resolved.maxItems
+    };
+  case 'object':
+    return {
+      ...rule,
+      type: 'object',
+      properties: resolved.properties && toRules(resolved, location, document)
+    };
+  default:
+    break;
+  }
+
+  if (resolved.format === 'date' || resolved.format === 'date-time') {
+    return { ...rule, type: 'date' };
+  }
+  if (resolved.format === 'objectid') {
+    return { ...rule, type: 'objectId' };
+  }
+
+  return {
+    ...rule,
+    type: 'string',
+    enum: resolved.enum,
+    maxLength: resolved.maxLength,
+    // JSON bodies can clear free-text fields; empty query values mean "not set"
+    allowEmpty: location === 'body' && !resolved.enum && !resolved.minLength
+  };
+};
+
+/**
+ * Converts the properties of an object schema into validate.js field rules
+ * @param {Object} schema - Resolved object schema
+ * @param {string} location - Request part the object comes from
+ * @param {Object} [document=openApiDocument] - Document used to resolve references
+ * @returns {Object<string, Object>} Field rules keyed by property name
+ */
+const toRules = (schema, location, document = openApiDocument) => {
+  const required = schema.required || [];
+
+  return Object.fromEntries(Object.entries(schema.properties || {}).map(([name, property]) => [
+    name,
+    { ...toRule(property, location, document), required: required.includes(name) }
+  ]));
+};
+
+/**
+ * Builds the validate.js schema for an operation from its parameters and JSON request body.
+ * Query strings are always validated so undeclared parameters are rejected.
+ * @param {string} operationId - Operation identifier from the document
+ * @param {Object} [document=openApiDocument] - OpenAPI document
+ * @returns {{params?: Object, query: Object, body?: Object}} Field rules per request part
+ * @example
+ * validate(requestSchema('createTask'));
+ */
+const requestSchema = (operationId, document = openApiDocument) => {
+  const { operation } = findOperation(operationId, document);
+  const schema = { query: {} };
+
+  (operation.parameters || []).forEach(parameter => {
+    const location = PARAMETER_LOCATIONS[parameter.in];
+    if (!location) return;
+
+    schema[location] = schema[location] || {};
+    schema[location][parameter.name] = {
+      ...toRule(parameter.schema, location, document),
+      required: parameter.required === true
+    };
+  });
+
+  const bodySchema = operation.requestBody?.content?.['application/json']?.schema;
+  if (bodySchema) {
+    schema.body = toRules(resolveSchema(bodySchema, document), 'body', document);
+  }
+
+  return schema;
+};
+
+/**
+ * Checks a value against an OpenAPI schema
+ * @param {*} value - JSON value to check
+ * @param {Object} schema - OpenAPI schema (may be a $ref)
+ * @param {string} [path='body'] - Path of the value used in messages
+ * @param {Object} [document=openApiDocument] - Document used to resolve references
+ * @returns {Array<string>} Mismatch descriptions, empty when the value matches
+ * @example
+ * schemaErrors({ success: true }, { $ref: '#/components/schemas/Message' }); // ['body.message is required']
+ */
+const schemaErrors = (value, schema, path = 'body', document = openApiDocument) => {
+  const resolved = resolveSchema(schema, document);
+  if (!resolved) return [];
+
+  if (value === null) {
+    return resolved.nullable || !resolved.type ? [] : [`${path} must not be null`];
+  }
+
+  if (resolved.oneOf) {
+    const matches = resolved.oneOf.some(option => schemaErrors(value, option, path, document).length === 0);
+    return matches ? [] : [`${path} does not match any allowed schema`];
+  }
+
+  if (resolved.allOf) {
+    return resolved.allOf.flatMap(part => schemaErrors(value, part, path, document));
+  }
+
+  const errors = [];
+
+  switch (resolved.type) {
+  case 'string':
+    if (typeof value !== 'string') return [`${path} must be a string`];
+    if (resolved.format === 'date-time' && Number.isNaN(new Date(value).getTime())) {
+      errors.push(`${path} must be a date-time`);
+    }
+    if (resolved.pattern && !new RegExp(resolved.pattern).test(value)) {
+      errors.push(`${path} must match ${resolved.pattern}`);
+    }
+    break;
+  case 'integer':
+    if (!Number.isInteger(value)) return [`${path} must be an integer`];
+    break;
+  case 'number':
+    if (typeof value !== 'number') return [`${path} must be a number`];
+    break;
+  case 'boolean':
+    if (typeof value !== 'boolean') return [`${path} must be a boolean`];
+    break;
+  case 'array':
+    if (!Array.isArray(value)) return [`${path} must be an array`];
+    value.forEach((item, index) => {
+      errors.push(...schemaErrors(item, resolved.items, `${path}[${index}]`, document));
+    });
+    break;
+  case 'object':
+    if (typeof value !== 'object' || Array.isArray(value)) return [`${path} must be an object`];
+    (resolved.required || []).forEach(name => {
+      if (value[name] === undefined) errors.push(`${path}.${name} is required`);
+    });
+    Object.entries(value).forEach(([name, property]) => {
+      if (resolved.properties?.[name]) {
+        errors.push(...schemaErrors(property, resolved.properties[name], `${path}.${name}`, document));
+      } else if (resolved.additionalProperties === false) {
+        errors.push(`${path}.${name} is not allowed`);
+      }
+    });
+    break;
+  default:
+    break;
+  }
+
+  if (resolved.enum && !resolved.enum.includes(value)) {
+    errors.push(`${path} must be one of: ${resolved.enum.join(', ')}`);
+  }
+
+  return errors;
+};
+
+/**
+ * Creates middleware validating and coercing a request against its OpenAPI operation
+ * @param {string} operationId - Operation identifier from the document
+ * @returns {Function} Express middleware
+ */
+const validateRequest = (operationId) => validate(requestSchema(operationId));
+
+/**
+ * Creates middleware that checks JSON responses against the documented response schema and
+ * logs a warning on mismatch. Responses are never altered; the check is skipped in production.
+ * @param {string} operationId - Operation identifier from the document
+ * @returns {Function} Express middleware
+ */
+const validateResponse = (operationId) => {
+  const { path, method, operation } = findOperation(operationId);
+
+  return (req, res, next) => {
+    if (process.env.NODE_ENV === 'production') return next();
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      const response = operation.responses[res.statusCode] || operation.responses.default;
+      const schema = response?.content?.['application/json']?.schema;
+
+      if (!response) {
+        console.warn(`OpenAPI: ${method.toUpperCase()} ${path} returned undocumented status ${res.statusCode}`);
+      } else if (schema) {
+        // Compare the serialized form so dates and ObjectIds are checked as the client sees them
+        const errors = schemaErrors(JSON.parse(JSON.stringify(body ?? null)), schema);
+        if (errors.length > 0) {
+          console.warn(`OpenAPI: ${method.toUpperCase()} ${path} ${res.statusCode} response does not match the spec:`, errors);
+        }
+      }
+
+      return json(body);
+    };
+
+    next();
+  };
+};
+
+/**
+ * Request and response validation for a documented operation
+ * @param {string} operationId - Operation identifier from the document
+ * @returns {Array<Function>} Express middleware; the response check is installed first so
+ * validation failures answered by errorHandler are checked too
+ * @example
+ * router.post('/tasks', openapi('createTask'), handler);
+ */
+const openapi = (operationId) => [validateResponse(operationId), validateRequest(operationId)];
+
+export {
+  openapi,
+  validateRequest,
+  validateResponse,
+  requestSchema,
+  schemaErrors,
+  findOperation,
+  resolveSchema
+};
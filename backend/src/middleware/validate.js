@@ -0,0 +1,231 @@
+/**
+ * @fileoverview Request validation middleware driven by declarative field schemas
+ * @module middleware/validate
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * Request parts that can be validated, in the order they are checked
+ * @type {Array<string>}
+ */
+const LOCATIONS = ['params', 'query', 'body'];
+
+/**
+ * Error raised when a request does not match its schema; named ValidationError so
+ * errorHandler reports it exactly like a Mongoose validation failure
+ * @class RequestValidationError
+ * @extends Error
+ */
+class RequestValidationError extends Error {
+  /**
+   * @param {Object<string, {path: string, message: string}>} errors - Failures keyed by field path
+   */
+  constructor(errors) {
+    super('Validation Error');
+    this.name = 'ValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Checks whether a value is missing; empty strings count as missing unless the rule sets allowEmpty
+ * @param {*} value - Value to check
+ * @param {Object} rule - Field rule
+ * @returns {boolean} True if the value is missing
+ */
+const isMissing = (value, rule) =>
+  value === undefined || value === null || (value === '' && !rule.allowEmpty);
+
+/**
+ * Checks whether a value is a plain object
+ * @param {*} value - Value to check
+ * @returns {boolean} True for non-null, non-array objects
+ */
+const isPlainObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+/**
+ * Converts and checks a number against a rule
+ * @param {*} value - Raw value
+ * @param {Object} rule - Field rule
+ * @param {string} path - Field path used in messages
+ * @returns {number} Coerced number
+ * @throws {Error} When the value is invalid
+ */
+const coerceNumber = (value, rule, path) => {
+  const number = typeof value === 'string' ? Number(value.trim()) : value;
+
+  if (typeof number !== 'number' || !Number.isFinite(number)) {
+    throw new Error(`${path} must be a number`);
+  }
+  if (rule.type === 'integer' && !Number.isInteger(number)) {
+    throw new Error(`${path} must be an integer`);
+  }
+  if (rule.minimum !== undefined && number < rule.minimum) {
+    throw new Error(`${path} must be at least ${rule.minimum}`);
+  }
+  if (rule.maximum !== undefined && number > rule.maximum) {
+    if (rule.cap) return rule.maximum;
+    throw new Error(`${path} must be at most ${rule.maximum}`);
+  }
+
+  return number;
+};
+
+/**
+ * Checks a string against a rule
+ * @param {*} value - Raw value
+ * @param {Object} rule - Field rule
+ * @param {string} path - Field path used in messages
+ * @returns {string} Validated string
+ * @throws {Error} When the value is invalid
+ */
+const checkString = (value, rule, path) => {
+  if (typeof value !== 'string') {
+    throw new Error(`${path} must be a string`);
+  }
+  if (rule.enum && !rule.enum.includes(value)) {
+    throw new Error(`${path} must be one of: ${rule.enum.join(', ')}`);
+  }
+  if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+    throw new Error(`${path} must be at most ${rule.maxLength} characters`);
+  }
+
+  return value;
+};
+
+/**
+ * Converts a single value according to its rule
+ * @param {*} value - Raw value (never missing)
+ * @param {Object} rule - Field rule
+ * @param {string} path - Field path used in messages
+ * @param {Object} errors - Collected errors, for nested object schemas
+ * @returns {*} Coerced value
+ * @throws {Error} When the value is invalid
+ */
+const coerceValue = (value, rule, path, errors) => {
+  switch (rule.type) {
+  case 'string':
+    return checkString(value, rule, path);
+  case 'number':
+  case 'integer':
+    return coerceNumber(value, rule, path);
+  case 'boolean':
+    if (value === true || value === 'true') return true;
+    if (value === false || value === 'false') return false;
+    throw new Error(`${path} must be true or false`);
+  case 'date':
+    // Dates stay strings: TaskQueryService treats date-only upper bounds as end of day
+    if (typeof value !== 'string' || Number.isNaN(new Date(value).getTime())) {
+      throw new Error(`${path} must be a valid date`);
+    }
+    return value;
+  case 'objectId':
+    if (typeof value !== 'string' || !mongoose.isValidObjectId(value)) {
+      throw new Error(`${path} must be a valid ID`);
+    }
+    return value;
+  case 'list': {
+    const items = (Array.isArray(value) ? value : String(value).split(','))
+      .map(item => String(item).trim())
+      .filter(Boolean);
+    if (rule.maxItems !== undefined && items.length > rule.maxItems) {
+      throw new Error(`${path} must have at most ${rule.maxItems} items`);
+    }
+    return items.map(item => coerceValue(item, { type: 'string', ...rule.items }, path, errors));
+  }
+  case 'object':
+    if (!isPlainObject(value)) {
+      throw new Error(`${path} must be an object`);
+    }
+    return rule.properties ? validateFields(value, rule.properties, path, errors) : value;
+  default:
+    throw new Error(`${path} has an unsupported rule type: ${rule.type}`);
+  }
+};
+
+/**
+ * Validates an object against field rules, rejecting unknown fields and applying defaults
+ * @param {Object} source - Values to validate
+ * @param {Object<string, Object>} properties - Field rules keyed by field name
+ * @param {string} prefix - Path prefix for messages (e.g. 'query')
+ * @param {Object} errors - Collected errors, filled in place
+ * @returns {Object} Coerced values for the known fields
+ */
+const validateFields = (source, properties, prefix, errors) => {
+  const result = {};
+
+  Object.keys(source).forEach(key => {
+    if (!properties[key]) {
+      const path = `${prefix}.${key}`;
+      errors[path] = { path, message: `${path} is not allowed` };
+    }
+  });
+
+  Object.entries(properties).forEach(([key, rule]) => {
+    const path = `${prefix}.${key}`;
+    const value = source[key];
+
+    if (isMissing(value, rule)) {
+      if (value === null && rule.nullable) {
+        result[key] = null;
+      } else if (rule.required) {
+        errors[path] = { path, message: `${path} is required` };
+      } else if (rule.default !== undefined) {
+        result[key] = typeof rule.default === 'function' ? rule.default() : rule.default;
+      }
+      return;
+    }
+
+    try {
+      result[key] = coerceValue(value, rule, path, errors);
+    } catch (error) {
+      errors[path] = { path, message: error.message };
+    }
+  });
+
+  return result;
+};
+
+/**
+ * Creates middleware that validates and coerces request params, query and body.
+ * Fields not listed in the schema are rejected; on success the request parts are
+ * replaced by their coerced values.
+ * @param {Object} schema - Field rules per request part
+ * @param {Object<string, Object>} [schema.params] - Route parameter rules
+ * @param {Object<string, Object>} [schema.query] - Query string rules
+ * @param {Object<string, Object>} [schema.body] - JSON body rules
+ * @returns {Function} Express middleware
+ * @example
+ * router.get('/tasks', validate({ query: { limit: { type: 'integer', minimum: 1, maximum: 100, cap: true } } }), handler);
+ */
+const validate = (schema) => (req, res, next) => {
+  const errors = {};
+  const validated = {};
+
+  LOCATIONS.forEach(location => {
+    if (schema[location]) {
+      validated[location] = validateFields(req[location] || {}, schema[location], location, errors);
+    }
+  });
+
+  if (Object.keys(errors).length > 0) {
+    return next(new RequestValidationError(errors));
+  }
+
+  if (validated.params) req.params = validated.params;
+  if (validated.body) req.body = validated.body;
+  if (validated.query) {
+    // Express 5 exposes req.query as a getter that re-parses the URL on each access
+    Object.defineProperty(req, 'query', {
+      value: validated.query,
+      writable: true,
+      configurable: true,
+      enumerable: true
+    });
+  }
+
+  next();
+};
+
+export { validate, validateFields, RequestValidationError };
@@ -0,0 +1,37 @@
+/**
+ * @fileoverview Resolves the workspace a request works in from the X-Workspace-Id header
+ * @module middleware/workspace
+ */
+
+import WorkspaceService from '../services/workspaceService.js';
+
+/**
+ * Request header naming the workspace a request works in
+ * @type {string}
+ */
+const WORKSPACE_HEADER = 'X-Workspace-Id';
+
+/**
+ * Creates middleware that loads the workspace named by the X-Workspace-Id header into
+ * req.workspace, falling back to the user's oldest workspace when the header is missing.
+ * Runs after authenticate; workspaces the user cannot open fail with 404.
+ * @param {Object} [options={}] - Middleware options
+ * @param {Object} [options.service=WorkspaceService] - Service resolving workspaces
+ * @returns {Function} Express middleware, flagged with `resolvesWorkspace` so routes using it can be found
+ * @example
+ * router.use('/tasks', workspace());
+ */
+const workspace = ({ service = WorkspaceService } = {}) => {
+  const middleware = async (req, res, next) => {
+    try {
+      req.workspace = await service.resolve(req.user, req.get(WORKSPACE_HEADER));
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+  middleware.resolvesWorkspace = true;
+  return middleware;
+};
+
+export { workspace, WORKSPACE_HEADER };
@@ -0,0 +1,134 @@
+/**
+ * @fileoverview Export model recording every task export for auditing and re-download
+ * @module models/Export
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * Mongoose schema for Export documents
+ * @typedef {Object} ExportSchema
+ * @property {string} format - Export format: 'csv', 'json', or 'ndjson'
+ * @property {ObjectId} workspace - Workspace whose tasks were exported
+ * @property {Object} filters - Task filters the export was run with (same shape as GET /tasks query)
+ * @property {string} status - Export status: 'queued', 'running', 'completed', or 'failed'
+ * @property {number} rowCount - Number of tasks written to the export
+ * @property {number} total - Number of tasks matching the filters when a background job started
+ * @property {string} fileName - File written by a background job (null once purged or for direct downloads)
+ * @property {string} requestedBy - Who ran the export
+ * @property {string} ipAddress - Client IP address of the request
+ * @property {string} userAgent - Client user agent of the request
+ * @property {boolean} cacheHit - Whether the payload was served from the Redis export cache
+ * @property {ObjectId} rerunOf - Original export when this export is a re-run (null otherwise)
+ * @property {string} error - Failure reason when status is 'failed'
+ * @property {Date} completedAt - Time the export finished (null while running)
+ * @property {Date} createdAt - Time the export was started
+ */
+const exportSchema = new mongoose.Schema({
+  format: {
+    type: String,
+    enum: ['csv', 'json', 'ndjson'],
+    required: true
+  },
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    default: null,
+    index: true
+  },
+  filters: {
+    type: mongoose.Schema.Types.Mixed,
+    default: () => ({})
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'running',
+    index: true
+  },
+  rowCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  total: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  fileName: {
+    type: String,
+    default: null
+  },
+  requestedBy: {
+    type: String,
+    trim: true,
+    default: 'anonymous',
+    index: true
+  },
+  ipAddress: {
+    type: String,
+    trim: true
+  },
+  userAgent: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  cacheHit: {
+    type: Boolean,
+    default: false
+  },
+  rerunOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Export',
+    default: null
+  },
+  error: {
+    type: String,
+    maxlength: 1000
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+exportSchema.index({ createdAt: -1 });
+
+/**
+ * Marks the export as completed with the number of exported rows
+ * @method markCompleted
+ * @param {number} rowCount - Number of exported tasks
+ * @returns {Promise<Export>} Saved export document
+ */
+exportSchema.methods.markCompleted = function(rowCount) {
+  this.status = 'completed';
+  this.rowCount = rowCount;
+  this.completedAt = new Date();
+  return this.save();
+};
+
+/**
+ * Marks the export as failed with the error that stopped it
+ * @method markFailed
+ * @param {Error} error - Error raised while exporting
+ * @returns {Promise<Export>} Saved export document
+ */
+exportSchema.methods.markFailed = function(error) {
+  this.status = 'failed';
+  this.error = (error && error.message ? error.message : String(error)).slice(0, 1000);
+  this.completedAt = new Date();
+  return this.save();
+};
+
+/**
+ * Export model for auditing task exports in MongoDB
+ * @type {mongoose.Model}
+ */
+const Export = mongoose.model('Export', exportSchema);
+
+export default Export;
@@ -0,0 +1,56 @@
+/**
+ * @fileoverview Refresh token model for signed-in sessions
+ * @module models/RefreshToken
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * Mongoose schema for RefreshToken documents. Only a hash of the token is stored, so a
+ * database leak does not hand out sessions.
+ * @typedef {Object} RefreshTokenSchema
+ * @property {ObjectId} user - User the session belongs to
+ * @property {string} tokenHash - Hex SHA-256 of the refresh token (unique)
+ * @property {Date} expiresAt - Time the token stops being accepted; MongoDB removes it afterwards
+ * @property {string} ipAddress - Client IP address that signed in or refreshed
+ * @property {string} userAgent - Client user agent that signed in or refreshed
+ * @property {Date} createdAt - Token issue timestamp
+ */
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  ipAddress: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Expired sessions are deleted by MongoDB's TTL monitor
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * RefreshToken model for managing refresh token documents in MongoDB
+ * @type {mongoose.Model}
+ */
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+
+export default RefreshToken;
@@ -5,6 +5,28 @@
 
 import mongoose from 'mongoose';
 
+/**
+ * Most tags a task can carry
+ * @type {number}
+ */
+const MAX_TAGS = 20;
+
+/**
+ * Longest allowed tag
+ * @type {number}
+ */
+const MAX_TAG_LENGTH = 30;
+
+/**
+ * Normalizes tags to trimmed, lowercase, unique values so "Design" and "design " are one tag
+ * @param {Array<string>} tags - Tags as given
+ * @returns {Array<string>} Normalized tags
+ */
+const normalizeTags = (tags) => {
+  if (!Array.isArray(tags)) return tags;
+  return [...new Set(tags.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+};
+
 /**
  * Mongoose schema for Task documents
  * @typedef {Object} TaskSchema
@@ -17,6 +39,13 @@ import mongoose from 'mongoose';
  * @property {Date} completedAt - Task completion timestamp (null if not completed)
  * @property {number} estimatedTime - Estimated completion time in minutes
  * @property {number} actualTime - Actual completion time in minutes
+ * @property {Date} dueDate - Deadline the task must be completed by (null if none)
+ * @property {Array<string>} tags - Lowercase labels categorizing the task, e.g. 'design'
+ * @property {ObjectId} assignee - User working on the task (null if unassigned)
+ * @property {ObjectId} createdBy - User who created or imported the task (null for older tasks)
+ * @property {ObjectId} workspace - Workspace the task belongs to; every task query is scoped to one
+ * @property {Date} deletedAt - When the task was moved to the trash (null while active)
+ * @property {number} __v - Version, incremented by every write; serialized as `version`
  */
 const taskSchema = new mongoose.Schema({
   title: {
@@ -62,14 +91,74 @@ const taskSchema = new mongoose.Schema({
   actualTime: {
     type: Number,
     min: 0
+  },
+  dueDate: {
+    type: Date,
+    default: null
+  },
+  tags: {
+    type: [{ type: String, maxlength: MAX_TAG_LENGTH }],
+    default: [],
+    set: normalizeTags,
+    validate: {
+      validator: (tags) => tags.length <= MAX_TAGS,
+      message: `A task can have at most ${MAX_TAGS} tags`
+    }
+  },
+  assignee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true
+  },
+  deletedAt: {
+    type: Date,
+    default: null
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: {
+    transform(doc, ret) {
+      // Expose the version key under a public name; ETags and If-Match preconditions are built on it
+      if (ret.__v !== undefined) {
+        ret.version = ret.__v;
+        delete ret.__v;
+      }
+      return ret;
+    }
+  }
 });
 
 // Compound indexes for efficient queries
+// Every listing is scoped to a workspace and excludes the trash
+taskSchema.index({ workspace: 1, deletedAt: 1, createdAt: -1 });
 taskSchema.index({ status: 1, priority: 1 });
 taskSchema.index({ createdAt: -1 });
+taskSchema.index({ updatedAt: -1 });
+taskSchema.index({ title: 1 });
+// Trash listing and the retention purge
+taskSchema.index({ deletedAt: 1 });
+// Overdue and due-soon queries: a due date range narrowed to open statuses
+taskSchema.index({ dueDate: 1, status: 1 });
+// Multikey index for tag filters and the tag breakdown
+taskSchema.index({ tags: 1 });
+// Assignee filter and per-assignee workload
+taskSchema.index({ assignee: 1, status: 1 });
+
+// Full-text search index; title matches rank well above description matches
+taskSchema.index(
+  { title: 'text', description: 'text' },
+  { name: 'task_text_search', weights: { title: 10, description: 2 } }
+);
 
 /**
  * Pre-save middleware to automatically set completedAt when status changes to completed
@@ -107,4 +196,5 @@ taskSchema.methods.calculateCompletionTime = function() {
  */
 const Task = mongoose.model('Task', taskSchema);
 
+export { MAX_TAGS, MAX_TAG_LENGTH, normalizeTags };
 export default Task;
@@ -0,0 +1,104 @@
+/**
+ * @fileoverview TaskHistory model recording field-level changes to tasks for auditing
+ * @module models/TaskHistory
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * Mongoose schema for one field change within a history entry
+ * @typedef {Object} TaskFieldChangeSchema
+ * @property {string} field - Task field name
+ * @property {*} before - Value before the change (null when unset or for creates)
+ * @property {*} after - Value after the change (null when unset or for deletes)
+ */
+const fieldChangeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true
+  },
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+}, {
+  _id: false
+});
+
+/**
+ * Mongoose schema for TaskHistory documents
+ * @typedef {Object} TaskHistorySchema
+ * @property {ObjectId} taskId - Changed task (kept after the task is deleted)
+ * @property {ObjectId} workspace - Workspace of the task, scoping the activity feed
+ * @property {string} action - 'created', 'updated', 'deleted' (moved to the trash), 'restored', or 'purged'
+ * @property {string} source - How the change was made: 'single', 'bulk', 'import', or 'retention' (trash purge job)
+ * @property {string} taskTitle - Task title at the time of the change
+ * @property {Array<TaskFieldChangeSchema>} changes - Before and after values of each changed field
+ * @property {string} changedBy - Who made the change
+ * @property {string} ipAddress - Client IP address of the request
+ * @property {string} userAgent - Client user agent of the request
+ * @property {Date} createdAt - Time of the change
+ */
+const taskHistorySchema = new mongoose.Schema({
+  taskId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    default: null
+  },
+  action: {
+    type: String,
+    enum: ['created', 'updated', 'deleted', 'restored', 'purged'],
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ['single', 'bulk', 'import', 'retention'],
+    default: 'single'
+  },
+  taskTitle: {
+    type: String,
+    trim: true
+  },
+  changes: {
+    type: [fieldChangeSchema],
+    default: []
+  },
+  changedBy: {
+    type: String,
+    trim: true,
+    default: 'anonymous'
+  },
+  ipAddress: {
+    type: String,
+    trim: true
+  },
+  userAgent: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  versionKey: false
+});
+
+// A task's timeline, and the activity feed of a workspace
+taskHistorySchema.index({ taskId: 1, createdAt: -1 });
+taskHistorySchema.index({ workspace: 1, createdAt: -1 });
+
+/**
+ * TaskHistory model for the task audit log in MongoDB
+ * @type {mongoose.Model}
+ */
+const TaskHistory = mongoose.model('TaskHistory', taskHistorySchema);
+
+export default TaskHistory;
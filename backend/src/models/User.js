@@ -0,0 +1,92 @@
+/**
+ * @fileoverview User model for the people tasks are assigned to
+ * @module models/User
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * Loose email format check; delivery is what proves an address exists
+ * @type {RegExp}
+ */
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Roles from least to most privileged: viewers read, members also create tasks and edit
+ * their own, admins do everything (see services/accessService.js)
+ * @type {Array<string>}
+ */
+const ROLES = ['viewer', 'member', 'admin'];
+
+/**
+ * Mongoose schema for User documents
+ * @typedef {Object} UserSchema
+ * @property {string} name - Display name (required, max 100 chars)
+ * @property {string} email - Email address (required, unique, stored lowercase)
+ * @property {string} avatarUrl - Profile picture URL (null to show initials)
+ * @property {string} role - Access level (viewer, member, admin)
+ * @property {Array<ObjectId>} workspaces - Workspaces the user belongs to; admins can open every workspace
+ * @property {string} passwordHash - scrypt hash of the password (null until one is set; never
+ * selected or serialized by default)
+ * @property {Date} createdAt - User creation timestamp
+ * @property {Date} updatedAt - User last update timestamp
+ */
+const userSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  email: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+    unique: true,
+    match: [EMAIL_PATTERN, 'Invalid email address']
+  },
+  avatarUrl: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  role: {
+    type: String,
+    enum: {
+      values: ROLES,
+      message: 'Role must be viewer, member, or admin'
+    },
+    default: 'member'
+  },
+  workspaces: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Workspace' }],
+    default: [],
+    index: true
+  },
+  passwordHash: {
+    type: String,
+    default: null,
+    select: false
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (_doc, ret) => {
+      delete ret.passwordHash;
+      return ret;
+    }
+  }
+});
+
+// Directory listing sorted by name
+userSchema.index({ name: 1 });
+
+/**
+ * User model for managing user documents in MongoDB
+ * @type {mongoose.Model}
+ */
+const User = mongoose.model('User', userSchema);
+
+export { EMAIL_PATTERN, ROLES };
+export default User;
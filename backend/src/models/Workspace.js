@@ -0,0 +1,41 @@
+/**
+ * @fileoverview Workspace model: a team's isolated set of tasks, exports and analytics
+ * @module models/Workspace
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * Mongoose schema for Workspace documents. Membership is stored on the users
+ * (User.workspaces), so a user's workspaces are known as soon as they are signed in.
+ * @typedef {Object} WorkspaceSchema
+ * @property {string} name - Display name (required, unique, max 100 chars)
+ * @property {string} description - What the workspace is for (optional, max 500 chars)
+ * @property {Date} createdAt - Workspace creation timestamp
+ * @property {Date} updatedAt - Workspace last update timestamp
+ */
+const workspaceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100,
+    unique: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Workspace model for managing workspace documents in MongoDB
+ * @type {mongoose.Model}
+ */
+const Workspace = mongoose.model('Workspace', workspaceSchema);
+
+export default Workspace;
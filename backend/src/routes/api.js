@@ -5,11 +5,58 @@
 
 import express from 'express';
 import Task from '../models/Task.js';
+import Export from '../models/Export.js';
+import User from '../models/User.js';
+import Workspace from '../models/Workspace.js';
 import AnalyticsService from '../services/analyticsService.js';
+import ExportService from '../services/exportService.js';
+import TaskQueryService from '../services/taskQueryService.js';
+import TaskBulkService from '../services/taskBulkService.js';
+import TaskImportService from '../services/taskImportService.js';
+import TaskConcurrencyService from '../services/taskConcurrencyService.js';
+import TaskHistoryService from '../services/taskHistoryService.js';
+import TaskTrashService from '../services/taskTrashService.js';
+import UserService from '../services/userService.js';
+import AuthService from '../services/authService.js';
+import AccessService from '../services/accessService.js';
+import WorkspaceService from '../services/workspaceService.js';
 import { redisClient } from '../config/redis.js';
+import { openapi } from '../middleware/openapi.js';
+import { idempotency } from '../middleware/idempotency.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { workspace } from '../middleware/workspace.js';
+import openApiDocument, { renderDocsPage } from '../docs/openapi.js';
 
 const router = express.Router();
 
+/**
+ * Route prefixes that require a signed-in user; auth, health and documentation routes stay public
+ * @type {Array<string>}
+ */
+export const PROTECTED_PATHS = ['/tasks', '/exports', '/users', '/workspaces', '/analytics', '/auth/me'];
+
+/**
+ * Route prefixes whose data belongs to a workspace, chosen with the X-Workspace-Id header
+ * @type {Array<string>}
+ */
+export const WORKSPACE_PATHS = ['/tasks', '/exports', '/analytics'];
+
+/**
+ * Route prefixes whose writes honor an Idempotency-Key. Auth routes are left out: their
+ * responses carry session tokens, which must never be stored in Redis.
+ * @type {Array<string>}
+ */
+export const IDEMPOTENT_PATHS = ['/tasks', '/exports', '/users', '/workspaces'];
+
+// Runs before idempotency so stored responses are only replayed to the user they belong to
+router.use(PROTECTED_PATHS, authenticate());
+
+// Loads req.workspace; every task, export and analytics query below is scoped to it
+router.use(WORKSPACE_PATHS, workspace());
+
+// Replays stored responses for POST, PUT and DELETE retries carrying an Idempotency-Key
+router.use(IDEMPOTENT_PATHS, idempotency());
+
 /**
  * Socket handlers reference for real-time updates
  * @type {Object|null}
@@ -26,6 +73,59 @@ export const setSocketHandlers = (handlers) => {
   socketHandlers = handlers;
 };
 
+/**
+ * Builds the Redis key caching a task; keys include the workspace so a task is never
+ * served from the cache to another workspace
+ * @param {ObjectId|string} workspaceId - Workspace of the task
+ * @param {ObjectId|string} id - Task ID
+ * @returns {string} Cache key
+ */
+const taskCacheKey = (workspaceId, id) => `task:${workspaceId}:${id}`;
+
+/**
+ * Loads one page of tasks using cursor pagination
+ * @async
+ * @param {Object} params - Request query parameters
+ * @param {Object} query - MongoDB filter built from the task filters
+ * @param {number} limit - Number of tasks per page
+ * @returns {Promise<{tasks: Array<Object>, pagination: Object}>} Page of tasks with cursor metadata
+ */
+const findCursorPage = async (params, query, limit) => {
+  const { sort, filter, backwards } = TaskQueryService.buildCursorPage(params);
+  const [[sortBy]] = Object.entries(sort);
+
+  const pageQuery = filter ? { $and: [query, filter] } : query;
+  const tasks = await Task.find(pageQuery)
+    .sort(sort)
+    .limit(limit + 1)
+    .exec();
+
+  const hasMore = tasks.length > limit;
+  if (hasMore) tasks.pop();
+  if (backwards) tasks.reverse();
+
+  const hasNext = backwards ? true : hasMore;
+  const hasPrevious = backwards ? hasMore : Boolean(params.after);
+  const total = await Task.countDocuments(query);
+
+  return {
+    tasks,
+    pagination: {
+      mode: 'cursor',
+      limit,
+      total,
+      hasNext,
+      hasPrevious,
+      nextCursor: hasNext && tasks.length > 0
+        ? TaskQueryService.encodeCursor(tasks[tasks.length - 1], sortBy)
+        : null,
+      prevCursor: hasPrevious && tasks.length > 0
+        ? TaskQueryService.encodeCursor(tasks[0], sortBy)
+        : null
+    }
+  };
+};
+
 /**
  * GET /tasks - Retrieve tasks with pagination, filtering, and sorting
  * @name GetTasks
@@ -33,31 +133,43 @@ export const setSocketHandlers = (handlers) => {
  * @param {Object} req.query - Query parameters
  * @param {number} [req.query.page=1] - Page number for pagination
  * @param {number} [req.query.limit=10] - Number of tasks per page
- * @param {string} [req.query.status] - Filter by task status
- * @param {string} [req.query.priority] - Filter by task priority
+ * @param {string} [req.query.status] - Filter by task status (comma-separated for several)
+ * @param {string} [req.query.priority] - Filter by task priority (comma-separated for several)
+ * @param {string} [req.query.assignee] - Filter by assignee user IDs (comma-separated); 'unassigned' for tasks without one
+ * @param {string} [req.query.search] - Case-insensitive search on title and description
+ * @param {string} [req.query.searchMode] - 'text' for full-text search ranked by relevance, with highlights
+ * @param {string} [req.query.createdFrom] - Created on or after this date
+ * @param {string} [req.query.createdTo] - Created on or before this date
+ * @param {string} [req.query.updatedFrom] - Updated on or after this date
+ * @param {string} [req.query.updatedTo] - Updated on or before this date
+ * @param {string} [req.query.completedFrom] - Completed on or after this date
+ * @param {string} [req.query.completedTo] - Completed on or before this date
+ * @param {number} [req.query.minEstimatedTime] - Minimum estimated hours
+ * @param {number} [req.query.maxEstimatedTime] - Maximum estimated hours
+ * @param {number} [req.query.minActualTime] - Minimum actual hours
+ * @param {number} [req.query.maxActualTime] - Maximum actual hours
  * @param {string} [req.query.sortBy=createdAt] - Field to sort by
  * @param {string} [req.query.sortOrder=desc] - Sort order (asc/desc)
+ * @param {string} [req.query.pagination] - 'cursor' to page with opaque cursors instead of page numbers
+ * @param {string} [req.query.after] - Cursor token; return the tasks after it (implies cursor pagination)
+ * @param {string} [req.query.before] - Cursor token; return the tasks before it (implies cursor pagination)
  * @returns {Object} Paginated tasks with metadata
  */
-router.get('/tasks', async (req, res, next) => {
+router.get('/tasks', authorize('tasks:read'), openapi('listTasks'), async (req, res, next) => {
   try {
-    const {
-      page = 1,
-      limit = 10,
-      status,
-      priority,
-      sortBy = 'createdAt',
-      sortOrder = 'desc'
-    } = req.query;
+    const { page = 1, limit = 10 } = req.query;
 
-    const query = {};
-    if (status) query.status = status;
-    if (priority) query.priority = priority;
+    const query = TaskQueryService.buildFilter(req.query, req.workspace._id);
+
+    if (TaskQueryService.isCursorPagination(req.query)) {
+      const data = await findCursorPage(req.query, query, limit);
+      return res.json({ success: true, data });
+    }
 
-    const sort = {};
-    sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
+    const sort = TaskQueryService.buildSort(req.query);
+    const projection = TaskQueryService.buildProjection(req.query);
 
-    const tasks = await Task.find(query)
+    let tasks = await Task.find(query, projection)
       .sort(sort)
       .limit(limit * 1)
       .skip((page - 1) * limit)
@@ -65,6 +177,13 @@ router.get('/tasks', async (req, res, next) => {
 
     const total = await Task.countDocuments(query);
 
+    if (TaskQueryService.isTextSearch(req.query)) {
+      tasks = tasks.map(task => ({
+        ...task.toJSON(),
+        highlights: TaskQueryService.buildHighlights(task, req.query.search)
+      }));
+    }
+
     res.json({
       success: true,
       data: {
@@ -82,28 +201,217 @@ router.get('/tasks', async (req, res, next) => {
   }
 });
 
+/**
+ * Extracts audit details about the client making a request
+ * @param {Object} req - Express request object
+ * @returns {{ipAddress: string, userAgent: string}} Request audit details
+ */
+const getRequestContext = (req) => ({
+  changedBy: req.user?.email,
+  ipAddress: req.ip,
+  userAgent: req.get('User-Agent')
+});
+
+/**
+ * Streams an export to the response as a file download and records it in the export history
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} options - Export options passed to ExportService.runExport
+ * @returns {Promise<void>}
+ */
+const sendExport = async (req, res, options) => {
+  res.setHeader('Content-Type', ExportService.getFormat(options.format).contentType);
+  res.setHeader(
+    'Content-Disposition',
+    `attachment; filename="${ExportService.buildFilename(options.format)}"`
+  );
+
+  await ExportService.runExport({
+    ...options,
+    workspace: req.workspace._id,
+    ...getRequestContext(req),
+    requestedBy: req.user?.email
+  }, res);
+};
+
+/**
+ * Forwards export errors, aborting the download if streaming has already started
+ * @param {Error} error - Error raised while exporting
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const handleExportError = (error, res, next) => {
+  // Once streaming has started the status line is gone; abort the download instead
+  if (res.headersSent) {
+    console.error('Error streaming task export:', error);
+    return res.destroy(error);
+  }
+  next(error);
+};
+
+/**
+ * GET /tasks/export - Stream tasks matching the GET /tasks filters as a file download
+ * @name ExportTasks
+ * @function
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.format=csv] - Export format (csv, json, ndjson)
+ * @param {string} [req.query.status] - Filter by task status
+ * @param {string} [req.query.priority] - Filter by task priority
+ * @param {string} [req.query.sortBy=createdAt] - Field to sort by
+ * @param {string} [req.query.sortOrder=desc] - Sort order (asc/desc)
+ * @returns {Stream} Attachment in the requested format, or 400 for unknown formats
+ */
+router.get('/tasks/export', authorize('tasks:read'), openapi('exportTasks'), async (req, res, next) => {
+  try {
+    const { format, ...filters } = req.query;
+
+    await sendExport(req, res, { filters, format });
+  } catch (error) {
+    handleExportError(error, res, next);
+  }
+});
+
+/**
+ * POST /tasks/bulk - Update or delete many tasks with a single write
+ * @name BulkTasks
+ * @function
+ * @param {Object} req.body - Bulk request
+ * @param {string} req.body.action - 'update' or 'delete'
+ * @param {Array<string>} [req.body.ids] - Task IDs to change
+ * @param {Object} [req.body.filters] - GET /tasks filters selecting the tasks (instead of ids)
+ * @param {Object} [req.body.updates] - Status and/or priority to set, for 'update'
+ * @returns {Object} Affected task IDs and documents
+ */
+router.post('/tasks/bulk', authorize('tasks:bulk'), openapi('bulkTasks'), async (req, res, next) => {
+  try {
+    const result = await TaskBulkService.execute(req.body, { workspace: req.workspace._id });
+    const count = result.ids.length;
+
+    if (count > 0) {
+      const context = { ...getRequestContext(req), source: 'bulk' };
+      if (result.action === 'delete') {
+        await TaskHistoryService.record('deleted', result.previous.map(before => ({ before })), context);
+      } else {
+        const previousById = new Map(result.previous.map(task => [String(task._id), task]));
+        await TaskHistoryService.record(
+          'updated',
+          result.tasks.map(task => ({ before: previousById.get(String(task._id)), after: task })),
+          context
+        );
+      }
+
+      await redisClient.del(...result.ids.map(id => taskCacheKey(req.workspace._id, id)));
+      await AnalyticsService.invalidateCache(req.workspace._id);
+      await ExportService.invalidateCache(req.workspace._id);
+
+      // One batched event instead of one per task
+      if (socketHandlers) {
+        socketHandlers.broadcastTaskBatch(result.action === 'delete' ? 'deleted' : 'updated', result.tasks);
+      }
+    }
+
+    res.json({
+      success: true,
+      data: { action: result.action, count, ids: result.ids, tasks: result.tasks },
+      message: `${count} ${count === 1 ? 'task' : 'tasks'} ${result.action === 'delete' ? 'deleted' : 'updated'}`
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /tasks/import - Import tasks from an uploaded CSV or JSON file
+ * @name ImportTasks
+ * @function
+ * @param {Object} req.body - Import request
+ * @param {string} req.body.format - 'csv' or 'json'
+ * @param {string} req.body.content - File content
+ * @param {Object} [req.body.mapping] - File column for each task field
+ * @param {boolean} [req.body.dryRun=false] - Validate only, write nothing
+ * @param {boolean} [req.body.skipInvalid=false] - Import valid rows even when some rows are invalid
+ * @returns {Object} Import report with per-row validation errors
+ */
+router.post('/tasks/import', authorize('tasks:import'), openapi('importTasks'), async (req, res, next) => {
+  try {
+    const context = { ...getRequestContext(req), source: 'import' };
+    const report = await TaskImportService.importTasks(req.body, {
+      createdBy: req.user._id,
+      workspace: req.workspace._id,
+      onInserted: (batch) => TaskHistoryService.record('created', batch.map(after => ({ after })), context)
+    });
+
+    if (report.inserted > 0) {
+      await AnalyticsService.invalidateCache(req.workspace._id);
+      await ExportService.invalidateCache(req.workspace._id);
+
+      // A notification rather than one task-update per row keeps large imports cheap for clients
+      if (socketHandlers) {
+        socketHandlers.broadcastNotification(`${report.inserted} tasks imported`, 'info', req.workspace._id);
+        socketHandlers.broadcastAnalyticsUpdate(req.workspace._id);
+      }
+    }
+
+    res.json({
+      success: true,
+      data: report,
+      message: report.dryRun
+        ? `Dry run: ${report.valid} of ${report.total} rows are valid`
+        : `${report.inserted} tasks imported`
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /tasks/trash - List deleted tasks that can still be restored, most recently deleted first
+ * @name ListTrash
+ * @function
+ * @param {number} [req.query.page=1] - Page number
+ * @param {number} [req.query.limit=10] - Tasks per page
+ * @returns {Object} Deleted tasks with their purge dates, pagination and the retention period
+ */
+router.get('/tasks/trash', authorize('tasks:trash'), openapi('listTrash'), async (req, res, next) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+
+    const data = await TaskTrashService.listTrash({ page, limit, workspace: req.workspace._id });
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * GET /tasks/:id - Retrieve a specific task by ID with Redis caching
  * @name GetTaskById
  * @function
  * @param {string} req.params.id - Task ID
- * @returns {Object} Task data or 404 if not found
+ * @returns {Object} Task data with its version as the ETag header, or 404 if not found or deleted
  */
-router.get('/tasks/:id', async (req, res, next) => {
+router.get('/tasks/:id', authorize('tasks:read'), openapi('getTask'), async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    const cacheKey = `task:${id}`;
+    const cacheKey = taskCacheKey(req.workspace._id, id);
     const cached = await redisClient.get(cacheKey);
 
     if (cached) {
+      const data = JSON.parse(cached);
+      res.set('ETag', TaskConcurrencyService.etag(data));
       return res.json({
         success: true,
-        data: JSON.parse(cached)
+        data
       });
     }
 
-    const task = await Task.findById(id);
+    const task = await Task.findOne(TaskQueryService.excludeDeleted({ _id: id, workspace: req.workspace._id }));
 
     if (!task) {
       return res.status(404).json({
@@ -114,6 +422,7 @@ router.get('/tasks/:id', async (req, res, next) => {
 
     await redisClient.setex(cacheKey, 300, JSON.stringify(task));
 
+    res.set('ETag', TaskConcurrencyService.etag(task));
     res.json({
       success: true,
       data: task
@@ -123,6 +432,38 @@ router.get('/tasks/:id', async (req, res, next) => {
   }
 });
 
+/**
+ * GET /tasks/:id/history - Field-level change history of a task, newest first
+ * @name GetTaskHistory
+ * @function
+ * @param {string} req.params.id - Task ID; history remains available after the task is deleted
+ * @param {number} [req.query.page=1] - Page number
+ * @param {number} [req.query.limit=10] - Entries per page
+ * @returns {Object} History entries with pagination, or 404 if the task never existed
+ */
+router.get('/tasks/:id/history', authorize('tasks:read'), openapi('getTaskHistory'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { page = 1, limit = 10 } = req.query;
+
+    const history = await TaskHistoryService.getHistory(id, { page, limit, workspace: req.workspace._id });
+
+    if (history.pagination.total === 0 && !(await Task.exists({ _id: id, workspace: req.workspace._id }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: history
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * POST /tasks - Create a new task
  * @name CreateTask
@@ -130,30 +471,47 @@ router.get('/tasks/:id', async (req, res, next) => {
  * @param {Object} req.body - Task data
  * @param {string} req.body.title - Task title (required)
  * @param {string} [req.body.description] - Task description
+ * @param {string} [req.body.status] - Task status; a completed task gets its completedAt set
  * @param {string} [req.body.priority] - Task priority
  * @param {number} [req.body.estimatedTime] - Estimated completion time
- * @returns {Object} Created task with success message
+ * @param {number} [req.body.actualTime] - Time already spent on the task
+ * @param {string} [req.body.dueDate] - Deadline (ISO 8601 date-time)
+ * @param {Array<string>} [req.body.tags] - Tags categorizing the task
+ * @param {string} [req.body.assignee] - ID of the user working on the task
+ * @returns {Object} Created task with success message, or 400 if the assignee does not exist
  */
-router.post('/tasks', async (req, res, next) => {
+router.post('/tasks', authorize('tasks:create'), openapi('createTask'), async (req, res, next) => {
   try {
-    const { title, description, priority, estimatedTime } = req.body;
+    const { title, description, status, priority, estimatedTime, actualTime, dueDate, tags, assignee } = req.body;
+
+    await UserService.ensureAssignable(assignee, req.workspace._id);
 
     const task = new Task({
       title,
       description,
+      status,
       priority,
-      estimatedTime
+      estimatedTime,
+      actualTime,
+      dueDate,
+      tags,
+      assignee,
+      createdBy: req.user._id,
+      workspace: req.workspace._id
     });
 
     await task.save();
+    await TaskHistoryService.record('created', [{ after: task }], getRequestContext(req));
 
-    await AnalyticsService.invalidateCache();
+    await AnalyticsService.invalidateCache(req.workspace._id);
+    await ExportService.invalidateCache(req.workspace._id);
 
     // Broadcast real-time update
     if (socketHandlers) {
       socketHandlers.broadcastTaskUpdate('created', task);
     }
 
+    res.set('ETag', TaskConcurrencyService.etag(task));
     res.status(201).json({
       success: true,
       data: task,
@@ -169,35 +527,44 @@ router.post('/tasks', async (req, res, next) => {
  * @name UpdateTask
  * @function
  * @param {string} req.params.id - Task ID to update
+ * @param {string} [req.headers.if-match] - ETag the edit is based on; 412 with the current task if stale
  * @param {Object} req.body - Updated task data
- * @returns {Object} Updated task data or 404 if not found
+ * @param {number} [req.body.version] - Version the edit is based on; 409 with the current task if stale
+ * @returns {Object} Updated task data, 404 if not found, 400 if the assignee does not exist, or 403
+ * when a member edits a task they neither created nor are assigned to
  */
-router.put('/tasks/:id', async (req, res, next) => {
+router.put('/tasks/:id', authorize('tasks:update'), openapi('updateTask'), async (req, res, next) => {
   try {
     const { id } = req.params;
-    const updates = req.body;
+    const precondition = TaskConcurrencyService.getPrecondition(req);
 
-    const task = await Task.findByIdAndUpdate(
-      id,
-      { ...updates, updatedAt: new Date() },
-      { new: true, runValidators: true }
-    );
+    await UserService.ensureAssignable(req.body.assignee, req.workspace._id);
 
-    if (!task) {
+    const result = await TaskConcurrencyService.updateTask(id, req.body, precondition, {
+      authorize: (task) => AccessService.assertCanEditTask(req.user, task),
+      workspace: req.workspace._id
+    });
+
+    if (!result) {
       return res.status(404).json({
         success: false,
         message: 'Task not found'
       });
     }
 
-    await redisClient.del(`task:${id}`);
-    await AnalyticsService.invalidateCache();
+    const { before, task } = result;
+    await TaskHistoryService.record('updated', [{ before, after: task }], getRequestContext(req));
+
+    await redisClient.del(taskCacheKey(req.workspace._id, id));
+    await AnalyticsService.invalidateCache(req.workspace._id);
+    await ExportService.invalidateCache(req.workspace._id);
 
     // Broadcast real-time update
     if (socketHandlers) {
       socketHandlers.broadcastTaskUpdate('updated', task);
     }
 
+    res.set('ETag', TaskConcurrencyService.etag(task));
     res.json({
       success: true,
       data: task,
@@ -209,17 +576,19 @@ router.put('/tasks/:id', async (req, res, next) => {
 });
 
 /**
- * DELETE /tasks/:id - Delete a task by ID
+ * DELETE /tasks/:id - Move a task to the trash; it can be restored until it is purged
  * @name DeleteTask
  * @function
  * @param {string} req.params.id - Task ID to delete
- * @returns {Object} Success message or 404 if not found
+ * @param {string} [req.headers.if-match] - ETag the client last read; 412 with the current task if stale
+ * @returns {Object} Success message or 404 if not found or already deleted
  */
-router.delete('/tasks/:id', async (req, res, next) => {
+router.delete('/tasks/:id', authorize('tasks:delete'), openapi('deleteTask'), async (req, res, next) => {
   try {
     const { id } = req.params;
+    const precondition = TaskConcurrencyService.getPrecondition(req);
 
-    const task = await Task.findByIdAndDelete(id);
+    const task = await TaskConcurrencyService.deleteTask(id, precondition, { workspace: req.workspace._id });
 
     if (!task) {
       return res.status(404).json({
@@ -228,8 +597,11 @@ router.delete('/tasks/:id', async (req, res, next) => {
       });
     }
 
-    await redisClient.del(`task:${id}`);
-    await AnalyticsService.invalidateCache();
+    await TaskHistoryService.record('deleted', [{ before: task }], getRequestContext(req));
+
+    await redisClient.del(taskCacheKey(req.workspace._id, id));
+    await AnalyticsService.invalidateCache(req.workspace._id);
+    await ExportService.invalidateCache(req.workspace._id);
 
     // Broadcast real-time update
     if (socketHandlers) {
@@ -238,7 +610,7 @@ router.delete('/tasks/:id', async (req, res, next) => {
 
     res.json({
       success: true,
-      message: 'Task deleted successfully'
+      message: 'Task moved to trash'
     });
   } catch (error) {
     next(error);
@@ -246,18 +618,38 @@ router.delete('/tasks/:id', async (req, res, next) => {
 });
 
 /**
- * GET /analytics - Retrieve comprehensive task analytics
- * @name GetAnalytics
+ * POST /tasks/:id/restore - Move a deleted task out of the trash
+ * @name RestoreTask
  * @function
- * @returns {Object} Complete analytics data including metrics and charts
+ * @param {string} req.params.id - Task ID
+ * @returns {Object} Restored task with its version as the ETag header, or 404 if not in the trash
  */
-router.get('/analytics', async (req, res, next) => {
+router.post('/tasks/:id/restore', authorize('tasks:trash'), openapi('restoreTask'), async (req, res, next) => {
   try {
-    const metrics = await AnalyticsService.getTaskMetrics();
+    const task = await TaskTrashService.restoreTask(req.params.id, req.workspace._id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found in trash'
+      });
+    }
+
+    await TaskHistoryService.record('restored', [{ before: task, after: task }], getRequestContext(req));
+
+    await AnalyticsService.invalidateCache(req.workspace._id);
+    await ExportService.invalidateCache(req.workspace._id);
+
+    // Broadcast real-time update
+    if (socketHandlers) {
+      socketHandlers.broadcastTaskUpdate('restored', task);
+    }
 
+    res.set('ETag', TaskConcurrencyService.etag(task));
     res.json({
       success: true,
-      data: metrics
+      data: task,
+      message: 'Task restored'
     });
   } catch (error) {
     next(error);
@@ -265,17 +657,711 @@ router.get('/analytics', async (req, res, next) => {
 });
 
 /**
- * GET /health - Health check endpoint
- * @name HealthCheck
+ * DELETE /tasks/:id/purge - Permanently delete a task from the trash
+ * @name PurgeTask
  * @function
- * @returns {Object} API health status and timestamp
+ * @param {string} req.params.id - Task ID
+ * @returns {Object} Success message, or 404 if not in the trash
  */
-router.get('/health', (req, res) => {
-  res.json({
-    success: true,
-    message: 'API is healthy',
-    timestamp: new Date().toISOString()
-  });
+router.delete('/tasks/:id/purge', authorize('tasks:trash'), openapi('purgeTask'), async (req, res, next) => {
+  try {
+    const task = await TaskTrashService.purgeTask(req.params.id, req.workspace._id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found in trash'
+      });
+    }
+
+    await TaskHistoryService.record('purged', [{ before: task, after: task }], getRequestContext(req));
+
+    // Broadcast real-time update
+    if (socketHandlers) {
+      socketHandlers.broadcastTaskUpdate('purged', task);
+    }
+
+    res.json({
+      success: true,
+      message: 'Task permanently deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /exports - List past exports, newest first; non-admins see only their own
+ * @name GetExports
+ * @function
+ * @param {Object} req.query - Query parameters
+ * @param {number} [req.query.page=1] - Page number for pagination
+ * @param {number} [req.query.limit=10] - Number of exports per page
+ * @param {string} [req.query.format] - Filter by export format
+ * @param {string} [req.query.status] - Filter by export status
+ * @returns {Object} Paginated exports with metadata
+ */
+router.get('/exports', authorize('exports:read'), openapi('listExports'), async (req, res, next) => {
+  try {
+    const { page = 1, limit = 10, format, status } = req.query;
+
+    const query = { ...AccessService.exportScope(req.user), workspace: req.workspace._id };
+    if (format) query.format = format;
+    if (status) query.status = status;
+
+    const [exports, total] = await Promise.all([
+      Export.find(query)
+        .sort({ createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit)
+        .exec(),
+      Export.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        exports,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /exports - Start a background export job
+ * @name CreateExportJob
+ * @function
+ * @param {Object} req.body - Export job options
+ * @param {string} [req.body.format=csv] - Export format (csv, json, ndjson)
+ * @param {Object} [req.body.filters] - Task filters (same as GET /tasks query)
+ * @param {string} [req.body.socketId] - Socket.IO id of one of the user's own connections that receives
+ * export-progress, export-complete and export-failed events
+ * @returns {Object} 202 with the queued export record, or 400 for unknown formats
+ */
+router.post('/exports', authorize('exports:read'), openapi('createExportJob'), async (req, res, next) => {
+  try {
+    const { format, filters, socketId } = req.body;
+
+    const record = await ExportService.createJob({
+      filters,
+      format,
+      workspace: req.workspace._id,
+      ...getRequestContext(req),
+      requestedBy: req.user?.email
+    });
+
+    // Run after responding; progress is pushed to the requesting socket only, if it is the user's own
+    const target = socketHandlers?.ownSocketId(socketId, req.user) ?? null;
+    ExportService.runJob(record, {
+      onProgress: (progress) => socketHandlers?.emitExportProgress(target, progress),
+      onComplete: (completed) => socketHandlers?.emitExportComplete(target, completed),
+      onFailed: (failed, error) => socketHandlers?.emitExportFailed(target, failed, error)
+    });
+
+    res.status(202).json({
+      success: true,
+      data: record,
+      message: 'Export started'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /exports/:id - Retrieve a single export record
+ * @name GetExportById
+ * @function
+ * @param {string} req.params.id - Export ID
+ * @returns {Object} Export record, or 404 if not found or requested by someone else without admin rights
+ */
+router.get('/exports/:id', authorize('exports:read'), openapi('getExport'), async (req, res, next) => {
+  try {
+    const record = await Export.findOne({ _id: req.params.id, workspace: req.workspace._id, ...AccessService.exportScope(req.user) });
+
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        message: 'Export not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: record
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /exports/:id/download - Re-run a past export with its original filters and format
+ * @name RerunExport
+ * @function
+ * @param {string} req.params.id - Export ID to re-run
+ * @returns {Stream} Attachment in the original format, or 404 if not found
+ */
+router.get('/exports/:id/download', authorize('exports:read'), openapi('rerunExport'), async (req, res, next) => {
+  try {
+    const original = await Export.findOne({ _id: req.params.id, workspace: req.workspace._id, ...AccessService.exportScope(req.user) });
+
+    if (!original) {
+      return res.status(404).json({
+        success: false,
+        message: 'Export not found'
+      });
+    }
+
+    await sendExport(req, res, {
+      filters: original.filters,
+      format: original.format,
+      rerunOf: original._id
+    });
+  } catch (error) {
+    handleExportError(error, res, next);
+  }
+});
+
+/**
+ * GET /exports/:id/file - Download the file produced by a background export job
+ * @name GetExportFile
+ * @function
+ * @param {string} req.params.id - Export ID
+ * @returns {Stream} Export file, or 404 if the job is unfinished, failed or its file was purged
+ */
+router.get('/exports/:id/file', authorize('exports:read'), openapi('downloadExportFile'), async (req, res, next) => {
+  try {
+    const record = await Export.findOne({ _id: req.params.id, workspace: req.workspace._id, ...AccessService.exportScope(req.user) });
+    const filePath = record ? await ExportService.getJobFile(record) : null;
+
+    if (!filePath) {
+      return res.status(404).json({
+        success: false,
+        message: 'Export file not available'
+      });
+    }
+
+    res.download(
+      filePath,
+      ExportService.buildFilename(record.format, record.createdAt),
+      { headers: { 'Content-Type': ExportService.getFormat(record.format).contentType } },
+      (error) => {
+        if (error) handleExportError(error, res, next);
+      }
+    );
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /auth/login - Sign in with email and password
+ * @name Login
+ * @function
+ * @param {string} req.body.email - Email address
+ * @param {string} req.body.password - Password
+ * @returns {Object} User with an access token and a refresh token, or 401 for wrong credentials
+ */
+router.post('/auth/login', openapi('login'), async (req, res, next) => {
+  try {
+    const { email, password } = req.body;
+
+    const session = await AuthService.login(email, password, getRequestContext(req));
+
+    res.json({
+      success: true,
+      data: session
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /auth/refresh - Exchange a refresh token for new tokens
+ * @name RefreshToken
+ * @function
+ * @param {string} req.body.refreshToken - Refresh token; it is consumed and cannot be reused
+ * @returns {Object} User with new tokens, or 401 if the refresh token is invalid or expired
+ */
+router.post('/auth/refresh', openapi('refreshToken'), async (req, res, next) => {
+  try {
+    const session = await AuthService.refresh(req.body.refreshToken, getRequestContext(req));
+
+    res.json({
+      success: true,
+      data: session
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /auth/logout - Revoke a refresh token
+ * @name Logout
+ * @function
+ * @param {string} req.body.refreshToken - Refresh token of the session to end
+ * @returns {Object} Success message; unknown tokens are accepted so logout can be retried
+ */
+router.post('/auth/logout', openapi('logout'), async (req, res, next) => {
+  try {
+    await AuthService.logout(req.body.refreshToken);
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /auth/me - Retrieve the signed-in user
+ * @name GetCurrentUser
+ * @function
+ * @returns {Object} User the access token was issued to
+ */
+router.get('/auth/me', openapi('getCurrentUser'), (req, res) => {
+  res.json({
+    success: true,
+    data: req.user
+  });
+});
+
+/**
+ * GET /users - List the members of the current workspace sorted by name; users who manage
+ * accounts see everyone, so they can add people to workspaces
+ * @name GetUsers
+ * @function
+ * @param {number} [req.query.page=1] - Page number
+ * @param {number} [req.query.limit=50] - Users per page
+ * @param {string} [req.query.search] - Case-insensitive search on name and email
+ * @returns {Object} Users with pagination
+ */
+router.get('/users', authorize('users:read'), workspace(), openapi('listUsers'), async (req, res, next) => {
+  try {
+    const { page = 1, limit = 50, search } = req.query;
+    const members = AccessService.can(req.user, 'users:manage') ? undefined : req.workspace._id;
+
+    const data = await UserService.listUsers({ page, limit, search, workspace: members });
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /users/:id - Retrieve a user
+ * @name GetUserById
+ * @function
+ * @param {string} req.params.id - User ID
+ * @returns {Object} User data or 404 if not found or not a member of the workspace
+ */
+router.get('/users/:id', authorize('users:read'), workspace(), openapi('getUser'), async (req, res, next) => {
+  try {
+    const members = AccessService.can(req.user, 'users:manage') ? undefined : req.workspace._id;
+    const user = await UserService.getUser(req.params.id, { workspace: members });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /users - Create a user
+ * @name CreateUser
+ * @function
+ * @param {Object} req.body - User data
+ * @param {string} req.body.name - Display name
+ * @param {string} req.body.email - Email address, unique
+ * @param {string} [req.body.avatarUrl] - Profile picture URL
+ * @param {string} [req.body.password] - Password the user signs in with; without one they cannot sign in
+ * @param {string} [req.body.role=member] - viewer, member or admin
+ * @param {Array<string>} [req.body.workspaces] - IDs of the workspaces the user belongs to
+ * @returns {Object} Created user, or 409 if the email is taken
+ */
+router.post('/users', authorize('users:manage'), openapi('createUser'), async (req, res, next) => {
+  try {
+    const { name, email, avatarUrl, password, role, workspaces } = req.body;
+
+    const user = await User.create({
+      name,
+      email,
+      avatarUrl,
+      role,
+      workspaces,
+      passwordHash: password ? await AuthService.hashPassword(password) : null
+    });
+
+    res.status(201).json({
+      success: true,
+      data: user,
+      message: 'User created successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /users/:id - Update a user; admins edit anyone, others only their own profile
+ * @name UpdateUser
+ * @function
+ * @param {string} req.params.id - User ID
+ * @param {Object} req.body - Changed user fields
+ * @param {string} [req.body.password] - New password; signs the user out of every session
+ * @param {string} [req.body.role] - New role, admins only; the last admin cannot be demoted
+ * @param {Array<string>} [req.body.workspaces] - Workspace IDs the user belongs to, admins only
+ * @returns {Object} Updated user, 404 if not found, 403 if not allowed, or 409 if the email is taken
+ */
+router.put('/users/:id', openapi('updateUser'), async (req, res, next) => {
+  try {
+    const { password, ...updates } = req.body;
+    AccessService.assertCanEditUser(req.user, req.params.id, updates);
+    if (updates.role !== undefined && updates.role !== 'admin') {
+      await UserService.ensureAdminRemains(req.params.id);
+    }
+    if (password !== undefined) {
+      updates.passwordHash = await AuthService.hashPassword(password);
+    }
+
+    const user = await User.findByIdAndUpdate(req.params.id, updates, { new: true, runValidators: true });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (password !== undefined) {
+      await AuthService.revokeAll(user._id);
+    }
+
+    // Workload metrics embed the assignee's name and avatar
+    await AnalyticsService.invalidateCache();
+
+    res.json({
+      success: true,
+      data: user,
+      message: 'User updated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /users/:id - Delete a user and unassign their tasks
+ * @name DeleteUser
+ * @function
+ * @param {string} req.params.id - User ID
+ * @returns {Object} Number of unassigned tasks, 404 if not found, or 400 for the last admin
+ */
+router.delete('/users/:id', authorize('users:manage'), openapi('deleteUser'), async (req, res, next) => {
+  try {
+    await UserService.ensureAdminRemains(req.params.id);
+    const result = await UserService.deleteUser(req.params.id);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const { tasks, previous } = result;
+    if (tasks.length > 0) {
+      const previousById = new Map(previous.map(task => [String(task._id), task]));
+      await TaskHistoryService.record(
+        'updated',
+        tasks.map(task => ({ before: previousById.get(String(task._id)), after: task })),
+        { ...getRequestContext(req), source: 'bulk' }
+      );
+
+      await redisClient.del(...tasks.map(task => taskCacheKey(task.workspace, task._id)));
+      const workspaces = new Set(tasks.map(task => String(task.workspace)));
+      await Promise.all([...workspaces].map(workspaceId => ExportService.invalidateCache(workspaceId)));
+
+      // Tasks in the trash lose their assignee too, but clients do not list them
+      const active = tasks.filter(task => !task.deletedAt);
+      if (socketHandlers && active.length > 0) {
+        socketHandlers.broadcastTaskBatch('updated', active);
+      }
+    }
+    await AnalyticsService.invalidateCache();
+
+    res.json({
+      success: true,
+      data: { unassignedTasks: tasks.length },
+      message: 'User deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /workspaces - List the workspaces the signed-in user can open, oldest first
+ * @name GetWorkspaces
+ * @function
+ * @returns {Object} Workspaces; admins see every workspace, others the ones they are members of
+ */
+router.get('/workspaces', authorize('workspaces:read'), openapi('listWorkspaces'), async (req, res, next) => {
+  try {
+    const workspaces = await WorkspaceService.listForUser(req.user);
+
+    res.json({
+      success: true,
+      data: workspaces
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /workspaces - Create a workspace
+ * @name CreateWorkspace
+ * @function
+ * @param {Object} req.body - Workspace data
+ * @param {string} req.body.name - Display name, unique
+ * @param {string} [req.body.description] - What the workspace is for
+ * @returns {Object} Created workspace, or 409 if the name is taken
+ */
+router.post('/workspaces', authorize('workspaces:manage'), openapi('createWorkspace'), async (req, res, next) => {
+  try {
+    const { name, description } = req.body;
+
+    const workspace = await Workspace.create({ name, description });
+
+    res.status(201).json({
+      success: true,
+      data: workspace,
+      message: 'Workspace created successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /workspaces/:id - Rename a workspace or change its description
+ * @name UpdateWorkspace
+ * @function
+ * @param {string} req.params.id - Workspace ID
+ * @param {Object} req.body - Changed workspace fields
+ * @returns {Object} Updated workspace, 404 if not found, or 409 if the name is taken
+ */
+router.put('/workspaces/:id', authorize('workspaces:manage'), openapi('updateWorkspace'), async (req, res, next) => {
+  try {
+    const workspace = await Workspace.findByIdAndUpdate(req.params.id, req.body, { new: true, runValidators: true });
+
+    if (!workspace) {
+      return res.status(404).json({
+        success: false,
+        message: 'Workspace not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: workspace,
+      message: 'Workspace updated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /workspaces/:id - Delete an empty workspace and remove it from its members
+ * @name DeleteWorkspace
+ * @function
+ * @param {string} req.params.id - Workspace ID
+ * @returns {Object} Success message, 404 if not found, or 400 if it still has tasks or is the last one
+ */
+router.delete('/workspaces/:id', authorize('workspaces:manage'), openapi('deleteWorkspace'), async (req, res, next) => {
+  try {
+    const workspace = await WorkspaceService.deleteWorkspace(req.params.id);
+
+    if (!workspace) {
+      return res.status(404).json({
+        success: false,
+        message: 'Workspace not found'
+      });
+    }
+
+    await AnalyticsService.invalidateCache(workspace._id);
+
+    res.json({
+      success: true,
+      message: 'Workspace deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /analytics - Retrieve comprehensive task analytics of the request's workspace
+ * @name GetAnalytics
+ * @function
+ * @returns {Object} Complete analytics data including metrics and charts
+ */
+router.get('/analytics', authorize('analytics:read'), openapi('getAnalytics'), async (req, res, next) => {
+  try {
+    const metrics = await AnalyticsService.getTaskMetrics(req.workspace._id);
+
+    res.json({
+      success: true,
+      data: metrics
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /analytics/lead-time - Lead and cycle time percentiles of completed tasks in the request's workspace
+ * @name GetAnalyticsLeadTime
+ * @function
+ * @returns {Object} Lead and cycle time stats in hours, the lead time histogram and breakdowns by priority and tag
+ */
+router.get('/analytics/lead-time', authorize('analytics:read'), openapi('getAnalyticsLeadTime'), async (req, res, next) => {
+  try {
+    const stats = await AnalyticsService.getLeadTimeStats(req.workspace._id);
+
+    res.json({
+      success: true,
+      data: stats
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /analytics/estimates - How estimated time compares with actual time for completed tasks in the request's workspace
+ * @name GetAnalyticsEstimates
+ * @function
+ * @returns {Object} Over/under-run ratios overall and by priority, the worst estimates and points to plot
+ */
+router.get('/analytics/estimates', authorize('analytics:read'), openapi('getAnalyticsEstimates'), async (req, res, next) => {
+  try {
+    const accuracy = await AnalyticsService.getEstimateAccuracy(req.workspace._id);
+
+    res.json({
+      success: true,
+      data: accuracy
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /analytics/burndown - Daily total, completed and remaining task counts over a window in the request's workspace
+ * @name GetAnalyticsBurndown
+ * @function
+ * @param {string} [req.query.from] - First day; defaults to 14 days ending with `to`
+ * @param {string} [req.query.to] - End of the window; defaults to now
+ * @param {string} [req.query.tags] - Tags narrowing the tasks counted; priority, tagMode, assignee and search work too
+ * @returns {Object} One entry per UTC day, or 400 for an invalid window or filter
+ */
+router.get('/analytics/burndown', authorize('analytics:read'), openapi('getAnalyticsBurndown'), async (req, res, next) => {
+  try {
+    const burndown = await AnalyticsService.getBurndown(req.workspace._id, req.query);
+
+    res.json({
+      success: true,
+      data: burndown
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /analytics/timeseries - Created and completed task counts over time in the request's workspace
+ * @name GetAnalyticsTimeSeries
+ * @function
+ * @param {string} [req.query.interval=day] - Bucket size: hour, day, week or month
+ * @param {string} [req.query.from] - Start of the range; defaults to a fixed number of buckets before `to`
+ * @param {string} [req.query.to] - End of the range; defaults to now
+ * @returns {Object} Buckets with created, completed, netOpen and open counts, or 400 for an invalid range
+ */
+router.get('/analytics/timeseries', authorize('analytics:read'), openapi('getAnalyticsTimeSeries'), async (req, res, next) => {
+  try {
+    const series = await AnalyticsService.getTimeSeries(req.workspace._id, req.query);
+
+    res.json({
+      success: true,
+      data: series
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /health - Health check endpoint
+ * @name HealthCheck
+ * @function
+ * @returns {Object} API health status and timestamp
+ */
+router.get('/health', openapi('getHealth'), (req, res) => {
+  res.json({
+    success: true,
+    message: 'API is healthy',
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * GET /openapi.json - OpenAPI 3 document describing every API route
+ * @name GetOpenApiDocument
+ * @function
+ * @returns {Object} OpenAPI document
+ */
+router.get('/openapi.json', openapi('getOpenApiDocument'), (req, res) => {
+  res.json(openApiDocument);
+});
+
+/**
+ * GET /docs - Interactive API documentation rendered from the OpenAPI document
+ * @name GetDocs
+ * @function
+ * @returns {string} HTML page
+ */
+router.get('/docs', openapi('getDocs'), (req, res) => {
+  res.type('html').send(renderDocsPage(`${req.baseUrl}/openapi.json`));
 });
 
 export default router;
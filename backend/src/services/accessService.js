@@ -0,0 +1,158 @@
+/**
+ * @fileoverview Role-based access control: which role may do what, and which tasks a user owns
+ * @module services/AccessService
+ */
+
+import { ROLES } from '../models/User.js';
+
+const [VIEWER, MEMBER, ADMIN] = ROLES;
+
+/**
+ * Roles granted each permission. Members hold tasks:update for the tasks they own only;
+ * tasks:update:any lifts that restriction.
+ * @type {Object<string, Array<string>>}
+ */
+const PERMISSIONS = {
+  'tasks:read': [VIEWER, MEMBER, ADMIN],
+  'tasks:create': [MEMBER, ADMIN],
+  'tasks:update': [MEMBER, ADMIN],
+  'tasks:update:any': [ADMIN],
+  'tasks:delete': [ADMIN],
+  'tasks:bulk': [ADMIN],
+  'tasks:import': [ADMIN],
+  'tasks:trash': [ADMIN],
+  'exports:read': [VIEWER, MEMBER, ADMIN],
+  'exports:read:any': [ADMIN],
+  'users:read': [VIEWER, MEMBER, ADMIN],
+  'users:manage': [ADMIN],
+  'analytics:read': [VIEWER, MEMBER, ADMIN],
+  'workspaces:read': [VIEWER, MEMBER, ADMIN],
+  'workspaces:manage': [ADMIN]
+};
+
+/**
+ * Creates an error that the error handler reports as 403 Forbidden
+ * @param {string} message - Error message
+ * @returns {Error} Error with statusCode 403
+ */
+const forbidden = (message) => {
+  const error = new Error(message);
+  error.statusCode = 403;
+  return error;
+};
+
+/**
+ * Service class answering permission checks for signed-in users
+ * @class AccessService
+ */
+class AccessService {
+  /**
+   * Tells whether a user's role grants a permission
+   * @static
+   * @param {Object|null|undefined} user - Signed-in user
+   * @param {string} permission - Permission name, e.g. tasks:delete
+   * @returns {boolean} True when allowed; unknown permissions are never allowed
+   */
+  static can(user, permission) {
+    return Boolean(user && PERMISSIONS[permission]?.includes(user.role));
+  }
+
+  /**
+   * Throws unless a user's role grants a permission
+   * @static
+   * @param {Object|null|undefined} user - Signed-in user
+   * @param {string} permission - Permission name
+   * @throws {Error} 403 when not allowed
+   */
+  static assert(user, permission) {
+    if (!AccessService.can(user, permission)) {
+      throw forbidden(`Your role cannot perform ${permission}`);
+    }
+  }
+
+  /**
+   * Tells whether a task belongs to a user: they created it or it is assigned to them
+   * @static
+   * @param {Object} user - Signed-in user
+   * @param {Object} task - Task document
+   * @returns {boolean} True for the user's own tasks
+   */
+  static ownsTask(user, task) {
+    const userId = String(user._id);
+    return [task.createdBy, task.assignee].some(id => id && String(id) === userId);
+  }
+
+  /**
+   * Throws unless a user may edit a task: admins edit any task, members their own ones
+   * @static
+   * @param {Object} user - Signed-in user
+   * @param {Object} task - Task document
+   * @throws {Error} 403 when not allowed
+   */
+  static assertCanEditTask(user, task) {
+    AccessService.assert(user, 'tasks:update');
+    if (!AccessService.can(user, 'tasks:update:any') && !AccessService.ownsTask(user, task)) {
+      throw forbidden('Members can only edit tasks they created or are assigned to');
+    }
+  }
+
+  /**
+   * Tells whether a user may open a workspace: admins open every workspace, others the ones
+   * they are members of
+   * @static
+   * @param {Object} user - Signed-in user
+   * @param {ObjectId|string} workspaceId - Workspace ID
+   * @returns {boolean} True when the workspace is accessible
+   */
+  static canAccessWorkspace(user, workspaceId) {
+    if (AccessService.can(user, 'workspaces:manage')) return true;
+    return (user?.workspaces ?? []).some(id => String(id) === String(workspaceId));
+  }
+
+  /**
+   * Builds the User filter matching the people who can open a workspace, the query counterpart
+   * of canAccessWorkspace: its members and every admin
+   * @static
+   * @param {ObjectId|string} workspaceId - Workspace ID
+   * @returns {Object} MongoDB filter to combine with a User query
+   */
+  static workspaceMembers(workspaceId) {
+    return { $or: [{ workspaces: workspaceId }, { role: { $in: PERMISSIONS['workspaces:manage'] } }] };
+  }
+
+  /**
+   * Throws unless a user may apply changes to a user account: admins edit anyone, others only
+   * their own profile and never their role or workspaces
+   * @static
+   * @param {Object} user - Signed-in user
+   * @param {string} id - ID of the account being edited
+   * @param {Object} updates - Changed user fields
+   * @throws {Error} 403 when not allowed
+   */
+  static assertCanEditUser(user, id, updates) {
+    if (AccessService.can(user, 'users:manage')) return;
+    if (String(user._id) !== String(id)) {
+      throw forbidden('You can only edit your own profile');
+    }
+    if (updates.role !== undefined && updates.role !== user.role) {
+      throw forbidden('Only admins can change roles');
+    }
+    if (updates.workspaces !== undefined) {
+      throw forbidden('Only admins can change workspace membership');
+    }
+  }
+
+  /**
+   * Builds the Export filter limiting the history a user sees: admins see every export,
+   * others only their own
+   * @static
+   * @param {Object} user - Signed-in user
+   * @returns {Object} MongoDB filter to combine with the Export query
+   */
+  static exportScope(user) {
+    return AccessService.can(user, 'exports:read:any') ? {} : { requestedBy: user.email };
+  }
+}
+
+export { PERMISSIONS };
+export default AccessService;
@@ -3,41 +3,196 @@
  * @module services/AnalyticsService
  */
 
+import mongoose from 'mongoose';
 import Task from '../models/Task.js';
+import Workspace from '../models/Workspace.js';
+import TaskHistory from '../models/TaskHistory.js';
+import TaskHistoryService from './taskHistoryService.js';
+import TaskDueService from './taskDueService.js';
+import TaskQueryService, { OPEN_STATUSES } from './taskQueryService.js';
 import { redisClient } from '../config/redis.js';
 
 /**
- * Service class for calculating and caching task analytics
+ * Shorthand for restricting an analytics query to a workspace's tasks outside the trash. The
+ * workspace is cast to an ObjectId because aggregation pipelines are not cast by Mongoose.
+ * @param {ObjectId|string} workspace - Workspace ID
+ * @param {Object} [filter={}] - MongoDB filter
+ * @returns {Object} Filter excluding deleted tasks and other workspaces
+ */
+const active = (workspace, filter) => TaskQueryService.excludeDeleted(
+  TaskQueryService.inWorkspace(filter, new mongoose.Types.ObjectId(String(workspace)))
+);
+
+/**
+ * Builds the Redis key caching a workspace's metrics
+ * @param {ObjectId|string} workspace - Workspace ID
+ * @returns {string} Cache key
+ */
+const metricsCacheKey = (workspace) => `task_metrics:${workspace}`;
+
+/**
+ * Number of tags listed in the tag breakdown; less used tags are left out
+ * @type {number}
+ */
+const TOP_TAGS = 20;
+
+/**
+ * Bucket sizes of the time series, mapped to the number of buckets returned when no start is given
+ * @type {Object<string, number>}
+ */
+const TIME_SERIES_DEFAULT_BUCKETS = {
+  hour: 48,
+  day: 30,
+  week: 12,
+  month: 12
+};
+
+/**
+ * Bucket sizes accepted by getTimeSeries
+ * @type {Array<string>}
+ */
+const TIME_SERIES_INTERVALS = Object.keys(TIME_SERIES_DEFAULT_BUCKETS);
+
+/**
+ * Most buckets one time series may hold, e.g. about six weeks of hours
+ * @type {number}
+ */
+const MAX_TIME_SERIES_BUCKETS = 1000;
+
+/**
+ * Days in a burndown when no start is given, e.g. a two-week sprint
+ * @type {number}
+ */
+const BURNDOWN_DEFAULT_DAYS = 14;
+
+/**
+ * Most days one burndown may span
+ * @type {number}
+ */
+const MAX_BURNDOWN_DAYS = 366;
+
+/**
+ * Task query parameters that narrow the tasks a burndown counts. Status, due and date filters
+ * are left out: the burndown itself follows creation and completion over time.
+ * @type {Array<string>}
+ */
+const BURNDOWN_FILTER_PARAMS = ['priority', 'tags', 'tagMode', 'assignee', 'search'];
+
+/**
+ * Percentiles reported for lead and cycle times
+ * @type {Array<number>}
+ */
+const LEAD_TIME_PERCENTILES = [50, 75, 90, 95];
+
+/**
+ * Lower edges in hours of the lead time histogram buckets; the last bucket has no upper edge
+ * @type {Array<number>}
+ */
+const LEAD_TIME_HISTOGRAM_BOUNDARIES = [0, 1, 4, 8, 24, 72, 168, 336];
+
+/**
+ * Number of worst-estimated tasks listed by getEstimateAccuracy
+ * @type {number}
+ */
+const WORST_ESTIMATES = 10;
+
+/**
+ * Most estimated against actual time pairs returned for plotting, the latest completions first
+ * @type {number}
+ */
+const MAX_ESTIMATE_POINTS = 500;
+
+/**
+ * Milliseconds in an hour, the unit of completion times
+ * @type {number}
+ */
+const HOUR_MS = 1000 * 60 * 60;
+
+/**
+ * Rounds hours to one decimal, the precision completion times are reported in
+ * @param {number} hours - Hours
+ * @returns {number} Rounded hours
+ */
+const roundHours = (hours) => Math.round(hours * 10) / 10;
+
+/**
+ * Aggregation expression for the hours between two dates
+ * @param {string} from - Expression of the start date
+ * @param {string} to - Expression of the end date
+ * @returns {Object} Aggregation expression
+ */
+const hoursBetween = (from, to) => ({ $divide: [{ $subtract: [to, from] }, HOUR_MS] });
+
+/**
+ * $group accumulators summarising a duration field: count, mean and the reported percentiles
+ * @param {string} field - Field path of the duration, e.g. $hours
+ * @returns {Object} Accumulators
+ */
+const durationAccumulators = (field) => ({
+  count: { $sum: 1 },
+  mean: { $avg: field },
+  percentiles: {
+    $percentile: { input: field, p: LEAD_TIME_PERCENTILES.map(p => p / 100), method: 'approximate' }
+  }
+});
+
+/**
+ * Turns the output of durationAccumulators into rounded hours keyed p50, p75, ...
+ * @param {Object} [group] - Group result; missing when nothing was completed
+ * @returns {Object} count, mean and one property per percentile
+ */
+const durationStats = (group) => {
+  const stats = { count: group?.count ?? 0, mean: roundHours(group?.mean ?? 0) };
+  LEAD_TIME_PERCENTILES.forEach((p, index) => {
+    stats[`p${p}`] = roundHours(group?.percentiles?.[index] ?? 0);
+  });
+  return stats;
+};
+
+/**
+ * Creates an error that the error handler reports as 400 Bad Request
+ * @param {string} message - Error message
+ * @returns {Error} Error with statusCode 400
+ */
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Service class for calculating and caching task analytics per workspace; tasks in the trash are not counted
  * @class AnalyticsService
  */
 class AnalyticsService {
   /**
-   * Retrieves task metrics with Redis caching
+   * Retrieves a workspace's task metrics with Redis caching
    * @static
    * @async
+   * @param {ObjectId|string} workspace - Workspace ID
    * @returns {Promise<Object>} Complete task metrics object
    * @throws {Error} Falls back to direct calculation if cache fails
    * @example
-   * const metrics = await AnalyticsService.getTaskMetrics();
+   * const metrics = await AnalyticsService.getTaskMetrics(workspaceId);
    * console.log(metrics.totalTasks, metrics.completionRate);
    */
-  static async getTaskMetrics() {
+  static async getTaskMetrics(workspace) {
     try {
-      const cacheKey = 'task_metrics';
+      const cacheKey = metricsCacheKey(workspace);
       const cached = await redisClient.get(cacheKey);
 
       if (cached) {
         return JSON.parse(cached);
       }
 
-      const metrics = await this.calculateMetrics();
+      const metrics = await this.calculateMetrics(workspace);
 
       await redisClient.setex(cacheKey, 10, JSON.stringify(metrics));
 
       return metrics;
     } catch (error) {
       console.error('Error getting task metrics:', error);
-      return await this.calculateMetrics();
+      return await this.calculateMetrics(workspace);
     }
   }
 
@@ -45,37 +200,48 @@ class AnalyticsService {
    * Calculates all task metrics from database
    * @static
    * @async
+   * @param {ObjectId|string} workspace - Workspace ID
    * @returns {Promise<Object>} Comprehensive metrics object with all analytics data
    */
-  static async calculateMetrics() {
+  static async calculateMetrics(workspace) {
     const [
       totalTasks,
       tasksByStatus,
       tasksByPriority,
+      tasksByTag,
+      workloadByAssignee,
       completionRate,
       averageCompletionTime,
       tasksCreatedToday,
       tasksCompletedToday,
+      dueCounts,
       recentActivity
     ] = await Promise.all([
-      Task.countDocuments(),
-      this.getTasksByStatus(),
-      this.getTasksByPriority(),
-      this.getCompletionRate(),
-      this.getAverageCompletionTime(),
-      this.getTasksCreatedToday(),
-      this.getTasksCompletedToday(),
-      this.getRecentActivity()
+      Task.countDocuments(active(workspace)),
+      this.getTasksByStatus(workspace),
+      this.getTasksByPriority(workspace),
+      this.getTasksByTag(workspace),
+      this.getWorkloadByAssignee(workspace),
+      this.getCompletionRate(workspace),
+      this.getAverageCompletionTime(workspace),
+      this.getTasksCreatedToday(workspace),
+      this.getTasksCompletedToday(workspace),
+      TaskDueService.getDueCounts(workspace),
+      this.getRecentActivity(workspace)
     ]);
 
     return {
       totalTasks,
       tasksByStatus,
       tasksByPriority,
+      tasksByTag,
+      workloadByAssignee,
       completionRate,
       averageCompletionTime,
       tasksCreatedToday,
       tasksCompletedToday,
+      overdueTasks: dueCounts.overdue,
+      dueSoonTasks: dueCounts.dueSoon,
       recentActivity,
       lastUpdated: new Date().toISOString()
     };
@@ -85,10 +251,12 @@ class AnalyticsService {
    * Groups tasks by status and returns count for each status
    * @static
    * @async
+   * @param {ObjectId|string} workspace - Workspace ID
    * @returns {Promise<Object>} Object with pending, in-progress, and completed counts
    */
-  static async getTasksByStatus() {
+  static async getTasksByStatus(workspace) {
     const result = await Task.aggregate([
+      { $match: active(workspace) },
       { $group: { _id: '$status', count: { $sum: 1 } } },
       { $sort: { _id: 1 } }
     ]);
@@ -105,10 +273,12 @@ class AnalyticsService {
    * Groups tasks by priority and returns count for each priority level
    * @static
    * @async
+   * @param {ObjectId|string} workspace - Workspace ID
    * @returns {Promise<Object>} Object with low, medium, and high priority counts
    */
-  static async getTasksByPriority() {
+  static async getTasksByPriority(workspace) {
     const result = await Task.aggregate([
+      { $match: active(workspace) },
       { $group: { _id: '$priority', count: { $sum: 1 } } },
       { $sort: { _id: 1 } }
     ]);
@@ -121,16 +291,88 @@ class AnalyticsService {
     return priorityCounts;
   }
 
+  /**
+   * Counts tasks per tag; a task with several tags counts once for each of them
+   * @static
+   * @async
+   * @param {ObjectId|string} workspace - Workspace ID
+   * @returns {Promise<Object>} Task counts keyed by tag, most used first, at most TOP_TAGS entries
+   */
+  static async getTasksByTag(workspace) {
+    const result = await Task.aggregate([
+      { $match: active(workspace, { 'tags.0': { $exists: true } }) },
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: TOP_TAGS }
+    ]);
+
+    const tagCounts = {};
+    result.forEach(item => {
+      tagCounts[item._id] = item.count;
+    });
+
+    return tagCounts;
+  }
+
+  /**
+   * Calculates the workload of every user with assigned tasks: open and completed counts,
+   * completion rate and average completion time. Unassigned tasks are left out.
+   * @static
+   * @async
+   * @param {ObjectId|string} workspace - Workspace ID
+   * @returns {Promise<Array<Object>>} One entry per assignee with their user profile, openTasks,
+   * completedTasks, completionRate (0-100) and averageCompletionTime (hours, 1 decimal), most open tasks first
+   */
+  static async getWorkloadByAssignee(workspace) {
+    const completed = { $eq: ['$status', 'completed'] };
+    // Same rule as getAverageCompletionTime: only completions after creation count
+    const timed = { $and: [completed, { $gt: ['$completedAt', '$createdAt'] }] };
+
+    const result = await Task.aggregate([
+      { $match: active(workspace, { assignee: { $ne: null } }) },
+      {
+        $group: {
+          _id: '$assignee',
+          totalTasks: { $sum: 1 },
+          openTasks: { $sum: { $cond: [{ $in: ['$status', OPEN_STATUSES] }, 1, 0] } },
+          completedTasks: { $sum: { $cond: [completed, 1, 0] } },
+          timedTasks: { $sum: { $cond: [timed, 1, 0] } },
+          completionMs: { $sum: { $cond: [timed, { $subtract: ['$completedAt', '$createdAt'] }, 0] } }
+        }
+      },
+      { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'user' } },
+      { $unwind: '$user' },
+      { $sort: { openTasks: -1, 'user.name': 1 } }
+    ]);
+
+    return result.map(item => ({
+      assignee: {
+        _id: item.user._id,
+        name: item.user.name,
+        email: item.user.email,
+        avatarUrl: item.user.avatarUrl ?? null
+      },
+      openTasks: item.openTasks,
+      completedTasks: item.completedTasks,
+      completionRate: Math.round((item.completedTasks / item.totalTasks) * 100),
+      averageCompletionTime: item.timedTasks > 0
+        ? roundHours(item.completionMs / item.timedTasks / HOUR_MS)
+        : 0
+    }));
+  }
+
   /**
    * Calculates task completion rate as percentage
    * @static
    * @async
+   * @param {ObjectId|string} workspace - Workspace ID
    * @returns {Promise<number>} Completion rate percentage (0-100)
    */
-  static async getCompletionRate() {
+  static async getCompletionRate(workspace) {
     const [total, completed] = await Promise.all([
-      Task.countDocuments(),
-      Task.countDocuments({ status: 'completed' })
+      Task.countDocuments(active(workspace)),
+      Task.countDocuments(active(workspace, { status: 'completed' }))
     ]);
 
     return total > 0 ? Math.round((completed / total) * 100) : 0;
@@ -140,94 +382,251 @@ class AnalyticsService {
    * Calculates average time to complete tasks in hours
    * @static
    * @async
+   * @param {ObjectId|string} workspace - Workspace ID
    * @returns {Promise<number>} Average completion time in hours (rounded to 1 decimal)
    */
-  static async getAverageCompletionTime() {
-    const completedTasks = await Task.find({
+  static async getAverageCompletionTime(workspace) {
+    const [result] = await Task.aggregate([
+      { $match: AnalyticsService.completedMatch(workspace) },
+      { $group: { _id: null, mean: { $avg: hoursBetween('$createdAt', '$completedAt') } } }
+    ]);
+
+    return result ? roundHours(result.mean) : 0;
+  }
+
+  /**
+   * Filter for completed tasks with a usable lead time: only completions after creation count
+   * @static
+   * @param {ObjectId|string} workspace - Workspace ID
+   * @returns {Object} MongoDB filter for aggregations
+   */
+  static completedMatch(workspace) {
+    return active(workspace, {
       status: 'completed',
-      completedAt: { $exists: true, $ne: null }
-    }).select('createdAt completedAt');
+      completedAt: { $ne: null },
+      $expr: { $gt: ['$completedAt', '$createdAt'] }
+    });
+  }
 
-    if (completedTasks.length === 0) return 0;
+  /**
+   * Summarises how long completed tasks took, in hours. Lead time runs from creation to
+   * completion; cycle time from the first move to in-progress recorded in the task history, so
+   * tasks that never passed through in-progress only count towards lead time.
+   * @static
+   * @async
+   * @param {ObjectId|string} workspace - Workspace ID
+   * @returns {Promise<Object>} leadTime and cycleTime stats (count, mean, p50, p75, p90, p95),
+   * the lead time histogram ({min, max, count}, max null for the last bucket), and lead time
+   * stats byPriority and byTag (most used tags first)
+   */
+  static async getLeadTimeStats(workspace) {
+    const [[lead], [cycle]] = await Promise.all([
+      Task.aggregate([
+        { $match: AnalyticsService.completedMatch(workspace) },
+        { $project: { priority: 1, tags: 1, hours: hoursBetween('$createdAt', '$completedAt') } },
+        {
+          $facet: {
+            overall: [{ $group: { _id: null, ...durationAccumulators('$hours') } }],
+            byPriority: [{ $group: { _id: '$priority', ...durationAccumulators('$hours') } }],
+            byTag: [
+              { $unwind: '$tags' },
+              { $group: { _id: '$tags', ...durationAccumulators('$hours') } },
+              { $sort: { count: -1, _id: 1 } },
+              { $limit: TOP_TAGS }
+            ],
+            histogram: [
+              {
+                $bucket: {
+                  groupBy: '$hours',
+                  boundaries: LEAD_TIME_HISTOGRAM_BOUNDARIES,
+                  default: 'longer',
+                  output: { count: { $sum: 1 } }
+                }
+              }
+            ]
+          }
+        }
+      ]),
+      Task.aggregate([
+        { $match: AnalyticsService.completedMatch(workspace) },
+        {
+          $lookup: {
+            from: TaskHistory.collection.name,
+            let: { taskId: '$_id' },
+            pipeline: [
+              {
+                $match: {
+                  $expr: { $eq: ['$taskId', '$$taskId'] },
+                  changes: { $elemMatch: { field: 'status', after: 'in-progress' } }
+                }
+              },
+              { $sort: { createdAt: 1 } },
+              { $limit: 1 },
+              { $project: { _id: 0, createdAt: 1 } }
+            ],
+            as: 'started'
+          }
+        },
+        { $unwind: '$started' },
+        { $project: { hours: hoursBetween('$started.createdAt', '$completedAt') } },
+        { $match: { hours: { $gt: 0 } } },
+        { $group: { _id: null, ...durationAccumulators('$hours') } }
+      ])
+    ]);
 
-    // Filter out invalid tasks and calculate valid completion times
-    const validCompletionTimes = [];
+    const histogramCounts = new Map((lead?.histogram ?? []).map(item => [item._id, item.count]));
+    const priorityStats = new Map((lead?.byPriority ?? []).map(item => [item._id, durationStats(item)]));
 
-    for (const task of completedTasks) {
-      if (task.completedAt && task.createdAt) {
-        const completionTime = task.completedAt.getTime() - task.createdAt.getTime();
+    return {
+      leadTime: durationStats(lead?.overall[0]),
+      cycleTime: durationStats(cycle),
+      histogram: LEAD_TIME_HISTOGRAM_BOUNDARIES.map((min, index) => {
+        const max = LEAD_TIME_HISTOGRAM_BOUNDARIES[index + 1] ?? null;
+        return { min, max, count: histogramCounts.get(max === null ? 'longer' : min) ?? 0 };
+      }),
+      byPriority: ['high', 'medium', 'low'].map(priority => ({
+        priority,
+        ...(priorityStats.get(priority) ?? durationStats())
+      })),
+      byTag: (lead?.byTag ?? []).map(item => ({ tag: item._id, ...durationStats(item) }))
+    };
+  }
+
+  /**
+   * Compares the estimated and actual time of completed tasks that have both. The ratio is
+   * actual divided by estimated time: above 1 the task overran its estimate, below 1 it
+   * finished early.
+   * @static
+   * @async
+   * @param {ObjectId|string} workspace - Workspace ID
+   * @returns {Promise<Object>} count, meanRatio, medianRatio, overrunCount and underrunCount overall
+   * and byPriority (highest first); the worst estimates, furthest off first in either direction;
+   * and points of the latest completions for plotting
+   */
+  static async getEstimateAccuracy(workspace) {
+    const ratioAccumulators = {
+      count: { $sum: 1 },
+      meanRatio: { $avg: '$ratio' },
+      medianRatio: { $median: { input: '$ratio', method: 'approximate' } },
+      overrunCount: { $sum: { $cond: [{ $gt: ['$ratio', 1] }, 1, 0] } },
+      underrunCount: { $sum: { $cond: [{ $lt: ['$ratio', 1] }, 1, 0] } }
+    };
+    const estimateFields = { title: 1, priority: 1, estimatedTime: 1, actualTime: 1, ratio: 1 };
 
-        // Only include positive completion times (completed after created)
-        if (completionTime > 0) {
-          validCompletionTimes.push(completionTime);
+    const [result] = await Task.aggregate([
+      {
+        $match: active(workspace, {
+          status: 'completed',
+          estimatedTime: { $gt: 0 },
+          actualTime: { $gt: 0 }
+        })
+      },
+      {
+        $project: {
+          ...estimateFields,
+          completedAt: 1,
+          ratio: { $divide: ['$actualTime', '$estimatedTime'] }
+        }
+      },
+      {
+        $facet: {
+          overall: [{ $group: { _id: null, ...ratioAccumulators } }],
+          byPriority: [{ $group: { _id: '$priority', ...ratioAccumulators } }],
+          // On a log scale twice and half the estimate are equally far off
+          worst: [
+            { $addFields: { error: { $abs: { $ln: '$ratio' } } } },
+            { $sort: { error: -1, _id: 1 } },
+            { $limit: WORST_ESTIMATES },
+            { $project: estimateFields }
+          ],
+          points: [
+            { $sort: { completedAt: -1, _id: 1 } },
+            { $limit: MAX_ESTIMATE_POINTS },
+            { $project: estimateFields }
+          ]
         }
       }
-    }
-
-    if (validCompletionTimes.length === 0) return 0;
+    ]);
 
-    const averageMilliseconds = validCompletionTimes.reduce((sum, time) => sum + time, 0) / validCompletionTimes.length;
+    const roundRatio = (ratio) => Math.round((ratio ?? 0) * 100) / 100;
+    const ratioStats = (group) => ({
+      count: group?.count ?? 0,
+      meanRatio: roundRatio(group?.meanRatio),
+      medianRatio: roundRatio(group?.medianRatio),
+      overrunCount: group?.overrunCount ?? 0,
+      underrunCount: group?.underrunCount ?? 0
+    });
+    const estimate = (task) => ({ ...task, ratio: roundRatio(task.ratio) });
+    const priorityStats = new Map((result?.byPriority ?? []).map(item => [item._id, ratioStats(item)]));
 
-    // Convert to hours and round to 1 decimal place
-    return Math.round((averageMilliseconds / (1000 * 60 * 60)) * 10) / 10;
+    return {
+      ...ratioStats(result?.overall[0]),
+      byPriority: ['high', 'medium', 'low'].map(priority => ({
+        priority,
+        ...(priorityStats.get(priority) ?? ratioStats())
+      })),
+      worst: (result?.worst ?? []).map(estimate),
+      points: (result?.points ?? []).map(estimate)
+    };
   }
 
   /**
    * Counts tasks created today (since midnight)
    * @static
    * @async
+   * @param {ObjectId|string} workspace - Workspace ID
    * @returns {Promise<number>} Number of tasks created today
    */
-  static async getTasksCreatedToday() {
+  static async getTasksCreatedToday(workspace) {
     const today = new Date();
     today.setHours(0, 0, 0, 0);
 
-    return await Task.countDocuments({
+    return await Task.countDocuments(active(workspace, {
       createdAt: { $gte: today }
-    });
+    }));
   }
 
   /**
    * Counts tasks completed today (since midnight)
    * @static
    * @async
+   * @param {ObjectId|string} workspace - Workspace ID
    * @returns {Promise<number>} Number of tasks completed today
    */
-  static async getTasksCompletedToday() {
+  static async getTasksCompletedToday(workspace) {
     const today = new Date();
     today.setHours(0, 0, 0, 0);
 
-    return await Task.countDocuments({
+    return await Task.countDocuments(active(workspace, {
       status: 'completed',
       completedAt: { $gte: today }
-    });
+    }));
   }
 
   /**
-   * Retrieves most recently updated tasks for activity feed
+   * Retrieves the latest task changes for the activity feed
    * @static
    * @async
-   * @returns {Promise<Array>} Array of 10 most recent tasks with basic info
+   * @param {ObjectId|string} workspace - Workspace ID
+   * @returns {Promise<Array>} Array of the 10 most recent history entries with their field changes
    */
-  static async getRecentActivity() {
-    return await Task.find()
-      .sort({ updatedAt: -1 })
-      .limit(10)
-      .select('title status priority updatedAt');
+  static async getRecentActivity(workspace) {
+    return await TaskHistoryService.getRecent(workspace);
   }
 
   /**
    * Calculates average task creation rate over last 30 days
    * @static
    * @async
+   * @param {ObjectId|string} workspace - Workspace ID
    * @returns {Promise<number>} Average tasks created per hour over 30 days
    */
-  static async getTaskCreationRate() {
+  static async getTaskCreationRate(workspace) {
     const thirtyDaysAgo = new Date();
     thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
 
     const result = await Task.aggregate([
-      { $match: { createdAt: { $gte: thirtyDaysAgo } } },
+      { $match: active(workspace, { createdAt: { $gte: thirtyDaysAgo } }) },
       {
         $group: {
           _id: {
@@ -245,15 +644,230 @@ class AnalyticsService {
     return result.length > 0 ? result.reduce((sum, item) => sum + item.count, 0) / result.length : 0;
   }
 
+  /**
+   * Truncates a date to the start of its UTC bucket, the way $dateTrunc does; weeks start on Monday
+   * @static
+   * @param {Date} date - Date to truncate
+   * @param {string} interval - Bucket size (hour, day, week or month)
+   * @returns {Date} Start of the bucket holding the date
+   */
+  static bucketStart(date, interval) {
+    const start = new Date(date);
+
+    switch (interval) {
+    case 'hour':
+      start.setUTCMinutes(0, 0, 0);
+      break;
+    case 'week':
+      start.setUTCHours(0, 0, 0, 0);
+      start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+      break;
+    case 'month':
+      start.setUTCHours(0, 0, 0, 0);
+      start.setUTCDate(1);
+      break;
+    default:
+      start.setUTCHours(0, 0, 0, 0);
+    }
+
+    return start;
+  }
+
+  /**
+   * Moves a bucket start by whole buckets
+   * @static
+   * @param {Date} start - Bucket start, as returned by bucketStart
+   * @param {string} interval - Bucket size (hour, day, week or month)
+   * @param {number} count - Buckets to move; negative moves back
+   * @returns {Date} Start of the other bucket
+   */
+  static addBuckets(start, interval, count) {
+    const date = new Date(start);
+
+    switch (interval) {
+    case 'hour':
+      date.setUTCHours(date.getUTCHours() + count);
+      break;
+    case 'week':
+      date.setUTCDate(date.getUTCDate() + count * 7);
+      break;
+    case 'month':
+      date.setUTCMonth(date.getUTCMonth() + count);
+      break;
+    default:
+      date.setUTCDate(date.getUTCDate() + count);
+    }
+
+    return date;
+  }
+
+  /**
+   * Counts tasks per bucket of a date field with $dateTrunc; empty buckets are left out
+   * @static
+   * @async
+   * @param {ObjectId|string} workspace - Workspace ID
+   * @param {string} field - Date field to bucket (createdAt or completedAt)
+   * @param {string} interval - Bucket size (hour, day, week or month)
+   * @param {Date} start - Earliest date counted
+   * @param {Date} end - Latest date counted
+   * @param {Object} [filter={}] - Cast MongoDB filter narrowing the tasks counted
+   * @returns {Promise<Map<number, number>>} Task counts keyed by bucket start in milliseconds
+   */
+  static async countByBucket(workspace, field, interval, start, end, filter = {}) {
+    const result = await Task.aggregate([
+      { $match: active(workspace, { ...filter, [field]: { $gte: start, $lte: end } }) },
+      {
+        $group: {
+          _id: { $dateTrunc: { date: `$${field}`, unit: interval, timezone: 'UTC', startOfWeek: 'monday' } },
+          count: { $sum: 1 }
+        }
+      }
+    ]);
+
+    return new Map(result.map(item => [item._id.getTime(), item.count]));
+  }
+
+  /**
+   * Builds a time series of created and completed tasks in UTC hour, day, week or month buckets.
+   * The start moves back to the start of its bucket, and empty buckets are included with zero counts.
+   * Only tasks whose status is completed count as completed.
+   * @static
+   * @async
+   * @param {ObjectId|string} workspace - Workspace ID
+   * @param {Object} [options={}] - Series options
+   * @param {string} [options.interval='day'] - Bucket size (hour, day, week or month)
+   * @param {string} [options.from] - Start of the range (ISO 8601); defaults to a fixed number of
+   * buckets before `to`, see TIME_SERIES_DEFAULT_BUCKETS
+   * @param {string} [options.to] - End of the range (ISO 8601); a date-only value includes the whole day
+   * @param {Date} [now=new Date()] - Reference time, the default end of the range
+   * @returns {Promise<Object>} interval, from, to and buckets, each with its start and the created,
+   * completed, netOpen (created minus completed) and open (open tasks at the end of the bucket) counts
+   * @throws {Error} 400 error for invalid dates, a start after the end or more than MAX_TIME_SERIES_BUCKETS buckets
+   */
+  static async getTimeSeries(workspace, { interval = 'day', from, to } = {}, now = new Date()) {
+    if (!TIME_SERIES_DEFAULT_BUCKETS[interval]) {
+      throw badRequest(`Invalid interval: ${interval}`);
+    }
+
+    const end = to ? TaskQueryService.parseDate(to, 'to', true) : now;
+    const start = from
+      ? this.bucketStart(TaskQueryService.parseDate(from, 'from'), interval)
+      : this.addBuckets(this.bucketStart(end, interval), interval, 1 - TIME_SERIES_DEFAULT_BUCKETS[interval]);
+    if (start > end) {
+      throw badRequest('from must not be after to');
+    }
+
+    const starts = [];
+    for (let bucket = start; bucket <= end; bucket = this.addBuckets(bucket, interval, 1)) {
+      if (starts.length === MAX_TIME_SERIES_BUCKETS) {
+        throw badRequest(`The range spans more than ${MAX_TIME_SERIES_BUCKETS} ${interval} buckets; shorten it or use a larger interval`);
+      }
+      starts.push(bucket);
+    }
+
+    // Reopened tasks count as open, even if an older write left their completedAt behind
+    const completedFilter = { status: 'completed' };
+
+    const [created, completed, createdBefore, completedBefore] = await Promise.all([
+      this.countByBucket(workspace, 'createdAt', interval, start, end),
+      this.countByBucket(workspace, 'completedAt', interval, start, end, completedFilter),
+      Task.countDocuments(active(workspace, { createdAt: { $lt: start } })),
+      Task.countDocuments(active(workspace, { ...completedFilter, completedAt: { $lt: start } }))
+    ]);
+
+    let open = createdBefore - completedBefore;
+    const buckets = starts.map(bucket => {
+      const createdCount = created.get(bucket.getTime()) ?? 0;
+      const completedCount = completed.get(bucket.getTime()) ?? 0;
+      open += createdCount - completedCount;
+
+      return {
+        start: bucket,
+        created: createdCount,
+        completed: completedCount,
+        netOpen: createdCount - completedCount,
+        open
+      };
+    });
+
+    return { interval, from: start, to: end, buckets };
+  }
+
+  /**
+   * Builds daily burndown and burnup series: for each UTC day, the tasks created by its end
+   * (total), completed by its end and still open (remaining). Only tasks whose status is
+   * completed count as completed. Task filters narrow the tasks counted, e.g. to a sprint's tag.
+   * @static
+   * @async
+   * @param {ObjectId|string} workspace - Workspace ID
+   * @param {Object} [params={}] - Window and filters
+   * @param {string} [params.from] - First day; defaults to BURNDOWN_DEFAULT_DAYS days ending with `to`
+   * @param {string} [params.to] - End of the window; defaults to now, a date-only value includes that day
+   * @param {string} [params.priority] - Priorities, comma-separated
+   * @param {string} [params.tags] - Tags, comma-separated
+   * @param {string} [params.tagMode] - 'any' or 'all' of the tags
+   * @param {string} [params.assignee] - Assignee user IDs or 'unassigned', comma-separated
+   * @param {string} [params.search] - Text matched against title and description
+   * @param {Date} [now=new Date()] - Reference time for the default window
+   * @returns {Promise<Object>} from, to and days, each with date, total, completed and remaining
+   * @throws {Error} 400 for an invalid filter or date, a start after the end, or too many days
+   */
+  static async getBurndown(workspace, params = {}, now = new Date()) {
+    const end = params.to ? TaskQueryService.parseDate(params.to, 'to', true) : now;
+    const start = params.from
+      ? this.bucketStart(TaskQueryService.parseDate(params.from, 'from'), 'day')
+      : this.addBuckets(this.bucketStart(end, 'day'), 'day', 1 - BURNDOWN_DEFAULT_DAYS);
+    if (start > end) {
+      throw badRequest('from must not be after to');
+    }
+
+    const dates = [];
+    for (let day = start; day <= end; day = this.addBuckets(day, 'day', 1)) {
+      if (dates.length === MAX_BURNDOWN_DAYS) {
+        throw badRequest(`A burndown spans at most ${MAX_BURNDOWN_DAYS} days`);
+      }
+      dates.push(day);
+    }
+
+    // Aggregations are not cast by Mongoose, so assignee IDs are cast up front
+    const filter = Task.find().cast(Task, TaskQueryService.buildFilter(Object.fromEntries(
+      BURNDOWN_FILTER_PARAMS.filter(name => params[name] !== undefined).map(name => [name, params[name]])
+    )));
+
+    // Reopened tasks count as open, even if an older write left their completedAt behind
+    const completedFilter = { ...filter, status: 'completed' };
+
+    const [created, completed, createdBefore, completedBefore] = await Promise.all([
+      this.countByBucket(workspace, 'createdAt', 'day', start, end, filter),
+      this.countByBucket(workspace, 'completedAt', 'day', start, end, completedFilter),
+      Task.countDocuments(active(workspace, { ...filter, createdAt: { $lt: start } })),
+      Task.countDocuments(active(workspace, { ...completedFilter, completedAt: { $lt: start } }))
+    ]);
+
+    let total = createdBefore;
+    let completedTotal = completedBefore;
+    const days = dates.map(date => {
+      total += created.get(date.getTime()) ?? 0;
+      completedTotal += completed.get(date.getTime()) ?? 0;
+      return { date, total, completed: completedTotal, remaining: total - completedTotal };
+    });
+
+    return { from: start, to: end, days };
+  }
+
   /**
    * Invalidates the Redis cache for task metrics
    * @static
    * @async
+   * @param {ObjectId|string} [workspace] - Workspace whose metrics changed; every workspace when omitted
    * @returns {Promise<void>}
    */
-  static async invalidateCache() {
+  static async invalidateCache(workspace) {
     try {
-      await redisClient.del('task_metrics');
+      const workspaces = workspace ? [workspace] : await Workspace.distinct('_id');
+      if (workspaces.length > 0) {
+        await redisClient.del(...workspaces.map(metricsCacheKey));
+      }
     } catch (error) {
       console.error('Error invalidating analytics cache:', error);
     }
@@ -292,4 +906,16 @@ class AnalyticsService {
   }
 }
 
+export {
+  TIME_SERIES_INTERVALS,
+  TIME_SERIES_DEFAULT_BUCKETS,
+  MAX_TIME_SERIES_BUCKETS,
+  LEAD_TIME_PERCENTILES,
+  LEAD_TIME_HISTOGRAM_BOUNDARIES,
+  WORST_ESTIMATES,
+  MAX_ESTIMATE_POINTS,
+  BURNDOWN_DEFAULT_DAYS,
+  MAX_BURNDOWN_DAYS,
+  BURNDOWN_FILTER_PARAMS
+};
 export default AnalyticsService;
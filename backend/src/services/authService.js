@@ -0,0 +1,304 @@
+/**
+ * @fileoverview Authentication: password hashing, signed access tokens and rotating refresh tokens
+ * @module services/AuthService
+ */
+
+import { createHash, createHmac, randomBytes, scrypt, timingSafeEqual } from 'crypto';
+import { promisify } from 'util';
+import User from '../models/User.js';
+import RefreshToken from '../models/RefreshToken.js';
+
+const scryptAsync = promisify(scrypt);
+
+/**
+ * Seconds an access token is accepted for; ACCESS_TOKEN_TTL_SECONDS overrides the 15 minute default
+ * @type {number}
+ */
+const ACCESS_TOKEN_TTL_SECONDS = Number(process.env.ACCESS_TOKEN_TTL_SECONDS) || 15 * 60;
+
+/**
+ * Days a refresh token is accepted for; REFRESH_TOKEN_TTL_DAYS overrides the 7 day default
+ * @type {number}
+ */
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
+
+/**
+ * Shortest accepted password
+ * @type {number}
+ */
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Longest accepted password; bounds the hashing work a single request can cause
+ * @type {number}
+ */
+const MAX_PASSWORD_LENGTH = 128;
+
+/**
+ * Bytes of the scrypt-derived password key
+ * @type {number}
+ */
+const KEY_LENGTH = 64;
+
+/**
+ * Bytes of the random salt hashed with each password
+ * @type {number}
+ */
+const SALT_LENGTH = 16;
+
+/**
+ * Creates an error that the error handler reports as 401 Unauthorized
+ * @param {string} message - Error message
+ * @returns {Error} Error with statusCode 401
+ */
+const unauthorized = (message) => {
+  const error = new Error(message);
+  error.statusCode = 401;
+  return error;
+};
+
+/**
+ * Reads the token signing secret, which every environment must configure
+ * @returns {string} JWT_SECRET
+ * @throws {Error} When JWT_SECRET is missing
+ */
+const getSecret = () => {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET must be set');
+  }
+  return process.env.JWT_SECRET;
+};
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+
+const sign = (data) => createHmac('sha256', getSecret()).update(data).digest('base64url');
+
+const hashToken = (token) => createHash('sha256').update(token).digest('hex');
+
+/**
+ * Compares two strings in constant time
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {boolean} True when both are equal
+ */
+const safeEqual = (a, b) => {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && timingSafeEqual(left, right);
+};
+
+/**
+ * Service class signing users in and verifying their tokens
+ * @class AuthService
+ */
+class AuthService {
+  /**
+   * Checks that tokens can be signed, so a missing JWT_SECRET stops the server at startup
+   * instead of failing the first sign-in
+   * @static
+   * @throws {Error} When JWT_SECRET is missing
+   */
+  static assertConfigured() {
+    getSecret();
+  }
+
+  /**
+   * Hashes a password with scrypt and a random salt
+   * @static
+   * @async
+   * @param {string} password - Plain-text password
+   * @returns {Promise<string>} Hash in the form scrypt$<salt>$<key>
+   */
+  static async hashPassword(password) {
+    const salt = randomBytes(SALT_LENGTH);
+    const key = await scryptAsync(password, salt, KEY_LENGTH);
+    return `scrypt$${salt.toString('base64url')}$${key.toString('base64url')}`;
+  }
+
+  /**
+   * Checks a password against a stored hash
+   * @static
+   * @async
+   * @param {string} password - Plain-text password
+   * @param {string|null} storedHash - Hash from hashPassword
+   * @returns {Promise<boolean>} True when the password matches
+   */
+  static async verifyPassword(password, storedHash) {
+    const [scheme, salt, key] = String(storedHash ?? '').split('$');
+    if (scheme !== 'scrypt' || !salt || !key) return false;
+
+    const expected = Buffer.from(key, 'base64url');
+    const actual = await scryptAsync(password, Buffer.from(salt, 'base64url'), expected.length);
+    return timingSafeEqual(actual, expected);
+  }
+
+  /**
+   * Signs a short-lived HS256 JSON Web Token identifying the user
+   * @static
+   * @param {Object} user - User document
+   * @param {number} [now=Date.now()] - Current time in milliseconds
+   * @returns {string} Access token
+   */
+  static signAccessToken(user, now = Date.now()) {
+    const issuedAt = Math.floor(now / 1000);
+    const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const payload = base64url(JSON.stringify({
+      sub: user._id.toString(),
+      email: user.email,
+      iat: issuedAt,
+      exp: issuedAt + ACCESS_TOKEN_TTL_SECONDS
+    }));
+    return `${header}.${payload}.${sign(`${header}.${payload}`)}`;
+  }
+
+  /**
+   * Verifies an access token's signature and expiry
+   * @static
+   * @param {string} token - Access token
+   * @param {number} [now=Date.now()] - Current time in milliseconds
+   * @returns {Object} Token claims (sub, email, iat, exp)
+   * @throws {Error} 401 when the token is malformed, tampered with or expired
+   */
+  static verifyAccessToken(token, now = Date.now()) {
+    const [header, payload, signature, ...rest] = String(token).split('.');
+    if (!header || !payload || !signature || rest.length > 0) {
+      throw unauthorized('Invalid access token');
+    }
+    if (!safeEqual(signature, sign(`${header}.${payload}`))) {
+      throw unauthorized('Invalid access token');
+    }
+
+    let claims;
+    try {
+      const { alg } = JSON.parse(Buffer.from(header, 'base64url').toString());
+      if (alg !== 'HS256') throw new Error(`Unsupported algorithm ${alg}`);
+      claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    } catch {
+      throw unauthorized('Invalid access token');
+    }
+
+    if (typeof claims.exp !== 'number' || claims.exp * 1000 <= now) {
+      throw unauthorized('Access token expired');
+    }
+    return claims;
+  }
+
+  /**
+   * Resolves an access token to the user it was issued to
+   * @static
+   * @async
+   * @param {string|undefined} token - Access token from a request or socket handshake
+   * @returns {Promise<Object>} User document
+   * @throws {Error} 401 when the token is missing or invalid, or the user no longer exists
+   */
+  static async authenticate(token) {
+    if (!token) throw unauthorized('Authentication required');
+
+    const { sub } = AuthService.verifyAccessToken(token);
+    const user = await User.findById(sub);
+    if (!user) throw unauthorized('User no longer exists');
+    return user;
+  }
+
+  /**
+   * Starts a session: signs an access token and stores a new refresh token
+   * @static
+   * @async
+   * @param {Object} user - User document
+   * @param {Object} [context={}] - Request details
+   * @param {string} [context.ipAddress] - Client IP address
+   * @param {string} [context.userAgent] - Client user agent
+   * @returns {Promise<Object>} User with accessToken, refreshToken, tokenType and expiresIn (seconds)
+   */
+  static async issueTokens(user, { ipAddress, userAgent } = {}) {
+    const refreshToken = randomBytes(32).toString('base64url');
+    await RefreshToken.create({
+      user: user._id,
+      tokenHash: hashToken(refreshToken),
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+      ipAddress,
+      userAgent
+    });
+
+    return {
+      user,
+      accessToken: AuthService.signAccessToken(user),
+      refreshToken,
+      tokenType: 'Bearer',
+      expiresIn: ACCESS_TOKEN_TTL_SECONDS
+    };
+  }
+
+  /**
+   * Signs a user in with their email and password
+   * @static
+   * @async
+   * @param {string} email - Email address (case-insensitive)
+   * @param {string} password - Plain-text password
+   * @param {Object} [context={}] - Request details passed to issueTokens
+   * @returns {Promise<Object>} Session tokens
+   * @throws {Error} 401 for an unknown email, a wrong password or a user without a password
+   */
+  static async login(email, password, context = {}) {
+    const user = await User.findOne({ email: String(email).trim().toLowerCase() }).select('+passwordHash');
+    if (!user || !(await AuthService.verifyPassword(password, user.passwordHash))) {
+      throw unauthorized('Invalid email or password');
+    }
+
+    return AuthService.issueTokens(user, context);
+  }
+
+  /**
+   * Exchanges a refresh token for new tokens. The old refresh token is consumed, so each
+   * one works once; a concurrent second use fails.
+   * @static
+   * @async
+   * @param {string} refreshToken - Refresh token from login or a previous refresh
+   * @param {Object} [context={}] - Request details passed to issueTokens
+   * @returns {Promise<Object>} New session tokens
+   * @throws {Error} 401 when the token is unknown, used or expired, or its user was deleted
+   */
+  static async refresh(refreshToken, context = {}) {
+    const session = await RefreshToken.findOneAndDelete({
+      tokenHash: hashToken(String(refreshToken)),
+      expiresAt: { $gt: new Date() }
+    });
+    if (!session) throw unauthorized('Invalid or expired refresh token');
+
+    const user = await User.findById(session.user);
+    if (!user) throw unauthorized('User no longer exists');
+
+    return AuthService.issueTokens(user, context);
+  }
+
+  /**
+   * Ends a session by revoking its refresh token; unknown tokens are ignored
+   * @static
+   * @async
+   * @param {string} refreshToken - Refresh token to revoke
+   * @returns {Promise<void>}
+   */
+  static async logout(refreshToken) {
+    await RefreshToken.deleteOne({ tokenHash: hashToken(String(refreshToken)) });
+  }
+
+  /**
+   * Revokes every session of a user, e.g. after a password change or deletion
+   * @static
+   * @async
+   * @param {string|ObjectId} userId - User ID
+   * @returns {Promise<number>} Number of revoked refresh tokens
+   */
+  static async revokeAll(userId) {
+    const { deletedCount } = await RefreshToken.deleteMany({ user: userId });
+    return deletedCount;
+  }
+}
+
+export {
+  ACCESS_TOKEN_TTL_SECONDS,
+  REFRESH_TOKEN_TTL_DAYS,
+  MIN_PASSWORD_LENGTH,
+  MAX_PASSWORD_LENGTH
+};
+export default AuthService;
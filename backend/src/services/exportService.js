@@ -0,0 +1,669 @@
+/**
+ * @fileoverview Export service for streaming filtered tasks as CSV, JSON or NDJSON
+ * @module services/ExportService
+ */
+
+import { createHash } from 'crypto';
+import { createWriteStream } from 'fs';
+import { access, mkdir, unlink } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { Readable, Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import Task from '../models/Task.js';
+import Export from '../models/Export.js';
+import Workspace from '../models/Workspace.js';
+import TaskQueryService from './taskQueryService.js';
+import { redisClient } from '../config/redis.js';
+
+/**
+ * Supported export formats with their response metadata
+ * @type {Object<string, {contentType: string, extension: string}>}
+ */
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+
+/**
+ * Task fields included in every export, in column order
+ * @type {Array<string>}
+ */
+const EXPORT_FIELDS = [
+  '_id',
+  'title',
+  'description',
+  'status',
+  'priority',
+  'createdAt',
+  'updatedAt',
+  'completedAt',
+  'dueDate',
+  'estimatedTime',
+  'actualTime',
+  'tags',
+  'assignee'
+];
+
+/**
+ * Number of documents fetched per cursor batch
+ * @type {number}
+ */
+const CURSOR_BATCH_SIZE = 500;
+
+/**
+ * Seconds a generated export payload stays in the Redis cache
+ * @type {number}
+ */
+const EXPORT_CACHE_TTL = 3600;
+
+/**
+ * Largest export payload (in bytes) that is cached; bigger exports are always streamed from MongoDB
+ * @type {number}
+ */
+const MAX_CACHED_EXPORT_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Builds the Redis key holding a workspace's current export cache generation
+ * @param {ObjectId|string} workspace - Workspace ID
+ * @returns {string} Redis key
+ */
+const generationKey = (workspace) => `export_cache_generation:${workspace}`;
+
+/**
+ * Directory where background export jobs write their files
+ * @type {string}
+ */
+const EXPORT_DIR = process.env.EXPORT_DIR || join(tmpdir(), 'task-exports');
+
+/**
+ * Milliseconds a background export file is kept before it is purged
+ * @type {number}
+ */
+const EXPORT_FILE_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Pass-through stream that keeps a copy of the export payload up to a size limit
+ * @class ExportPayloadCollector
+ * @extends Transform
+ * @private
+ */
+class ExportPayloadCollector extends Transform {
+  /**
+   * Creates a collector that gives up once the payload exceeds maxBytes
+   * @param {number} maxBytes - Maximum payload size to keep
+   */
+  constructor(maxBytes) {
+    super();
+    this.maxBytes = maxBytes;
+    this.size = 0;
+    this.chunks = [];
+    this.overflowed = false;
+  }
+
+  /**
+   * Copies the chunk (while under the limit) and passes it through unchanged
+   * @param {Buffer} chunk - Export chunk
+   * @param {string} _encoding - Unused encoding
+   * @param {Function} callback - Transform callback
+   */
+  _transform(chunk, _encoding, callback) {
+    if (!this.overflowed) {
+      this.size += chunk.length;
+
+      if (this.size > this.maxBytes) {
+        this.overflowed = true;
+        this.chunks = [];
+      } else {
+        this.chunks.push(chunk);
+      }
+    }
+
+    callback(null, chunk);
+  }
+
+  /**
+   * Collected payload, or null if the export was too large to keep
+   * @type {string|null}
+   */
+  get payload() {
+    return this.overflowed ? null : Buffer.concat(this.chunks).toString('utf8');
+  }
+}
+
+/**
+ * Transform stream converting task documents into serialized export chunks
+ * @class TaskExportFormatter
+ * @extends Transform
+ * @private
+ */
+class TaskExportFormatter extends Transform {
+  /**
+   * Creates a formatter for the given export format
+   * @param {string} format - Export format (csv, json, ndjson)
+   * @param {Function} [onProgress] - Called with the running row count after each task
+   */
+  constructor(format, onProgress) {
+    super({ writableObjectMode: true });
+    this.format = format;
+    this.rowCount = 0;
+    this.onProgress = onProgress;
+  }
+
+  /**
+   * Serializes a single task document
+   * @param {Object} task - Task document
+   * @param {string} _encoding - Unused encoding
+   * @param {Function} callback - Transform callback
+   */
+  _transform(task, _encoding, callback) {
+    const row = ExportService.serializeTask(task);
+    let chunk;
+
+    if (this.format === 'csv') {
+      const header = this.rowCount === 0 ? ExportService.toCsvRow(EXPORT_FIELDS) : '';
+      chunk = header + ExportService.toCsvRow(EXPORT_FIELDS.map(field => row[field]));
+    } else if (this.format === 'json') {
+      chunk = (this.rowCount === 0 ? '[\n' : ',\n') + JSON.stringify(row);
+    } else {
+      chunk = JSON.stringify(row) + '\n';
+    }
+
+    this.rowCount++;
+    if (this.onProgress) this.onProgress(this.rowCount);
+    callback(null, chunk);
+  }
+
+  /**
+   * Emits closing tokens once all tasks have been written
+   * @param {Function} callback - Flush callback
+   */
+  _flush(callback) {
+    if (this.format === 'csv' && this.rowCount === 0) {
+      return callback(null, ExportService.toCsvRow(EXPORT_FIELDS));
+    }
+
+    if (this.format === 'json') {
+      return callback(null, this.rowCount === 0 ? '[]\n' : '\n]\n');
+    }
+
+    callback();
+  }
+}
+
+/**
+ * Service class for exporting tasks without buffering the result set in memory
+ * @class ExportService
+ */
+class ExportService {
+  /**
+   * Checks whether an export format is supported
+   * @static
+   * @param {string} format - Requested export format
+   * @returns {boolean} True if the format can be exported
+   */
+  static isSupportedFormat(format) {
+    return Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, format);
+  }
+
+  /**
+   * Returns response metadata for an export format
+   * @static
+   * @param {string} format - Export format
+   * @returns {{contentType: string, extension: string}} Format metadata
+   */
+  static getFormat(format) {
+    return EXPORT_FORMATS[format];
+  }
+
+  /**
+   * Builds a download filename for an export
+   * @static
+   * @param {string} format - Export format
+   * @param {Date} [date=new Date()] - Export timestamp
+   * @returns {string} Filename such as tasks-2024-01-01T10-00-00.csv
+   */
+  static buildFilename(format, date = new Date()) {
+    const stamp = date.toISOString().replace(/\..+$/, '').replace(/:/g, '-');
+    return `tasks-${stamp}.${EXPORT_FORMATS[format].extension}`;
+  }
+
+  /**
+   * Converts a task document into a flat object of exportable values
+   * @static
+   * @param {Object} task - Task document (lean or hydrated)
+   * @returns {Object} Plain object keyed by export field
+   */
+  static serializeTask(task) {
+    const row = {};
+
+    EXPORT_FIELDS.forEach(field => {
+      const value = task[field];
+
+      if (value === undefined || value === null) {
+        row[field] = null;
+      } else if (value instanceof Date) {
+        row[field] = value.toISOString();
+      } else if (field === '_id' || field === 'assignee') {
+        row[field] = value.toString();
+      } else {
+        row[field] = value;
+      }
+    });
+
+    return row;
+  }
+
+  /**
+   * Escapes a single value for inclusion in a CSV row
+   * @static
+   * @param {*} value - Value to escape
+   * @returns {string} CSV-safe value
+   */
+  static toCsvValue(value) {
+    if (value === null || value === undefined) return '';
+
+    const text = String(value);
+    if (/[",\r\n]/.test(text)) {
+      return `"${text.replace(/"/g, '""')}"`;
+    }
+
+    return text;
+  }
+
+  /**
+   * Joins values into a CSV row terminated by CRLF
+   * @static
+   * @param {Array} values - Row values
+   * @returns {string} CSV row
+   */
+  static toCsvRow(values) {
+    return values.map(value => this.toCsvValue(value)).join(',') + '\r\n';
+  }
+
+  /**
+   * Creates a transform stream that serializes tasks into the given format
+   * @static
+   * @param {string} format - Export format (csv, json, ndjson)
+   * @param {Function} [onProgress] - Called with the running row count after each task
+   * @returns {Transform} Object-mode writable, string-readable transform
+   */
+  static createFormatter(format, onProgress) {
+    return new TaskExportFormatter(format, onProgress);
+  }
+
+  /**
+   * Opens a MongoDB cursor over the tasks matching the given filters
+   * @static
+   * @param {Object} [params={}] - Task query parameters (same as GET /tasks)
+   * @param {ObjectId|string} [workspace] - Workspace the tasks belong to
+   * @returns {import('mongoose').Cursor} Lean query cursor
+   */
+  static createCursor(params = {}, workspace) {
+    return Task.find(TaskQueryService.buildFilter(params, workspace))
+      .sort(TaskQueryService.buildSort(params))
+      .select(EXPORT_FIELDS.join(' '))
+      .lean()
+      .cursor({ batchSize: CURSOR_BATCH_SIZE });
+  }
+
+  /**
+   * Creates a pass-through stream that keeps a copy of the payload for caching
+   * @static
+   * @param {number} [maxBytes=MAX_CACHED_EXPORT_BYTES] - Largest payload to keep
+   * @returns {Transform} Collector exposing a payload property (null when too large)
+   */
+  static createCollector(maxBytes = MAX_CACHED_EXPORT_BYTES) {
+    return new ExportPayloadCollector(maxBytes);
+  }
+
+  /**
+   * Streams tasks matching the filters into a writable stream
+   * @static
+   * @async
+   * @param {Object} params - Task query parameters (same as GET /tasks)
+   * @param {string} format - Export format (csv, json, ndjson)
+   * @param {import('stream').Writable} output - Destination stream (e.g. Express response)
+   * @param {Object} [options={}] - Streaming options
+   * @param {Transform} [options.collector] - Collector from createCollector() to keep a copy of the payload
+   * @param {Function} [options.onProgress] - Called with the running row count after each task
+   * @param {ObjectId|string} [options.workspace] - Workspace the tasks belong to
+   * @returns {Promise<number>} Number of exported tasks
+   * @example
+   * const rowCount = await ExportService.streamTasks({ status: 'completed' }, 'csv', res, { workspace });
+   */
+  static async streamTasks(params, format, output, options = {}) {
+    const { collector, onProgress, workspace } = options;
+    const formatter = this.createFormatter(format, onProgress);
+    const stages = [this.createCursor(params, workspace), formatter];
+    if (collector) stages.push(collector);
+
+    await pipeline(...stages, output);
+
+    return formatter.rowCount;
+  }
+
+  /**
+   * Builds the Redis key for a cached export from its workspace, normalized filters and format
+   * @static
+   * @param {Object} filters - Task query parameters
+   * @param {string} format - Export format
+   * @param {string|number} [generation=0] - Current cache generation
+   * @param {ObjectId|string} [workspace] - Workspace the tasks belong to
+   * @returns {string} Cache key such as export:3:csv:5d41402abc4b2a76...
+   */
+  static buildCacheKey(filters, format, generation = 0, workspace = null) {
+    const normalized = JSON.stringify({
+      workspace: workspace ? String(workspace) : null,
+      filters: TaskQueryService.normalizeParams(filters)
+    });
+    const hash = createHash('sha1').update(normalized).digest('hex');
+
+    return `export:${generation}:${format}:${hash}`;
+  }
+
+  /**
+   * Resolves the cache key for an export under the workspace's current cache generation
+   * @static
+   * @async
+   * @param {Object} filters - Task query parameters
+   * @param {string} format - Export format
+   * @param {ObjectId|string} workspace - Workspace the tasks belong to
+   * @returns {Promise<string>} Cache key
+   */
+  static async getCacheKey(filters, format, workspace) {
+    const generation = await redisClient.get(generationKey(workspace));
+    return this.buildCacheKey(filters, format, generation || 0, workspace);
+  }
+
+  /**
+   * Reads a cached export payload
+   * @static
+   * @async
+   * @param {string} cacheKey - Key from getCacheKey()
+   * @returns {Promise<{rowCount: number, payload: string}|null>} Cached export or null on miss or error
+   */
+  static async getCachedExport(cacheKey) {
+    try {
+      const cached = await redisClient.get(cacheKey);
+      return cached ? JSON.parse(cached) : null;
+    } catch (error) {
+      console.error('Error reading export cache:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Stores a generated export payload in Redis
+   * @static
+   * @async
+   * @param {string} cacheKey - Key from getCacheKey()
+   * @param {number} rowCount - Number of exported tasks
+   * @param {string} payload - Serialized export
+   * @returns {Promise<void>}
+   */
+  static async cacheExport(cacheKey, rowCount, payload) {
+    try {
+      await redisClient.setex(cacheKey, EXPORT_CACHE_TTL, JSON.stringify({ rowCount, payload }));
+    } catch (error) {
+      console.error('Error writing export cache:', error);
+    }
+  }
+
+  /**
+   * Invalidates the cached exports of a workspace by moving it to a new cache generation
+   * @static
+   * @async
+   * @param {ObjectId|string} [workspace] - Workspace whose tasks changed; every workspace when omitted
+   * @returns {Promise<void>}
+   * @description Exports still streaming when the generation changes are cached under the old
+   * generation, so they can never be served after a task change. Old keys expire via their TTL.
+   */
+  static async invalidateCache(workspace) {
+    try {
+      const workspaces = workspace ? [workspace] : await Workspace.distinct('_id');
+      await Promise.all(workspaces.map(id => redisClient.incr(generationKey(id))));
+    } catch (error) {
+      console.error('Error invalidating export cache:', error);
+    }
+  }
+
+  /**
+   * Writes an export, serving it from the Redis cache when an identical export is cached
+   * @static
+   * @async
+   * @param {Object} filters - Task query parameters
+   * @param {string} format - Export format
+   * @param {import('stream').Writable} output - Destination stream
+   * @param {Object} [options={}] - Export options
+   * @param {Function} [options.onProgress] - Called with the running row count while streaming
+   * @param {ObjectId|string} [options.workspace] - Workspace the tasks belong to
+   * @returns {Promise<{rowCount: number, cacheHit: boolean}>} Export outcome
+   */
+  static async writeExport(filters, format, output, options = {}) {
+    const { onProgress, workspace } = options;
+    const cacheKey = await this.getCacheKey(filters, format, workspace).catch(error => {
+      console.error('Error resolving export cache key:', error);
+      return null;
+    });
+    const cached = cacheKey ? await this.getCachedExport(cacheKey) : null;
+
+    if (cached) {
+      await pipeline(Readable.from([cached.payload]), output);
+      return { rowCount: cached.rowCount, cacheHit: true };
+    }
+
+    const collector = cacheKey ? this.createCollector() : null;
+    const rowCount = await this.streamTasks(filters, format, output, { collector, onProgress, workspace });
+
+    if (collector && collector.payload !== null) {
+      await this.cacheExport(cacheKey, rowCount, collector.payload);
+    }
+
+    return { rowCount, cacheHit: false };
+  }
+
+  /**
+   * Runs an export and records it in the export history
+   * @static
+   * @async
+   * @param {Object} options - Export options
+   * @param {Object} [options.filters={}] - Task query parameters (same as GET /tasks)
+   * @param {string} options.format - Export format (csv, json, ndjson)
+   * @param {ObjectId|string} [options.workspace] - Workspace whose tasks are exported
+   * @param {string} [options.requestedBy] - Who ran the export
+   * @param {string} [options.ipAddress] - Client IP address
+   * @param {string} [options.userAgent] - Client user agent
+   * @param {string} [options.rerunOf=null] - ID of the export being re-run
+   * @param {import('stream').Writable} output - Destination stream
+   * @returns {Promise<Export>} Completed export record
+   * @throws {Error} Rethrows streaming errors after marking the record as failed
+   */
+  static async runExport(options, output) {
+    const { filters = {}, format, workspace, requestedBy, ipAddress, userAgent, rerunOf = null } = options;
+
+    const record = await Export.create({
+      format,
+      workspace,
+      filters: TaskQueryService.normalizeParams(filters),
+      requestedBy,
+      ipAddress,
+      userAgent,
+      rerunOf
+    });
+
+    try {
+      const { rowCount, cacheHit } = await this.writeExport(record.filters, format, output, { workspace });
+      record.cacheHit = cacheHit;
+      await record.markCompleted(rowCount);
+    } catch (error) {
+      await record.markFailed(error).catch(saveError => {
+        console.error('Error recording failed export:', saveError);
+      });
+      throw error;
+    }
+
+    return record;
+  }
+
+  /**
+   * Records a queued background export job
+   * @static
+   * @async
+   * @param {Object} options - Export options (same as runExport, without rerunOf)
+   * @returns {Promise<Export>} Queued export record
+   */
+  static async createJob(options) {
+    const { filters = {}, format, workspace, requestedBy, ipAddress, userAgent } = options;
+
+    return Export.create({
+      format,
+      workspace,
+      filters: TaskQueryService.normalizeParams(filters),
+      status: 'queued',
+      requestedBy,
+      ipAddress,
+      userAgent
+    });
+  }
+
+  /**
+   * Builds a progress payload for an export job
+   * @static
+   * @param {Export} record - Export record
+   * @param {number} processed - Number of tasks written so far
+   * @returns {{exportId: string, processed: number, total: number, percent: number}} Progress payload
+   */
+  static describeProgress(record, processed) {
+    const total = record.total || 0;
+    const percent = total > 0 ? Math.min(100, Math.floor((processed / total) * 100)) : 100;
+
+    return {
+      exportId: record._id.toString(),
+      processed,
+      total,
+      percent
+    };
+  }
+
+  /**
+   * Resolves the path of an export job file
+   * @static
+   * @param {Export} record - Export record with a fileName
+   * @returns {string} Absolute file path
+   */
+  static getFilePath(record) {
+    return join(EXPORT_DIR, record.fileName);
+  }
+
+  /**
+   * Returns the path of a finished export job file if it is still on disk
+   * @static
+   * @async
+   * @param {Export} record - Export record
+   * @returns {Promise<string|null>} File path, or null if the job has no downloadable file
+   */
+  static async getJobFile(record) {
+    if (record.status !== 'completed' || !record.fileName) return null;
+
+    const filePath = this.getFilePath(record);
+    try {
+      await access(filePath);
+      return filePath;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Runs a queued export job in the background, writing the result to a file
+   * @static
+   * @async
+   * @param {Export} record - Queued export record from createJob()
+   * @param {Object} [handlers={}] - Job lifecycle callbacks
+   * @param {Function} [handlers.onProgress] - Called with a progress payload whenever the percentage grows
+   * @param {Function} [handlers.onComplete] - Called with the completed record
+   * @param {Function} [handlers.onFailed] - Called with the failed record and the error
+   * @returns {Promise<Export>} Finished export record (never rejects)
+   * @example
+   * ExportService.runJob(record, { onProgress: (progress) => console.log(progress.percent) });
+   */
+  static async runJob(record, handlers = {}) {
+    const { onProgress = () => {}, onComplete = () => {}, onFailed = () => {} } = handlers;
+    const fileName = `${record._id}.${EXPORT_FORMATS[record.format].extension}`;
+
+    try {
+      await mkdir(EXPORT_DIR, { recursive: true });
+
+      record.status = 'running';
+      record.total = await Task.countDocuments(TaskQueryService.buildFilter(record.filters, record.workspace));
+      await record.save();
+      onProgress(this.describeProgress(record, 0));
+
+      let lastPercent = 0;
+      const { rowCount, cacheHit } = await this.writeExport(
+        record.filters,
+        record.format,
+        createWriteStream(join(EXPORT_DIR, fileName)),
+        {
+          workspace: record.workspace,
+          onProgress: (processed) => {
+            const progress = this.describeProgress(record, processed);
+            if (progress.percent > lastPercent) {
+              lastPercent = progress.percent;
+              onProgress(progress);
+            }
+          }
+        }
+      );
+
+      record.fileName = fileName;
+      record.cacheHit = cacheHit;
+      await record.markCompleted(rowCount);
+      onComplete(record);
+    } catch (error) {
+      console.error(`Export job ${record._id} failed:`, error);
+      await record.markFailed(error).catch(saveError => {
+        console.error('Error recording failed export:', saveError);
+      });
+      onFailed(record, error);
+    }
+
+    return record;
+  }
+
+  /**
+   * Deletes export job files older than the retention period
+   * @static
+   * @async
+   * @param {number} [maxAgeMs=EXPORT_FILE_TTL_MS] - Retention period in milliseconds
+   * @returns {Promise<number>} Number of purged files
+   */
+  static async purgeExpiredFiles(maxAgeMs = EXPORT_FILE_TTL_MS) {
+    const cutoff = new Date(Date.now() - maxAgeMs);
+    const expired = await Export.find({
+      fileName: { $ne: null },
+      completedAt: { $lt: cutoff }
+    });
+
+    for (const record of expired) {
+      try {
+        await unlink(this.getFilePath(record));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.error(`Error deleting export file for ${record._id}:`, error);
+          continue;
+        }
+      }
+
+      record.fileName = null;
+      await record.save();
+    }
+
+    return expired.length;
+  }
+}
+
+export { EXPORT_FORMATS, EXPORT_FIELDS, EXPORT_CACHE_TTL, EXPORT_DIR };
+export default ExportService;
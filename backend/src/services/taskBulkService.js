@@ -0,0 +1,166 @@
+/**
+ * @fileoverview Bulk task updates and deletes applied with a single write
+ * @module services/TaskBulkService
+ */
+
+import Task from '../models/Task.js';
+import TaskQueryService from './taskQueryService.js';
+
+/**
+ * Supported bulk actions
+ * @type {Array<string>}
+ */
+const BULK_ACTIONS = ['update', 'delete'];
+
+/**
+ * Task fields a bulk update may change
+ * @type {Array<string>}
+ */
+const BULK_UPDATE_FIELDS = ['status', 'priority'];
+
+/**
+ * Largest number of tasks a single bulk request may touch
+ * @type {number}
+ */
+const MAX_BULK_TASKS = 500;
+
+/**
+ * Update pipeline expression incrementing a task's version, treating a missing one as 0
+ * @type {Object}
+ */
+const NEXT_VERSION = { $add: [{ $ifNull: ['$__v', 0] }, 1] };
+
+/**
+ * Creates an error that the error handler reports as 400 Bad Request
+ * @param {string} message - Error message
+ * @returns {Error} Error with statusCode 400
+ */
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Service class selecting tasks by id or filter and changing them in one operation
+ * @class TaskBulkService
+ */
+class TaskBulkService {
+  /**
+   * Builds the MongoDB filter selecting the tasks of a bulk request
+   * @static
+   * @param {Object} request - Bulk request body
+   * @param {Array<string>} [request.ids] - Task IDs
+   * @param {Object} [request.filters] - GET /tasks filters, used when no IDs are given
+   * @param {ObjectId|string} [workspace] - Workspace the tasks must belong to
+   * @returns {Object} MongoDB filter; tasks in the trash or other workspaces are never selected
+   * @throws {Error} 400 when neither or both of ids and filters are given
+   * @example
+   * TaskBulkService.buildSelector({ ids: ['507f1f77bcf86cd799439011'] });
+   * // { _id: { $in: ['507f1f77bcf86cd799439011'] }, deletedAt: null }
+   */
+  static buildSelector({ ids, filters } = {}, workspace) {
+    const hasIds = Array.isArray(ids) && ids.length > 0;
+    const hasFilters = filters !== undefined && filters !== null;
+
+    if (hasIds === hasFilters) {
+      throw badRequest('Provide either ids or filters');
+    }
+
+    return hasIds
+      ? TaskQueryService.inWorkspace(TaskQueryService.excludeDeleted({ _id: { $in: ids } }), workspace)
+      : TaskQueryService.buildFilter(filters, workspace);
+  }
+
+  /**
+   * Builds an update pipeline for the requested field changes. Status changes keep
+   * completedAt consistent, as the Task pre-save hook does for single saves, and every
+   * task's version is incremented so stale If-Match preconditions fail.
+   * @static
+   * @param {Object} updates - Field changes
+   * @param {Date} [now=new Date()] - Time recorded as updatedAt and completedAt
+   * @returns {Array<Object>} Aggregation pipeline for updateMany
+   * @throws {Error} 400 when no supported field is changed
+   * @example
+   * TaskBulkService.buildUpdate({ status: 'completed' });
+   * // [{ $set: { status: 'completed', updatedAt: <now>, __v: <version + 1>, completedAt: { $ifNull: ['$completedAt', <now>] } } }]
+   */
+  static buildUpdate(updates = {}, now = new Date()) {
+    const set = {};
+
+    BULK_UPDATE_FIELDS.forEach(field => {
+      if (updates[field] !== undefined) set[field] = updates[field];
+    });
+
+    if (Object.keys(set).length === 0) {
+      throw badRequest(`updates must change at least one of: ${BULK_UPDATE_FIELDS.join(', ')}`);
+    }
+
+    set.updatedAt = now;
+    set.__v = NEXT_VERSION;
+    if (set.status === 'completed') {
+      set.completedAt = { $ifNull: ['$completedAt', now] };
+    } else if (set.status) {
+      set.completedAt = null;
+    }
+
+    return [{ $set: set }];
+  }
+
+  /**
+   * Builds the update pipeline moving tasks to the trash and incrementing their versions
+   * @static
+   * @param {Date} [now=new Date()] - Time recorded as deletedAt
+   * @returns {Array<Object>} Aggregation pipeline for updateMany
+   */
+  static buildDelete(now = new Date()) {
+    return [{ $set: { deletedAt: now, __v: NEXT_VERSION } }];
+  }
+
+  /**
+   * Applies a bulk update or delete to the selected tasks with a single write. Deleted
+   * tasks are moved to the trash rather than removed.
+   * @static
+   * @async
+   * @param {Object} request - Validated POST /tasks/bulk body
+   * @param {string} request.action - 'update' or 'delete'
+   * @param {Array<string>} [request.ids] - Task IDs
+   * @param {Object} [request.filters] - GET /tasks filters
+   * @param {Object} [request.updates] - Field changes for 'update'
+   * @param {Object} [options={}] - Execution options
+   * @param {ObjectId|string} [options.workspace] - Workspace the selected tasks must belong to
+   * @returns {Promise<{action: string, ids: Array<string>, tasks: Array<Object>, previous: Array<Object>}>}
+   * Affected task IDs; tasks holds the updated documents, or the removed ones for 'delete', and
+   * previous holds the documents as they were before the write
+   * @throws {Error} 400 when the selection matches more than MAX_BULK_TASKS tasks
+   */
+  static async execute({ action, ids, filters, updates }, { workspace } = {}) {
+    const selector = TaskBulkService.buildSelector({ ids, filters }, workspace);
+    const update = action === 'update' ? TaskBulkService.buildUpdate(updates) : null;
+
+    const matched = await Task.find(selector).limit(MAX_BULK_TASKS + 1);
+    if (matched.length > MAX_BULK_TASKS) {
+      throw badRequest(`Bulk operations are limited to ${MAX_BULK_TASKS} tasks; narrow the filters`);
+    }
+
+    const matchedIds = matched.map(task => task._id);
+    if (matchedIds.length === 0) {
+      return { action, ids: [], tasks: [], previous: [] };
+    }
+
+    const byId = { _id: { $in: matchedIds } };
+
+    if (action === 'delete') {
+      await Task.updateMany(byId, TaskBulkService.buildDelete());
+      return { action, ids: matchedIds.map(String), tasks: matched, previous: matched };
+    }
+
+    await Task.updateMany(byId, update);
+    const tasks = await Task.find(byId);
+
+    return { action, ids: matchedIds.map(String), tasks, previous: matched };
+  }
+}
+
+export { BULK_ACTIONS, BULK_UPDATE_FIELDS, MAX_BULK_TASKS };
+export default TaskBulkService;
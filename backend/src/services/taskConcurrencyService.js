@@ -0,0 +1,211 @@
+/**
+ * @fileoverview Optimistic concurrency control for single-task writes using ETags and versions
+ * @module services/TaskConcurrencyService
+ */
+
+import Task from '../models/Task.js';
+import TaskQueryService from './taskQueryService.js';
+
+/**
+ * Times an update is retried when another write lands between reading and updating a task
+ * @type {number}
+ */
+const MAX_UPDATE_ATTEMPTS = 3;
+
+/**
+ * Creates an error reporting that a task changed since the client read it. The error handler
+ * returns the current server copy as data so the client can merge its edits.
+ * @param {number} statusCode - 412 for a failed If-Match header, 409 for a stale body version
+ * @param {Object} current - Current task document
+ * @returns {Error} Error with statusCode and data
+ */
+const versionConflict = (statusCode, current) => {
+  const error = new Error('Task was modified by someone else; reload it and reapply your changes');
+  error.statusCode = statusCode;
+  error.data = current;
+  return error;
+};
+
+/**
+ * Service class deriving ETags from task versions and applying conditional updates and deletes
+ * @class TaskConcurrencyService
+ */
+class TaskConcurrencyService {
+  /**
+   * Builds the strong ETag of a task from its version
+   * @static
+   * @param {Object} task - Task document or its serialized form
+   * @returns {string} Quoted entity tag
+   * @example
+   * TaskConcurrencyService.etag({ version: 3 }); // '"3"'
+   */
+  static etag(task) {
+    const version = task.__v ?? task.version ?? 0;
+    return `"${version}"`;
+  }
+
+  /**
+   * Parses an If-Match header into the task versions it accepts. Weak tags never match,
+   * as If-Match requires strong comparison.
+   * @static
+   * @param {string} [header] - If-Match header value
+   * @returns {Array<number>|string|null} '*' for any version, the listed versions, or null when absent
+   * @example
+   * TaskConcurrencyService.parseIfMatch('"3", W/"4"'); // [3]
+   */
+  static parseIfMatch(header) {
+    if (header === undefined || header.trim() === '') return null;
+    if (header.trim() === '*') return '*';
+
+    return header.split(',')
+      .map(tag => tag.trim().match(/^"(\d+)"$/))
+      .filter(Boolean)
+      .map(match => Number(match[1]));
+  }
+
+  /**
+   * Reads the write precondition of a request: the If-Match header, or else a version in the body
+   * @static
+   * @param {Object} req - Express request object
+   * @returns {{versions: Array<number>|string, statusCode: number}|null} Accepted versions and the
+   * status returned when they do not match, or null for an unconditional write
+   */
+  static getPrecondition(req) {
+    const versions = TaskConcurrencyService.parseIfMatch(req.get('If-Match'));
+    if (versions !== null) {
+      return { versions, statusCode: 412 };
+    }
+
+    const version = req.body?.version;
+    if (version !== undefined && version !== null) {
+      return { versions: [version], statusCode: 409 };
+    }
+
+    return null;
+  }
+
+  /**
+   * Tells whether a precondition accepts a task version
+   * @static
+   * @param {Object|null} precondition - Result of getPrecondition
+   * @param {number} version - Current task version
+   * @returns {boolean} True when there is no precondition or it lists the version
+   */
+  static accepts(precondition, version) {
+    return !precondition || precondition.versions === '*' || precondition.versions.includes(version);
+  }
+
+  /**
+   * Builds the MongoDB filter matching a task outside the trash, and only at an accepted version
+   * @static
+   * @param {string} id - Task ID
+   * @param {Object|null} precondition - Result of getPrecondition
+   * @param {ObjectId|string} [workspace] - Workspace the task must belong to
+   * @returns {Object} MongoDB filter
+   */
+  static buildFilter(id, precondition, workspace) {
+    const filter = TaskQueryService.inWorkspace(TaskQueryService.excludeDeleted({ _id: id }), workspace);
+    if (precondition && precondition.versions !== '*') {
+      filter.__v = { $in: precondition.versions };
+    }
+    return filter;
+  }
+
+  /**
+   * Updates a task and increments its version. The task is read first and only updated
+   * if it is still at that version, so the returned previous state is exactly the one
+   * replaced; a concurrent write in between re-checks the precondition and retries.
+   * A status change sets or clears completedAt, as the Task pre-save hook does for saves.
+   * @static
+   * @async
+   * @param {string} id - Task ID
+   * @param {Object} updates - Validated field changes; a body version is ignored
+   * @param {Object|null} precondition - Result of getPrecondition
+   * @param {Object} [options={}] - Update options
+   * @param {Function} [options.authorize] - Called with the current task before writing; throws to refuse the update
+   * @param {ObjectId|string} [options.workspace] - Workspace the task must belong to
+   * @returns {Promise<{before: Object, task: Object}|null>} Task before and after the update,
+   * or null when it does not exist, is in the trash or belongs to another workspace
+   * @throws {Error} 412 or 409 with the current task when the version does not match, or
+   * 409 when the task keeps changing underneath the update
+   */
+  static async updateTask(id, updates, precondition, { authorize, workspace } = {}) {
+    const changes = { ...updates };
+    delete changes.version;
+
+    for (let attempt = 0; attempt < MAX_UPDATE_ATTEMPTS; attempt++) {
+      const before = await Task.findOne(TaskConcurrencyService.buildFilter(id, null, workspace));
+      if (!before) return null;
+      if (authorize) authorize(before);
+
+      if (!TaskConcurrencyService.accepts(precondition, before.__v)) {
+        throw versionConflict(precondition.statusCode, before);
+      }
+
+      // findOneAndUpdate skips the pre-save hook, so completedAt follows status here,
+      // as it does for bulk updates
+      const now = new Date();
+      const set = { ...changes, updatedAt: now };
+      if (changes.status === 'completed') {
+        set.completedAt = before.completedAt ?? now;
+      } else if (changes.status) {
+        set.completedAt = null;
+      }
+
+      // A delete in between also increments the version, so it makes this write miss too
+      const task = await Task.findOneAndUpdate(
+        { _id: id, __v: before.__v },
+        { ...set, $inc: { __v: 1 } },
+        { new: true, runValidators: true }
+      );
+
+      if (task) return { before, task };
+    }
+
+    const error = new Error('Task is being changed by others; retry the update');
+    error.statusCode = 409;
+    throw error;
+  }
+
+  /**
+   * Moves a task to the trash, atomically checking the precondition. The task keeps its
+   * data until it is restored or purged; its version is incremented like any other write.
+   * @static
+   * @async
+   * @param {string} id - Task ID
+   * @param {Object|null} precondition - Result of getPrecondition
+   * @param {Object} [options={}] - Delete options
+   * @param {ObjectId|string} [options.workspace] - Workspace the task must belong to
+   * @returns {Promise<Object|null>} Deleted task, or null when it does not exist, is already in
+   * the trash or belongs to another workspace
+   * @throws {Error} 412 or 409 with the current task when the version does not match
+   */
+  static async deleteTask(id, precondition, { workspace } = {}) {
+    const task = await Task.findOneAndUpdate(
+      TaskConcurrencyService.buildFilter(id, precondition, workspace),
+      { deletedAt: new Date(), $inc: { __v: 1 } },
+      { new: true }
+    );
+
+    if (task || !precondition) return task;
+    return TaskConcurrencyService.rejectStale(id, precondition, workspace);
+  }
+
+  /**
+   * Tells a missing task apart from a version mismatch after a conditional write matched nothing
+   * @static
+   * @async
+   * @param {string} id - Task ID
+   * @param {Object} precondition - Result of getPrecondition
+   * @param {ObjectId|string} [workspace] - Workspace the task must belong to
+   * @returns {Promise<null>} null when the task does not exist
+   * @throws {Error} 412 or 409 with the current task when it exists at another version
+   */
+  static async rejectStale(id, precondition, workspace) {
+    const current = await Task.findOne(TaskConcurrencyService.buildFilter(id, null, workspace));
+    if (!current) return null;
+    throw versionConflict(precondition.statusCode, current);
+  }
+}
+
+export default TaskConcurrencyService;
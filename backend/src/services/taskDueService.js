@@ -0,0 +1,96 @@
+/**
+ * @fileoverview Due date tracking: overdue and due-soon counts and SLA breach detection
+ * @module services/TaskDueService
+ */
+
+import Task from '../models/Task.js';
+import TaskQueryService, { OPEN_STATUSES } from './taskQueryService.js';
+import { redisClient } from '../config/redis.js';
+
+/**
+ * Milliseconds between two scheduler checks for tasks that crossed their due date
+ * @type {number}
+ */
+const DUE_CHECK_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Redis key holding the time of the last completed due date check, so a restart neither
+ * skips the tasks that fell due while the server was down nor warns about them twice
+ * @type {string}
+ */
+const DUE_CHECK_KEY = 'due_check:last';
+
+/**
+ * Service class for querying tasks by their due date
+ * @class TaskDueService
+ */
+class TaskDueService {
+  /**
+   * Counts open tasks of a workspace that are overdue or due soon; tasks in the trash are not counted
+   * @static
+   * @async
+   * @param {ObjectId|string} workspace - Workspace ID
+   * @param {Date} [now=new Date()] - Reference time
+   * @returns {Promise<{overdue: number, dueSoon: number}>} Task counts
+   */
+  static async getDueCounts(workspace, now = new Date()) {
+    const count = (due) => Task.countDocuments(TaskQueryService.inWorkspace(
+      TaskQueryService.excludeDeleted(TaskQueryService.buildDueFilter(due, now)),
+      workspace
+    ));
+    const [overdue, dueSoon] = await Promise.all([count('overdue'), count('due-soon')]);
+
+    return { overdue, dueSoon };
+  }
+
+  /**
+   * Finds open tasks whose due date passed within a time window, i.e. that became
+   * overdue since the previous check
+   * @static
+   * @async
+   * @param {Date} since - Start of the window (inclusive), usually the previous check
+   * @param {Date} [now=new Date()] - End of the window (exclusive)
+   * @returns {Promise<Array<Task>>} Newly overdue tasks, earliest due date first
+   */
+  static async findNewlyOverdue(since, now = new Date()) {
+    return await Task.find(TaskQueryService.excludeDeleted({
+      status: { $in: OPEN_STATUSES },
+      dueDate: { $gte: since, $lt: now }
+    })).sort({ dueDate: 1 });
+  }
+
+  /**
+   * Reads the time of the last completed due date check
+   * @static
+   * @async
+   * @param {Date} [fallback=new Date()] - Time used when no check was recorded or Redis is unavailable
+   * @returns {Promise<Date>} Start of the next check's window
+   */
+  static async getLastCheck(fallback = new Date()) {
+    try {
+      const stored = await redisClient.get(DUE_CHECK_KEY);
+      return stored ? new Date(stored) : fallback;
+    } catch (error) {
+      console.error('Error reading the last due date check:', error);
+      return fallback;
+    }
+  }
+
+  /**
+   * Records the time of a completed due date check
+   * @static
+   * @async
+   * @param {Date} checkedAt - End of the checked window
+   * @returns {Promise<void>}
+   */
+  static async saveLastCheck(checkedAt) {
+    try {
+      await redisClient.set(DUE_CHECK_KEY, checkedAt.toISOString());
+    } catch (error) {
+      console.error('Error saving the last due date check:', error);
+    }
+  }
+}
+
+export { DUE_CHECK_INTERVAL_MS, DUE_CHECK_KEY };
+export default TaskDueService;
@@ -0,0 +1,173 @@
+/**
+ * @fileoverview Task change history: field-level diffs recorded for every task write
+ * @module services/TaskHistoryService
+ */
+
+import mongoose from 'mongoose';
+import TaskHistory from '../models/TaskHistory.js';
+
+/**
+ * Task fields compared and recorded in the history
+ * @type {Array<string>}
+ */
+const TRACKED_FIELDS = [
+  'title',
+  'description',
+  'status',
+  'priority',
+  'estimatedTime',
+  'actualTime',
+  'dueDate',
+  'tags',
+  'assignee',
+  'completedAt'
+];
+
+/**
+ * Number of entries shown in the dashboard activity feed
+ * @type {number}
+ */
+const RECENT_ACTIVITY_LIMIT = 10;
+
+/**
+ * Brings a field value into the form stored in the history: empty values and lists become
+ * null, dates become ISO strings, IDs strings and lists plain arrays, so values compare and serialize consistently
+ * @param {*} value - Field value
+ * @returns {*} Normalized value
+ */
+const normalize = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (Array.isArray(value)) return value.length > 0 ? [...value] : null;
+  return value;
+};
+
+/**
+ * Service class recording and reading the task audit log
+ * @class TaskHistoryService
+ */
+class TaskHistoryService {
+  /**
+   * Lists the tracked fields whose values differ between two versions of a task
+   * @static
+   * @param {Object|null} before - Task before the change; null for creates
+   * @param {Object|null} after - Task after the change; null for deletes
+   * @returns {Array<{field: string, before: *, after: *}>} Changed fields
+   * @example
+   * TaskHistoryService.diff({ priority: 'low' }, { priority: 'high' });
+   * // [{ field: 'priority', before: 'low', after: 'high' }]
+   */
+  static diff(before, after) {
+    return TRACKED_FIELDS
+      .map(field => ({
+        field,
+        before: normalize(before?.[field]),
+        after: normalize(after?.[field])
+      }))
+      .filter(change => JSON.stringify(change.before) !== JSON.stringify(change.after));
+  }
+
+  /**
+   * Builds a history entry for one task write
+   * @static
+   * @param {string} action - 'created', 'updated', 'deleted', 'restored', or 'purged'
+   * @param {{before: Object|null, after: Object|null}} versions - Task before and after the write
+   * @param {Object} [context={}] - Request details
+   * @param {string} [context.source='single'] - 'single', 'bulk', 'import', or 'retention'
+   * @param {string} [context.changedBy] - Who made the change
+   * @param {string} [context.ipAddress] - Client IP address
+   * @param {string} [context.userAgent] - Client user agent
+   * @returns {Object|null} TaskHistory data, or null for an update that changed no tracked field
+   */
+  static buildEntry(action, { before = null, after = null }, context = {}) {
+    const changes = TaskHistoryService.diff(before, after);
+    if (action === 'updated' && changes.length === 0) return null;
+
+    const task = after || before;
+    return {
+      taskId: task._id,
+      workspace: task.workspace ?? null,
+      action,
+      source: context.source || 'single',
+      taskTitle: task.title,
+      changes,
+      changedBy: context.changedBy,
+      ipAddress: context.ipAddress,
+      userAgent: context.userAgent
+    };
+  }
+
+  /**
+   * Records the history of one or more task writes. A failure is logged rather than thrown,
+   * as the writes themselves have already succeeded.
+   * @static
+   * @async
+   * @param {string} action - 'created', 'updated', 'deleted', 'restored', or 'purged'
+   * @param {Array<{before: Object|null, after: Object|null}>} writes - Task versions per write
+   * @param {Object} [context={}] - Request details (see buildEntry)
+   * @returns {Promise<number>} Number of recorded entries
+   * @example
+   * await TaskHistoryService.record('updated', [{ before, after: task }], { ipAddress: req.ip });
+   */
+  static async record(action, writes, context = {}) {
+    const entries = writes
+      .map(versions => TaskHistoryService.buildEntry(action, versions, context))
+      .filter(Boolean);
+
+    if (entries.length === 0) return 0;
+
+    try {
+      await TaskHistory.insertMany(entries);
+      return entries.length;
+    } catch (error) {
+      console.error('Error recording task history:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Retrieves a task's history, newest first
+   * @static
+   * @async
+   * @param {string} taskId - Task ID
+   * @param {Object} [options={}] - Paging options
+   * @param {number} [options.page=1] - Page number
+   * @param {number} [options.limit=10] - Entries per page
+   * @param {ObjectId|string} [options.workspace] - Workspace the task belongs to
+   * @returns {Promise<{entries: Array<Object>, pagination: Object}>} Entries and page metadata
+   */
+  static async getHistory(taskId, { page = 1, limit = 10, workspace } = {}) {
+    const filter = workspace ? { taskId, workspace } : { taskId };
+
+    const [entries, total] = await Promise.all([
+      TaskHistory.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      TaskHistory.countDocuments(filter)
+    ]);
+
+    return {
+      entries,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+  }
+
+  /**
+   * Retrieves the latest changes to a workspace's tasks for the activity feed
+   * @static
+   * @async
+   * @param {ObjectId|string} workspace - Workspace ID
+   * @param {number} [limit=RECENT_ACTIVITY_LIMIT] - Number of entries
+   * @returns {Promise<Array<Object>>} History entries, newest first
+   */
+  static async getRecent(workspace, limit = RECENT_ACTIVITY_LIMIT) {
+    return TaskHistory.find({ workspace })
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit);
+  }
+}
+
+export { TRACKED_FIELDS };
+export default TaskHistoryService;
@@ -0,0 +1,342 @@
+/**
+ * @fileoverview Task import from CSV or JSON files with per-row validation
+ * @module services/TaskImportService
+ */
+
+import Task from '../models/Task.js';
+
+/**
+ * Supported import formats
+ * @type {Array<string>}
+ */
+const IMPORT_FORMATS = ['csv', 'json'];
+
+/**
+ * Task fields that can be imported, with alternative column names recognised when
+ * suggesting a mapping (compared case-insensitively, ignoring spaces and punctuation)
+ * @type {Object<string, Array<string>>}
+ */
+const IMPORT_FIELDS = {
+  title: ['name', 'summary', 'task'],
+  description: ['details', 'notes'],
+  status: ['state'],
+  priority: [],
+  estimatedTime: ['estimate', 'estimatedhours'],
+  actualTime: ['actual', 'actualhours', 'timespent'],
+  createdAt: ['created', 'createddate'],
+  dueDate: ['due', 'deadline'],
+  tags: ['tag', 'labels', 'category'],
+  completedAt: ['completed', 'completeddate']
+};
+
+/**
+ * Largest number of rows accepted in one import
+ * @type {number}
+ */
+const MAX_IMPORT_ROWS = 10000;
+
+/**
+ * Number of tasks written per insertMany call
+ * @type {number}
+ */
+const INSERT_BATCH_SIZE = 500;
+
+/**
+ * Number of mapped rows returned as a preview
+ * @type {number}
+ */
+const PREVIEW_ROWS = 10;
+
+const NUMBER_FIELDS = ['estimatedTime', 'actualTime'];
+const ENUM_FIELDS = ['status', 'priority'];
+
+/**
+ * Creates an error that the error handler reports as 400 Bad Request
+ * @param {string} message - Error message
+ * @returns {Error} Error with statusCode 400
+ */
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Reduces a column or field name to lowercase letters and digits for matching
+ * @param {string} name - Column or field name
+ * @returns {string} Normalized name
+ */
+const normalizeName = (name) => String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Service class turning uploaded files into validated task documents
+ * @class TaskImportService
+ */
+class TaskImportService {
+  /**
+   * Parses CSV text (RFC 4180: quoted fields, doubled quotes, line breaks inside quotes)
+   * @static
+   * @param {string} text - CSV content
+   * @returns {Array<Array<string>>} Records as arrays of fields; blank lines are skipped
+   * @example
+   * TaskImportService.parseCsv('title,status\n"Fix ""login""",pending');
+   * // [['title', 'status'], ['Fix "login"', 'pending']]
+   */
+  static parseCsv(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+
+    const endRecord = () => {
+      record.push(field);
+      if (record.length > 1 || record[0] !== '') records.push(record);
+      record = [];
+      field = '';
+    };
+
+    // Strip a UTF-8 byte order mark left by spreadsheet exports
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+      const char = input[i];
+
+      if (quoted) {
+        if (char === '"' && input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        record.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && input[i + 1] === '\n') i++;
+        endRecord();
+      } else {
+        field += char;
+      }
+    }
+
+    if (quoted) {
+      throw badRequest('CSV has an unterminated quoted field');
+    }
+    if (field !== '' || record.length > 0) endRecord();
+
+    return records;
+  }
+
+  /**
+   * Parses an uploaded file into its column names and rows
+   * @static
+   * @param {string} format - 'csv' or 'json'
+   * @param {string} content - File content
+   * @returns {{columns: Array<string>, rows: Array<Object>}} Columns and rows keyed by column
+   * @throws {Error} 400 when the file cannot be parsed, is empty or has too many rows
+   */
+  static parseFile(format, content) {
+    let columns;
+    let rows;
+
+    if (format === 'csv') {
+      const [header = [], ...records] = TaskImportService.parseCsv(content);
+      columns = header.map(column => column.trim());
+      rows = records.map(values => Object.fromEntries(columns.map((column, index) => [column, values[index]])));
+    } else {
+      let parsed;
+      try {
+        parsed = JSON.parse(content);
+      } catch (error) {
+        throw badRequest(`Invalid JSON: ${error.message}`);
+      }
+      if (!Array.isArray(parsed) || parsed.some(row => typeof row !== 'object' || row === null || Array.isArray(row))) {
+        throw badRequest('JSON imports must be an array of objects');
+      }
+      rows = parsed;
+      columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+    }
+
+    if (rows.length === 0) {
+      throw badRequest('The file contains no rows');
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+      throw badRequest(`Imports are limited to ${MAX_IMPORT_ROWS} rows`);
+    }
+
+    return { columns, rows };
+  }
+
+  /**
+   * Suggests a column for each importable field by name
+   * @static
+   * @param {Array<string>} columns - Column names from the file
+   * @returns {Object<string, string>} Column name keyed by task field; unmatched fields are omitted
+   * @example
+   * TaskImportService.suggestMapping(['Name', 'Estimated Time']);
+   * // { title: 'Name', estimatedTime: 'Estimated Time' }
+   */
+  static suggestMapping(columns) {
+    const mapping = {};
+
+    Object.entries(IMPORT_FIELDS).forEach(([field, aliases]) => {
+      const names = [field, ...aliases].map(normalizeName);
+      const column = columns.find(candidate => names.includes(normalizeName(candidate)));
+      if (column !== undefined) mapping[field] = column;
+    });
+
+    return mapping;
+  }
+
+  /**
+   * Converts a file row into task fields using the column mapping. Values are lightly
+   * normalized (trimmed, "In Progress" → "in-progress", numeric strings → numbers,
+   * "design; ux" → ['design', 'ux']) and
+   * anything else is left for Mongoose to cast and validate.
+   * @static
+   * @param {Object} row - Row keyed by column name
+   * @param {Object<string, string>} mapping - Column name keyed by task field
+   * @returns {Object} Task data
+   */
+  static mapRow(row, mapping) {
+    const task = {};
+
+    Object.entries(mapping).forEach(([field, column]) => {
+      if (!column || !IMPORT_FIELDS[field]) return;
+
+      let value = row[column];
+      if (typeof value === 'string') value = value.trim();
+      if (value === undefined || value === null || value === '') return;
+
+      if (ENUM_FIELDS.includes(field)) {
+        value = String(value).toLowerCase().replace(/[\s_]+/g, '-');
+      } else if (NUMBER_FIELDS.includes(field) && typeof value === 'string' && !Number.isNaN(Number(value))) {
+        value = Number(value);
+      } else if (field === 'tags' && typeof value === 'string') {
+        value = value.split(/[,;|]/);
+      }
+
+      task[field] = value;
+    });
+
+    // insertMany skips the pre-save hook, so keep completedAt consistent with status here;
+    // rows without a status are pending, so they cannot carry a completion time either
+    if (task.status === 'completed') {
+      task.completedAt = task.completedAt ?? new Date();
+    } else {
+      delete task.completedAt;
+    }
+
+    return task;
+  }
+
+  /**
+   * Runs Mongoose validation on a mapped row
+   * @static
+   * @param {Object} data - Task data
+   * @returns {{task: Task, errors: Array<{field: string, message: string}>}} Document and its validation errors
+   */
+  static validateRow(data) {
+    const task = new Task(data);
+    const result = task.validateSync();
+    const errors = result
+      ? Object.values(result.errors).map(({ path, message }) => ({ field: path, message }))
+      : [];
+
+    return { task, errors };
+  }
+
+  /**
+   * Inserts tasks in batches; shared by imports and the seed script
+   * @static
+   * @async
+   * @param {Array<Object>} tasks - Task data or documents
+   * @param {Function} [onBatch] - Awaited with each batch of inserted documents
+   * @returns {Promise<number>} Number of inserted tasks
+   */
+  static async insertTasks(tasks, onBatch) {
+    let inserted = 0;
+
+    for (let start = 0; start < tasks.length; start += INSERT_BATCH_SIZE) {
+      const batch = await Task.insertMany(tasks.slice(start, start + INSERT_BATCH_SIZE));
+      inserted += batch.length;
+      if (onBatch) await onBatch(batch);
+    }
+
+    return inserted;
+  }
+
+  /**
+   * Parses, maps and validates an uploaded file, and inserts the tasks unless this is a dry run
+   * @static
+   * @async
+   * @param {Object} request - Validated POST /tasks/import body
+   * @param {string} request.format - 'csv' or 'json'
+   * @param {string} request.content - File content
+   * @param {Object<string, string>} [request.mapping] - Column name keyed by task field; suggested when omitted
+   * @param {boolean} [request.dryRun=false] - Validate only, write nothing
+   * @param {boolean} [request.skipInvalid=false] - Insert the valid rows even when some rows are invalid
+   * @param {Object} [options={}] - Import options
+   * @param {Function} [options.onInserted] - Awaited with each batch of inserted documents
+   * @param {string} [options.createdBy] - ID of the user importing, recorded on every task
+   * @param {ObjectId|string} options.workspace - Workspace the tasks are imported into
+   * @returns {Promise<Object>} Import report: columns, mapping, row counts, per-row errors and a preview
+   * @throws {Error} 400 when the file is unusable, a mapped column is missing, or rows are invalid without skipInvalid
+   */
+  static async importTasks({ format, content, mapping, dryRun = false, skipInvalid = false }, { onInserted, createdBy, workspace } = {}) {
+    const { columns, rows } = TaskImportService.parseFile(format, content);
+    const columnMapping = mapping || TaskImportService.suggestMapping(columns);
+
+    const unknownColumns = Object.values(columnMapping).filter(column => column && !columns.includes(column));
+    if (unknownColumns.length > 0) {
+      throw badRequest(`Mapped columns not found in the file: ${unknownColumns.join(', ')}`);
+    }
+
+    const valid = [];
+    const errors = [];
+    const preview = [];
+
+    rows.forEach((row, index) => {
+      const data = TaskImportService.mapRow(row, columnMapping);
+      const { task, errors: rowErrors } = TaskImportService.validateRow({ ...data, createdBy, workspace });
+      const rowNumber = index + 1;
+
+      if (rowErrors.length > 0) {
+        errors.push({ row: rowNumber, errors: rowErrors });
+      } else {
+        valid.push(task);
+      }
+      if (preview.length < PREVIEW_ROWS) {
+        preview.push({ row: rowNumber, data, valid: rowErrors.length === 0 });
+      }
+    });
+
+    const report = {
+      dryRun,
+      columns,
+      mapping: columnMapping,
+      total: rows.length,
+      valid: valid.length,
+      invalid: errors.length,
+      inserted: 0,
+      errors,
+      preview
+    };
+
+    if (dryRun) return report;
+
+    if (errors.length > 0 && !skipInvalid) {
+      throw badRequest(`${errors.length} of ${rows.length} rows failed validation; fix them or skip invalid rows`);
+    }
+
+    report.inserted = await TaskImportService.insertTasks(valid, onInserted);
+    return report;
+  }
+}
+
+export { IMPORT_FORMATS, IMPORT_FIELDS, MAX_IMPORT_ROWS };
+export default TaskImportService;
@@ -0,0 +1,582 @@
+/**
+ * @fileoverview Shared query building for task listing and export endpoints
+ * @module services/TaskQueryService
+ */
+
+import mongoose from 'mongoose';
+import { normalizeTags } from '../models/Task.js';
+
+/**
+ * Date fields that can be filtered by range, mapped to their from/to query parameters
+ * @type {Object<string, {from: string, to: string}>}
+ */
+const DATE_RANGE_PARAMS = {
+  createdAt: { from: 'createdFrom', to: 'createdTo' },
+  updatedAt: { from: 'updatedFrom', to: 'updatedTo' },
+  completedAt: { from: 'completedFrom', to: 'completedTo' }
+};
+
+/**
+ * Numeric fields that can be filtered by range, mapped to their min/max query parameters
+ * @type {Object<string, {min: string, max: string}>}
+ */
+const NUMBER_RANGE_PARAMS = {
+  estimatedTime: { min: 'minEstimatedTime', max: 'maxEstimatedTime' },
+  actualTime: { min: 'minActualTime', max: 'maxActualTime' }
+};
+
+/**
+ * Statuses of tasks that still have to be done; only these can be overdue or due soon
+ * @type {Array<string>}
+ */
+const OPEN_STATUSES = ['pending', 'in-progress'];
+
+/**
+ * How a tags filter combines its tags: 'any' matches tasks with at least one, 'all' tasks with every one
+ * @type {Array<string>}
+ */
+const TAG_MODES = ['any', 'all'];
+
+/**
+ * Value of the assignee query parameter that matches tasks without an assignee
+ * @type {string}
+ */
+const UNASSIGNED = 'unassigned';
+
+/**
+ * Values of the due query parameter
+ * @type {Array<string>}
+ */
+const DUE_FILTERS = ['overdue', 'due-soon'];
+
+/**
+ * Hours before its due date that an open task counts as due soon
+ * @type {number}
+ */
+const DUE_SOON_HOURS = Number(process.env.DUE_SOON_HOURS) || 24;
+
+/**
+ * Query parameters that select or order tasks (pagination parameters excluded)
+ * @type {Array<string>}
+ */
+const FILTER_PARAMS = [
+  'status',
+  'priority',
+  'due',
+  'tags',
+  'tagMode',
+  'assignee',
+  'search',
+  'searchMode',
+  ...Object.values(DATE_RANGE_PARAMS).flatMap(({ from, to }) => [from, to]),
+  ...Object.values(NUMBER_RANGE_PARAMS).flatMap(({ min, max }) => [min, max]),
+  'sortBy',
+  'sortOrder'
+];
+
+/**
+ * Fields tasks can be sorted by; each one is backed by an index on the Task model
+ * @type {Array<string>}
+ */
+const SORT_FIELDS = ['createdAt', 'updatedAt', 'title', 'priority', 'status'];
+
+/**
+ * Matches a date without a time component, e.g. 2024-01-31
+ * @type {RegExp}
+ */
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Characters of description context kept on each side of the first match in a snippet
+ * @type {number}
+ */
+const SNIPPET_CONTEXT = 60;
+
+/**
+ * Creates an error that the error handler reports as 400 Bad Request
+ * @param {string} message - Error message
+ * @returns {Error} Error with statusCode 400
+ */
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Checks whether a query parameter has a usable value
+ * @param {*} value - Query parameter value
+ * @returns {boolean} True unless the value is missing or empty
+ */
+const hasValue = (value) => value !== undefined && value !== null && value !== '';
+
+/**
+ * Service class translating request query parameters into MongoDB filters and sorts
+ * @class TaskQueryService
+ */
+class TaskQueryService {
+  /**
+   * Picks the non-empty filter parameters from a query, with keys in a stable order
+   * @static
+   * @param {Object} [params={}] - Request query parameters
+   * @returns {Object} Filter parameters suitable for storing and replaying
+   * @example
+   * TaskQueryService.normalizeParams({ priority: 'high', page: '2', status: '' });
+   * // { priority: 'high' }
+   */
+  static normalizeParams(params = {}) {
+    const normalized = {};
+
+    FILTER_PARAMS.forEach(key => {
+      if (hasValue(params[key])) {
+        normalized[key] = params[key];
+      }
+    });
+
+    return normalized;
+  }
+
+  /**
+   * Splits a comma-separated (or repeated) query parameter into trimmed values
+   * @static
+   * @param {string|Array<string>} value - Query parameter value
+   * @returns {Array<string>} Non-empty values
+   * @example
+   * TaskQueryService.parseList('pending, in-progress'); // ['pending', 'in-progress']
+   */
+  static parseList(value) {
+    const values = Array.isArray(value) ? value : String(value).split(',');
+    return values.map(item => String(item).trim()).filter(Boolean);
+  }
+
+  /**
+   * Builds an exact or $in match for a multi-value query parameter
+   * @static
+   * @param {string|Array<string>} value - Query parameter value
+   * @returns {string|Object|undefined} Single value, $in condition, or undefined when empty
+   */
+  static buildMatch(value) {
+    const values = TaskQueryService.parseList(value);
+    if (values.length === 0) return undefined;
+    return values.length === 1 ? values[0] : { $in: values };
+  }
+
+  /**
+   * Parses a date query parameter; date-only upper bounds include the whole day
+   * @static
+   * @param {string} value - ISO 8601 date or date-time
+   * @param {string} name - Parameter name, used in the error message
+   * @param {boolean} [endOfDay=false] - Whether a date-only value means the end of that day
+   * @returns {Date} Parsed date
+   * @throws {Error} 400 error when the value is not a valid date
+   */
+  static parseDate(value, name, endOfDay = false) {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      throw badRequest(`Invalid date for ${name}: ${value}`);
+    }
+
+    if (endOfDay && DATE_ONLY_PATTERN.test(value)) {
+      date.setUTCHours(23, 59, 59, 999);
+    }
+
+    return date;
+  }
+
+  /**
+   * Parses a non-negative numeric query parameter
+   * @static
+   * @param {string} value - Numeric value
+   * @param {string} name - Parameter name, used in the error message
+   * @returns {number} Parsed number
+   * @throws {Error} 400 error when the value is not a non-negative number
+   */
+  static parseNumber(value, name) {
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0) {
+      throw badRequest(`Invalid number for ${name}: ${value}`);
+    }
+    return number;
+  }
+
+  /**
+   * Escapes regular expression metacharacters so user input matches literally
+   * @static
+   * @param {string} value - Raw search text
+   * @returns {string} Escaped pattern
+   */
+  static escapeRegex(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  /**
+   * Checks whether a query asks for ranked full-text search
+   * @static
+   * @param {Object} [params={}] - Request query parameters
+   * @returns {boolean} True when searchMode is 'text' and a search term is given
+   */
+  static isTextSearch(params = {}) {
+    return params.searchMode === 'text' && hasValue(params.search) && String(params.search).trim() !== '';
+  }
+
+  /**
+   * Restricts a filter to tasks that are not in the trash. Tasks created before soft
+   * deletion have no deletedAt field, which a null match also covers.
+   * @static
+   * @param {Object} [filter={}] - MongoDB filter
+   * @returns {Object} New filter that also requires deletedAt to be null
+   * @example
+   * TaskQueryService.excludeDeleted({ status: 'pending' }); // { status: 'pending', deletedAt: null }
+   */
+  static excludeDeleted(filter = {}) {
+    return { ...filter, deletedAt: null };
+  }
+
+  /**
+   * Restricts a filter to the tasks of one workspace
+   * @static
+   * @param {Object} [filter={}] - MongoDB filter
+   * @param {ObjectId|string} [workspace] - Workspace ID; without one the filter is returned unchanged
+   * @returns {Object} New filter that also requires the workspace
+   * @example
+   * TaskQueryService.inWorkspace({ status: 'pending' }, workspaceId); // { status: 'pending', workspace: workspaceId }
+   */
+  static inWorkspace(filter = {}, workspace) {
+    return workspace ? { ...filter, workspace } : { ...filter };
+  }
+
+  /**
+   * Builds the assignee condition; 'unassigned' becomes a null match, which also covers
+   * tasks created before assignees existed
+   * @static
+   * @param {string|Array<string>} value - User IDs and/or 'unassigned' (comma-separated)
+   * @returns {string|null|Object|undefined} Single value, $in condition, or undefined when empty
+   * @throws {Error} 400 error when a value is neither 'unassigned' nor a valid ID
+   * @example
+   * TaskQueryService.buildAssigneeMatch('unassigned,507f1f77bcf86cd799439011');
+   * // { $in: [null, '507f1f77bcf86cd799439011'] }
+   */
+  static buildAssigneeMatch(value) {
+    const values = TaskQueryService.parseList(value).map(item => {
+      if (item === UNASSIGNED) return null;
+      if (!mongoose.isValidObjectId(item)) {
+        throw badRequest(`Invalid assignee: ${item}`);
+      }
+      return item;
+    });
+
+    if (values.length === 0) return undefined;
+    return values.length === 1 ? values[0] : { $in: values };
+  }
+
+  /**
+   * Builds the due date condition for open tasks that are overdue or due soon. Both
+   * conditions are a dueDate range plus a status list, served by the { dueDate, status } index.
+   * @static
+   * @param {string} due - 'overdue' (due date passed) or 'due-soon' (due within DUE_SOON_HOURS)
+   * @param {Date} [now=new Date()] - Reference time
+   * @param {Array<string>} [statuses=OPEN_STATUSES] - Statuses to consider; completed tasks are never overdue
+   * @returns {{status: Object, dueDate: Object}} Filter conditions
+   * @throws {Error} 400 error for an unknown due value
+   * @example
+   * TaskQueryService.buildDueFilter('overdue');
+   * // { status: { $in: ['pending', 'in-progress'] }, dueDate: { $lt: <now> } }
+   */
+  static buildDueFilter(due, now = new Date(), statuses = OPEN_STATUSES) {
+    const open = statuses.filter(status => OPEN_STATUSES.includes(status));
+
+    switch (due) {
+    case 'overdue':
+      return { status: { $in: open }, dueDate: { $lt: now } };
+    case 'due-soon':
+      return {
+        status: { $in: open },
+        dueDate: { $gte: now, $lte: new Date(now.getTime() + DUE_SOON_HOURS * 60 * 60 * 1000) }
+      };
+    default:
+      throw badRequest(`Invalid due filter: ${due}`);
+    }
+  }
+
+  /**
+   * Builds a MongoDB filter object from task query parameters; tasks in the trash are excluded
+   * @static
+   * @param {Object} [params={}] - Request query parameters
+   * @param {string} [params.status] - Filter by task status (comma-separated for several)
+   * @param {string} [params.priority] - Filter by task priority (comma-separated for several)
+   * @param {string} [params.due] - 'overdue' or 'due-soon' to keep only open tasks past or near their due date
+   * @param {string} [params.tags] - Tags to match (comma-separated); compared case-insensitively
+   * @param {string} [params.tagMode=any] - 'any' to match tasks with one of the tags, 'all' for every tag
+   * @param {string} [params.assignee] - User IDs to match (comma-separated); 'unassigned' matches tasks without one
+   * @param {string} [params.search] - Case-insensitive text matched against title and description
+   * @param {string} [params.searchMode] - 'text' to use the full-text index instead of substring matching
+   * @param {string} [params.createdFrom] - Earliest creation date (inclusive)
+   * @param {string} [params.createdTo] - Latest creation date (inclusive)
+   * @param {string} [params.updatedFrom] - Earliest update date (inclusive)
+   * @param {string} [params.updatedTo] - Latest update date (inclusive)
+   * @param {string} [params.completedFrom] - Earliest completion date (inclusive)
+   * @param {string} [params.completedTo] - Latest completion date (inclusive)
+   * @param {string} [params.minEstimatedTime] - Minimum estimated hours
+   * @param {string} [params.maxEstimatedTime] - Maximum estimated hours
+   * @param {string} [params.minActualTime] - Minimum actual hours
+   * @param {string} [params.maxActualTime] - Maximum actual hours
+   * @param {ObjectId|string} [workspace] - Workspace the tasks belong to
+   * @returns {Object} MongoDB filter object
+   * @throws {Error} 400 error when a date, number or assignee parameter is invalid
+   * @example
+   * const filter = TaskQueryService.buildFilter({ status: 'pending,in-progress', createdFrom: '2024-01-01' });
+   * // { status: { $in: ['pending', 'in-progress'] }, createdAt: { $gte: new Date('2024-01-01') }, deletedAt: null }
+   */
+  static buildFilter(params = {}, workspace) {
+    const filter = TaskQueryService.inWorkspace(TaskQueryService.excludeDeleted(), workspace);
+
+    ['status', 'priority'].forEach(field => {
+      if (!hasValue(params[field])) return;
+      const match = TaskQueryService.buildMatch(params[field]);
+      if (match !== undefined) filter[field] = match;
+    });
+
+    if (hasValue(params.tags)) {
+      const tags = normalizeTags(TaskQueryService.parseList(params.tags));
+      if (tags.length > 0) {
+        filter.tags = params.tagMode === 'all' ? { $all: tags } : { $in: tags };
+      }
+    }
+
+    if (hasValue(params.assignee)) {
+      const match = TaskQueryService.buildAssigneeMatch(params.assignee);
+      if (match !== undefined) filter.assignee = match;
+    }
+
+    if (hasValue(params.due)) {
+      const statuses = hasValue(params.status) ? TaskQueryService.parseList(params.status) : OPEN_STATUSES;
+      Object.assign(filter, TaskQueryService.buildDueFilter(params.due, new Date(), statuses));
+    }
+
+    Object.entries(DATE_RANGE_PARAMS).forEach(([field, { from, to }]) => {
+      const range = {};
+      if (hasValue(params[from])) range.$gte = TaskQueryService.parseDate(params[from], from);
+      if (hasValue(params[to])) range.$lte = TaskQueryService.parseDate(params[to], to, true);
+      if (Object.keys(range).length > 0) filter[field] = range;
+    });
+
+    Object.entries(NUMBER_RANGE_PARAMS).forEach(([field, { min, max }]) => {
+      const range = {};
+      if (hasValue(params[min])) range.$gte = TaskQueryService.parseNumber(params[min], min);
+      if (hasValue(params[max])) range.$lte = TaskQueryService.parseNumber(params[max], max);
+      if (Object.keys(range).length > 0) filter[field] = range;
+    });
+
+    const search = hasValue(params.search) ? String(params.search).trim() : '';
+    if (TaskQueryService.isTextSearch(params)) {
+      filter.$text = { $search: search };
+    } else if (search) {
+      const pattern = new RegExp(TaskQueryService.escapeRegex(search), 'i');
+      filter.$or = [{ title: pattern }, { description: pattern }];
+    }
+
+    return filter;
+  }
+
+  /**
+   * Builds a MongoDB sort object from task query parameters; text searches rank by relevance first
+   * @static
+   * @param {Object} [params={}] - Request query parameters
+   * @param {string} [params.sortBy=createdAt] - Field to sort by
+   * @param {string} [params.sortOrder=desc] - Sort order (asc/desc)
+   * @returns {Object} MongoDB sort object
+   */
+  static buildSort(params = {}) {
+    const { sortBy = 'createdAt', sortOrder = 'desc' } = params;
+
+    const sort = {};
+    if (TaskQueryService.isTextSearch(params)) {
+      sort.score = { $meta: 'textScore' };
+    }
+    sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
+
+    return sort;
+  }
+
+  /**
+   * Checks whether a query asks for cursor pagination instead of page numbers
+   * @static
+   * @param {Object} [params={}] - Request query parameters
+   * @returns {boolean} True when pagination is 'cursor' or an after/before token is given
+   */
+  static isCursorPagination(params = {}) {
+    return params.pagination === 'cursor' || hasValue(params.after) || hasValue(params.before);
+  }
+
+  /**
+   * Encodes the position of a task in a sort order as an opaque cursor token
+   * @static
+   * @param {Object} task - Task at the cursor position
+   * @param {string} sortBy - Field the results are sorted by
+   * @returns {string} URL-safe cursor token
+   */
+  static encodeCursor(task, sortBy) {
+    const value = task[sortBy] instanceof Date ? task[sortBy].toISOString() : task[sortBy] ?? null;
+    const payload = { s: sortBy, v: value, id: String(task._id) };
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+  }
+
+  /**
+   * Decodes a cursor token produced by encodeCursor
+   * @static
+   * @param {string} token - Cursor token
+   * @param {string} sortBy - Field the current request sorts by
+   * @returns {{value: *, id: string}} Sort value and task ID at the cursor position
+   * @throws {Error} 400 error when the token is malformed or was issued for another sort field
+   */
+  static decodeCursor(token, sortBy) {
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+    } catch {
+      throw badRequest('Invalid pagination cursor');
+    }
+
+    if (!payload || typeof payload.id !== 'string' || !('v' in payload)) {
+      throw badRequest('Invalid pagination cursor');
+    }
+    if (payload.s !== sortBy) {
+      throw badRequest('Pagination cursor does not match the current sort order');
+    }
+
+    return { value: payload.v, id: payload.id };
+  }
+
+  /**
+   * Builds the sort and filter for one page of cursor pagination; rows are ordered by
+   * the sort key plus _id, so rows inserted while paging are never skipped or repeated
+   * @static
+   * @param {Object} [params={}] - Request query parameters
+   * @param {string} [params.after] - Cursor of the last task on the previous page
+   * @param {string} [params.before] - Cursor of the first task on the next page
+   * @returns {{sort: Object, filter: Object|null, backwards: boolean}} Query sort, cursor filter
+   * (null on the first page) and whether results must be reversed into display order
+   * @throws {Error} 400 error for text searches, which are ranked by score rather than a sortable field
+   */
+  static buildCursorPage(params = {}) {
+    if (TaskQueryService.isTextSearch(params)) {
+      throw badRequest('Cursor pagination is not available for text search');
+    }
+
+    const [[sortBy, direction]] = Object.entries(TaskQueryService.buildSort(params));
+    const backwards = hasValue(params.before);
+    const token = backwards ? params.before : params.after;
+    const order = backwards ? -direction : direction;
+
+    const sort = { [sortBy]: order, _id: order };
+    if (!hasValue(token)) {
+      return { sort, filter: null, backwards };
+    }
+
+    const { value, id } = TaskQueryService.decodeCursor(token, sortBy);
+    const operator = order === 1 ? '$gt' : '$lt';
+
+    return {
+      sort,
+      filter: {
+        $or: [
+          { [sortBy]: { [operator]: value } },
+          { [sortBy]: value, _id: { [operator]: id } }
+        ]
+      },
+      backwards
+    };
+  }
+
+  /**
+   * Builds the projection adding the relevance score to text search results
+   * @static
+   * @param {Object} [params={}] - Request query parameters
+   * @returns {Object|null} Projection object, or null when not a text search
+   */
+  static buildProjection(params = {}) {
+    return TaskQueryService.isTextSearch(params) ? { score: { $meta: 'textScore' } } : null;
+  }
+
+  /**
+   * Extracts the words of a search string, dropping $text operators such as quotes and negations
+   * @static
+   * @param {string} search - Search string
+   * @returns {Array<string>} Search terms
+   * @example
+   * TaskQueryService.getSearchTerms('"quarterly report" -draft'); // ['quarterly', 'report']
+   */
+  static getSearchTerms(search) {
+    return String(search)
+      .split(/\s+/)
+      .filter(term => term && !term.startsWith('-'))
+      .map(term => term.replace(/"/g, ''))
+      .filter(Boolean);
+  }
+
+  /**
+   * Splits text into plain and matched segments for highlighting
+   * @static
+   * @param {string} text - Text to highlight
+   * @param {Array<string>} terms - Search terms
+   * @returns {Array<{text: string, match: boolean}>} Ordered text segments
+   * @example
+   * TaskQueryService.highlight('Fix login bug', ['bug']);
+   * // [{ text: 'Fix login ', match: false }, { text: 'bug', match: true }]
+   */
+  static highlight(text, terms) {
+    if (!text) return [];
+    if (terms.length === 0) return [{ text, match: false }];
+
+    const pattern = new RegExp(`(${terms.map(TaskQueryService.escapeRegex).join('|')})`, 'i');
+
+    // Splitting on a capturing group puts the matches at the odd indexes
+    return text
+      .split(pattern)
+      .map((part, index) => ({ text: part, match: index % 2 === 1 }))
+      .filter(segment => segment.text);
+  }
+
+  /**
+   * Cuts long text down to the part around its first search match
+   * @static
+   * @param {string} text - Text to shorten
+   * @param {Array<string>} terms - Search terms
+   * @param {number} [context=SNIPPET_CONTEXT] - Characters kept on each side of the match
+   * @returns {string} Snippet, with ellipses where text was cut
+   */
+  static buildSnippet(text, terms, context = SNIPPET_CONTEXT) {
+    if (!text || text.length <= context * 2) return text || '';
+
+    const lower = text.toLowerCase();
+    const positions = terms
+      .map(term => lower.indexOf(term.toLowerCase()))
+      .filter(position => position >= 0);
+    const first = positions.length > 0 ? Math.min(...positions) : 0;
+
+    const start = Math.max(0, first - context);
+    const end = Math.min(text.length, first + context);
+
+    return `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+  }
+
+  /**
+   * Builds highlighted title and description snippets for a search result
+   * @static
+   * @param {Object} task - Task (plain object or document)
+   * @param {string} search - Search string
+   * @returns {{title: Array<{text: string, match: boolean}>, description: Array<{text: string, match: boolean}>}} Highlight segments
+   */
+  static buildHighlights(task, search) {
+    const terms = TaskQueryService.getSearchTerms(search);
+
+    return {
+      title: TaskQueryService.highlight(task.title, terms),
+      description: TaskQueryService.highlight(TaskQueryService.buildSnippet(task.description, terms), terms)
+    };
+  }
+
+}
+
+export { FILTER_PARAMS, DATE_RANGE_PARAMS, NUMBER_RANGE_PARAMS, SORT_FIELDS, OPEN_STATUSES, DUE_FILTERS, DUE_SOON_HOURS, TAG_MODES, UNASSIGNED };
+export default TaskQueryService;
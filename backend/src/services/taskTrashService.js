@@ -0,0 +1,122 @@
+/**
+ * @fileoverview Trash for soft-deleted tasks: listing, restoring, purging and the retention purge
+ * @module services/TaskTrashService
+ */
+
+import Task from '../models/Task.js';
+import TaskHistoryService from './taskHistoryService.js';
+import TaskQueryService from './taskQueryService.js';
+
+/**
+ * Days a deleted task stays in the trash before the purge job removes it for good;
+ * TRASH_RETENTION_DAYS overrides the 30 day default
+ * @type {number}
+ */
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+
+/**
+ * MongoDB filter matching tasks in the trash
+ * @param {ObjectId|string} [workspace] - Workspace the tasks belong to
+ * @returns {Object} Filter requiring deletedAt to be set
+ */
+const inTrash = (workspace) => TaskQueryService.inWorkspace({ deletedAt: { $ne: null } }, workspace);
+
+/**
+ * Service class managing soft-deleted tasks
+ * @class TaskTrashService
+ */
+class TaskTrashService {
+  /**
+   * Computes when a deleted task is purged
+   * @static
+   * @param {Object} task - Task in the trash
+   * @param {number} [retentionDays=TRASH_RETENTION_DAYS] - Retention period in days
+   * @returns {Date} Purge date
+   */
+  static getPurgeDate(task, retentionDays = TRASH_RETENTION_DAYS) {
+    return new Date(new Date(task.deletedAt).getTime() + retentionDays * 24 * 60 * 60 * 1000);
+  }
+
+  /**
+   * Lists tasks in the trash, most recently deleted first
+   * @static
+   * @async
+   * @param {Object} [options={}] - Paging options
+   * @param {number} [options.page=1] - Page number
+   * @param {number} [options.limit=10] - Tasks per page
+   * @param {ObjectId|string} [options.workspace] - Workspace whose trash is listed
+   * @returns {Promise<{tasks: Array<Object>, pagination: Object, retentionDays: number}>} Deleted
+   * tasks with their purge dates, page metadata and the retention period
+   */
+  static async listTrash({ page = 1, limit = 10, workspace } = {}) {
+    const [tasks, total] = await Promise.all([
+      Task.find(inTrash(workspace))
+        .sort({ deletedAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Task.countDocuments(inTrash(workspace))
+    ]);
+
+    return {
+      tasks: tasks.map(task => ({ ...task.toJSON(), purgeAt: TaskTrashService.getPurgeDate(task) })),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+      retentionDays: TRASH_RETENTION_DAYS
+    };
+  }
+
+  /**
+   * Moves a task out of the trash, incrementing its version
+   * @static
+   * @async
+   * @param {string} id - Task ID
+   * @param {ObjectId|string} [workspace] - Workspace the task must belong to
+   * @returns {Promise<Object|null>} Restored task, or null when it is not in the workspace's trash
+   */
+  static async restoreTask(id, workspace) {
+    return Task.findOneAndUpdate(
+      { _id: id, ...inTrash(workspace) },
+      { deletedAt: null, $inc: { __v: 1 } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Permanently deletes a task from the trash; active tasks must be deleted first
+   * @static
+   * @async
+   * @param {string} id - Task ID
+   * @param {ObjectId|string} [workspace] - Workspace the task must belong to
+   * @returns {Promise<Object|null>} Purged task, or null when it is not in the workspace's trash
+   */
+  static async purgeTask(id, workspace) {
+    return Task.findOneAndDelete({ _id: id, ...inTrash(workspace) });
+  }
+
+  /**
+   * Permanently deletes tasks that have been in the trash longer than the retention period,
+   * recording each purge in the task history
+   * @static
+   * @async
+   * @param {number} [retentionDays=TRASH_RETENTION_DAYS] - Retention period in days
+   * @returns {Promise<number>} Number of purged tasks
+   */
+  static async purgeExpired(retentionDays = TRASH_RETENTION_DAYS) {
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+    const filter = { deletedAt: { $ne: null, $lt: cutoff } };
+
+    const expired = await Task.find(filter);
+    if (expired.length === 0) return 0;
+
+    await Task.deleteMany({ _id: { $in: expired.map(task => task._id) }, ...filter });
+    await TaskHistoryService.record(
+      'purged',
+      expired.map(task => ({ before: task, after: task })),
+      { source: 'retention', changedBy: 'system' }
+    );
+
+    return expired.length;
+  }
+}
+
+export { TRASH_RETENTION_DAYS };
+export default TaskTrashService;
@@ -0,0 +1,175 @@
+/**
+ * @fileoverview User directory: listing, creating, updating and removing the people tasks are assigned to
+ * @module services/UserService
+ */
+
+import mongoose from 'mongoose';
+import User, { ROLES } from '../models/User.js';
+import Task from '../models/Task.js';
+import TaskQueryService from './taskQueryService.js';
+import AuthService, { MIN_PASSWORD_LENGTH, MAX_PASSWORD_LENGTH } from './authService.js';
+import AccessService from './accessService.js';
+
+/**
+ * Creates an error that the error handler reports as 400 Bad Request
+ * @param {string} message - Error message
+ * @returns {Error} Error with statusCode 400
+ */
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const ADMIN = ROLES[ROLES.length - 1];
+
+/**
+ * Service class managing users and their task assignments
+ * @class UserService
+ */
+class UserService {
+  /**
+   * Lists users sorted by name
+   * @static
+   * @async
+   * @param {Object} [options={}] - Listing options
+   * @param {string} [options.search] - Case-insensitive text matched against name and email
+   * @param {ObjectId|string} [options.workspace] - Only list the people who can open this workspace
+   * @param {number} [options.page=1] - Page number
+   * @param {number} [options.limit=50] - Users per page
+   * @returns {Promise<{users: Array<Object>, pagination: Object}>} Users with page metadata
+   */
+  static async listUsers({ search, workspace, page = 1, limit = 50 } = {}) {
+    const conditions = [];
+    if (workspace) {
+      conditions.push(AccessService.workspaceMembers(workspace));
+    }
+    const text = search ? String(search).trim() : '';
+    if (text) {
+      const pattern = new RegExp(TaskQueryService.escapeRegex(text), 'i');
+      conditions.push({ $or: [{ name: pattern }, { email: pattern }] });
+    }
+    const filter = conditions.length > 0 ? { $and: conditions } : {};
+
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .sort({ name: 1, _id: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      User.countDocuments(filter)
+    ]);
+
+    return {
+      users,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+  }
+
+  /**
+   * Finds a user by ID
+   * @static
+   * @async
+   * @param {string} id - User ID
+   * @param {Object} [options={}] - Lookup options
+   * @param {ObjectId|string} [options.workspace] - Only find the user when they can open this workspace
+   * @returns {Promise<Object|null>} The user, or null when missing or outside the workspace
+   */
+  static async getUser(id, { workspace } = {}) {
+    const filter = workspace ? { _id: id, ...AccessService.workspaceMembers(workspace) } : { _id: id };
+    return User.findOne(filter);
+  }
+
+  /**
+   * Checks that an assignee given in a task write refers to an existing user who can open
+   * the task's workspace
+   * @static
+   * @async
+   * @param {string|null|undefined} assignee - User ID; null or undefined leave the task unassigned
+   * @param {ObjectId|string} workspace - Workspace of the task
+   * @throws {Error} 400 when the ID is malformed, no such user exists or they are not a member
+   */
+  static async ensureAssignable(assignee, workspace) {
+    if (assignee === undefined || assignee === null) return;
+
+    const user = mongoose.isValidObjectId(assignee) ? await User.findById(assignee, 'role workspaces') : null;
+    if (!user) {
+      throw badRequest(`Assignee not found: ${assignee}`);
+    }
+    if (!AccessService.canAccessWorkspace(user, workspace)) {
+      throw badRequest(`Assignee is not a member of this workspace: ${assignee}`);
+    }
+  }
+
+  /**
+   * Creates the admin of a fresh installation, who then adds everybody else; there is no
+   * self-registration. Run from scripts/create-admin.js.
+   * @static
+   * @async
+   * @param {Object} account - Account details
+   * @param {string} account.name - Display name
+   * @param {string} account.email - Email address, unique
+   * @param {string} account.password - Password
+   * @returns {Promise<Object>} Created admin
+   * @throws {Error} 400 when an admin already exists or the password is too short or too long
+   */
+  static async createFirstAdmin({ name, email, password }) {
+    if (await User.exists({ role: ADMIN })) {
+      throw badRequest('An admin already exists; sign in as them to add users');
+    }
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+      throw badRequest(`Password must be ${MIN_PASSWORD_LENGTH} to ${MAX_PASSWORD_LENGTH} characters`);
+    }
+
+    return User.create({ name, email, role: ADMIN, passwordHash: await AuthService.hashPassword(password) });
+  }
+
+  /**
+   * Checks that removing or demoting a user leaves at least one admin behind
+   * @static
+   * @async
+   * @param {string} id - ID of the user losing their admin role
+   * @throws {Error} 400 when the user is the last admin
+   */
+  static async ensureAdminRemains(id) {
+    if (!mongoose.isValidObjectId(id)) return;
+
+    const [isAdmin, otherAdmins] = await Promise.all([
+      User.exists({ _id: id, role: ADMIN }),
+      User.countDocuments({ _id: { $ne: id }, role: ADMIN })
+    ]);
+    if (isAdmin && otherAdmins === 0) {
+      throw badRequest('The last admin cannot be removed or demoted; promote another user first');
+    }
+  }
+
+  /**
+   * Deletes a user, revokes their sessions and unassigns their tasks, incrementing each task's
+   * version so stale If-Match preconditions fail
+   * @static
+   * @async
+   * @param {string} id - User ID
+   * @returns {Promise<{user: Object, tasks: Array<Object>, previous: Array<Object>}|null>} Deleted
+   * user with the unassigned tasks before and after the change, or null when the user does not exist
+   */
+  static async deleteUser(id) {
+    const user = await User.findByIdAndDelete(id);
+    if (!user) return null;
+
+    await AuthService.revokeAll(user._id);
+
+    const previous = await Task.find({ assignee: user._id });
+    if (previous.length === 0) {
+      return { user, tasks: [], previous };
+    }
+
+    const byId = { _id: { $in: previous.map(task => task._id) } };
+    await Task.updateMany(byId, [{
+      $set: { assignee: null, updatedAt: new Date(), __v: { $add: [{ $ifNull: ['$__v', 0] }, 1] } }
+    }]);
+    const tasks = await Task.find(byId);
+
+    return { user, tasks, previous };
+  }
+}
+
+export default UserService;
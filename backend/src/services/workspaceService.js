@@ -0,0 +1,139 @@
+/**
+ * @fileoverview Workspaces: resolving the workspace of a request, managing workspaces and their members
+ * @module services/WorkspaceService
+ */
+
+import mongoose from 'mongoose';
+import Workspace from '../models/Workspace.js';
+import User from '../models/User.js';
+import Task from '../models/Task.js';
+import TaskHistory from '../models/TaskHistory.js';
+import Export from '../models/Export.js';
+import AccessService from './accessService.js';
+
+/**
+ * Name of the workspace created for installations that predate workspaces
+ * @type {string}
+ */
+const DEFAULT_WORKSPACE_NAME = 'Default';
+
+/**
+ * Creates an error that the error handler reports with the given status code
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error} Error with statusCode
+ */
+const httpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Service class managing workspaces and deciding which one a user works in
+ * @class WorkspaceService
+ */
+class WorkspaceService {
+  /**
+   * Lists the workspaces a user can open, oldest first: every workspace for admins,
+   * the ones they are members of for everybody else
+   * @static
+   * @async
+   * @param {Object} user - Signed-in user
+   * @returns {Promise<Array<Object>>} Workspaces
+   */
+  static async listForUser(user) {
+    const filter = AccessService.can(user, 'workspaces:manage') ? {} : { _id: { $in: user.workspaces ?? [] } };
+    return Workspace.find(filter).sort({ createdAt: 1, _id: 1 });
+  }
+
+  /**
+   * Resolves the workspace a request works in. Without an ID the user's oldest workspace is
+   * used, so clients that never picked one keep working.
+   * @static
+   * @async
+   * @param {Object} user - Signed-in user
+   * @param {string} [id] - Requested workspace ID
+   * @returns {Promise<Object>} Workspace document
+   * @throws {Error} 404 when the workspace does not exist or the user is not a member, or 403
+   * when the user belongs to no workspace at all
+   */
+  static async resolve(user, id) {
+    if (id === undefined || id === null || id === '') {
+      const [workspace] = await WorkspaceService.listForUser(user);
+      if (!workspace) {
+        throw httpError(403, 'You are not a member of any workspace; ask an admin to add you to one');
+      }
+      return workspace;
+    }
+
+    // Workspaces the user cannot open are reported as missing, so their IDs are not disclosed
+    const workspace = mongoose.isValidObjectId(id) && AccessService.canAccessWorkspace(user, id)
+      ? await Workspace.findById(id)
+      : null;
+    if (!workspace) throw httpError(404, 'Workspace not found');
+    return workspace;
+  }
+
+  /**
+   * Deletes a workspace that holds no tasks and removes it from its members
+   * @static
+   * @async
+   * @param {string} id - Workspace ID
+   * @returns {Promise<Object|null>} Deleted workspace, or null when it does not exist
+   * @throws {Error} 400 for the last workspace or one that still has tasks, trashed ones included
+   */
+  static async deleteWorkspace(id) {
+    const workspace = await Workspace.findById(id);
+    if (!workspace) return null;
+
+    const [others, tasks] = await Promise.all([
+      Workspace.countDocuments({ _id: { $ne: workspace._id } }),
+      Task.countDocuments({ workspace: workspace._id })
+    ]);
+    if (others === 0) {
+      throw httpError(400, 'The last workspace cannot be deleted');
+    }
+    if (tasks > 0) {
+      throw httpError(400, `Workspace still has ${tasks} ${tasks === 1 ? 'task' : 'tasks'}; move or purge them first`);
+    }
+
+    await workspace.deleteOne();
+    await User.updateMany({ workspaces: workspace._id }, { $pull: { workspaces: workspace._id } });
+
+    return workspace;
+  }
+
+  /**
+   * Data migration for installations that predate workspaces: creates a default workspace
+   * holding every user when none exists, and moves tasks, history and exports without a
+   * workspace into the oldest one
+   * @static
+   * @async
+   * @returns {Promise<Object>} Workspace that received the existing data
+   */
+  static async ensureDefault() {
+    let workspace = await Workspace.findOne().sort({ createdAt: 1, _id: 1 });
+
+    if (!workspace) {
+      workspace = await Workspace.create({ name: DEFAULT_WORKSPACE_NAME });
+      await User.updateMany({}, { $addToSet: { workspaces: workspace._id } });
+      console.log(`Created the ${DEFAULT_WORKSPACE_NAME} workspace`);
+    }
+
+    const orphaned = { workspace: null };
+    const [tasks] = await Promise.all([
+      Task.updateMany(orphaned, { $set: { workspace: workspace._id } }),
+      TaskHistory.updateMany(orphaned, { $set: { workspace: workspace._id } }),
+      Export.updateMany(orphaned, { $set: { workspace: workspace._id } })
+    ]);
+    if (tasks.modifiedCount > 0) {
+      console.log(`Moved ${tasks.modifiedCount} tasks into the ${workspace.name} workspace`);
+    }
+
+    return workspace;
+  }
+}
+
+export { DEFAULT_WORKSPACE_NAME };
+export default WorkspaceService;
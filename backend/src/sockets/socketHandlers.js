@@ -4,9 +4,32 @@
  */
 
 import AnalyticsService from '../services/analyticsService.js';
+import TaskDueService from '../services/taskDueService.js';
+import AccessService from '../services/accessService.js';
+import WorkspaceService from '../services/workspaceService.js';
 
 /**
- * Handles Socket.IO connections and real-time events
+ * Prefix of the room of every workspace; clients join one with join-workspace
+ * @type {string}
+ */
+const WORKSPACE_ROOM_PREFIX = 'workspace:';
+
+/**
+ * Builds the name of a workspace's room
+ * @param {ObjectId|string} workspaceId - Workspace ID
+ * @returns {string} Room name
+ */
+const workspaceRoom = (workspaceId) => `${WORKSPACE_ROOM_PREFIX}${workspaceId}`;
+
+/**
+ * Most tasks named in individual overdue notifications per check; beyond it one summary is sent
+ * @type {number}
+ */
+const MAX_OVERDUE_NOTIFICATIONS = 5;
+
+/**
+ * Handles Socket.IO connections and real-time events. Task updates, notifications and
+ * analytics are sent to the room of the workspace they belong to.
  * @class SocketHandlers
  */
 class SocketHandlers {
@@ -25,16 +48,26 @@ class SocketHandlers {
    */
   setupEventHandlers() {
     this.io.on('connection', (socket) => {
-      console.log(`🔌 Client connected: ${socket.id}`);
+      console.log(`🔌 Client connected: ${socket.id} (${socket.data?.user?.email ?? 'unknown user'})`);
 
-      socket.on('join-analytics', () => {
-        socket.join('analytics');
-        console.log(`📊 Client ${socket.id} joined analytics room`);
+      socket.on('join-workspace', async (workspaceId) => {
+        if (!this.authorizeEvent(socket, 'workspaces:read', 'workspace-error')) return;
+        try {
+          await this.joinWorkspace(socket, workspaceId);
+        } catch (error) {
+          if (!error.statusCode) console.error('Error joining workspace:', error);
+          socket.emit('workspace-error', { message: error.statusCode ? error.message : 'Failed to join workspace' });
+        }
       });
 
       socket.on('request-analytics', async () => {
+        if (!this.authorizeEvent(socket, 'analytics:read', 'analytics-error')) return;
+        if (!socket.data.workspaceId) {
+          socket.emit('analytics-error', { message: 'Join a workspace before requesting analytics' });
+          return;
+        }
         try {
-          const metrics = await AnalyticsService.getTaskMetrics();
+          const metrics = await AnalyticsService.getTaskMetrics(socket.data.workspaceId);
           socket.emit('analytics-update', metrics);
         } catch (error) {
           console.error('Error sending analytics update:', error);
@@ -49,41 +82,124 @@ class SocketHandlers {
   }
 
   /**
-   * Broadcasts analytics updates to all connected clients in analytics room
+   * Checks that the socket's user holds a permission before an event is handled, answering
+   * with an error event when they do not
+   * @private
+   * @param {Object} socket - Client socket; socket.data.user is set during the handshake
+   * @param {string} permission - Permission name from AccessService
+   * @param {string} errorEvent - Event emitted to the socket when refused
+   * @returns {boolean} True when the event may be handled
+   */
+  authorizeEvent(socket, permission, errorEvent) {
+    if (AccessService.can(socket.data?.user, permission)) return true;
+
+    socket.emit(errorEvent, { message: `Your role cannot perform ${permission}` });
+    return false;
+  }
+
+  /**
+   * Moves a socket into the room of a workspace its user can open, leaving the previous
+   * workspace's room, and sends it that workspace's analytics
    * @async
+   * @param {Object} socket - Client socket
+   * @param {string} [workspaceId] - Workspace ID; the user's oldest workspace when omitted
+   * @returns {Promise<Object>} Joined workspace
+   * @throws {Error} 404 when the user cannot open the workspace, 403 when they have none
+   */
+  async joinWorkspace(socket, workspaceId) {
+    const workspace = await WorkspaceService.resolve(socket.data.user, workspaceId);
+    const id = String(workspace._id);
+
+    if (socket.data.workspaceId && socket.data.workspaceId !== id) {
+      socket.leave(workspaceRoom(socket.data.workspaceId));
+    }
+    socket.data.workspaceId = id;
+    socket.join(workspaceRoom(id));
+    console.log(`📊 Client ${socket.id} joined workspace ${workspace.name}`);
+
+    socket.emit('analytics-update', await AnalyticsService.getTaskMetrics(id));
+    return workspace;
+  }
+
+  /**
+   * Lists the workspaces that have at least one client in their room
+   * @returns {Array<string>} Workspace IDs
+   */
+  activeWorkspaces() {
+    const rooms = this.io.sockets?.adapter?.rooms ?? new Map();
+    return [...rooms.keys()]
+      .filter(room => room.startsWith(WORKSPACE_ROOM_PREFIX))
+      .map(room => room.slice(WORKSPACE_ROOM_PREFIX.length));
+  }
+
+  /**
+   * Broadcasts analytics updates to the clients of a workspace
+   * @async
+   * @param {ObjectId|string} [workspaceId] - Workspace whose metrics changed; every workspace
+   * with connected clients when omitted
    * @returns {Promise<void>}
    */
-  async broadcastAnalyticsUpdate() {
-    try {
-      const metrics = await AnalyticsService.getTaskMetrics();
-      this.io.to('analytics').emit('analytics-update', metrics);
-    } catch (error) {
-      console.error('Error broadcasting analytics update:', error);
+  async broadcastAnalyticsUpdate(workspaceId) {
+    const workspaceIds = workspaceId ? [String(workspaceId)] : this.activeWorkspaces();
+
+    for (const id of workspaceIds) {
+      try {
+        const metrics = await AnalyticsService.getTaskMetrics(id);
+        this.io.to(workspaceRoom(id)).emit('analytics-update', metrics);
+      } catch (error) {
+        console.error('Error broadcasting analytics update:', error);
+      }
     }
   }
 
   /**
-   * Broadcasts task updates to all connected clients
+   * Broadcasts task updates to the clients of the task's workspace
    * @param {string} action - Action performed (created, updated, deleted)
    * @param {Object} task - Task data
    */
   broadcastTaskUpdate(action, task) {
-    this.io.emit('task-update', {
+    this.io.to(workspaceRoom(task.workspace)).emit('task-update', {
       action,
       task,
       timestamp: new Date().toISOString()
     });
 
-    this.broadcastAnalyticsUpdate();
+    this.broadcastAnalyticsUpdate(task.workspace);
   }
 
   /**
-   * Broadcasts notifications to all connected clients
+   * Broadcasts one task-update event per workspace for a bulk operation, followed by a single
+   * analytics update each
+   * @param {string} action - Action performed on every task (updated, deleted)
+   * @param {Array<Object>} tasks - Affected tasks
+   */
+  broadcastTaskBatch(action, tasks) {
+    const byWorkspace = new Map();
+    tasks.forEach(task => {
+      const id = String(task.workspace);
+      byWorkspace.set(id, [...(byWorkspace.get(id) ?? []), task]);
+    });
+
+    byWorkspace.forEach((workspaceTasks, workspaceId) => {
+      this.io.to(workspaceRoom(workspaceId)).emit('task-update', {
+        action,
+        tasks: workspaceTasks,
+        timestamp: new Date().toISOString()
+      });
+
+      this.broadcastAnalyticsUpdate(workspaceId);
+    });
+  }
+
+  /**
+   * Broadcasts notifications to the clients of a workspace
    * @param {string} message - Notification message
    * @param {string} [type='info'] - Notification type (info, warning, error)
+   * @param {ObjectId|string} [workspaceId] - Workspace the notification is about; every client when omitted
    */
-  broadcastNotification(message, type = 'info') {
-    this.io.emit('notification', {
+  broadcastNotification(message, type = 'info', workspaceId) {
+    const target = workspaceId ? this.io.to(workspaceRoom(workspaceId)) : this.io;
+    target.emit('notification', {
       message,
       type,
       timestamp: new Date().toISOString()
@@ -91,30 +207,125 @@ class SocketHandlers {
   }
 
   /**
-   * Checks metrics against thresholds and sends notifications if exceeded
+   * Checks that a socket named by a client is connected as that client's user, so export
+   * events can only be pushed to one's own sockets
+   * @param {string} [socketId] - Socket ID from the request
+   * @param {Object} user - Authenticated user of the request
+   * @returns {string|null} The socket ID, or null when it is unknown or belongs to another user
+   */
+  ownSocketId(socketId, user) {
+    const socket = socketId ? this.io.sockets?.sockets?.get(socketId) : undefined;
+    const owner = socket?.data?.user?._id;
+    return owner && String(owner) === String(user?._id) ? socketId : null;
+  }
+
+  /**
+   * Sends export job progress to the socket that requested the export
+   * @param {string} socketId - Requesting socket ID
+   * @param {Object} progress - Progress payload (exportId, processed, total, percent)
+   */
+  emitExportProgress(socketId, progress) {
+    if (!socketId) return;
+
+    this.io.to(socketId).emit('export-progress', {
+      ...progress,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Notifies the requesting socket that an export job finished
+   * @param {string} socketId - Requesting socket ID
+   * @param {Object} record - Completed export record
+   */
+  emitExportComplete(socketId, record) {
+    if (!socketId) return;
+
+    this.io.to(socketId).emit('export-complete', {
+      exportId: record._id.toString(),
+      format: record.format,
+      rowCount: record.rowCount,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Notifies the requesting socket that an export job failed
+   * @param {string} socketId - Requesting socket ID
+   * @param {Object} record - Failed export record
+   * @param {Error} error - Error that stopped the export
+   */
+  emitExportFailed(socketId, record, error) {
+    if (!socketId) return;
+
+    this.io.to(socketId).emit('export-failed', {
+      exportId: record._id.toString(),
+      message: error.message || 'Export failed',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Sends an SLA breach warning to each workspace for every open task of it whose due date
+   * passed within the window; when many tasks cross at once a single summary is sent instead
+   * @async
+   * @param {Date} since - Time of the previous check
+   * @param {Date} [now=new Date()] - Time of this check
+   * @returns {Promise<number>} Number of tasks that became overdue
+   */
+  async notifyOverdueTasks(since, now = new Date()) {
+    const tasks = await TaskDueService.findNewlyOverdue(since, now);
+
+    const byWorkspace = new Map();
+    tasks.forEach(task => {
+      const id = String(task.workspace);
+      byWorkspace.set(id, [...(byWorkspace.get(id) ?? []), task]);
+    });
+
+    for (const [workspaceId, overdue] of byWorkspace) {
+      if (overdue.length > MAX_OVERDUE_NOTIFICATIONS) {
+        this.broadcastNotification(`⏰ ${overdue.length} tasks are now overdue`, 'warning', workspaceId);
+      } else {
+        overdue.forEach(task => {
+          this.broadcastNotification(`⏰ "${task.title}" is now overdue`, 'warning', workspaceId);
+        });
+      }
+
+      await this.broadcastAnalyticsUpdate(workspaceId);
+    }
+
+    return tasks.length;
+  }
+
+  /**
+   * Checks a workspace's metrics against thresholds and sends notifications if exceeded
    * @async
    * @param {Object} metrics - Analytics metrics object
+   * @param {ObjectId|string} [workspaceId] - Workspace the metrics belong to
    * @returns {Promise<void>}
    */
-  async checkMetricThresholds(metrics) {
+  async checkMetricThresholds(metrics, workspaceId) {
     if (metrics.completionRate < 50) {
       this.broadcastNotification(
         `⚠️ Task completion rate has dropped to ${metrics.completionRate}%`,
-        'warning'
+        'warning',
+        workspaceId
       );
     }
 
     if (metrics.tasksByStatus.pending > 20) {
       this.broadcastNotification(
         `📋 High number of pending tasks: ${metrics.tasksByStatus.pending}`,
-        'info'
+        'info',
+        workspaceId
       );
     }
 
     if (metrics.tasksByPriority.high > 10) {
       this.broadcastNotification(
         `🔥 High priority tasks need attention: ${metrics.tasksByPriority.high}`,
-        'warning'
+        'warning',
+        workspaceId
       );
     }
   }
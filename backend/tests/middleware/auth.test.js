@@ -0,0 +1,98 @@
+import { test, describe, mock } from 'node:test';
+import assert from 'node:assert';
+import { authenticate, authorize, authenticateSocket, bearerToken } from '../../src/middleware/auth.js';
+
+const user = { _id: '507f1f77bcf86cd799439011', email: 'ada@example.com' };
+
+/**
+ * Stand-in for AuthService that accepts a single token
+ * @returns {Object} Fake service
+ */
+const createService = () => ({
+  authenticate: mock.fn(async (token) => {
+    if (token === 'valid') return user;
+    const error = new Error(token ? 'Invalid access token' : 'Authentication required');
+    error.statusCode = 401;
+    throw error;
+  })
+});
+
+const createReq = (authorization) => ({
+  get: (name) => (name === 'Authorization' ? authorization : undefined)
+});
+
+const createRes = () => ({
+  headers: {},
+  set(name, value) {
+    this.headers[name] = value;
+    return this;
+  }
+});
+
+describe('Auth Middleware Tests', () => {
+  test('should read Bearer tokens only', () => {
+    assert.strictEqual(bearerToken('Bearer abc'), 'abc');
+    assert.strictEqual(bearerToken('Basic abc'), undefined);
+    assert.strictEqual(bearerToken(undefined), undefined);
+  });
+
+  test('should load the user of a valid token into req.user', async () => {
+    const req = createReq('Bearer valid');
+    const next = mock.fn();
+
+    await authenticate({ service: createService() })(req, createRes(), next);
+
+    assert.strictEqual(req.user, user);
+    assert.deepStrictEqual(next.mock.calls[0].arguments, []);
+  });
+
+  test('should reject missing and invalid tokens with a Bearer challenge', async () => {
+    for (const header of [undefined, 'Bearer forged']) {
+      const res = createRes();
+      const next = mock.fn();
+
+      await authenticate({ service: createService() })(createReq(header), res, next);
+
+      const [error] = next.mock.calls[0].arguments;
+      assert.strictEqual(error.statusCode, 401);
+      assert.strictEqual(res.headers['WWW-Authenticate'], 'Bearer');
+    }
+  });
+
+  test('should only let roles holding a permission through', () => {
+    const middleware = authorize('tasks:delete');
+    const allowed = mock.fn();
+    const refused = mock.fn();
+
+    middleware({ user: { ...user, role: 'admin' } }, createRes(), allowed);
+    middleware({ user: { ...user, role: 'member' } }, createRes(), refused);
+
+    assert.strictEqual(middleware.permission, 'tasks:delete');
+    assert.deepStrictEqual(allowed.mock.calls[0].arguments, []);
+    const [error] = refused.mock.calls[0].arguments;
+    assert.strictEqual(error.statusCode, 403);
+    assert.strictEqual(error.message, 'Your role cannot perform tasks:delete');
+  });
+
+  test('should authenticate socket handshakes', async () => {
+    const socket = { handshake: { auth: { token: 'valid' } }, data: {} };
+    const next = mock.fn();
+
+    await authenticateSocket({ service: createService() })(socket, next);
+
+    assert.strictEqual(socket.data.user, user);
+    assert.deepStrictEqual(next.mock.calls[0].arguments, []);
+  });
+
+  test('should refuse socket handshakes without a valid token', async () => {
+    const socket = { handshake: { auth: {} }, data: {} };
+    const next = mock.fn();
+
+    await authenticateSocket({ service: createService() })(socket, next);
+
+    const [error] = next.mock.calls[0].arguments;
+    assert.strictEqual(error.message, 'Authentication required');
+    assert.deepStrictEqual(error.data, { status: 401 });
+    assert.strictEqual(socket.data.user, undefined);
+  });
+});
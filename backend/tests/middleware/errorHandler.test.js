@@ -110,6 +110,32 @@ describe('Error Handler Middleware Tests', () => {
     assert.strictEqual(res.responseData.message, 'Something went wrong');
   });
 
+  test('should include error data such as the current copy of a conflicting task', () => {
+    const conflictError = {
+      message: 'Task was modified by someone else',
+      statusCode: 412,
+      data: { _id: '1', version: 4 }
+    };
+
+    const req = {};
+    const res = {
+      status: function(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json: function(data) {
+        this.responseData = data;
+        return this;
+      }
+    };
+    const next = () => {};
+
+    errorHandler(conflictError, req, res, next);
+
+    assert.strictEqual(res.statusCode, 412);
+    assert.deepStrictEqual(res.responseData.data, { _id: '1', version: 4 });
+  });
+
   test('should handle errors without status code', () => {
     const error = {
       message: 'Unknown error'
@@ -0,0 +1,164 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { idempotency, MAX_KEY_LENGTH } from '../../src/middleware/idempotency.js';
+
+/**
+ * In-memory stand-in for the ioredis commands the middleware uses
+ * @returns {Object} Fake Redis client exposing its store
+ */
+const createClient = () => {
+  const store = new Map();
+  return {
+    store,
+    set: async (key, value, ...options) => {
+      if (options.includes('NX') && store.has(key)) return null;
+      store.set(key, value);
+      return 'OK';
+    },
+    get: async (key) => store.get(key) ?? null,
+    del: async (key) => store.delete(key) ? 1 : 0
+  };
+};
+
+const createReq = ({ method = 'POST', key = 'retry-1', body = { title: 'Write docs' } } = {}) => ({
+  method,
+  originalUrl: '/api/tasks',
+  body,
+  get: (name) => (name === 'Idempotency-Key' ? key ?? undefined : undefined)
+});
+
+const createRes = () => {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    listeners: {},
+    body: undefined,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    set(name, value) {
+      if (typeof name === 'object') Object.assign(this.headers, name);
+      else this.headers[name] = value;
+      return this;
+    },
+    get(name) {
+      return this.headers[name];
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+    on(event, listener) {
+      this.listeners[event] = listener;
+    }
+  };
+  return res;
+};
+
+/**
+ * Runs the middleware and, when it calls next, a handler standing in for the route
+ * @returns {Promise<{res: Object, handled: boolean}>} Response and whether the route ran
+ */
+const run = async (middleware, req, handler = (res) => res.status(201).set('ETag', '"0"').json({ success: true, data: { _id: '1' } })) => {
+  const res = createRes();
+  let handled = false;
+  await middleware(req, res, () => {
+    handled = true;
+    handler(res);
+  });
+  // Let the fire-and-forget Redis writes settle
+  await new Promise(resolve => setImmediate(resolve));
+  return { res, handled };
+};
+
+describe('Idempotency Middleware Tests', () => {
+  let client;
+  let middleware;
+
+  beforeEach(() => {
+    client = createClient();
+    middleware = idempotency({ client, ttlSeconds: 60 });
+  });
+
+  test('should pass through requests without a key or with a safe method', async () => {
+    assert.strictEqual((await run(middleware, createReq({ key: null }))).handled, true);
+    assert.strictEqual((await run(middleware, createReq({ method: 'GET' }))).handled, true);
+    assert.strictEqual(client.store.size, 0);
+  });
+
+  test('should replay the first response for a retry with the same key', async () => {
+    const first = await run(middleware, createReq());
+    const retry = await run(middleware, createReq());
+
+    assert.strictEqual(first.handled, true);
+    assert.strictEqual(retry.handled, false);
+    assert.strictEqual(retry.res.statusCode, 201);
+    assert.deepStrictEqual(retry.res.body, first.res.body);
+    assert.strictEqual(retry.res.headers.ETag, '"0"');
+    assert.strictEqual(retry.res.headers['Idempotent-Replayed'], 'true');
+  });
+
+  test('should reject a key reused for a different request', async () => {
+    await run(middleware, createReq());
+    const { res, handled } = await run(middleware, createReq({ body: { title: 'Something else' } }));
+
+    assert.strictEqual(handled, false);
+    assert.strictEqual(res.statusCode, 422);
+  });
+
+  test('should reject a key reused for the same request in another workspace', async () => {
+    await run(middleware, { ...createReq(), workspace: { _id: 'engineering' } });
+    const { res, handled } = await run(middleware, { ...createReq(), workspace: { _id: 'operations' } });
+
+    assert.strictEqual(handled, false);
+    assert.strictEqual(res.statusCode, 422);
+  });
+
+  test('should reject a retry while the first request is still running', async () => {
+    await run(middleware, createReq(), () => {});
+    const { res, handled } = await run(middleware, createReq());
+
+    assert.strictEqual(handled, false);
+    assert.strictEqual(res.statusCode, 409);
+  });
+
+  test('should release the key after a server error or a response without JSON', async () => {
+    await run(middleware, createReq(), (res) => res.status(500).json({ success: false }));
+    assert.strictEqual(client.store.size, 0);
+
+    const { res } = await run(middleware, createReq({ key: 'retry-2' }), () => {});
+    res.listeners.close();
+    await new Promise(resolve => setImmediate(resolve));
+    assert.strictEqual(client.store.size, 0);
+  });
+
+  test('should keep the keys of different users apart', async () => {
+    await run(middleware, { ...createReq(), user: { _id: 'ada' } });
+    const other = await run(middleware, { ...createReq(), user: { _id: 'grace' } });
+
+    assert.strictEqual(other.handled, true);
+    assert.deepStrictEqual([...client.store.keys()].sort(), ['idempotency:ada:retry-1', 'idempotency:grace:retry-1']);
+  });
+
+  test('should reject keys that are empty or too long', async () => {
+    const empty = await run(middleware, createReq({ key: '' }));
+    const long = await run(middleware, createReq({ key: 'k'.repeat(MAX_KEY_LENGTH + 1) }));
+
+    assert.strictEqual(empty.res.statusCode, 400);
+    assert.strictEqual(long.res.statusCode, 400);
+    assert.strictEqual(empty.handled || long.handled, false);
+  });
+
+  test('should run requests normally when Redis is unavailable', async () => {
+    const failing = idempotency({ client: { set: () => Promise.reject(new Error('down')) } });
+    const originalWarn = console.warn;
+    console.warn = () => {};
+
+    try {
+      assert.strictEqual((await run(failing, createReq())).handled, true);
+    } finally {
+      console.warn = originalWarn;
+    }
+  });
+});
@@ -0,0 +1,240 @@
+import { test, describe, mock } from 'node:test';
+import assert from 'node:assert';
+import router, { PROTECTED_PATHS, WORKSPACE_PATHS, IDEMPOTENT_PATHS } from '../../src/routes/api.js';
+import openApiDocument, { renderDocsPage } from '../../src/docs/openapi.js';
+import {
+  requestSchema,
+  schemaErrors,
+  findOperation,
+  resolveSchema,
+  validateResponse
+} from '../../src/middleware/openapi.js';
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+/**
+ * Lists the routes registered on the API router as OpenAPI path templates
+ * @returns {Array<string>} Sorted "METHOD /path" entries
+ */
+const routerOperations = () => router.stack
+  .filter(layer => layer.route)
+  .flatMap(layer => Object.keys(layer.route.methods).map(method =>
+    `${method.toUpperCase()} ${layer.route.path.replace(/:(\w+)/g, '{$1}')}`
+  ))
+  .sort();
+
+/**
+ * Lists the operations described by the OpenAPI document
+ * @returns {Array<string>} Sorted "METHOD /path" entries
+ */
+const documentedOperations = () => Object.entries(openApiDocument.paths)
+  .flatMap(([path, pathItem]) => Object.keys(pathItem).map(method => `${method.toUpperCase()} ${path}`))
+  .sort();
+
+describe('OpenAPI Middleware Tests', () => {
+  test('should document exactly the routes the API serves', () => {
+    assert.deepStrictEqual(documentedOperations(), routerOperations());
+  });
+
+  test('should document bearer security on exactly the protected routes', () => {
+    Object.entries(openApiDocument.paths).forEach(([path, pathItem]) => {
+      const isProtected = PROTECTED_PATHS.some(prefix => path === prefix || path.startsWith(`${prefix}/`));
+      Object.values(pathItem).forEach(operation => {
+        const security = operation.security ?? openApiDocument.security;
+        assert.strictEqual(security.length > 0, isProtected, operation.operationId);
+        if (isProtected) assert(operation.responses[401], operation.operationId);
+      });
+    });
+  });
+
+  test('should document the workspace header on exactly the workspace-scoped routes', () => {
+    Object.entries(openApiDocument.paths).forEach(([path, pathItem]) => {
+      const isScopedPath = WORKSPACE_PATHS.some(prefix => path === prefix || path.startsWith(`${prefix}/`));
+      const routePath = path.replace(/\{(\w+)\}/g, ':$1');
+      Object.entries(pathItem).forEach(([method, operation]) => {
+        // Routes outside the scoped prefixes may resolve a workspace themselves
+        const isScoped = isScopedPath || router.stack.some(({ route }) => route?.path === routePath
+          && route.methods[method] && route.stack.some(layer => layer.handle.resolvesWorkspace));
+        const header = (operation.parameters || []).some(parameter => parameter.name === 'X-Workspace-Id');
+        assert.strictEqual(header, isScoped, operation.operationId);
+      });
+    });
+  });
+
+  test('should document the Idempotency-Key header on exactly the idempotent writes', () => {
+    Object.entries(openApiDocument.paths).forEach(([path, pathItem]) => {
+      const isIdempotentPath = IDEMPOTENT_PATHS.some(prefix => path === prefix || path.startsWith(`${prefix}/`));
+      Object.entries(pathItem).forEach(([method, operation]) => {
+        const header = (operation.parameters || []).some(parameter => parameter.name === 'Idempotency-Key');
+        assert.strictEqual(header, isIdempotentPath && ['post', 'put', 'delete'].includes(method), operation.operationId);
+      });
+    });
+  });
+
+  test('should document the permission each route authorizes', () => {
+    router.stack.filter(layer => layer.route).forEach(({ route }) => {
+      const path = route.path.replace(/:(\w+)/g, '{$1}');
+      const authorizer = route.stack.find(layer => layer.handle.permission);
+      Object.keys(route.methods).forEach(method => {
+        const operation = openApiDocument.paths[path][method];
+        assert.strictEqual(operation['x-permission'], authorizer?.handle.permission, operation.operationId);
+      });
+    });
+  });
+
+  test('should give every operation a unique id and a success response', () => {
+    const operations = Object.values(openApiDocument.paths).flatMap(pathItem => Object.values(pathItem));
+    const ids = operations.map(operation => operation.operationId);
+
+    assert.strictEqual(new Set(ids).size, ids.length);
+    operations.forEach(operation => {
+      assert(Object.keys(operation.responses).some(status => status.startsWith('2')), operation.operationId);
+    });
+  });
+
+  test('should resolve every component reference', () => {
+    const visit = (node) => {
+      if (!node || typeof node !== 'object') return;
+      if (node.$ref) assert(resolveSchema(node), node.$ref);
+      Object.values(node).forEach(visit);
+    };
+
+    visit(openApiDocument);
+  });
+
+  test('should find operations by id', () => {
+    assert.deepStrictEqual(
+      { path: findOperation('updateTask').path, method: findOperation('updateTask').method },
+      { path: '/tasks/{id}', method: 'put' }
+    );
+    assert.throws(() => findOperation('missing'), /Unknown OpenAPI operation: missing/);
+  });
+
+  test('should convert parameters and bodies into validation rules', () => {
+    const listTasks = requestSchema('listTasks');
+    assert.strictEqual(listTasks.query.status.type, 'list');
+    assert.deepStrictEqual(listTasks.query.status.items.enum, ['pending', 'in-progress', 'completed']);
+    assert.strictEqual(listTasks.query.limit.cap, true);
+    assert.strictEqual(listTasks.query.createdFrom.type, 'date');
+
+    const updateTask = requestSchema('updateTask');
+    assert.strictEqual(updateTask.params.id.type, 'objectId');
+    assert.strictEqual(updateTask.params.id.required, true);
+    assert.strictEqual(updateTask.body.description.allowEmpty, true);
+    assert.strictEqual(updateTask.body.title.allowEmpty, false);
+    assert.strictEqual(updateTask.body.actualTime.nullable, true);
+    assert.strictEqual(updateTask.body.version.type, 'integer');
+    assert.strictEqual(updateTask.headers, undefined);
+
+    assert.strictEqual(requestSchema('createTask').body.title.required, true);
+    assert.strictEqual(requestSchema('createExportJob').body.filters.type, 'object');
+    assert.deepStrictEqual(requestSchema('getHealth'), { query: {} });
+  });
+
+  test('should accept responses matching the schema', () => {
+    const task = {
+      _id: '507f1f77bcf86cd799439011',
+      title: 'Write docs',
+      status: 'pending',
+      priority: 'high',
+      estimatedTime: null,
+      createdAt: '2024-01-01T00:00:00.000Z',
+      updatedAt: '2024-01-01T00:00:00.000Z',
+      __v: 0
+    };
+
+    assert.deepStrictEqual(schemaErrors(task, ref('Task')), []);
+    assert.deepStrictEqual(schemaErrors({
+      mode: 'cursor',
+      limit: 10,
+      total: 1,
+      hasNext: false,
+      hasPrevious: false,
+      nextCursor: null,
+      prevCursor: null
+    }, { oneOf: [ref('Pagination'), ref('CursorPagination')] }), []);
+  });
+
+  test('should report responses that drift from the schema', () => {
+    const errors = schemaErrors({
+      _id: 'abc',
+      title: 5,
+      status: 'done',
+      priority: 'high',
+      createdAt: 'yesterday'
+    }, ref('Task'));
+
+    assert.deepStrictEqual(errors, [
+      'body.updatedAt is required',
+      'body._id must match ^[0-9a-fA-F]{24}$',
+      'body.title must be a string',
+      'body.status must be one of: pending, in-progress, completed',
+      'body.createdAt must be a date-time'
+    ]);
+    assert.deepStrictEqual(schemaErrors({ success: true }, ref('Message')), ['body.message is required']);
+    assert.deepStrictEqual(schemaErrors([1, 'a'], { type: 'array', items: { type: 'integer' } }), [
+      'body[1] must be an integer'
+    ]);
+  });
+
+  test('should check every part of an allOf schema', () => {
+    const task = {
+      _id: '507f1f77bcf86cd799439011',
+      title: 'Deleted',
+      status: 'pending',
+      priority: 'low',
+      createdAt: '2024-01-01T00:00:00.000Z',
+      updatedAt: '2024-01-01T00:00:00.000Z',
+      deletedAt: '2024-01-02T00:00:00.000Z'
+    };
+
+    assert.deepStrictEqual(schemaErrors({ ...task, purgeAt: '2024-02-01T00:00:00.000Z' }, ref('TrashedTask')), []);
+    assert.deepStrictEqual(schemaErrors({ ...task, title: 5 }, ref('TrashedTask')), [
+      'body.title must be a string',
+      'body.purgeAt is required'
+    ]);
+  });
+
+  test('should warn when a JSON response does not match the spec', () => {
+    const warn = mock.method(console, 'warn', () => {});
+    const sent = [];
+    const res = {
+      statusCode: 200,
+      json(body) {
+        sent.push(body);
+        return this;
+      }
+    };
+
+    validateResponse('getHealth')({}, res, () => {});
+    res.json({ success: true, message: 'API is healthy', timestamp: new Date() });
+    assert.strictEqual(warn.mock.callCount(), 0);
+
+    res.json({ success: true });
+    assert.strictEqual(warn.mock.callCount(), 1);
+    assert.deepStrictEqual(warn.mock.calls[0].arguments[1], [
+      'body.message is required',
+      'body.timestamp is required'
+    ]);
+    assert.strictEqual(sent.length, 2, 'responses are sent unchanged');
+
+    warn.mock.restore();
+  });
+
+  test('should skip response checks in production', () => {
+    const originalEnv = process.env.NODE_ENV;
+    process.env.NODE_ENV = 'production';
+
+    const res = { statusCode: 200, json: () => {} };
+    const { json } = res;
+    validateResponse('getHealth')({}, res, () => {});
+    assert.strictEqual(res.json, json);
+
+    process.env.NODE_ENV = originalEnv;
+  });
+
+  test('should render a docs page loading the document', () => {
+    const html = renderDocsPage('/api/openapi.json');
+    assert.match(html, /SwaggerUIBundle\(\{ url: "\/api\/openapi.json"/);
+  });
+});
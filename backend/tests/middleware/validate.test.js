@@ -0,0 +1,164 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { validate, RequestValidationError } from '../../src/middleware/validate.js';
+import { errorHandler } from '../../src/middleware/errorHandler.js';
+import { requestSchema } from '../../src/middleware/openapi.js';
+import { MAX_PAGE_SIZE } from '../../src/docs/openapi.js';
+
+/**
+ * Runs a validation middleware against a fake request
+ * @param {Object} schema - Validation schema
+ * @param {Object} req - Fake request parts
+ * @returns {{req: Object, error: Error|undefined}} Request after validation and error passed to next
+ */
+const run = (schema, req) => {
+  let error;
+  validate(schema)(req, {}, (err) => {
+    error = err;
+  });
+  return { req, error };
+};
+
+describe('Validation Middleware Tests', () => {
+  test('should coerce and default task list query parameters', () => {
+    const { req, error } = run(requestSchema('listTasks'), {
+      query: { page: '2', limit: '25', status: 'pending,completed', minActualTime: '1.5' }
+    });
+
+    assert.strictEqual(error, undefined);
+    assert.deepStrictEqual(req.query, {
+      page: 2,
+      limit: 25,
+      status: ['pending', 'completed'],
+      minActualTime: 1.5
+    });
+  });
+
+  test('should default page and limit and cap oversized limits', () => {
+    assert.deepStrictEqual(run(requestSchema('listTasks'), { query: {} }).req.query, { page: 1, limit: 10 });
+    assert.strictEqual(run(requestSchema('listTasks'), { query: { limit: '5000' } }).req.query.limit, MAX_PAGE_SIZE);
+  });
+
+  test('should reject unknown fields and invalid values', () => {
+    const { error } = run(requestSchema('listTasks'), {
+      query: { sortBy: 'description', limit: '0', status: 'done', createdFrom: 'soon', $where: '1' }
+    });
+
+    assert(error instanceof RequestValidationError);
+    assert.deepStrictEqual(Object.keys(error.errors).sort(), [
+      'query.$where',
+      'query.createdFrom',
+      'query.limit',
+      'query.sortBy',
+      'query.status'
+    ]);
+    assert.strictEqual(error.errors['query.$where'].message, 'query.$where is not allowed');
+    assert.strictEqual(error.errors['query.limit'].message, 'query.limit must be at least 1');
+    assert.match(error.errors['query.sortBy'].message, /must be one of: createdAt/);
+  });
+
+  test('should reject unknown task fields on update', () => {
+    const { error } = run(requestSchema('updateTask'), {
+      params: { id: '507f1f77bcf86cd799439011' },
+      body: { title: 'Renamed', createdAt: '2020-01-01', _id: 'x' }
+    });
+
+    assert.deepStrictEqual(Object.keys(error.errors).sort(), ['body._id', 'body.createdAt']);
+  });
+
+  test('should keep an emptied description on update', () => {
+    const { req } = run(requestSchema('updateTask'), {
+      params: { id: '507f1f77bcf86cd799439011' },
+      body: { description: '' }
+    });
+
+    assert.deepStrictEqual(req.body, { description: '' });
+  });
+
+  test('should accept nullable times and require a title on create', () => {
+    const valid = run(requestSchema('createTask'), {
+      body: { title: 'Write docs', estimatedTime: '2', actualTime: null }
+    });
+    assert.strictEqual(valid.error, undefined);
+    assert.deepStrictEqual(valid.req.body, { title: 'Write docs', estimatedTime: 2, actualTime: null });
+
+    const missing = run(requestSchema('createTask'), { body: { description: 'No title' } });
+    assert.strictEqual(missing.error.errors['body.title'].message, 'body.title is required');
+  });
+
+  test('should reject malformed IDs', () => {
+    const { error } = run(requestSchema('getTask'), { params: { id: 'nope' } });
+    assert.strictEqual(error.errors['params.id'].message, 'params.id must be a valid ID');
+  });
+
+  test('should validate nested export job filters', () => {
+    const valid = run(requestSchema('createExportJob'), { body: { filters: { priority: 'high' } } });
+    assert.deepStrictEqual(valid.req.body, { format: 'csv', filters: { priority: ['high'] } });
+
+    const invalid = run(requestSchema('createExportJob'), { body: { format: 'xml', filters: { sortBy: 'secret' } } });
+    assert.deepStrictEqual(Object.keys(invalid.error.errors).sort(), ['body.filters.sortBy', 'body.format']);
+  });
+
+  test('should not share default objects between requests', () => {
+    const first = run(requestSchema('createExportJob'), { body: {} }).req.body.filters;
+    const second = run(requestSchema('createExportJob'), { body: {} }).req.body.filters;
+    assert.notStrictEqual(first, second);
+  });
+
+  test('should validate bulk task ids', () => {
+    const valid = run(requestSchema('bulkTasks'), {
+      body: { action: 'update', ids: ['507f1f77bcf86cd799439011'], updates: { status: 'completed' } }
+    });
+    assert.strictEqual(valid.error, undefined);
+    assert.deepStrictEqual(valid.req.body.ids, ['507f1f77bcf86cd799439011']);
+
+    const invalid = run(requestSchema('bulkTasks'), {
+      body: { action: 'archive', ids: ['nope'], updates: { title: 'x' } }
+    });
+    assert.deepStrictEqual(Object.keys(invalid.error.errors).sort(), [
+      'body.action',
+      'body.ids',
+      'body.updates.title'
+    ]);
+    assert.strictEqual(invalid.error.errors['body.ids'].message, 'body.ids must be a valid ID');
+  });
+
+  test('should limit list lengths', () => {
+    const schema = { body: { ids: { type: 'list', maxItems: 2 } } };
+    assert.strictEqual(run(schema, { body: { ids: ['a', 'b', 'c'] } }).error.errors['body.ids'].message,
+      'body.ids must have at most 2 items');
+  });
+
+  test('should coerce booleans', () => {
+    const schema = { query: { dryRun: { type: 'boolean' } } };
+    assert.strictEqual(run(schema, { query: { dryRun: 'true' } }).req.query.dryRun, true);
+    assert.strictEqual(run(schema, { query: { dryRun: 'false' } }).req.query.dryRun, false);
+    assert(run(schema, { query: { dryRun: 'yes' } }).error);
+  });
+
+  test('should produce the errorHandler validation response shape', () => {
+    const { error } = run(requestSchema('listTasks'), { query: { sortOrder: 'sideways' } });
+    const res = {
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(data) {
+        this.responseData = data;
+        return this;
+      }
+    };
+
+    const originalError = console.error;
+    console.error = () => {};
+    errorHandler(error, {}, res, () => {});
+    console.error = originalError;
+
+    assert.strictEqual(res.statusCode, 400);
+    assert.deepStrictEqual(res.responseData, {
+      success: false,
+      message: 'Validation Error',
+      errors: ['query.sortOrder must be one of: asc, desc']
+    });
+  });
+});
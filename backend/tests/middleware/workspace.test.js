@@ -0,0 +1,57 @@
+import { test, describe, mock } from 'node:test';
+import assert from 'node:assert';
+import { workspace, WORKSPACE_HEADER } from '../../src/middleware/workspace.js';
+
+const user = { _id: '507f1f77bcf86cd799439011', role: 'member' };
+const engineering = { _id: '507f1f77bcf86cd799439021', name: 'Engineering' };
+
+/**
+ * Stand-in for WorkspaceService that knows a single workspace
+ * @returns {Object} Fake service
+ */
+const createService = () => ({
+  resolve: mock.fn(async (_user, id) => {
+    if (id === undefined || id === engineering._id) return engineering;
+    const error = new Error('Workspace not found');
+    error.statusCode = 404;
+    throw error;
+  })
+});
+
+const createReq = (workspaceId) => ({
+  user,
+  get: (name) => (name === WORKSPACE_HEADER ? workspaceId : undefined)
+});
+
+describe('Workspace Middleware Tests', () => {
+  test('should load the workspace named by the header into req.workspace', async () => {
+    const service = createService();
+    const req = createReq(engineering._id);
+    const next = mock.fn();
+
+    await workspace({ service })(req, {}, next);
+
+    assert.strictEqual(req.workspace, engineering);
+    assert.deepStrictEqual(service.resolve.mock.calls[0].arguments, [user, engineering._id]);
+    assert.deepStrictEqual(next.mock.calls[0].arguments, []);
+  });
+
+  test('should let the service pick a workspace when the header is missing', async () => {
+    const req = createReq(undefined);
+    const next = mock.fn();
+
+    await workspace({ service: createService() })(req, {}, next);
+
+    assert.strictEqual(req.workspace, engineering);
+  });
+
+  test('should pass workspaces the user cannot open on as errors', async () => {
+    const req = createReq('507f1f77bcf86cd799439099');
+    const next = mock.fn();
+
+    await workspace({ service: createService() })(req, {}, next);
+
+    assert.strictEqual(req.workspace, undefined);
+    assert.strictEqual(next.mock.calls[0].arguments[0].statusCode, 404);
+  });
+});
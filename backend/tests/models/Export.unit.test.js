@@ -0,0 +1,77 @@
+import { test, describe, mock } from 'node:test';
+import assert from 'node:assert';
+import mongoose from 'mongoose';
+
+import Export from '../../src/models/Export.js';
+
+describe('Export Model Unit Tests', () => {
+  test('should be a mongoose model', () => {
+    assert(Export);
+    assert(Export.modelName === 'Export');
+    assert(Export.schema instanceof mongoose.Schema);
+  });
+
+  test('should have correct schema structure', () => {
+    const paths = Export.schema.paths;
+
+    assert(paths.format.isRequired === true);
+    assert.deepStrictEqual(paths.format.enumValues, ['csv', 'json', 'ndjson']);
+    assert.deepStrictEqual(paths.status.enumValues, ['queued', 'running', 'completed', 'failed']);
+    assert(paths.rerunOf.options.ref === 'Export');
+    assert(paths.filters);
+    assert(paths.requestedBy);
+    assert(paths.ipAddress);
+    assert(paths.userAgent);
+  });
+
+  test('should have correct default values', () => {
+    const record = new Export({ format: 'csv' });
+
+    assert.strictEqual(record.status, 'running');
+    assert.strictEqual(record.rowCount, 0);
+    assert.strictEqual(record.requestedBy, 'anonymous');
+    assert.strictEqual(record.rerunOf, null);
+    assert.strictEqual(record.cacheHit, false);
+    assert.deepStrictEqual(record.filters, {});
+  });
+
+  test('should have index on createdAt', () => {
+    const indexes = Export.schema.indexes();
+    assert(indexes.find(idx => idx[0].createdAt === -1));
+  });
+
+  test('should reject unknown formats', () => {
+    const record = new Export({ format: 'xml' });
+    const error = record.validateSync();
+
+    assert(error);
+    assert(error.errors.format);
+  });
+
+  test('markCompleted should record row count and completion time', async () => {
+    const record = new Export({ format: 'json' });
+    const save = mock.method(record, 'save', function() {
+      return Promise.resolve(this);
+    });
+
+    await record.markCompleted(12);
+
+    assert.strictEqual(save.mock.calls.length, 1);
+    assert.strictEqual(record.status, 'completed');
+    assert.strictEqual(record.rowCount, 12);
+    assert(record.completedAt instanceof Date);
+  });
+
+  test('markFailed should record the error message', async () => {
+    const record = new Export({ format: 'ndjson' });
+    mock.method(record, 'save', function() {
+      return Promise.resolve(this);
+    });
+
+    await record.markFailed(new Error('cursor closed'));
+
+    assert.strictEqual(record.status, 'failed');
+    assert.strictEqual(record.error, 'cursor closed');
+    assert(record.completedAt instanceof Date);
+  });
+});
@@ -3,7 +3,7 @@ import assert from 'node:assert';
 import mongoose from 'mongoose';
 
 // Import Task model
-import Task from '../../src/models/Task.js';
+import Task, { MAX_TAGS, MAX_TAG_LENGTH } from '../../src/models/Task.js';
 
 describe('Task Model Unit Tests', () => {
   test('should be a mongoose model', () => {
@@ -45,6 +45,38 @@ describe('Task Model Unit Tests', () => {
     assert(paths.priority.defaultValue === 'medium');
   });
 
+  test('should start tasks outside the trash', () => {
+    const task = new Task({ title: 'Soft delete' });
+
+    assert.strictEqual(task.deletedAt, null);
+    assert(Task.schema.indexes().some(([fields]) => Object.keys(fields).length === 1 && fields.deletedAt === 1));
+  });
+
+  test('should store an optional due date with an index for overdue queries', () => {
+    assert.strictEqual(new Task({ title: 'No deadline' }).dueDate, null);
+    assert.deepStrictEqual(
+      new Task({ title: 'Deadline', dueDate: '2024-03-01T17:00:00Z' }).dueDate,
+      new Date('2024-03-01T17:00:00Z')
+    );
+    assert(Task.schema.indexes().some(([fields]) => fields.dueDate === 1 && fields.status === 1));
+  });
+
+  test('should store tags lowercase and without duplicates', () => {
+    const task = new Task({ title: 'Tagged', tags: ['Design', ' design ', 'UX', ''] });
+
+    assert.deepStrictEqual(task.tags.toObject(), ['design', 'ux']);
+    assert.deepStrictEqual(new Task({ title: 'Untagged' }).tags.toObject(), []);
+    assert(Task.schema.indexes().some(([fields]) => Object.keys(fields).length === 1 && fields.tags === 1));
+  });
+
+  test('should limit the number and length of tags', () => {
+    const tooMany = new Task({ title: 'Tagged', tags: Array.from({ length: MAX_TAGS + 1 }, (_, i) => `tag-${i}`) });
+    const tooLong = new Task({ title: 'Tagged', tags: ['x'.repeat(MAX_TAG_LENGTH + 1)] });
+
+    assert(tooMany.validateSync().errors.tags);
+    assert(tooLong.validateSync().errors['tags.0']);
+  });
+
   test('should have indexes defined', () => {
     const indexes = Task.schema.indexes();
     
@@ -61,6 +93,14 @@ describe('Task Model Unit Tests', () => {
     assert(createdAtIndex, 'Should have index on createdAt');
   });
 
+  test('should have a weighted text index on title and description', () => {
+    const textIndex = Task.schema.indexes().find(idx => idx[0].title === 'text');
+
+    assert(textIndex, 'Should have text index on title');
+    assert.strictEqual(textIndex[0].description, 'text');
+    assert(textIndex[1].weights.title > textIndex[1].weights.description);
+  });
+
   test('should have pre-save middleware', () => {
     const schema = Task.schema;
     // Check if the schema has pre hooks defined
@@ -114,6 +154,15 @@ describe('Task Model Unit Tests', () => {
     assert(descriptionPath.options.maxlength === 1000);
   });
 
+  test('should serialize the version key as version', () => {
+    const task = new Task({ title: 'Versioned' });
+    task.__v = 3;
+
+    const json = task.toJSON();
+    assert.strictEqual(json.version, 3);
+    assert.strictEqual(json.__v, undefined);
+  });
+
   test('should have timestamps enabled', () => {
     const schema = Task.schema;
     assert(schema.options.timestamps === true);
@@ -0,0 +1,45 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import mongoose from 'mongoose';
+
+import User from '../../src/models/User.js';
+import Task from '../../src/models/Task.js';
+
+describe('User Model Unit Tests', () => {
+  test('should be a mongoose model', () => {
+    assert(User);
+    assert(User.modelName === 'User');
+    assert(User.schema instanceof mongoose.Schema);
+  });
+
+  test('should require a name and a unique email', () => {
+    const paths = User.schema.paths;
+
+    assert(paths.name.isRequired === true);
+    assert(paths.email.isRequired === true);
+    assert(paths.email.options.unique === true);
+    assert.strictEqual(new User({ name: 'Ada', email: 'ada@example.com' }).avatarUrl, null);
+  });
+
+  test('should store emails trimmed and lowercase', () => {
+    const user = new User({ name: 'Ada', email: '  Ada@Example.COM ' });
+
+    assert.strictEqual(user.email, 'ada@example.com');
+    assert.strictEqual(user.validateSync(), undefined);
+  });
+
+  test('should reject invalid emails and long names', () => {
+    const error = new User({ name: 'a'.repeat(101), email: 'not-an-email' }).validateSync();
+
+    assert(error.errors.name);
+    assert(error.errors.email);
+  });
+
+  test('should be referenced by the task assignee', () => {
+    const assignee = Task.schema.path('assignee');
+
+    assert.strictEqual(assignee.options.ref, 'User');
+    assert.strictEqual(new Task({ title: 'Docs' }).assignee, null);
+    assert(Task.schema.indexes().find(idx => idx[0].assignee === 1 && idx[0].status === 1));
+  });
+});
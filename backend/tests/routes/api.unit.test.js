@@ -1,9 +1,17 @@
-import { test, describe } from 'node:test';
+import { test, describe, mock } from 'node:test';
 import assert from 'node:assert';
 import express from 'express';
 
 // Import the router and function
 import router, { setSocketHandlers } from '../../src/routes/api.js';
+import AuthService from '../../src/services/authService.js';
+import { redisClient } from '../../src/config/redis.js';
+import Task from '../../src/models/Task.js';
+import WorkspaceService from '../../src/services/workspaceService.js';
+import UserService from '../../src/services/userService.js';
+import TaskHistoryService from '../../src/services/taskHistoryService.js';
+import AnalyticsService from '../../src/services/analyticsService.js';
+import ExportService from '../../src/services/exportService.js';
 
 describe('API Routes Unit Tests', () => {
   test('should export setSocketHandlers function', () => {
@@ -56,11 +64,86 @@ describe('API Routes Unit Tests', () => {
     const healthRoute = routes.find(r => r.path === '/health' && r.method === 'get');
     assert(healthRoute, 'Should have GET /health route');
 
+    // Should have export routes
+    assert(routes.find(r => r.path === '/tasks/export' && r.method === 'get'), 'Should have GET /tasks/export route');
+    assert(routes.find(r => r.path === '/exports' && r.method === 'get'), 'Should have GET /exports route');
+    assert(routes.find(r => r.path === '/exports/:id/download' && r.method === 'get'), 'Should have GET /exports/:id/download route');
+    assert(routes.find(r => r.path === '/exports' && r.method === 'post'), 'Should have POST /exports route');
+    assert(routes.find(r => r.path === '/exports/:id/file' && r.method === 'get'), 'Should have GET /exports/:id/file route');
+
     // Should have analytics route
     const analyticsRoute = routes.find(r => r.path === '/analytics' && r.method === 'get');
     assert(analyticsRoute, 'Should have GET /analytics route');
   });
 
+  test('should never store login responses for Idempotency-Key replays', async () => {
+    const session = { user: { _id: 'ada' }, accessToken: 'access', refreshToken: 'refresh' };
+    const login = mock.method(AuthService, 'login', () => Promise.resolve(session));
+    const set = mock.method(redisClient, 'set', () => Promise.resolve('OK'));
+    const get = mock.method(redisClient, 'get', () => Promise.resolve(null));
+    const app = express();
+    app.use(express.json());
+    app.use('/api', router);
+    const server = app.listen(0);
+
+    try {
+      const send = () => fetch(`http://127.0.0.1:${server.address().port}/api/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Idempotency-Key': 'login-1' },
+        body: JSON.stringify({ email: 'ada@example.com', password: 'password123' })
+      });
+      const first = await send();
+      const retry = await send();
+
+      assert.strictEqual(first.status, 200);
+      assert.strictEqual(retry.headers.get('Idempotent-Replayed'), null);
+      assert.strictEqual((await retry.json()).data.refreshToken, 'refresh');
+      assert.strictEqual(login.mock.callCount(), 2);
+      assert.strictEqual(set.mock.callCount(), 0);
+      assert.strictEqual(get.mock.callCount(), 0);
+    } finally {
+      server.close();
+      mock.restoreAll();
+    }
+  });
+
+  test('should keep the status and actual time given when creating a task', async () => {
+    const workspace = { _id: '507f1f77bcf86cd799439021' };
+    mock.method(AuthService, 'authenticate', () => Promise.resolve({ _id: '507f1f77bcf86cd799439011', role: 'member' }));
+    mock.method(WorkspaceService, 'resolve', () => Promise.resolve(workspace));
+    mock.method(UserService, 'ensureAssignable', () => Promise.resolve());
+    const save = mock.method(Task.prototype, 'save', function () {
+      return Promise.resolve(this);
+    });
+    mock.method(TaskHistoryService, 'record', () => Promise.resolve());
+    mock.method(AnalyticsService, 'invalidateCache', () => Promise.resolve());
+    mock.method(ExportService, 'invalidateCache', () => Promise.resolve());
+    setSocketHandlers(null);
+    const app = express();
+    app.use(express.json());
+    app.use('/api', router);
+    const server = app.listen(0);
+
+    try {
+      const response = await fetch(`http://127.0.0.1:${server.address().port}/api/tasks`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: 'Bearer access' },
+        body: JSON.stringify({ title: 'Write report', status: 'in-progress', actualTime: 3 })
+      });
+
+      assert.strictEqual(response.status, 201);
+      const { data } = await response.json();
+      assert.strictEqual(data.status, 'in-progress');
+      assert.strictEqual(data.actualTime, 3);
+      const [task] = save.mock.calls.map(call => call.this);
+      assert.strictEqual(task.status, 'in-progress');
+      assert.strictEqual(task.actualTime, 3);
+    } finally {
+      server.close();
+      mock.restoreAll();
+    }
+  });
+
   test('should set socket handlers correctly', () => {
     const mockHandlers = {
       broadcastTaskUpdate: (action, task) => ({ action, task }),
@@ -0,0 +1,83 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import AccessService, { PERMISSIONS } from '../../src/services/accessService.js';
+import { ROLES } from '../../src/models/User.js';
+
+const viewer = { _id: '507f1f77bcf86cd799439011', email: 'katherine@example.com', role: 'viewer' };
+const member = { _id: '507f1f77bcf86cd799439012', email: 'grace@example.com', role: 'member' };
+const admin = { _id: '507f1f77bcf86cd799439013', email: 'ada@example.com', role: 'admin' };
+
+describe('Access Service Unit Tests', () => {
+  test('should only grant permissions to known roles', () => {
+    Object.values(PERMISSIONS).forEach(roles => {
+      assert(roles.length > 0);
+      roles.forEach(role => assert(ROLES.includes(role), role));
+    });
+  });
+
+  test('should let viewers read, members create and admins do everything', () => {
+    assert(AccessService.can(viewer, 'tasks:read'));
+    assert(!AccessService.can(viewer, 'tasks:create'));
+    assert(AccessService.can(member, 'tasks:create'));
+    assert(!AccessService.can(member, 'tasks:delete'));
+    assert(!AccessService.can(member, 'tasks:bulk'));
+    Object.keys(PERMISSIONS).forEach(permission => assert(AccessService.can(admin, permission), permission));
+  });
+
+  test('should refuse missing users and unknown permissions', () => {
+    assert(!AccessService.can(null, 'tasks:read'));
+    assert(!AccessService.can(admin, 'tasks:fly'));
+    assert.throws(
+      () => AccessService.assert(viewer, 'tasks:update'),
+      (error) => error.statusCode === 403 && error.message === 'Your role cannot perform tasks:update'
+    );
+  });
+
+  test('should let members edit only the tasks they created or are assigned to', () => {
+    const created = { createdBy: member._id, assignee: null };
+    const assigned = { createdBy: admin._id, assignee: member._id };
+    const others = { createdBy: admin._id, assignee: viewer._id };
+
+    AccessService.assertCanEditTask(member, created);
+    AccessService.assertCanEditTask(member, assigned);
+    AccessService.assertCanEditTask(admin, others);
+    assert.throws(() => AccessService.assertCanEditTask(member, others), { statusCode: 403 });
+    assert.throws(() => AccessService.assertCanEditTask(viewer, { createdBy: viewer._id }), { statusCode: 403 });
+  });
+
+  test('should let non-admins edit their own profile but not their role', () => {
+    AccessService.assertCanEditUser(member, member._id, { name: 'Grace H.', role: 'member' });
+    AccessService.assertCanEditUser(admin, member._id, { role: 'admin' });
+
+    assert.throws(
+      () => AccessService.assertCanEditUser(member, admin._id, { name: 'Ada' }),
+      { statusCode: 403, message: 'You can only edit your own profile' }
+    );
+    assert.throws(
+      () => AccessService.assertCanEditUser(viewer, viewer._id, { role: 'admin' }),
+      { statusCode: 403, message: 'Only admins can change roles' }
+    );
+  });
+
+  test('should keep workspace membership changes to admins', () => {
+    assert.throws(
+      () => AccessService.assertCanEditUser(member, member._id, { workspaces: [] }),
+      { statusCode: 403, message: 'Only admins can change workspace membership' }
+    );
+    AccessService.assertCanEditUser(admin, member._id, { workspaces: [] });
+  });
+
+  test('should open member workspaces to members and every workspace to admins', () => {
+    const workspaceId = '507f1f77bcf86cd799439021';
+    const joined = { ...member, workspaces: [workspaceId] };
+
+    assert(AccessService.canAccessWorkspace(joined, workspaceId));
+    assert(!AccessService.canAccessWorkspace(member, workspaceId));
+    assert(AccessService.canAccessWorkspace(admin, workspaceId));
+  });
+
+  test('should scope export history to the requester unless they are an admin', () => {
+    assert.deepStrictEqual(AccessService.exportScope(admin), {});
+    assert.deepStrictEqual(AccessService.exportScope(member), { requestedBy: member.email });
+  });
+});
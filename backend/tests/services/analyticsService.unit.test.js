@@ -1,8 +1,42 @@
-import { test, describe } from 'node:test';
+import { test, describe, mock, afterEach } from 'node:test';
 import assert from 'node:assert';
-import AnalyticsService from '../../src/services/analyticsService.js';
+import AnalyticsService, { MAX_TIME_SERIES_BUCKETS, MAX_BURNDOWN_DAYS } from '../../src/services/analyticsService.js';
+import mongoose from 'mongoose';
+import Task from '../../src/models/Task.js';
+import Workspace from '../../src/models/Workspace.js';
+import { redisClient } from '../../src/config/redis.js';
+
+const workspace = new mongoose.Types.ObjectId('507f1f77bcf86cd799439021');
+
+/**
+ * Mocks Task.aggregate and Task.countDocuments over an in-memory list, applying the status and
+ * date range conditions of each filter
+ * @param {Array<Object>} tasks - Tasks with status, createdAt and completedAt
+ */
+const mockTasks = (tasks) => {
+  const matching = (filter) => tasks.filter(task =>
+    (filter.status === undefined || task.status === filter.status) &&
+    ['createdAt', 'completedAt'].every(field => !filter[field] ||
+      ((!filter[field].$lt || task[field] < filter[field].$lt) &&
+        (!filter[field].$gte || task[field] >= filter[field].$gte) &&
+        (!filter[field].$lte || task[field] <= filter[field].$lte))));
+  mock.method(Task, 'aggregate', (pipeline) => {
+    const counts = new Map();
+    const { date, unit } = pipeline[1].$group._id.$dateTrunc;
+    matching(pipeline[0].$match).forEach(task => {
+      const bucket = AnalyticsService.bucketStart(task[date.slice(1)], unit).getTime();
+      counts.set(bucket, (counts.get(bucket) ?? 0) + 1);
+    });
+    return Promise.resolve([...counts].map(([bucket, count]) => ({ _id: new Date(bucket), count })));
+  });
+  mock.method(Task, 'countDocuments', (filter) => Promise.resolve(matching(filter).length));
+};
 
 describe('Analytics Service Unit Tests', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
   test('should be a class with static methods', () => {
     assert(AnalyticsService);
     assert(typeof AnalyticsService.getTaskMetrics === 'function');
@@ -44,9 +78,9 @@ describe('Analytics Service Unit Tests', () => {
 
   test('should have proper method signatures', () => {
     // Test that methods exist and can be called (though they may fail due to DB)
-    assert(AnalyticsService.getTaskMetrics.length === 0);
-    assert(AnalyticsService.calculateMetrics.length === 0);
-    assert(AnalyticsService.invalidateCache.length === 0);
+    assert(AnalyticsService.getTaskMetrics.length === 1);
+    assert(AnalyticsService.calculateMetrics.length === 1);
+    assert(AnalyticsService.invalidateCache.length === 1);
   });
 
   test('should expose analytics service structure', () => {
@@ -66,4 +100,353 @@ describe('Analytics Service Unit Tests', () => {
     assert(methodNames.includes('invalidateCache'));
     assert(methodNames.includes('fixCompletedTasksData'));
   });
-});
\ No newline at end of file
+
+  test('should leave tasks in the trash and other workspaces out of counts and aggregations', async () => {
+    const countDocuments = mock.method(Task, 'countDocuments', () => Promise.resolve(4));
+    const aggregate = mock.method(Task, 'aggregate', () => Promise.resolve([{ _id: 'pending', count: 4 }]));
+
+    await AnalyticsService.getCompletionRate(workspace);
+    await AnalyticsService.getTasksCompletedToday(workspace);
+    await AnalyticsService.getTasksByStatus(String(workspace));
+
+    countDocuments.mock.calls.forEach(call => {
+      assert.strictEqual(call.arguments[0].deletedAt, null);
+      assert(call.arguments[0].workspace.equals(workspace));
+    });
+    // Aggregations are not cast by Mongoose, so string IDs must become ObjectIds
+    assert.deepStrictEqual(aggregate.mock.calls[0].arguments[0][0], { $match: { workspace, deletedAt: null } });
+  });
+
+  test('should cache metrics per workspace', async () => {
+    const get = mock.method(redisClient, 'get', () => Promise.resolve(JSON.stringify({ totalTasks: 3 })));
+    const del = mock.method(redisClient, 'del', () => Promise.resolve(1));
+    const other = new mongoose.Types.ObjectId();
+    mock.method(Workspace, 'distinct', () => Promise.resolve([workspace, other]));
+
+    assert.deepStrictEqual(await AnalyticsService.getTaskMetrics(workspace), { totalTasks: 3 });
+    await AnalyticsService.invalidateCache(workspace);
+    await AnalyticsService.invalidateCache();
+
+    assert.strictEqual(get.mock.calls[0].arguments[0], `task_metrics:${workspace}`);
+    assert.deepStrictEqual(del.mock.calls.map(call => call.arguments), [
+      [`task_metrics:${workspace}`],
+      [`task_metrics:${workspace}`, `task_metrics:${other}`]
+    ]);
+  });
+
+  test('should count tasks per tag, most used first', async () => {
+    const aggregate = mock.method(Task, 'aggregate', () =>
+      Promise.resolve([{ _id: 'design', count: 5 }, { _id: 'planning', count: 2 }])
+    );
+
+    const tasksByTag = await AnalyticsService.getTasksByTag(workspace);
+
+    assert.deepStrictEqual(tasksByTag, { design: 5, planning: 2 });
+    assert.deepStrictEqual(Object.keys(tasksByTag), ['design', 'planning']);
+    const [match, unwind] = aggregate.mock.calls[0].arguments[0];
+    assert.deepStrictEqual(match, { $match: { 'tags.0': { $exists: true }, workspace, deletedAt: null } });
+    assert.deepStrictEqual(unwind, { $unwind: '$tags' });
+  });
+
+  test('should summarize the workload of each assignee', async () => {
+    const user = { _id: '507f1f77bcf86cd799439011', name: 'Ada Lovelace', email: 'ada@example.com' };
+    const aggregate = mock.method(Task, 'aggregate', () => Promise.resolve([
+      { _id: user._id, user, totalTasks: 4, openTasks: 3, completedTasks: 1, timedTasks: 1, completionMs: 5.5 * 60 * 60 * 1000 },
+      { _id: 'b', user: { ...user, name: 'Grace' }, totalTasks: 2, openTasks: 2, completedTasks: 0, timedTasks: 0, completionMs: 0 }
+    ]));
+
+    const workload = await AnalyticsService.getWorkloadByAssignee(workspace);
+
+    assert.deepStrictEqual(workload[0], {
+      assignee: { ...user, avatarUrl: null },
+      openTasks: 3,
+      completedTasks: 1,
+      completionRate: 25,
+      averageCompletionTime: 5.5
+    });
+    assert.strictEqual(workload[1].completionRate, 0);
+    assert.strictEqual(workload[1].averageCompletionTime, 0);
+
+    const [match, , lookup] = aggregate.mock.calls[0].arguments[0];
+    assert.deepStrictEqual(match, { $match: { assignee: { $ne: null }, workspace, deletedAt: null } });
+    assert.strictEqual(lookup.$lookup.from, 'users');
+  });
+
+  test('should average completion times in an aggregation', async () => {
+    const aggregate = mock.method(Task, 'aggregate', () => Promise.resolve([{ _id: null, mean: 12.345 }]));
+
+    assert.strictEqual(await AnalyticsService.getAverageCompletionTime(workspace), 12.3);
+
+    const [match] = aggregate.mock.calls[0].arguments[0];
+    assert.deepStrictEqual(match.$match, {
+      status: 'completed',
+      completedAt: { $ne: null },
+      $expr: { $gt: ['$completedAt', '$createdAt'] },
+      workspace,
+      deletedAt: null
+    });
+
+    aggregate.mock.mockImplementation(() => Promise.resolve([]));
+    assert.strictEqual(await AnalyticsService.getAverageCompletionTime(workspace), 0);
+  });
+
+  test('should summarize lead and cycle times with percentiles and breakdowns', async () => {
+    const aggregate = mock.method(Task, 'aggregate', (pipeline) => Promise.resolve(pipeline.some(stage => stage.$facet)
+      ? [{
+        overall: [{ _id: null, count: 4, mean: 30.04, percentiles: [6.06, 20, 80.55, 100] }],
+        byPriority: [{ _id: 'low', count: 1, mean: 100, percentiles: [100, 100, 100, 100] }],
+        byTag: [{ _id: 'design', count: 2, mean: 3, percentiles: [2, 4, 4, 4] }],
+        histogram: [{ _id: 1, count: 2 }, { _id: 24, count: 1 }, { _id: 'longer', count: 1 }]
+      }]
+      : [{ _id: null, count: 2, mean: 5, percentiles: [4, 6, 6, 6] }]));
+
+    const stats = await AnalyticsService.getLeadTimeStats(workspace);
+
+    assert.deepStrictEqual(stats.leadTime, { count: 4, mean: 30, p50: 6.1, p75: 20, p90: 80.6, p95: 100 });
+    assert.deepStrictEqual(stats.cycleTime, { count: 2, mean: 5, p50: 4, p75: 6, p90: 6, p95: 6 });
+    assert.deepStrictEqual(stats.histogram.map(bucket => [bucket.min, bucket.max, bucket.count]), [
+      [0, 1, 0], [1, 4, 2], [4, 8, 0], [8, 24, 0], [24, 72, 1], [72, 168, 0], [168, 336, 0], [336, null, 1]
+    ]);
+    assert.deepStrictEqual(stats.byPriority.map(item => [item.priority, item.count]), [['high', 0], ['medium', 0], ['low', 1]]);
+    assert.deepStrictEqual(stats.byTag, [{ tag: 'design', count: 2, mean: 3, p50: 2, p75: 4, p90: 4, p95: 4 }]);
+
+    const cyclePipeline = aggregate.mock.calls.map(call => call.arguments[0]).find(pipeline => !pipeline.some(stage => stage.$facet));
+    const lookup = cyclePipeline.find(stage => stage.$lookup).$lookup;
+    assert.strictEqual(lookup.from, 'taskhistories');
+    assert.deepStrictEqual(lookup.pipeline[0].$match.changes, { $elemMatch: { field: 'status', after: 'in-progress' } });
+    aggregate.mock.calls.forEach(call => {
+      assert.deepStrictEqual(call.arguments[0][0].$match.workspace, workspace);
+      assert.strictEqual(call.arguments[0][0].$match.deletedAt, null);
+    });
+  });
+
+  test('should report zero lead times when nothing was completed', async () => {
+    mock.method(Task, 'aggregate', (pipeline) => Promise.resolve(pipeline.some(stage => stage.$facet)
+      ? [{ overall: [], byPriority: [], byTag: [], histogram: [] }]
+      : []));
+
+    const stats = await AnalyticsService.getLeadTimeStats(workspace);
+
+    assert.deepStrictEqual(stats.leadTime, { count: 0, mean: 0, p50: 0, p75: 0, p90: 0, p95: 0 });
+    assert.deepStrictEqual(stats.cycleTime, stats.leadTime);
+    assert(stats.histogram.every(bucket => bucket.count === 0));
+    assert.strictEqual(stats.byPriority.length, 3);
+    assert.deepStrictEqual(stats.byTag, []);
+  });
+
+  test('should compare actual with estimated time', async () => {
+    const task = { _id: 't1', title: 'Migrate', priority: 'high', estimatedTime: 2, actualTime: 7, ratio: 3.5 };
+    const aggregate = mock.method(Task, 'aggregate', () => Promise.resolve([{
+      overall: [{ _id: null, count: 3, meanRatio: 1.6667, medianRatio: 1, overrunCount: 1, underrunCount: 1 }],
+      byPriority: [{ _id: 'high', count: 1, meanRatio: 3.5, medianRatio: 3.5, overrunCount: 1, underrunCount: 0 }],
+      worst: [task],
+      points: [task, { ...task, _id: 't2', ratio: 1 / 3 }]
+    }]));
+
+    const accuracy = await AnalyticsService.getEstimateAccuracy(workspace);
+
+    assert.deepStrictEqual(
+      [accuracy.count, accuracy.meanRatio, accuracy.medianRatio, accuracy.overrunCount, accuracy.underrunCount],
+      [3, 1.67, 1, 1, 1]
+    );
+    assert.deepStrictEqual(accuracy.byPriority.map(item => [item.priority, item.count, item.meanRatio]), [
+      ['high', 1, 3.5], ['medium', 0, 0], ['low', 0, 0]
+    ]);
+    assert.deepStrictEqual(accuracy.worst, [task]);
+    assert.strictEqual(accuracy.points[1].ratio, 0.33);
+
+    const [match, project, facet] = aggregate.mock.calls[0].arguments[0];
+    assert.deepStrictEqual(match.$match, {
+      status: 'completed',
+      estimatedTime: { $gt: 0 },
+      actualTime: { $gt: 0 },
+      workspace,
+      deletedAt: null
+    });
+    assert.deepStrictEqual(project.$project.ratio, { $divide: ['$actualTime', '$estimatedTime'] });
+    assert.deepStrictEqual(facet.$facet.worst[0], { $addFields: { error: { $abs: { $ln: '$ratio' } } } });
+  });
+
+  test('should report empty estimate accuracy when no task has both times', async () => {
+    mock.method(Task, 'aggregate', () => Promise.resolve([{ overall: [], byPriority: [], worst: [], points: [] }]));
+
+    const accuracy = await AnalyticsService.getEstimateAccuracy(workspace);
+
+    assert.strictEqual(accuracy.count, 0);
+    assert.strictEqual(accuracy.medianRatio, 0);
+    assert.strictEqual(accuracy.byPriority.length, 3);
+    assert.deepStrictEqual(accuracy.points, []);
+  });
+
+  test('should truncate dates to UTC buckets with weeks starting on Monday', () => {
+    const date = new Date('2024-03-14T15:42:10Z'); // a Thursday
+
+    assert.deepStrictEqual(AnalyticsService.bucketStart(date, 'hour'), new Date('2024-03-14T15:00:00Z'));
+    assert.deepStrictEqual(AnalyticsService.bucketStart(date, 'day'), new Date('2024-03-14T00:00:00Z'));
+    assert.deepStrictEqual(AnalyticsService.bucketStart(date, 'week'), new Date('2024-03-11T00:00:00Z'));
+    assert.deepStrictEqual(AnalyticsService.bucketStart(new Date('2024-03-17T23:00:00Z'), 'week'), new Date('2024-03-11T00:00:00Z'));
+    assert.deepStrictEqual(AnalyticsService.bucketStart(date, 'month'), new Date('2024-03-01T00:00:00Z'));
+    assert.deepStrictEqual(
+      AnalyticsService.addBuckets(new Date('2024-01-01T00:00:00Z'), 'month', -2),
+      new Date('2023-11-01T00:00:00Z')
+    );
+  });
+
+  test('should build a time series with empty buckets and a running open count', async () => {
+    const aggregate = mock.method(Task, 'aggregate', (pipeline) => {
+      const field = Object.keys(pipeline[0].$match).find(key => key.endsWith('At') && key !== 'deletedAt');
+      return Promise.resolve(field === 'createdAt'
+        ? [{ _id: new Date('2024-03-01T00:00:00Z'), count: 3 }, { _id: new Date('2024-03-03T00:00:00Z'), count: 1 }]
+        : [{ _id: new Date('2024-03-03T00:00:00Z'), count: 2 }]);
+    });
+    const countDocuments = mock.method(Task, 'countDocuments', (filter) => Promise.resolve(filter.status ? 2 : 7));
+
+    const series = await AnalyticsService.getTimeSeries(workspace, {
+      interval: 'day',
+      from: '2024-03-01T08:00:00Z',
+      to: '2024-03-03'
+    });
+
+    assert.deepStrictEqual(series.from, new Date('2024-03-01T00:00:00Z'));
+    assert.deepStrictEqual(series.to, new Date('2024-03-03T23:59:59.999Z'));
+    assert.deepStrictEqual(series.buckets, [
+      { start: new Date('2024-03-01T00:00:00Z'), created: 3, completed: 0, netOpen: 3, open: 8 },
+      { start: new Date('2024-03-02T00:00:00Z'), created: 0, completed: 0, netOpen: 0, open: 8 },
+      { start: new Date('2024-03-03T00:00:00Z'), created: 1, completed: 2, netOpen: -1, open: 7 }
+    ]);
+
+    const [match, group] = aggregate.mock.calls[0].arguments[0];
+    assert.deepStrictEqual(match.$match, {
+      createdAt: { $gte: series.from, $lte: series.to },
+      workspace,
+      deletedAt: null
+    });
+    assert.deepStrictEqual(group.$group._id.$dateTrunc, {
+      date: '$createdAt',
+      unit: 'day',
+      timezone: 'UTC',
+      startOfWeek: 'monday'
+    });
+    assert.deepStrictEqual(countDocuments.mock.calls[0].arguments[0].createdAt, { $lt: series.from });
+    assert.deepStrictEqual(countDocuments.mock.calls[1].arguments[0].completedAt, { $lt: series.from });
+    assert.strictEqual(countDocuments.mock.calls[1].arguments[0].status, 'completed');
+    assert.strictEqual(aggregate.mock.calls[1].arguments[0][0].$match.status, 'completed');
+  });
+
+  test('should count reopened tasks with a stale completedAt as open in time series', async () => {
+    mockTasks([
+      { status: 'completed', createdAt: new Date('2024-02-20T00:00:00Z'), completedAt: new Date('2024-02-25T00:00:00Z') },
+      { status: 'pending', createdAt: new Date('2024-02-20T00:00:00Z'), completedAt: new Date('2024-02-26T00:00:00Z') },
+      { status: 'completed', createdAt: new Date('2024-02-20T00:00:00Z'), completedAt: new Date('2024-03-02T10:00:00Z') },
+      { status: 'in-progress', createdAt: new Date('2024-02-20T00:00:00Z'), completedAt: new Date('2024-03-02T11:00:00Z') }
+    ]);
+
+    const series = await AnalyticsService.getTimeSeries(workspace, { from: '2024-03-01', to: '2024-03-02' });
+
+    assert.deepStrictEqual(series.buckets, [
+      { start: new Date('2024-03-01T00:00:00Z'), created: 0, completed: 0, netOpen: 0, open: 3 },
+      { start: new Date('2024-03-02T00:00:00Z'), created: 0, completed: 1, netOpen: -1, open: 2 }
+    ]);
+  });
+
+  test('should default to a fixed number of buckets up to now', async () => {
+    mock.method(Task, 'aggregate', () => Promise.resolve([]));
+    mock.method(Task, 'countDocuments', () => Promise.resolve(0));
+    const now = new Date('2024-03-14T15:42:10Z');
+
+    const series = await AnalyticsService.getTimeSeries(workspace, { interval: 'week' }, now);
+
+    assert.strictEqual(series.buckets.length, 12);
+    assert.deepStrictEqual(series.buckets[0].start, new Date('2023-12-25T00:00:00Z'));
+    assert.deepStrictEqual(series.buckets[11].start, new Date('2024-03-11T00:00:00Z'));
+    assert.strictEqual(series.to, now);
+  });
+
+  test('should reject invalid time series ranges', async () => {
+    mock.method(Task, 'aggregate', () => Promise.resolve([]));
+    mock.method(Task, 'countDocuments', () => Promise.resolve(0));
+
+    for (const [options, message] of [
+      [{ interval: 'year' }, /Invalid interval/],
+      [{ from: 'soon' }, /Invalid date for from/],
+      [{ from: '2024-03-02', to: '2024-03-01T12:00:00Z' }, /from must not be after to/],
+      [{ interval: 'hour', from: '2024-01-01', to: '2024-03-01' }, new RegExp(`more than ${MAX_TIME_SERIES_BUCKETS} hour buckets`)]
+    ]) {
+      await assert.rejects(AnalyticsService.getTimeSeries(workspace, options), (error) =>
+        error.statusCode === 400 && message.test(error.message)
+      );
+    }
+  });
+
+  test('should build cumulative burndown series within the task filters', async () => {
+    const assignee = '507f1f77bcf86cd799439011';
+    const aggregate = mock.method(Task, 'aggregate', (pipeline) => {
+      const field = Object.keys(pipeline[0].$match).find(key => key === 'createdAt' || key === 'completedAt');
+      return Promise.resolve(field === 'createdAt'
+        ? [{ _id: new Date('2024-03-02T00:00:00Z'), count: 2 }]
+        : [{ _id: new Date('2024-03-01T00:00:00Z'), count: 1 }, { _id: new Date('2024-03-03T00:00:00Z'), count: 3 }]);
+    });
+    const countDocuments = mock.method(Task, 'countDocuments', (filter) =>
+      Promise.resolve(filter.createdAt ? 6 : 1)
+    );
+
+    const burndown = await AnalyticsService.getBurndown(workspace, {
+      from: '2024-03-01',
+      to: '2024-03-03',
+      tags: 'Sprint-4',
+      assignee,
+      status: 'pending'
+    });
+
+    assert.deepStrictEqual(burndown.days, [
+      { date: new Date('2024-03-01T00:00:00Z'), total: 6, completed: 2, remaining: 4 },
+      { date: new Date('2024-03-02T00:00:00Z'), total: 8, completed: 2, remaining: 6 },
+      { date: new Date('2024-03-03T00:00:00Z'), total: 8, completed: 5, remaining: 3 }
+    ]);
+
+    const [match] = aggregate.mock.calls[0].arguments[0];
+    assert.deepStrictEqual(match.$match.tags, { $in: ['sprint-4'] });
+    assert(match.$match.assignee instanceof mongoose.Types.ObjectId);
+    assert.strictEqual(String(match.$match.assignee), assignee);
+    assert.strictEqual(match.$match.status, undefined);
+    assert.deepStrictEqual(match.$match.workspace, workspace);
+    assert.deepStrictEqual(countDocuments.mock.calls[1].arguments[0].completedAt, { $lt: burndown.from });
+    assert.strictEqual(countDocuments.mock.calls[1].arguments[0].status, 'completed');
+    assert.strictEqual(aggregate.mock.calls[1].arguments[0][0].$match.status, 'completed');
+  });
+
+  test('should count reopened tasks with a stale completedAt as remaining', async () => {
+    mockTasks([
+      { status: 'completed', createdAt: new Date('2024-02-20T00:00:00Z'), completedAt: new Date('2024-02-25T00:00:00Z') },
+      { status: 'pending', createdAt: new Date('2024-02-20T00:00:00Z'), completedAt: new Date('2024-02-26T00:00:00Z') },
+      { status: 'completed', createdAt: new Date('2024-02-20T00:00:00Z'), completedAt: new Date('2024-03-02T10:00:00Z') },
+      { status: 'in-progress', createdAt: new Date('2024-02-20T00:00:00Z'), completedAt: new Date('2024-03-02T11:00:00Z') }
+    ]);
+
+    const burndown = await AnalyticsService.getBurndown(workspace, { from: '2024-03-01', to: '2024-03-02' });
+
+    assert.deepStrictEqual(burndown.days, [
+      { date: new Date('2024-03-01T00:00:00Z'), total: 4, completed: 1, remaining: 3 },
+      { date: new Date('2024-03-02T00:00:00Z'), total: 4, completed: 2, remaining: 2 }
+    ]);
+  });
+
+  test('should default burndowns to two weeks and reject invalid windows', async () => {
+    mock.method(Task, 'aggregate', () => Promise.resolve([]));
+    mock.method(Task, 'countDocuments', () => Promise.resolve(0));
+
+    const burndown = await AnalyticsService.getBurndown(workspace, {}, new Date('2024-03-14T15:42:10Z'));
+    assert.strictEqual(burndown.days.length, 14);
+    assert.deepStrictEqual(burndown.from, new Date('2024-03-01T00:00:00Z'));
+
+    for (const [params, message] of [
+      [{ from: '2024-03-02', to: '2024-03-01' }, /from must not be after to/],
+      [{ from: '2023-01-01', to: '2024-12-31' }, new RegExp(`at most ${MAX_BURNDOWN_DAYS} days`)],
+      [{ assignee: 'nobody' }, /Invalid assignee/]
+    ]) {
+      await assert.rejects(AnalyticsService.getBurndown(workspace, params), (error) =>
+        error.statusCode === 400 && message.test(error.message)
+      );
+    }
+  });
+});
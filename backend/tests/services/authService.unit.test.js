@@ -0,0 +1,120 @@
+import { test, describe, mock, before, afterEach } from 'node:test';
+import assert from 'node:assert';
+import AuthService, { ACCESS_TOKEN_TTL_SECONDS } from '../../src/services/authService.js';
+import User from '../../src/models/User.js';
+import RefreshToken from '../../src/models/RefreshToken.js';
+
+const id = '507f1f77bcf86cd799439011';
+const user = { _id: id, name: 'Ada', email: 'ada@example.com' };
+
+describe('Auth Service Unit Tests', () => {
+  before(() => {
+    process.env.JWT_SECRET = 'test-secret';
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  test('should refuse to sign tokens without JWT_SECRET', () => {
+    delete process.env.JWT_SECRET;
+    try {
+      assert.throws(() => AuthService.assertConfigured(), { message: 'JWT_SECRET must be set' });
+      assert.throws(() => AuthService.signAccessToken(user), { message: 'JWT_SECRET must be set' });
+    } finally {
+      process.env.JWT_SECRET = 'test-secret';
+    }
+  });
+
+  test('should hash passwords with a random salt and verify them', async () => {
+    const hash = await AuthService.hashPassword('correct horse');
+
+    assert.match(hash, /^scrypt\$[\w-]+\$[\w-]+$/);
+    assert.notStrictEqual(await AuthService.hashPassword('correct horse'), hash);
+    assert.strictEqual(await AuthService.verifyPassword('correct horse', hash), true);
+    assert.strictEqual(await AuthService.verifyPassword('wrong horse', hash), false);
+    assert.strictEqual(await AuthService.verifyPassword('correct horse', null), false);
+  });
+
+  test('should sign access tokens that verify until they expire', () => {
+    const now = Date.UTC(2025, 0, 1);
+    const token = AuthService.signAccessToken(user, now);
+
+    const claims = AuthService.verifyAccessToken(token, now);
+    assert.strictEqual(claims.sub, id);
+    assert.strictEqual(claims.email, 'ada@example.com');
+    assert.strictEqual(claims.exp - claims.iat, ACCESS_TOKEN_TTL_SECONDS);
+
+    assert.throws(
+      () => AuthService.verifyAccessToken(token, now + ACCESS_TOKEN_TTL_SECONDS * 1000),
+      { statusCode: 401, message: 'Access token expired' }
+    );
+  });
+
+  test('should reject tampered, unsigned and malformed access tokens', () => {
+    const [header, , signature] = AuthService.signAccessToken(user).split('.');
+    const forged = Buffer.from(JSON.stringify({ sub: 'admin', exp: 9999999999 })).toString('base64url');
+    const unsigned = Buffer.from(JSON.stringify({ alg: 'none', typ: 'JWT' })).toString('base64url');
+
+    for (const token of [`${header}.${forged}.${signature}`, `${unsigned}.${forged}.`, 'not-a-token', 'a.b.c.d']) {
+      assert.throws(() => AuthService.verifyAccessToken(token), { statusCode: 401, message: 'Invalid access token' });
+    }
+  });
+
+  test('should resolve tokens to existing users only', async () => {
+    await assert.rejects(AuthService.authenticate(undefined), { statusCode: 401, message: 'Authentication required' });
+
+    const findById = mock.method(User, 'findById', () => Promise.resolve(user));
+    assert.strictEqual(await AuthService.authenticate(AuthService.signAccessToken(user)), user);
+    assert.strictEqual(findById.mock.calls[0].arguments[0], id);
+
+    findById.mock.mockImplementation(() => Promise.resolve(null));
+    await assert.rejects(
+      AuthService.authenticate(AuthService.signAccessToken(user)),
+      { statusCode: 401, message: 'User no longer exists' }
+    );
+  });
+
+  test('should sign in with the right password and store only a hash of the refresh token', async () => {
+    const passwordHash = await AuthService.hashPassword('correct horse');
+    const findOne = mock.method(User, 'findOne', () => ({
+      select: () => Promise.resolve({ ...user, passwordHash })
+    }));
+    const create = mock.method(RefreshToken, 'create', () => Promise.resolve());
+
+    const session = await AuthService.login(' Ada@Example.com ', 'correct horse', { ipAddress: '::1' });
+
+    assert.deepStrictEqual(findOne.mock.calls[0].arguments[0], { email: 'ada@example.com' });
+    assert.strictEqual(session.tokenType, 'Bearer');
+    assert.strictEqual(AuthService.verifyAccessToken(session.accessToken).sub, id);
+    const [stored] = create.mock.calls[0].arguments;
+    assert.match(stored.tokenHash, /^[0-9a-f]{64}$/);
+    assert.notStrictEqual(stored.tokenHash, session.refreshToken);
+    assert.strictEqual(stored.ipAddress, '::1');
+
+    await assert.rejects(
+      AuthService.login('ada@example.com', 'wrong horse'),
+      { statusCode: 401, message: 'Invalid email or password' }
+    );
+  });
+
+  test('should consume a refresh token when exchanging it', async () => {
+    const findOneAndDelete = mock.method(RefreshToken, 'findOneAndDelete', () => Promise.resolve({ user: id }));
+    mock.method(User, 'findById', () => Promise.resolve(user));
+    const create = mock.method(RefreshToken, 'create', () => Promise.resolve());
+
+    const session = await AuthService.refresh('old-token');
+
+    const [filter] = findOneAndDelete.mock.calls[0].arguments;
+    assert.notStrictEqual(filter.tokenHash, 'old-token');
+    assert.ok(filter.expiresAt.$gt instanceof Date);
+    assert.notStrictEqual(session.refreshToken, 'old-token');
+    assert.strictEqual(create.mock.callCount(), 1);
+
+    findOneAndDelete.mock.mockImplementation(() => Promise.resolve(null));
+    await assert.rejects(
+      AuthService.refresh('old-token'),
+      { statusCode: 401, message: 'Invalid or expired refresh token' }
+    );
+  });
+});
@@ -0,0 +1,394 @@
+import { test, describe, mock, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { Readable, Writable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import { readFile, rm } from 'node:fs/promises';
+import mongoose from 'mongoose';
+import ExportService, { EXPORT_FIELDS } from '../../src/services/exportService.js';
+import Export from '../../src/models/Export.js';
+import Task from '../../src/models/Task.js';
+import Workspace from '../../src/models/Workspace.js';
+import { redisClient } from '../../src/config/redis.js';
+
+const sampleTasks = [
+  {
+    _id: { toString: () => 'abc123' },
+    title: 'Write "docs", today',
+    description: 'Line one\nLine two',
+    status: 'completed',
+    priority: 'high',
+    createdAt: new Date('2024-01-01T10:00:00Z'),
+    updatedAt: new Date('2024-01-01T11:00:00Z'),
+    completedAt: new Date('2024-01-01T11:00:00Z'),
+    estimatedTime: 60,
+    actualTime: 45
+  },
+  {
+    _id: 'def456',
+    title: 'Plan sprint',
+    status: 'pending',
+    priority: 'low',
+    createdAt: new Date('2024-01-02T10:00:00Z'),
+    updatedAt: new Date('2024-01-02T10:00:00Z'),
+    completedAt: null
+  }
+];
+
+/**
+ * Runs tasks through a formatter and collects the output as a string
+ */
+const format = async (tasks, exportFormat) => {
+  const formatter = ExportService.createFormatter(exportFormat);
+  let output = '';
+  const sink = new Writable({
+    write(chunk, _encoding, callback) {
+      output += chunk.toString();
+      callback();
+    }
+  });
+
+  await pipeline(Readable.from(tasks), formatter, sink);
+  return { output, rowCount: formatter.rowCount };
+};
+
+describe('Export Service Unit Tests', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  test('should support csv, json and ndjson formats only', () => {
+    assert(ExportService.isSupportedFormat('csv'));
+    assert(ExportService.isSupportedFormat('json'));
+    assert(ExportService.isSupportedFormat('ndjson'));
+    assert(!ExportService.isSupportedFormat('xlsx'));
+    assert(!ExportService.isSupportedFormat('toString'));
+  });
+
+  test('should expose content types for each format', () => {
+    assert.match(ExportService.getFormat('csv').contentType, /^text\/csv/);
+    assert.match(ExportService.getFormat('json').contentType, /^application\/json/);
+    assert.match(ExportService.getFormat('ndjson').contentType, /^application\/x-ndjson/);
+  });
+
+  test('should build timestamped filenames', () => {
+    const filename = ExportService.buildFilename('ndjson', new Date('2024-03-05T08:09:10.123Z'));
+    assert.strictEqual(filename, 'tasks-2024-03-05T08-09-10.ndjson');
+  });
+
+  test('should serialize tasks into flat exportable rows', () => {
+    const row = ExportService.serializeTask(sampleTasks[1]);
+
+    assert.deepStrictEqual(Object.keys(row), EXPORT_FIELDS);
+    assert.strictEqual(row._id, 'def456');
+    assert.strictEqual(row.createdAt, '2024-01-02T10:00:00.000Z');
+    assert.strictEqual(row.completedAt, null);
+    assert.strictEqual(row.description, null);
+  });
+
+  test('should escape csv values', () => {
+    assert.strictEqual(ExportService.toCsvValue(null), '');
+    assert.strictEqual(ExportService.toCsvValue(42), '42');
+    assert.strictEqual(ExportService.toCsvValue('plain'), 'plain');
+    assert.strictEqual(ExportService.toCsvValue('a,b'), '"a,b"');
+    assert.strictEqual(ExportService.toCsvValue('say "hi"'), '"say ""hi"""');
+    assert.strictEqual(ExportService.toCsvValue('a\nb'), '"a\nb"');
+  });
+
+  test('should format csv with a header row', async () => {
+    const { output, rowCount } = await format(sampleTasks, 'csv');
+    const lines = output.split('\r\n');
+
+    assert.strictEqual(rowCount, 2);
+    assert.strictEqual(lines[0], EXPORT_FIELDS.join(','));
+    assert(lines[1].startsWith('abc123,"Write ""docs"", today","Line one\nLine two",completed'));
+    assert(lines[2].startsWith('def456,Plan sprint,,pending,low'));
+  });
+
+  test('should emit only the header for an empty csv export', async () => {
+    const { output, rowCount } = await format([], 'csv');
+
+    assert.strictEqual(rowCount, 0);
+    assert.strictEqual(output, EXPORT_FIELDS.join(',') + '\r\n');
+  });
+
+  test('should format json as a valid array', async () => {
+    const { output } = await format(sampleTasks, 'json');
+    const parsed = JSON.parse(output);
+
+    assert.strictEqual(parsed.length, 2);
+    assert.strictEqual(parsed[0]._id, 'abc123');
+    assert.strictEqual(parsed[1].title, 'Plan sprint');
+  });
+
+  test('should format an empty json export as an empty array', async () => {
+    const { output } = await format([], 'json');
+    assert.deepStrictEqual(JSON.parse(output), []);
+  });
+
+  test('should format ndjson with one task per line', async () => {
+    const { output } = await format(sampleTasks, 'ndjson');
+    const lines = output.trim().split('\n');
+
+    assert.strictEqual(lines.length, 2);
+    assert.strictEqual(JSON.parse(lines[1])._id, 'def456');
+  });
+
+  test('should stream tasks from the query cursor into the output', async () => {
+    const createCursor = mock.method(ExportService, 'createCursor', () => Readable.from(sampleTasks));
+    const chunks = [];
+    const sink = new Writable({
+      write(chunk, _encoding, callback) {
+        chunks.push(chunk.toString());
+        callback();
+      }
+    });
+
+    const rowCount = await ExportService.streamTasks({ status: 'pending' }, 'ndjson', sink);
+
+    assert.strictEqual(rowCount, 2);
+    assert.strictEqual(createCursor.mock.calls[0].arguments[0].status, 'pending');
+    assert.strictEqual(chunks.join('').trim().split('\n').length, 2);
+  });
+
+  test('should record a completed export with its row count', async () => {
+    const record = new Export({ format: 'csv' });
+    mock.method(record, 'save', function() {
+      return Promise.resolve(this);
+    });
+    const create = mock.method(Export, 'create', (data) => {
+      record.set(data);
+      return Promise.resolve(record);
+    });
+    mock.method(ExportService, 'createCursor', () => Readable.from(sampleTasks));
+    mock.method(ExportService, 'getCacheKey', () => Promise.resolve('export:0:csv:abc'));
+    mock.method(ExportService, 'getCachedExport', () => Promise.resolve(null));
+    const cacheExport = mock.method(ExportService, 'cacheExport', () => Promise.resolve());
+
+    const sink = new Writable({ write: (_chunk, _encoding, callback) => callback() });
+    const result = await ExportService.runExport({
+      filters: { status: 'pending', page: '2' },
+      format: 'csv',
+      ipAddress: '127.0.0.1'
+    }, sink);
+
+    const created = create.mock.calls[0].arguments[0];
+    assert.deepStrictEqual(created.filters, { status: 'pending' });
+    assert.strictEqual(created.ipAddress, '127.0.0.1');
+    assert.strictEqual(result.status, 'completed');
+    assert.strictEqual(result.rowCount, 2);
+    assert.strictEqual(result.cacheHit, false);
+    assert.strictEqual(cacheExport.mock.calls[0].arguments[0], 'export:0:csv:abc');
+    assert.strictEqual(cacheExport.mock.calls[0].arguments[1], 2);
+  });
+
+  test('should mark the export failed and rethrow when streaming fails', async () => {
+    const record = new Export({ format: 'json' });
+    mock.method(record, 'save', function() {
+      return Promise.resolve(this);
+    });
+    mock.method(Export, 'create', () => Promise.resolve(record));
+    mock.method(ExportService, 'getCacheKey', () => Promise.resolve('export:0:json:abc'));
+    mock.method(ExportService, 'getCachedExport', () => Promise.resolve(null));
+    mock.method(ExportService, 'createCursor', () => new Readable({
+      objectMode: true,
+      read() {
+        this.destroy(new Error('connection lost'));
+      }
+    }));
+
+    const sink = new Writable({ write: (_chunk, _encoding, callback) => callback() });
+
+    await assert.rejects(
+      ExportService.runExport({ format: 'json' }, sink),
+      /connection lost/
+    );
+    assert.strictEqual(record.status, 'failed');
+    assert.strictEqual(record.error, 'connection lost');
+  });
+
+  test('should build the same cache key regardless of filter order or pagination', () => {
+    const first = ExportService.buildCacheKey({ status: 'pending', priority: 'high' }, 'csv', 2);
+    const second = ExportService.buildCacheKey({ priority: 'high', page: '4', status: 'pending' }, 'csv', 2);
+
+    assert.strictEqual(first, second);
+    assert.match(first, /^export:2:csv:[0-9a-f]{40}$/);
+  });
+
+  test('should build distinct cache keys per format, filters, generation and workspace', () => {
+    const base = ExportService.buildCacheKey({ status: 'pending' }, 'csv', 1, '507f1f77bcf86cd799439021');
+
+    assert.notStrictEqual(base, ExportService.buildCacheKey({ status: 'pending' }, 'json', 1));
+    assert.notStrictEqual(base, ExportService.buildCacheKey({ status: 'completed' }, 'csv', 1));
+    assert.notStrictEqual(base, ExportService.buildCacheKey({ status: 'pending' }, 'csv', 2));
+    assert.notStrictEqual(base, ExportService.buildCacheKey({ status: 'pending' }, 'csv', 1, '507f1f77bcf86cd799439022'));
+  });
+
+  test('should resolve cache keys under the current generation of the workspace', async () => {
+    const get = mock.method(redisClient, 'get', () => Promise.resolve('7'));
+
+    const key = await ExportService.getCacheKey({ status: 'pending' }, 'ndjson', '507f1f77bcf86cd799439021');
+    assert.strictEqual(key, ExportService.buildCacheKey({ status: 'pending' }, 'ndjson', 7, '507f1f77bcf86cd799439021'));
+    assert.strictEqual(get.mock.calls[0].arguments[0], 'export_cache_generation:507f1f77bcf86cd799439021');
+  });
+
+  test('should invalidate the cache by bumping the generation of one or every workspace', async () => {
+    const incr = mock.method(redisClient, 'incr', () => Promise.resolve(8));
+    mock.method(Workspace, 'distinct', () => Promise.resolve(['a', 'b']));
+
+    await ExportService.invalidateCache('a');
+    assert.deepStrictEqual(incr.mock.calls.map(call => call.arguments[0]), ['export_cache_generation:a']);
+
+    await ExportService.invalidateCache();
+    assert.deepStrictEqual(incr.mock.calls.slice(1).map(call => call.arguments[0]), [
+      'export_cache_generation:a',
+      'export_cache_generation:b'
+    ]);
+  });
+
+  test('should treat cache read errors as a miss', async () => {
+    mock.method(console, 'error', () => {});
+    mock.method(redisClient, 'get', () => Promise.reject(new Error('redis down')));
+
+    assert.strictEqual(await ExportService.getCachedExport('export:0:csv:abc'), null);
+  });
+
+  test('should store payloads with row counts and a ttl', async () => {
+    const setex = mock.method(redisClient, 'setex', () => Promise.resolve('OK'));
+
+    await ExportService.cacheExport('export:0:csv:abc', 3, 'a,b\r\n');
+
+    const [key, ttl, value] = setex.mock.calls[0].arguments;
+    assert.strictEqual(key, 'export:0:csv:abc');
+    assert(ttl > 0);
+    assert.deepStrictEqual(JSON.parse(value), { rowCount: 3, payload: 'a,b\r\n' });
+  });
+
+  test('should serve cached payloads without querying MongoDB', async () => {
+    mock.method(ExportService, 'getCacheKey', () => Promise.resolve('export:0:csv:abc'));
+    mock.method(ExportService, 'getCachedExport', () => Promise.resolve({ rowCount: 5, payload: 'cached-data' }));
+    const createCursor = mock.method(ExportService, 'createCursor', () => Readable.from([]));
+    let output = '';
+    const sink = new Writable({
+      write(chunk, _encoding, callback) {
+        output += chunk.toString();
+        callback();
+      }
+    });
+
+    const result = await ExportService.writeExport({}, 'csv', sink);
+
+    assert.deepStrictEqual(result, { rowCount: 5, cacheHit: true });
+    assert.strictEqual(output, 'cached-data');
+    assert.strictEqual(createCursor.mock.calls.length, 0);
+  });
+
+  test('should not cache payloads larger than the collector limit', async () => {
+    const collector = ExportService.createCollector(10);
+    const sink = new Writable({ write: (_chunk, _encoding, callback) => callback() });
+
+    await pipeline(Readable.from(['12345', '67890', 'x']), collector, sink);
+    assert.strictEqual(collector.payload, null);
+
+    const small = ExportService.createCollector(10);
+    await pipeline(Readable.from(['123', '456']), small, new Writable({ write: (_c, _e, cb) => cb() }));
+    assert.strictEqual(small.payload, '123456');
+  });
+
+  test('should describe job progress as a bounded percentage', () => {
+    const record = new Export({ format: 'csv', total: 200 });
+
+    assert.deepStrictEqual(ExportService.describeProgress(record, 50), {
+      exportId: record._id.toString(),
+      processed: 50,
+      total: 200,
+      percent: 25
+    });
+    assert.strictEqual(ExportService.describeProgress(record, 250).percent, 100);
+    assert.strictEqual(ExportService.describeProgress(new Export({ format: 'csv', total: 0 }), 0).percent, 100);
+  });
+
+  test('should queue jobs with normalized filters', async () => {
+    const create = mock.method(Export, 'create', (data) => Promise.resolve(new Export(data)));
+
+    const record = await ExportService.createJob({ format: 'json', filters: { status: 'pending', page: '1' } });
+
+    assert.strictEqual(create.mock.calls[0].arguments[0].status, 'queued');
+    assert.deepStrictEqual(record.filters, { status: 'pending' });
+  });
+
+  test('should run a job to a file and report progress and completion', async () => {
+    const record = new Export({ format: 'ndjson', status: 'queued', filters: {} });
+    mock.method(record, 'save', function() {
+      return Promise.resolve(this);
+    });
+    mock.method(Task, 'countDocuments', () => Promise.resolve(2));
+    mock.method(ExportService, 'createCursor', () => Readable.from(sampleTasks));
+    mock.method(ExportService, 'getCacheKey', () => Promise.resolve(null));
+
+    const progress = [];
+    const onComplete = mock.fn();
+    const onFailed = mock.fn();
+
+    await ExportService.runJob(record, {
+      onProgress: (payload) => progress.push(payload.percent),
+      onComplete,
+      onFailed
+    });
+
+    try {
+      assert.strictEqual(record.status, 'completed');
+      assert.strictEqual(record.rowCount, 2);
+      assert.strictEqual(record.total, 2);
+      assert.strictEqual(record.fileName, `${record._id}.ndjson`);
+      assert.deepStrictEqual(progress, [0, 50, 100]);
+      assert.strictEqual(onComplete.mock.calls.length, 1);
+      assert.strictEqual(onFailed.mock.calls.length, 0);
+
+      const contents = await readFile(ExportService.getFilePath(record), 'utf8');
+      assert.strictEqual(contents.trim().split('\n').length, 2);
+      assert.strictEqual(await ExportService.getJobFile(record), ExportService.getFilePath(record));
+    } finally {
+      await rm(ExportService.getFilePath(record), { force: true });
+    }
+  });
+
+  test('should report failed jobs without rejecting', async () => {
+    mock.method(console, 'error', () => {});
+    const record = new Export({ format: 'csv', status: 'queued' });
+    mock.method(record, 'save', function() {
+      return Promise.resolve(this);
+    });
+    mock.method(Task, 'countDocuments', () => Promise.reject(new Error('mongo unavailable')));
+    const onFailed = mock.fn();
+
+    const result = await ExportService.runJob(record, { onFailed });
+
+    assert.strictEqual(result.status, 'failed');
+    assert.strictEqual(result.error, 'mongo unavailable');
+    assert.strictEqual(onFailed.mock.calls[0].arguments[1].message, 'mongo unavailable');
+  });
+
+  test('should not offer files for unfinished or purged jobs', async () => {
+    assert.strictEqual(await ExportService.getJobFile(new Export({ format: 'csv', status: 'running' })), null);
+    assert.strictEqual(await ExportService.getJobFile(new Export({ format: 'csv', status: 'completed' })), null);
+    assert.strictEqual(
+      await ExportService.getJobFile(new Export({ format: 'csv', status: 'completed', fileName: `${new mongoose.Types.ObjectId()}.csv` })),
+      null
+    );
+  });
+
+  test('should purge expired job files and clear their file names', async () => {
+    const record = new Export({ format: 'csv', status: 'completed', fileName: 'missing-file.csv' });
+    const save = mock.method(record, 'save', function() {
+      return Promise.resolve(this);
+    });
+    const find = mock.method(Export, 'find', () => Promise.resolve([record]));
+
+    const purged = await ExportService.purgeExpiredFiles(1000);
+
+    assert.strictEqual(purged, 1);
+    assert.strictEqual(record.fileName, null);
+    assert.strictEqual(save.mock.calls.length, 1);
+    assert(find.mock.calls[0].arguments[0].completedAt.$lt instanceof Date);
+  });
+});
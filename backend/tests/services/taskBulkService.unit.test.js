@@ -0,0 +1,123 @@
+import { test, describe, mock, afterEach } from 'node:test';
+import assert from 'node:assert';
+import TaskBulkService, { MAX_BULK_TASKS } from '../../src/services/taskBulkService.js';
+import Task from '../../src/models/Task.js';
+
+const ids = ['507f1f77bcf86cd799439011', '507f1f77bcf86cd799439012'];
+
+/**
+ * Mocks Task.find to resolve to the given documents through .limit() or directly
+ * @param {...Array<Object>} results - Documents returned by successive find calls
+ * @returns {Object} Mock function
+ */
+const mockFind = (...results) => {
+  let call = 0;
+  return mock.method(Task, 'find', () => {
+    const result = Promise.resolve(results[Math.min(call++, results.length - 1)]);
+    result.limit = () => result;
+    return result;
+  });
+};
+
+describe('Task Bulk Service Unit Tests', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  test('should select tasks by ids', () => {
+    assert.deepStrictEqual(TaskBulkService.buildSelector({ ids }), { _id: { $in: ids }, deletedAt: null });
+  });
+
+  test('should select tasks by filters', () => {
+    assert.deepStrictEqual(
+      TaskBulkService.buildSelector({ filters: { status: ['pending'], priority: ['high', 'medium'] } }),
+      { status: 'pending', priority: { $in: ['high', 'medium'] }, deletedAt: null }
+    );
+  });
+
+  test('should only select tasks in the given workspace', () => {
+    const workspace = '507f1f77bcf86cd799439021';
+
+    assert.deepStrictEqual(
+      TaskBulkService.buildSelector({ ids }, workspace),
+      { _id: { $in: ids }, deletedAt: null, workspace }
+    );
+    assert.strictEqual(TaskBulkService.buildSelector({ filters: { status: ['pending'] } }, workspace).workspace, workspace);
+  });
+
+  test('should require exactly one of ids and filters', () => {
+    assert.throws(() => TaskBulkService.buildSelector({}), { statusCode: 400, message: 'Provide either ids or filters' });
+    assert.throws(() => TaskBulkService.buildSelector({ ids: [] }), { statusCode: 400 });
+    assert.throws(() => TaskBulkService.buildSelector({ ids, filters: {} }), { statusCode: 400 });
+  });
+
+  test('should build an update that stamps completedAt once', () => {
+    const now = new Date('2024-03-01T00:00:00Z');
+    const __v = { $add: [{ $ifNull: ['$__v', 0] }, 1] };
+
+    assert.deepStrictEqual(TaskBulkService.buildUpdate({ status: 'completed' }, now), [{
+      $set: { status: 'completed', updatedAt: now, __v, completedAt: { $ifNull: ['$completedAt', now] } }
+    }]);
+    assert.deepStrictEqual(TaskBulkService.buildUpdate({ status: 'pending', priority: 'low' }, now), [{
+      $set: { status: 'pending', priority: 'low', updatedAt: now, __v, completedAt: null }
+    }]);
+    assert.deepStrictEqual(TaskBulkService.buildUpdate({ priority: 'high' }, now), [{
+      $set: { priority: 'high', updatedAt: now, __v }
+    }]);
+  });
+
+  test('should reject updates that change nothing', () => {
+    assert.throws(() => TaskBulkService.buildUpdate({}), {
+      statusCode: 400,
+      message: 'updates must change at least one of: status, priority'
+    });
+  });
+
+  test('should update the matched tasks with one write', async () => {
+    const matched = ids.map(_id => ({ _id }));
+    const updated = ids.map(_id => ({ _id, priority: 'high' }));
+    mockFind(matched, updated);
+    const updateMany = mock.method(Task, 'updateMany', () => Promise.resolve({ modifiedCount: 2 }));
+
+    const result = await TaskBulkService.execute({ action: 'update', ids, updates: { priority: 'high' } });
+
+    assert.strictEqual(updateMany.mock.callCount(), 1);
+    assert.deepStrictEqual(updateMany.mock.calls[0].arguments[0], { _id: { $in: ids } });
+    assert.deepStrictEqual(result, { action: 'update', ids, tasks: updated, previous: matched });
+  });
+
+  test('should move the matched tasks to the trash with one write and return them', async () => {
+    const matched = ids.map(_id => ({ _id, title: 'Old' }));
+    mockFind(matched);
+    const updateMany = mock.method(Task, 'updateMany', () => Promise.resolve({ modifiedCount: 2 }));
+
+    const result = await TaskBulkService.execute({ action: 'delete', filters: { status: ['completed'] } });
+
+    assert.strictEqual(updateMany.mock.callCount(), 1);
+    const [{ $set: set }] = updateMany.mock.calls[0].arguments[1];
+    assert(set.deletedAt instanceof Date);
+    assert.deepStrictEqual(set.__v, { $add: [{ $ifNull: ['$__v', 0] }, 1] });
+    assert.deepStrictEqual(result, { action: 'delete', ids, tasks: matched, previous: matched });
+  });
+
+  test('should skip the write when nothing matches', async () => {
+    mockFind([]);
+    const updateMany = mock.method(Task, 'updateMany', () => Promise.resolve());
+
+    const result = await TaskBulkService.execute({ action: 'update', ids, updates: { status: 'completed' } });
+
+    assert.strictEqual(updateMany.mock.callCount(), 0);
+    assert.deepStrictEqual(result, { action: 'update', ids: [], tasks: [], previous: [] });
+  });
+
+  test('should refuse selections larger than the bulk limit', async () => {
+    mockFind(Array.from({ length: MAX_BULK_TASKS + 1 }, (_, index) => ({ _id: String(index) })));
+    const updateMany = mock.method(Task, 'updateMany', () => Promise.resolve());
+
+    await assert.rejects(
+      TaskBulkService.execute({ action: 'delete', filters: {} }),
+      { statusCode: 400, message: `Bulk operations are limited to ${MAX_BULK_TASKS} tasks; narrow the filters` }
+    );
+    assert.strictEqual(updateMany.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,187 @@
+import { test, describe, mock, afterEach } from 'node:test';
+import assert from 'node:assert';
+import TaskConcurrencyService from '../../src/services/taskConcurrencyService.js';
+import Task from '../../src/models/Task.js';
+
+const id = '507f1f77bcf86cd799439011';
+
+/**
+ * Builds a minimal Express request carrying an If-Match header and body
+ * @param {string} [ifMatch] - If-Match header value
+ * @param {Object} [body] - Request body
+ * @returns {Object} Request stub
+ */
+const request = (ifMatch, body = {}) => ({
+  body,
+  get: (name) => (name === 'If-Match' ? ifMatch : undefined)
+});
+
+describe('Task Concurrency Service Unit Tests', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  test('should build ETags from documents and serialized tasks', () => {
+    assert.strictEqual(TaskConcurrencyService.etag({ __v: 2 }), '"2"');
+    assert.strictEqual(TaskConcurrencyService.etag({ version: 5 }), '"5"');
+    assert.strictEqual(TaskConcurrencyService.etag({}), '"0"');
+  });
+
+  test('should parse If-Match headers', () => {
+    assert.strictEqual(TaskConcurrencyService.parseIfMatch(undefined), null);
+    assert.strictEqual(TaskConcurrencyService.parseIfMatch(' * '), '*');
+    assert.deepStrictEqual(TaskConcurrencyService.parseIfMatch('"3", W/"4", "7"'), [3, 7]);
+    assert.deepStrictEqual(TaskConcurrencyService.parseIfMatch('"abc"'), []);
+  });
+
+  test('should prefer the If-Match header over a body version', () => {
+    assert.deepStrictEqual(
+      TaskConcurrencyService.getPrecondition(request('"2"', { version: 1 })),
+      { versions: [2], statusCode: 412 }
+    );
+    assert.deepStrictEqual(
+      TaskConcurrencyService.getPrecondition(request(undefined, { version: 1 })),
+      { versions: [1], statusCode: 409 }
+    );
+    assert.strictEqual(TaskConcurrencyService.getPrecondition(request(undefined, { title: 'x' })), null);
+  });
+
+  test('should only match accepted versions of tasks outside the trash', () => {
+    assert.deepStrictEqual(TaskConcurrencyService.buildFilter(id, null), { _id: id, deletedAt: null });
+    assert.deepStrictEqual(TaskConcurrencyService.buildFilter(id, { versions: '*' }), { _id: id, deletedAt: null });
+    assert.deepStrictEqual(
+      TaskConcurrencyService.buildFilter(id, { versions: [2], statusCode: 412 }),
+      { _id: id, deletedAt: null, __v: { $in: [2] } }
+    );
+    assert.deepStrictEqual(
+      TaskConcurrencyService.buildFilter(id, null, '507f1f77bcf86cd799439021'),
+      { _id: id, deletedAt: null, workspace: '507f1f77bcf86cd799439021' }
+    );
+  });
+
+  test('should update at the version it read and return both versions', async () => {
+    const before = { _id: id, title: 'Old', __v: 2 };
+    const updated = { _id: id, title: 'New', __v: 3 };
+    mock.method(Task, 'findOne', () => Promise.resolve(before));
+    const findOneAndUpdate = mock.method(Task, 'findOneAndUpdate', () => Promise.resolve(updated));
+
+    const result = await TaskConcurrencyService.updateTask(id, { title: 'New', version: 2 }, { versions: [2], statusCode: 409 });
+
+    assert.deepStrictEqual(result, { before, task: updated });
+    const [filter, update] = findOneAndUpdate.mock.calls[0].arguments;
+    assert.deepStrictEqual(filter, { _id: id, __v: 2 });
+    assert.strictEqual(update.title, 'New');
+    assert.strictEqual(update.version, undefined);
+    assert.deepStrictEqual(update.$inc, { __v: 1 });
+  });
+
+  test('should stamp completedAt on completion and clear it on reopening', async () => {
+    let stored = { _id: id, status: 'in-progress', completedAt: null, __v: 0 };
+    mock.method(Task, 'findOne', () => Promise.resolve(stored));
+    mock.method(Task, 'findOneAndUpdate', (filter, { $inc, ...set }) => {
+      stored = { ...stored, ...set, __v: stored.__v + $inc.__v };
+      return Promise.resolve(stored);
+    });
+
+    const { task: completed } = await TaskConcurrencyService.updateTask(id, { status: 'completed' }, null);
+    assert(completed.completedAt instanceof Date);
+    assert.strictEqual(completed.completedAt, completed.updatedAt);
+
+    // Completing an already completed task keeps the original completion time
+    const { task: again } = await TaskConcurrencyService.updateTask(id, { status: 'completed' }, null);
+    assert.strictEqual(again.completedAt, completed.completedAt);
+
+    const { task: reopened } = await TaskConcurrencyService.updateTask(id, { status: 'pending' }, null);
+    assert.strictEqual(reopened.completedAt, null);
+
+    // Edits that leave the status alone do not touch completedAt
+    const { task: renamed } = await TaskConcurrencyService.updateTask(id, { title: 'Renamed' }, null);
+    assert.strictEqual(renamed.completedAt, null);
+    assert.strictEqual('completedAt' in Task.findOneAndUpdate.mock.calls[3].arguments[1], false);
+  });
+
+  test('should reject stale updates with the current task', async () => {
+    const current = { _id: id, title: 'Theirs', __v: 4 };
+    mock.method(Task, 'findOne', () => Promise.resolve(current));
+    const findOneAndUpdate = mock.method(Task, 'findOneAndUpdate', () => Promise.resolve(null));
+
+    await assert.rejects(
+      TaskConcurrencyService.updateTask(id, { title: 'Mine' }, { versions: [2], statusCode: 412 }),
+      (error) => error.statusCode === 412 && error.data === current
+    );
+    assert.strictEqual(findOneAndUpdate.mock.callCount(), 0);
+  });
+
+  test('should re-read and retry when another write lands in between', async () => {
+    let reads = 0;
+    mock.method(Task, 'findOne', () => Promise.resolve({ _id: id, __v: reads++ }));
+    const findOneAndUpdate = mock.method(Task, 'findOneAndUpdate', (filter) =>
+      Promise.resolve(filter.__v === 0 ? null : { _id: id, __v: filter.__v + 1 }));
+
+    const result = await TaskConcurrencyService.updateTask(id, { title: 'New' }, null);
+
+    assert.strictEqual(findOneAndUpdate.mock.callCount(), 2);
+    assert.strictEqual(result.task.__v, 2);
+
+    // With a precondition the second read no longer matches it
+    reads = 0;
+    await assert.rejects(
+      TaskConcurrencyService.updateTask(id, { title: 'New' }, { versions: [0], statusCode: 412 }),
+      { statusCode: 412 }
+    );
+  });
+
+  test('should check the current task with the authorize callback before writing', async () => {
+    const current = { _id: id, createdBy: 'someone-else', __v: 1 };
+    mock.method(Task, 'findOne', () => Promise.resolve(current));
+    const findOneAndUpdate = mock.method(Task, 'findOneAndUpdate', () => Promise.resolve(null));
+    const authorize = mock.fn(() => {
+      const error = new Error('Members can only edit tasks they created or are assigned to');
+      error.statusCode = 403;
+      throw error;
+    });
+
+    await assert.rejects(
+      TaskConcurrencyService.updateTask(id, { title: 'Mine' }, null, { authorize }),
+      { statusCode: 403 }
+    );
+    assert.strictEqual(authorize.mock.calls[0].arguments[0], current);
+    assert.strictEqual(findOneAndUpdate.mock.callCount(), 0);
+  });
+
+  test('should return null when updating a missing task', async () => {
+    mock.method(Task, 'findOne', () => Promise.resolve(null));
+
+    assert.strictEqual(await TaskConcurrencyService.updateTask(id, { title: 'x' }, null), null);
+  });
+
+  test('should report missing tasks as null rather than a conflict', async () => {
+    mock.method(Task, 'findOneAndUpdate', () => Promise.resolve(null));
+    const findOne = mock.method(Task, 'findOne', () => Promise.resolve(null));
+
+    assert.strictEqual(await TaskConcurrencyService.deleteTask(id, { versions: [1], statusCode: 412 }), null);
+    assert.strictEqual(await TaskConcurrencyService.deleteTask(id, null), null);
+    assert.strictEqual(findOne.mock.callCount(), 1);
+  });
+
+  test('should move deleted tasks to the trash', async () => {
+    const trashed = { _id: id, deletedAt: new Date(), __v: 2 };
+    const findOneAndUpdate = mock.method(Task, 'findOneAndUpdate', () => Promise.resolve(trashed));
+
+    assert.strictEqual(await TaskConcurrencyService.deleteTask(id, null), trashed);
+    const [filter, update] = findOneAndUpdate.mock.calls[0].arguments;
+    assert.deepStrictEqual(filter, { _id: id, deletedAt: null });
+    assert(update.deletedAt instanceof Date);
+    assert.deepStrictEqual(update.$inc, { __v: 1 });
+  });
+
+  test('should reject stale deletes', async () => {
+    mock.method(Task, 'findOneAndUpdate', () => Promise.resolve(null));
+    mock.method(Task, 'findOne', () => Promise.resolve({ _id: id, __v: 1 }));
+
+    await assert.rejects(
+      TaskConcurrencyService.deleteTask(id, { versions: [0], statusCode: 412 }),
+      { statusCode: 412 }
+    );
+  });
+});
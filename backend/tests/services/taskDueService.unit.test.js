@@ -0,0 +1,71 @@
+import { test, describe, mock, afterEach } from 'node:test';
+import assert from 'node:assert';
+import TaskDueService, { DUE_CHECK_KEY } from '../../src/services/taskDueService.js';
+import Task from '../../src/models/Task.js';
+import { redisClient } from '../../src/config/redis.js';
+
+describe('Task Due Service Unit Tests', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  test('should count overdue and due-soon tasks of a workspace outside the trash', async () => {
+    const workspace = '507f1f77bcf86cd799439021';
+    const now = new Date('2024-03-01T12:00:00Z');
+    const countDocuments = mock.method(Task, 'countDocuments', (filter) =>
+      Promise.resolve(filter.dueDate.$gte ? 2 : 5)
+    );
+
+    assert.deepStrictEqual(await TaskDueService.getDueCounts(workspace, now), { overdue: 5, dueSoon: 2 });
+
+    const [overdue, dueSoon] = countDocuments.mock.calls.map(call => call.arguments[0]);
+    assert.deepStrictEqual(overdue, {
+      status: { $in: ['pending', 'in-progress'] },
+      dueDate: { $lt: now },
+      deletedAt: null,
+      workspace
+    });
+    assert.deepStrictEqual(dueSoon.dueDate.$gte, now);
+    assert.strictEqual(dueSoon.deletedAt, null);
+  });
+
+  test('should find open tasks whose due date passed within the window', async () => {
+    const since = new Date('2024-03-01T12:00:00Z');
+    const now = new Date('2024-03-01T12:01:00Z');
+    const tasks = [{ title: 'Late' }];
+    const sort = mock.fn(() => Promise.resolve(tasks));
+    const find = mock.method(Task, 'find', () => ({ sort }));
+
+    assert.strictEqual(await TaskDueService.findNewlyOverdue(since, now), tasks);
+
+    assert.deepStrictEqual(find.mock.calls[0].arguments[0], {
+      status: { $in: ['pending', 'in-progress'] },
+      dueDate: { $gte: since, $lt: now },
+      deletedAt: null
+    });
+    assert.deepStrictEqual(sort.mock.calls[0].arguments[0], { dueDate: 1 });
+  });
+
+  test('should carry the last due date check over restarts through Redis', async () => {
+    const store = new Map();
+    mock.method(redisClient, 'get', (key) => Promise.resolve(store.get(key) ?? null));
+    const set = mock.method(redisClient, 'set', (key, value) => Promise.resolve(store.set(key, value) && 'OK'));
+    const fallback = new Date('2024-03-01T12:05:00Z');
+
+    assert.strictEqual(await TaskDueService.getLastCheck(fallback), fallback);
+
+    await TaskDueService.saveLastCheck(new Date('2024-03-01T12:00:00Z'));
+    assert.deepStrictEqual(set.mock.calls[0].arguments, [DUE_CHECK_KEY, '2024-03-01T12:00:00.000Z']);
+    assert.deepStrictEqual(await TaskDueService.getLastCheck(fallback), new Date('2024-03-01T12:00:00Z'));
+  });
+
+  test('should fall back to the given time when Redis is unavailable', async () => {
+    mock.method(console, 'error', () => {});
+    mock.method(redisClient, 'get', () => Promise.reject(new Error('Connection is closed')));
+    mock.method(redisClient, 'set', () => Promise.reject(new Error('Connection is closed')));
+    const fallback = new Date('2024-03-01T12:05:00Z');
+
+    assert.strictEqual(await TaskDueService.getLastCheck(fallback), fallback);
+    await TaskDueService.saveLastCheck(fallback);
+  });
+});
@@ -0,0 +1,123 @@
+import { test, describe, mock, afterEach } from 'node:test';
+import assert from 'node:assert';
+import mongoose from 'mongoose';
+import TaskHistoryService from '../../src/services/taskHistoryService.js';
+import TaskHistory from '../../src/models/TaskHistory.js';
+
+const taskId = '507f1f77bcf86cd799439011';
+const workspace = '507f1f77bcf86cd799439021';
+const context = { ipAddress: '127.0.0.1', userAgent: 'node-test' };
+
+describe('Task History Service Unit Tests', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  test('should diff tracked fields with before and after values', () => {
+    const completedAt = new Date('2024-03-01T10:00:00Z');
+
+    assert.deepStrictEqual(
+      TaskHistoryService.diff(
+        { title: 'Docs', status: 'in-progress', priority: 'low', description: '', completedAt: null, __v: 1 },
+        { title: 'Docs', status: 'completed', priority: 'high', description: undefined, completedAt, __v: 2 }
+      ),
+      [
+        { field: 'status', before: 'in-progress', after: 'completed' },
+        { field: 'priority', before: 'low', after: 'high' },
+        { field: 'completedAt', before: null, after: '2024-03-01T10:00:00.000Z' }
+      ]
+    );
+  });
+
+  test('should compare tags by value and treat an empty list as unset', () => {
+    assert.deepStrictEqual(TaskHistoryService.diff({ tags: ['design'] }, { tags: ['design'] }), []);
+    assert.deepStrictEqual(TaskHistoryService.diff({ tags: [] }, { tags: undefined }), []);
+    assert.deepStrictEqual(TaskHistoryService.diff({ tags: [] }, { tags: ['design', 'ux'] }), [
+      { field: 'tags', before: null, after: ['design', 'ux'] }
+    ]);
+  });
+
+  test('should record assignees as ID strings', () => {
+    const assignee = new mongoose.Types.ObjectId();
+
+    assert.deepStrictEqual(TaskHistoryService.diff({ assignee: null }, { assignee }), [
+      { field: 'assignee', before: null, after: assignee.toString() }
+    ]);
+    assert.deepStrictEqual(TaskHistoryService.diff({ assignee }, { assignee: new mongoose.Types.ObjectId(assignee.toString()) }), []);
+  });
+
+  test('should record every set field for creates and deletes', () => {
+    const task = { _id: taskId, workspace, title: 'Docs', status: 'pending', priority: 'medium' };
+
+    const created = TaskHistoryService.buildEntry('created', { after: task }, { ...context, source: 'import' });
+    assert.strictEqual(created.source, 'import');
+    assert.strictEqual(created.workspace, workspace);
+    assert.strictEqual(created.taskTitle, 'Docs');
+    assert.deepStrictEqual(created.changes.map(change => [change.field, change.before, change.after]), [
+      ['title', null, 'Docs'],
+      ['status', null, 'pending'],
+      ['priority', null, 'medium']
+    ]);
+
+    const deleted = TaskHistoryService.buildEntry('deleted', { before: task }, context);
+    assert.strictEqual(deleted.source, 'single');
+    assert.strictEqual(deleted.taskId, taskId);
+    assert(deleted.changes.every(change => change.after === null));
+  });
+
+  test('should skip updates that change no tracked field', async () => {
+    const insertMany = mock.method(TaskHistory, 'insertMany', () => Promise.resolve([]));
+    const task = { _id: taskId, title: 'Docs' };
+
+    assert.strictEqual(await TaskHistoryService.record('updated', [{ before: task, after: { ...task } }], context), 0);
+    assert.strictEqual(insertMany.mock.callCount(), 0);
+  });
+
+  test('should insert one entry per write', async () => {
+    const insertMany = mock.method(TaskHistory, 'insertMany', (entries) => Promise.resolve(entries));
+
+    const recorded = await TaskHistoryService.record('updated', [
+      { before: { _id: '1', priority: 'low' }, after: { _id: '1', priority: 'high' } },
+      { before: { _id: '2', priority: 'low' }, after: { _id: '2', priority: 'high' } }
+    ], { ...context, source: 'bulk' });
+
+    assert.strictEqual(recorded, 2);
+    const entries = insertMany.mock.calls[0].arguments[0];
+    assert.deepStrictEqual(entries.map(entry => [entry.taskId, entry.action, entry.source]), [
+      ['1', 'updated', 'bulk'],
+      ['2', 'updated', 'bulk']
+    ]);
+    assert.strictEqual(entries[0].ipAddress, '127.0.0.1');
+  });
+
+  test('should log rather than throw when recording fails', async () => {
+    mock.method(TaskHistory, 'insertMany', () => Promise.reject(new Error('down')));
+    const error = mock.method(console, 'error', () => {});
+
+    assert.strictEqual(await TaskHistoryService.record('created', [{ after: { _id: taskId, title: 'A' } }]), 0);
+    assert.strictEqual(error.mock.callCount(), 1);
+  });
+
+  test('should page a task history newest first', async () => {
+    const query = {};
+    query.sort = mock.fn(() => query);
+    query.skip = mock.fn(() => query);
+    query.limit = mock.fn(() => Promise.resolve([{ action: 'updated' }]));
+    const find = mock.method(TaskHistory, 'find', () => query);
+    mock.method(TaskHistory, 'countDocuments', () => Promise.resolve(21));
+
+    const history = await TaskHistoryService.getHistory(taskId, { page: 3, limit: 10, workspace });
+
+    assert.deepStrictEqual(find.mock.calls[0].arguments[0], { taskId, workspace });
+    assert.deepStrictEqual(query.sort.mock.calls[0].arguments[0], { createdAt: -1, _id: -1 });
+    assert.strictEqual(query.skip.mock.calls[0].arguments[0], 20);
+    assert.deepStrictEqual(history.pagination, { page: 3, limit: 10, total: 21, pages: 3 });
+  });
+
+  test('should define indexes for task timelines and the workspace activity feed', () => {
+    const indexes = TaskHistory.schema.indexes().map(([fields]) => fields);
+
+    assert(indexes.some(fields => fields.taskId === 1 && fields.createdAt === -1));
+    assert(indexes.some(fields => fields.workspace === 1 && fields.createdAt === -1));
+  });
+});
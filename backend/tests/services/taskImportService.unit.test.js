@@ -0,0 +1,149 @@
+import { test, describe, mock, afterEach } from 'node:test';
+import assert from 'node:assert';
+import TaskImportService, { MAX_IMPORT_ROWS } from '../../src/services/taskImportService.js';
+import Task from '../../src/models/Task.js';
+
+const csv = [
+  'Name,Details,State,Priority,Estimate',
+  'Write docs,"Covers the ""import"" flow, end to end",In Progress,High,2.5',
+  ',Missing a title,pending,low,1',
+  'Ship it,,Completed,urgent,abc'
+].join('\r\n');
+const options = { workspace: '507f1f77bcf86cd799439021' };
+
+describe('Task Import Service Unit Tests', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  test('should parse quoted CSV fields, doubled quotes and embedded line breaks', () => {
+    assert.deepStrictEqual(
+      TaskImportService.parseCsv('\uFEFFtitle,description\n"A, B","Say ""hi""\nthen leave"\n\nC,\n'),
+      [['title', 'description'], ['A, B', 'Say "hi"\nthen leave'], ['C', '']]
+    );
+  });
+
+  test('should reject unterminated quotes', () => {
+    assert.throws(() => TaskImportService.parseCsv('title\n"open'), { statusCode: 400 });
+  });
+
+  test('should parse CSV and JSON files into columns and rows', () => {
+    const fromCsv = TaskImportService.parseFile('csv', 'title,status\nA,pending');
+    assert.deepStrictEqual(fromCsv, { columns: ['title', 'status'], rows: [{ title: 'A', status: 'pending' }] });
+
+    const fromJson = TaskImportService.parseFile('json', '[{"title":"A"},{"title":"B","priority":"low"}]');
+    assert.deepStrictEqual(fromJson.columns, ['title', 'priority']);
+    assert.strictEqual(fromJson.rows.length, 2);
+  });
+
+  test('should reject unusable files', () => {
+    assert.throws(() => TaskImportService.parseFile('json', '{"title":"A"}'), {
+      message: 'JSON imports must be an array of objects'
+    });
+    assert.throws(() => TaskImportService.parseFile('json', '[{'), /Invalid JSON/);
+    assert.throws(() => TaskImportService.parseFile('csv', 'title\n'), { message: 'The file contains no rows' });
+
+    const tooMany = JSON.stringify(Array.from({ length: MAX_IMPORT_ROWS + 1 }, () => ({ title: 'x' })));
+    assert.throws(() => TaskImportService.parseFile('json', tooMany), { statusCode: 400 });
+  });
+
+  test('should suggest a mapping from column names and aliases', () => {
+    assert.deepStrictEqual(
+      TaskImportService.suggestMapping(['Name', 'Details', 'State', 'PRIORITY', 'Estimated Time', 'Owner']),
+      { title: 'Name', description: 'Details', status: 'State', priority: 'PRIORITY', estimatedTime: 'Estimated Time' }
+    );
+  });
+
+  test('should normalize mapped values', () => {
+    const task = TaskImportService.mapRow(
+      { Name: '  Write docs ', State: 'In Progress', Estimate: '2.5', Notes: '' },
+      { title: 'Name', status: 'State', estimatedTime: 'Estimate', description: 'Notes', priority: '' }
+    );
+
+    assert.deepStrictEqual(task, { title: 'Write docs', status: 'in-progress', estimatedTime: 2.5 });
+  });
+
+  test('should split tag columns into lists', () => {
+    const task = TaskImportService.mapRow({ Category: 'Design; UX|design' }, { tags: 'Category' });
+
+    assert.deepStrictEqual(task.tags, ['Design', ' UX', 'design']);
+    assert.deepStrictEqual(TaskImportService.validateRow(task).task.tags.toObject(), ['design', 'ux']);
+  });
+
+  test('should keep completedAt consistent with the status', () => {
+    const completed = TaskImportService.mapRow({ s: 'completed' }, { status: 's' });
+    assert(completed.completedAt instanceof Date);
+
+    const reopened = TaskImportService.mapRow({ s: 'pending', c: '2024-01-01' }, { status: 's', completedAt: 'c' });
+    assert.strictEqual(reopened.completedAt, undefined);
+
+    const done = TaskImportService.mapRow({ s: 'Completed', c: '2024-01-01' }, { status: 's', completedAt: 'c' });
+    assert.strictEqual(done.completedAt, '2024-01-01');
+
+    // Without a status the task is pending, so a completion time is dropped too
+    for (const [row, mapping] of [
+      [{ c: '2024-01-01' }, { completedAt: 'c' }],
+      [{ s: '', c: '2024-01-01' }, { status: 's', completedAt: 'c' }]
+    ]) {
+      assert.strictEqual(TaskImportService.mapRow(row, mapping).completedAt, undefined);
+    }
+  });
+
+  test('should report Mongoose validation errors per field', () => {
+    const { errors } = TaskImportService.validateRow({ priority: 'urgent', estimatedTime: 'abc', ...options });
+
+    assert.deepStrictEqual(errors.map(error => error.field).sort(), ['estimatedTime', 'priority', 'title']);
+  });
+
+  test('should return a per-row report without writing on a dry run', async () => {
+    const insertMany = mock.method(Task, 'insertMany', () => Promise.resolve([]));
+
+    const report = await TaskImportService.importTasks({ format: 'csv', content: csv, dryRun: true }, options);
+
+    assert.strictEqual(insertMany.mock.callCount(), 0);
+    assert.strictEqual(report.dryRun, true);
+    assert.deepStrictEqual(report.columns, ['Name', 'Details', 'State', 'Priority', 'Estimate']);
+    assert.deepStrictEqual([report.total, report.valid, report.invalid, report.inserted], [3, 1, 2, 0]);
+    assert.deepStrictEqual(report.errors.map(({ row, errors }) => [row, errors.map(e => e.field).sort()]), [
+      [2, ['title']],
+      [3, ['estimatedTime', 'priority']]
+    ]);
+    assert.deepStrictEqual(report.preview.map(({ row, valid }) => [row, valid]), [[1, true], [2, false], [3, false]]);
+    assert.strictEqual(report.preview[0].data.description, 'Covers the "import" flow, end to end');
+  });
+
+  test('should refuse to import invalid rows unless asked to skip them', async () => {
+    const insertMany = mock.method(Task, 'insertMany', (tasks) => Promise.resolve(tasks));
+
+    await assert.rejects(
+      TaskImportService.importTasks({ format: 'csv', content: csv }, options),
+      { statusCode: 400, message: '2 of 3 rows failed validation; fix them or skip invalid rows' }
+    );
+    assert.strictEqual(insertMany.mock.callCount(), 0);
+
+    const report = await TaskImportService.importTasks({ format: 'csv', content: csv, skipInvalid: true }, options);
+    assert.strictEqual(report.inserted, 1);
+    assert.strictEqual(insertMany.mock.calls[0].arguments[0][0].title, 'Write docs');
+    assert.strictEqual(String(insertMany.mock.calls[0].arguments[0][0].workspace), options.workspace);
+  });
+
+  test('should reject mappings that name missing columns', async () => {
+    await assert.rejects(
+      TaskImportService.importTasks({ format: 'csv', content: csv, mapping: { title: 'Subject' } }, options),
+      { message: 'Mapped columns not found in the file: Subject' }
+    );
+  });
+
+  test('should insert in batches', async () => {
+    const insertMany = mock.method(Task, 'insertMany', (tasks) => Promise.resolve(tasks));
+
+    const inserted = await TaskImportService.insertTasks(Array.from({ length: 1200 }, (_, i) => ({ title: `T${i}` })));
+
+    assert.strictEqual(inserted, 1200);
+    assert.deepStrictEqual(insertMany.mock.calls.map(call => call.arguments[0].length), [500, 500, 200]);
+
+    const batches = [];
+    await TaskImportService.insertTasks([{ title: 'A' }, { title: 'B' }], async (batch) => batches.push(batch));
+    assert.deepStrictEqual(batches, [[{ title: 'A' }, { title: 'B' }]]);
+  });
+});
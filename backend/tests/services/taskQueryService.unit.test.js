@@ -0,0 +1,329 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import TaskQueryService from '../../src/services/taskQueryService.js';
+
+describe('Task Query Service Unit Tests', () => {
+  test('should only exclude deleted tasks when no params are given', () => {
+    assert.deepStrictEqual(TaskQueryService.buildFilter(), { deletedAt: null });
+    assert.deepStrictEqual(TaskQueryService.buildFilter({}), { deletedAt: null });
+  });
+
+  test('should add the not-deleted condition to a copy of a filter', () => {
+    const filter = { status: 'pending' };
+
+    assert.deepStrictEqual(TaskQueryService.excludeDeleted(filter), { status: 'pending', deletedAt: null });
+    assert.deepStrictEqual(filter, { status: 'pending' });
+  });
+
+  test('should scope filters to a workspace when one is given', () => {
+    const workspace = '507f1f77bcf86cd799439021';
+
+    assert.deepStrictEqual(TaskQueryService.inWorkspace({ status: 'pending' }, workspace), { status: 'pending', workspace });
+    assert.deepStrictEqual(TaskQueryService.inWorkspace({ status: 'pending' }), { status: 'pending' });
+    assert.deepStrictEqual(TaskQueryService.buildFilter({}, workspace), { deletedAt: null, workspace });
+  });
+
+  test('should build overdue and due-soon conditions for open tasks', () => {
+    const now = new Date('2024-03-01T12:00:00Z');
+
+    assert.deepStrictEqual(TaskQueryService.buildDueFilter('overdue', now), {
+      status: { $in: ['pending', 'in-progress'] },
+      dueDate: { $lt: now }
+    });
+    assert.deepStrictEqual(TaskQueryService.buildDueFilter('due-soon', now), {
+      status: { $in: ['pending', 'in-progress'] },
+      dueDate: { $gte: now, $lte: new Date('2024-03-02T12:00:00Z') }
+    });
+    assert.throws(() => TaskQueryService.buildDueFilter('someday', now), { statusCode: 400 });
+  });
+
+  test('should keep only open requested statuses when filtering by due date', () => {
+    const filter = TaskQueryService.buildFilter({ due: 'overdue', status: 'pending,completed' });
+
+    assert.deepStrictEqual(filter.status, { $in: ['pending'] });
+    assert(filter.dueDate.$lt instanceof Date);
+    assert.strictEqual(filter.deletedAt, null);
+  });
+
+  test('should match any or all of the given tags, ignoring case', () => {
+    assert.deepStrictEqual(
+      TaskQueryService.buildFilter({ tags: 'Design, ux' }).tags,
+      { $in: ['design', 'ux'] }
+    );
+    assert.deepStrictEqual(
+      TaskQueryService.buildFilter({ tags: ['design', 'ux'], tagMode: 'all' }).tags,
+      { $all: ['design', 'ux'] }
+    );
+    assert.strictEqual(TaskQueryService.buildFilter({ tags: ' , ' }).tags, undefined);
+  });
+
+  test('should filter by assignee, with unassigned matching tasks without one', () => {
+    const id = '507f1f77bcf86cd799439011';
+
+    assert.strictEqual(TaskQueryService.buildFilter({ assignee: id }).assignee, id);
+    assert.strictEqual(TaskQueryService.buildFilter({ assignee: 'unassigned' }).assignee, null);
+    assert.deepStrictEqual(
+      TaskQueryService.buildFilter({ assignee: `${id},unassigned` }).assignee,
+      { $in: [id, null] }
+    );
+    assert.throws(
+      () => TaskQueryService.buildFilter({ assignee: 'nobody' }),
+      (error) => error.statusCode === 400 && /Invalid assignee/.test(error.message)
+    );
+  });
+
+  test('should filter by status and priority', () => {
+    const filter = TaskQueryService.buildFilter({
+      status: 'pending',
+      priority: 'high',
+      page: '2'
+    });
+
+    assert.deepStrictEqual(filter, { status: 'pending', priority: 'high', deletedAt: null });
+  });
+
+  test('should ignore empty filter values', () => {
+    const filter = TaskQueryService.buildFilter({ status: '', priority: '' });
+    assert.deepStrictEqual(filter, { deletedAt: null });
+  });
+
+  test('should default to newest first', () => {
+    assert.deepStrictEqual(TaskQueryService.buildSort(), { createdAt: -1 });
+  });
+
+  test('should honour sortBy and sortOrder', () => {
+    const sort = TaskQueryService.buildSort({ sortBy: 'title', sortOrder: 'asc' });
+    assert.deepStrictEqual(sort, { title: 1 });
+  });
+
+  test('should normalize params to known non-empty filters', () => {
+    const normalized = TaskQueryService.normalizeParams({
+      sortOrder: 'asc',
+      page: '3',
+      limit: '50',
+      status: '',
+      priority: 'high',
+      format: 'csv'
+    });
+
+    assert.deepStrictEqual(normalized, { priority: 'high', sortOrder: 'asc' });
+    assert.deepStrictEqual(Object.keys(normalized), ['priority', 'sortOrder']);
+  });
+
+  test('should match several comma-separated statuses and priorities', () => {
+    const filter = TaskQueryService.buildFilter({
+      status: 'pending, in-progress',
+      priority: ['high']
+    });
+
+    assert.deepStrictEqual(filter, {
+      status: { $in: ['pending', 'in-progress'] },
+      priority: 'high',
+      deletedAt: null
+    });
+  });
+
+  test('should build inclusive date ranges', () => {
+    const filter = TaskQueryService.buildFilter({
+      createdFrom: '2024-01-01',
+      createdTo: '2024-01-31',
+      completedTo: '2024-02-01T12:00:00.000Z'
+    });
+
+    assert.deepStrictEqual(filter.createdAt, {
+      $gte: new Date('2024-01-01T00:00:00.000Z'),
+      $lte: new Date('2024-01-31T23:59:59.999Z')
+    });
+    assert.deepStrictEqual(filter.completedAt, {
+      $lte: new Date('2024-02-01T12:00:00.000Z')
+    });
+    assert.strictEqual(filter.updatedAt, undefined);
+  });
+
+  test('should build estimated and actual time ranges', () => {
+    const filter = TaskQueryService.buildFilter({
+      minEstimatedTime: '2',
+      maxEstimatedTime: '8',
+      minActualTime: '0'
+    });
+
+    assert.deepStrictEqual(filter.estimatedTime, { $gte: 2, $lte: 8 });
+    assert.deepStrictEqual(filter.actualTime, { $gte: 0 });
+  });
+
+  test('should reject invalid dates and numbers with 400 errors', () => {
+    assert.throws(
+      () => TaskQueryService.buildFilter({ createdFrom: 'yesterday' }),
+      { statusCode: 400, message: 'Invalid date for createdFrom: yesterday' }
+    );
+    assert.throws(
+      () => TaskQueryService.buildFilter({ maxActualTime: '-1' }),
+      { statusCode: 400, message: 'Invalid number for maxActualTime: -1' }
+    );
+  });
+
+  test('should search title and description case-insensitively with literal text', () => {
+    const filter = TaskQueryService.buildFilter({ search: '  fix (urgent)? ' });
+
+    assert.strictEqual(filter.$or.length, 2);
+    const pattern = filter.$or[0].title;
+    assert.ok(pattern.test('Please FIX (URGENT)? now'));
+    assert.ok(!pattern.test('fix urgent'));
+    assert.strictEqual(filter.$or[1].description, pattern);
+  });
+
+  test('should keep the new filters when normalizing params', () => {
+    const normalized = TaskQueryService.normalizeParams({
+      search: 'report',
+      createdFrom: '2024-01-01',
+      maxActualTime: '4',
+      page: '1'
+    });
+
+    assert.deepStrictEqual(normalized, {
+      search: 'report',
+      createdFrom: '2024-01-01',
+      maxActualTime: '4'
+    });
+  });
+
+  test('should use the text index and rank by score in text search mode', () => {
+    const params = { search: 'login bug', searchMode: 'text', sortBy: 'title', sortOrder: 'asc' };
+
+    assert.deepStrictEqual(TaskQueryService.buildFilter(params), {
+      $text: { $search: 'login bug' },
+      deletedAt: null
+    });
+    assert.deepStrictEqual(TaskQueryService.buildSort(params), {
+      score: { $meta: 'textScore' },
+      title: 1
+    });
+    assert.deepStrictEqual(Object.keys(TaskQueryService.buildSort(params)), ['score', 'title']);
+    assert.deepStrictEqual(TaskQueryService.buildProjection(params), {
+      score: { $meta: 'textScore' }
+    });
+  });
+
+  test('should fall back to substring search without a text search mode', () => {
+    const params = { search: 'login' };
+
+    assert.ok(TaskQueryService.buildFilter(params).$or);
+    assert.strictEqual(TaskQueryService.buildProjection(params), null);
+    assert.strictEqual(TaskQueryService.isTextSearch({ searchMode: 'text', search: '  ' }), false);
+  });
+
+  test('should extract search terms without $text operators', () => {
+    assert.deepStrictEqual(
+      TaskQueryService.getSearchTerms('"quarterly report" -draft  sales'),
+      ['quarterly', 'report', 'sales']
+    );
+  });
+
+  test('should split text into highlighted segments', () => {
+    assert.deepStrictEqual(TaskQueryService.highlight('Fix Login bug in login form', ['login']), [
+      { text: 'Fix ', match: false },
+      { text: 'Login', match: true },
+      { text: ' bug in ', match: false },
+      { text: 'login', match: true },
+      { text: ' form', match: false }
+    ]);
+    assert.deepStrictEqual(TaskQueryService.highlight('', ['login']), []);
+  });
+
+  test('should build snippets around the first match of long descriptions', () => {
+    const description = `${'a'.repeat(100)} needle ${'b'.repeat(100)}`;
+    const snippet = TaskQueryService.buildSnippet(description, ['needle'], 10);
+
+    assert.strictEqual(snippet, `…${'a'.repeat(9)} needle ${'b'.repeat(3)}…`);
+    assert.strictEqual(TaskQueryService.buildSnippet('short text', ['text'], 10), 'short text');
+  });
+
+  test('should build highlights for a search result', () => {
+    const highlights = TaskQueryService.buildHighlights(
+      { title: 'Release notes', description: 'Write the notes' },
+      'notes'
+    );
+
+    assert.deepStrictEqual(highlights.title, [
+      { text: 'Release ', match: false },
+      { text: 'notes', match: true }
+    ]);
+    assert.deepStrictEqual(highlights.description, [
+      { text: 'Write the ', match: false },
+      { text: 'notes', match: true }
+    ]);
+  });
+
+  test('should detect cursor pagination', () => {
+    assert.strictEqual(TaskQueryService.isCursorPagination({ pagination: 'cursor' }), true);
+    assert.strictEqual(TaskQueryService.isCursorPagination({ after: 'abc' }), true);
+    assert.strictEqual(TaskQueryService.isCursorPagination({ before: 'abc' }), true);
+    assert.strictEqual(TaskQueryService.isCursorPagination({ page: '2' }), false);
+  });
+
+  test('should round-trip cursors', () => {
+    const task = { _id: '507f1f77bcf86cd799439011', createdAt: new Date('2024-01-01T00:00:00.000Z') };
+    const token = TaskQueryService.encodeCursor(task, 'createdAt');
+
+    assert.match(token, /^[A-Za-z0-9_-]+$/);
+    assert.deepStrictEqual(TaskQueryService.decodeCursor(token, 'createdAt'), {
+      value: '2024-01-01T00:00:00.000Z',
+      id: '507f1f77bcf86cd799439011'
+    });
+  });
+
+  test('should reject malformed cursors and cursors for another sort', () => {
+    const token = TaskQueryService.encodeCursor({ _id: 'abc', title: 'A' }, 'title');
+
+    assert.throws(() => TaskQueryService.decodeCursor('not-a-cursor', 'title'), {
+      statusCode: 400,
+      message: 'Invalid pagination cursor'
+    });
+    assert.throws(() => TaskQueryService.decodeCursor(token, 'createdAt'), {
+      statusCode: 400,
+      message: 'Pagination cursor does not match the current sort order'
+    });
+  });
+
+  test('should build the first cursor page sorted by the sort key plus _id', () => {
+    const page = TaskQueryService.buildCursorPage({ pagination: 'cursor' });
+
+    assert.deepStrictEqual(page, {
+      sort: { createdAt: -1, _id: -1 },
+      filter: null,
+      backwards: false
+    });
+  });
+
+  test('should page after a cursor in sort order', () => {
+    const after = TaskQueryService.encodeCursor({ _id: 'id-1', title: 'M' }, 'title');
+    const page = TaskQueryService.buildCursorPage({ sortBy: 'title', sortOrder: 'asc', after });
+
+    assert.deepStrictEqual(page, {
+      sort: { title: 1, _id: 1 },
+      filter: {
+        $or: [
+          { title: { $gt: 'M' } },
+          { title: 'M', _id: { $gt: 'id-1' } }
+        ]
+      },
+      backwards: false
+    });
+  });
+
+  test('should page before a cursor by reversing the sort', () => {
+    const before = TaskQueryService.encodeCursor({ _id: 'id-1', createdAt: '2024-01-01' }, 'createdAt');
+    const page = TaskQueryService.buildCursorPage({ before });
+
+    assert.deepStrictEqual(page.sort, { createdAt: 1, _id: 1 });
+    assert.deepStrictEqual(page.filter.$or[1], { createdAt: '2024-01-01', _id: { $gt: 'id-1' } });
+    assert.strictEqual(page.backwards, true);
+  });
+
+  test('should refuse cursor pagination for text search', () => {
+    assert.throws(
+      () => TaskQueryService.buildCursorPage({ search: 'x', searchMode: 'text', pagination: 'cursor' }),
+      { statusCode: 400 }
+    );
+  });
+});
@@ -0,0 +1,83 @@
+import { test, describe, mock, afterEach } from 'node:test';
+import assert from 'node:assert';
+import TaskTrashService, { TRASH_RETENTION_DAYS } from '../../src/services/taskTrashService.js';
+import Task from '../../src/models/Task.js';
+import TaskHistory from '../../src/models/TaskHistory.js';
+
+const id = '507f1f77bcf86cd799439011';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Task Trash Service Unit Tests', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  test('should purge tasks the retention period after their deletion', () => {
+    const deletedAt = new Date('2024-03-01T00:00:00Z');
+
+    assert.deepStrictEqual(
+      TaskTrashService.getPurgeDate({ deletedAt }, 7),
+      new Date('2024-03-08T00:00:00Z')
+    );
+  });
+
+  test('should list deleted tasks newest first with their purge dates', async () => {
+    const deletedAt = new Date('2024-03-01T00:00:00Z');
+    const query = {};
+    query.sort = mock.fn(() => query);
+    query.skip = mock.fn(() => query);
+    query.limit = mock.fn(() => Promise.resolve([{ toJSON: () => ({ _id: id, deletedAt }), deletedAt }]));
+    const find = mock.method(Task, 'find', () => query);
+    mock.method(Task, 'countDocuments', () => Promise.resolve(11));
+
+    const trash = await TaskTrashService.listTrash({ page: 2, limit: 10, workspace: '507f1f77bcf86cd799439021' });
+
+    assert.deepStrictEqual(
+      find.mock.calls[0].arguments[0],
+      { deletedAt: { $ne: null }, workspace: '507f1f77bcf86cd799439021' }
+    );
+    assert.deepStrictEqual(query.sort.mock.calls[0].arguments[0], { deletedAt: -1, _id: -1 });
+    assert.strictEqual(query.skip.mock.calls[0].arguments[0], 10);
+    assert.deepStrictEqual(trash.tasks[0].purgeAt, new Date(deletedAt.getTime() + TRASH_RETENTION_DAYS * DAY_MS));
+    assert.deepStrictEqual(trash.pagination, { page: 2, limit: 10, total: 11, pages: 2 });
+    assert.strictEqual(trash.retentionDays, TRASH_RETENTION_DAYS);
+  });
+
+  test('should only restore and purge tasks in the trash', async () => {
+    const findOneAndUpdate = mock.method(Task, 'findOneAndUpdate', () => Promise.resolve(null));
+    const findOneAndDelete = mock.method(Task, 'findOneAndDelete', () => Promise.resolve(null));
+
+    assert.strictEqual(await TaskTrashService.restoreTask(id), null);
+    assert.strictEqual(await TaskTrashService.purgeTask(id), null);
+
+    const [filter, update] = findOneAndUpdate.mock.calls[0].arguments;
+    assert.deepStrictEqual(filter, { _id: id, deletedAt: { $ne: null } });
+    assert.deepStrictEqual(update, { deletedAt: null, $inc: { __v: 1 } });
+    assert.deepStrictEqual(findOneAndDelete.mock.calls[0].arguments[0], { _id: id, deletedAt: { $ne: null } });
+  });
+
+  test('should purge expired tasks and record the purges', async () => {
+    const expired = [{ _id: id, title: 'Old', deletedAt: new Date(Date.now() - 40 * DAY_MS) }];
+    const find = mock.method(Task, 'find', () => Promise.resolve(expired));
+    const deleteMany = mock.method(Task, 'deleteMany', () => Promise.resolve({ deletedCount: 1 }));
+    const insertMany = mock.method(TaskHistory, 'insertMany', () => Promise.resolve());
+
+    assert.strictEqual(await TaskTrashService.purgeExpired(30), 1);
+
+    const cutoff = find.mock.calls[0].arguments[0].deletedAt.$lt;
+    assert(Math.abs(Date.now() - 30 * DAY_MS - cutoff.getTime()) < 1000);
+    assert.deepStrictEqual(deleteMany.mock.calls[0].arguments[0]._id, { $in: [id] });
+    const [entry] = insertMany.mock.calls[0].arguments[0];
+    assert.strictEqual(entry.action, 'purged');
+    assert.strictEqual(entry.source, 'retention');
+    assert.deepStrictEqual(entry.changes, []);
+  });
+
+  test('should skip the purge when nothing has expired', async () => {
+    mock.method(Task, 'find', () => Promise.resolve([]));
+    const deleteMany = mock.method(Task, 'deleteMany', () => Promise.resolve());
+
+    assert.strictEqual(await TaskTrashService.purgeExpired(), 0);
+    assert.strictEqual(deleteMany.mock.callCount(), 0);
+  });
+});
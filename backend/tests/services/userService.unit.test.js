@@ -0,0 +1,148 @@
+import { test, describe, mock, afterEach } from 'node:test';
+import assert from 'node:assert';
+import UserService from '../../src/services/userService.js';
+import User from '../../src/models/User.js';
+import Task from '../../src/models/Task.js';
+import AuthService from '../../src/services/authService.js';
+
+const id = '507f1f77bcf86cd799439011';
+const outsider = '507f1f77bcf86cd799439013';
+const admin = '507f1f77bcf86cd799439014';
+const workspace = '507f1f77bcf86cd799439021';
+
+describe('User Service Unit Tests', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  test('should list users by name, searching name and email literally', async () => {
+    const query = {};
+    query.sort = mock.fn(() => query);
+    query.skip = mock.fn(() => query);
+    query.limit = mock.fn(() => Promise.resolve([{ _id: id, name: 'Ada' }]));
+    const find = mock.method(User, 'find', () => query);
+    mock.method(User, 'countDocuments', () => Promise.resolve(51));
+
+    const result = await UserService.listUsers({ search: 'a.b', page: 2, limit: 50 });
+
+    const [{ $and: [{ $or: [{ name: pattern }] }] }] = find.mock.calls[0].arguments;
+    assert.ok(pattern.test('A.B'));
+    assert.ok(!pattern.test('axb'));
+    assert.deepStrictEqual(query.sort.mock.calls[0].arguments[0], { name: 1, _id: 1 });
+    assert.strictEqual(query.skip.mock.calls[0].arguments[0], 50);
+    assert.deepStrictEqual(result.pagination, { page: 2, limit: 50, total: 51, pages: 2 });
+  });
+
+  test('should only list the people who can open a workspace when one is given', async () => {
+    const query = {};
+    query.sort = mock.fn(() => query);
+    query.skip = mock.fn(() => query);
+    query.limit = mock.fn(() => Promise.resolve([]));
+    const find = mock.method(User, 'find', () => query);
+    mock.method(User, 'countDocuments', () => Promise.resolve(0));
+
+    await UserService.listUsers({ workspace });
+    await UserService.listUsers();
+
+    assert.deepStrictEqual(find.mock.calls[0].arguments[0], {
+      $and: [{ $or: [{ workspaces: workspace }, { role: { $in: ['admin'] } }] }]
+    });
+    assert.deepStrictEqual(find.mock.calls[1].arguments[0], {});
+  });
+
+  test('should only find a member of the workspace when one is given', async () => {
+    const findOne = mock.method(User, 'findOne', () => Promise.resolve(null));
+
+    assert.strictEqual(await UserService.getUser(outsider, { workspace }), null);
+    await UserService.getUser(outsider);
+
+    assert.deepStrictEqual(findOne.mock.calls[0].arguments[0], {
+      _id: outsider,
+      $or: [{ workspaces: workspace }, { role: { $in: ['admin'] } }]
+    });
+    assert.deepStrictEqual(findOne.mock.calls[1].arguments[0], { _id: outsider });
+  });
+
+  test('should accept existing members of the workspace or empty assignees only', async () => {
+    const users = {
+      [id]: { _id: id, role: 'member', workspaces: [workspace] },
+      [outsider]: { _id: outsider, role: 'member', workspaces: [] },
+      [admin]: { _id: admin, role: 'admin', workspaces: [] }
+    };
+    mock.method(User, 'findById', (userId) => Promise.resolve(users[userId] ?? null));
+
+    await UserService.ensureAssignable(undefined, workspace);
+    await UserService.ensureAssignable(null, workspace);
+    await UserService.ensureAssignable(id, workspace);
+    await UserService.ensureAssignable(admin, workspace);
+
+    for (const assignee of ['nobody', '507f1f77bcf86cd799439012']) {
+      await assert.rejects(
+        UserService.ensureAssignable(assignee, workspace),
+        (error) => error.statusCode === 400 && error.message === `Assignee not found: ${assignee}`
+      );
+    }
+    await assert.rejects(
+      UserService.ensureAssignable(outsider, workspace),
+      (error) => error.statusCode === 400 && error.message === `Assignee is not a member of this workspace: ${outsider}`
+    );
+  });
+
+  test('should unassign the tasks of a deleted user, bump their versions and end their sessions', async () => {
+    const user = { _id: id, name: 'Ada' };
+    const previous = [{ _id: 'a', assignee: id }];
+    const updated = [{ _id: 'a', assignee: null }];
+    mock.method(User, 'findByIdAndDelete', () => Promise.resolve(user));
+    const find = mock.method(Task, 'find', () => Promise.resolve(find.mock.callCount() === 0 ? previous : updated));
+    const updateMany = mock.method(Task, 'updateMany', () => Promise.resolve({ modifiedCount: 1 }));
+    const revokeAll = mock.method(AuthService, 'revokeAll', () => Promise.resolve(2));
+
+    const result = await UserService.deleteUser(id);
+
+    assert.deepStrictEqual(result, { user, tasks: updated, previous });
+    assert.deepStrictEqual(revokeAll.mock.calls[0].arguments, [id]);
+    assert.deepStrictEqual(find.mock.calls[0].arguments[0], { assignee: id });
+    const [filter, [{ $set: set }]] = updateMany.mock.calls[0].arguments;
+    assert.deepStrictEqual(filter, { _id: { $in: ['a'] } });
+    assert.strictEqual(set.assignee, null);
+    assert.deepStrictEqual(set.__v, { $add: [{ $ifNull: ['$__v', 0] }, 1] });
+  });
+
+  test('should create the first admin only while there is none', async () => {
+    const exists = mock.method(User, 'exists', () => Promise.resolve(null));
+    const create = mock.method(User, 'create', (user) => Promise.resolve({ _id: id, ...user }));
+    const account = { name: 'Ada', email: 'ada@example.com', password: 'password123' };
+
+    const admin = await UserService.createFirstAdmin(account);
+    assert.strictEqual(admin.role, 'admin');
+    assert.strictEqual(admin.password, undefined);
+    assert.ok(await AuthService.verifyPassword('password123', admin.passwordHash));
+    assert.deepStrictEqual(exists.mock.calls[0].arguments[0], { role: 'admin' });
+
+    await assert.rejects(UserService.createFirstAdmin({ ...account, password: 'short' }), { statusCode: 400 });
+
+    exists.mock.mockImplementation(() => Promise.resolve({ _id: id }));
+    await assert.rejects(UserService.createFirstAdmin(account), (error) =>
+      error.statusCode === 400 && /already exists/.test(error.message));
+    assert.strictEqual(create.mock.callCount(), 1);
+  });
+
+  test('should refuse to remove or demote the last admin', async () => {
+    mock.method(User, 'exists', () => Promise.resolve({ _id: id }));
+    const countDocuments = mock.method(User, 'countDocuments', () => Promise.resolve(0));
+
+    await assert.rejects(UserService.ensureAdminRemains(id), { statusCode: 400 });
+    assert.deepStrictEqual(countDocuments.mock.calls[0].arguments[0], { _id: { $ne: id }, role: 'admin' });
+
+    countDocuments.mock.mockImplementation(() => Promise.resolve(1));
+    await UserService.ensureAdminRemains(id);
+  });
+
+  test('should return null when deleting an unknown user', async () => {
+    mock.method(User, 'findByIdAndDelete', () => Promise.resolve(null));
+    const updateMany = mock.method(Task, 'updateMany', () => Promise.resolve());
+
+    assert.strictEqual(await UserService.deleteUser(id), null);
+    assert.strictEqual(updateMany.mock.callCount(), 0);
+  });
+});
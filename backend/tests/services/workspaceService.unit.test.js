@@ -0,0 +1,141 @@
+import { test, describe, mock, afterEach } from 'node:test';
+import assert from 'node:assert';
+import WorkspaceService, { DEFAULT_WORKSPACE_NAME } from '../../src/services/workspaceService.js';
+import Workspace from '../../src/models/Workspace.js';
+import User from '../../src/models/User.js';
+import Task from '../../src/models/Task.js';
+import TaskHistory from '../../src/models/TaskHistory.js';
+import Export from '../../src/models/Export.js';
+
+const engineering = { _id: '507f1f77bcf86cd799439021', name: 'Engineering' };
+const operations = { _id: '507f1f77bcf86cd799439022', name: 'Operations' };
+const member = { _id: '507f1f77bcf86cd799439011', role: 'member', workspaces: [engineering._id] };
+const admin = { _id: '507f1f77bcf86cd799439012', role: 'admin', workspaces: [] };
+
+/**
+ * Mocks Workspace.find to resolve the given workspaces through .sort()
+ * @param {Array<Object>} workspaces - Workspaces to return
+ * @returns {Object} Mock of Workspace.find
+ */
+const mockFind = (workspaces) => mock.method(Workspace, 'find', () => ({
+  sort: () => Promise.resolve(workspaces)
+}));
+
+describe('Workspace Service Unit Tests', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  test('should list every workspace for admins and their own for everybody else', async () => {
+    const find = mockFind([engineering]);
+
+    await WorkspaceService.listForUser(admin);
+    await WorkspaceService.listForUser(member);
+
+    assert.deepStrictEqual(find.mock.calls[0].arguments[0], {});
+    assert.deepStrictEqual(find.mock.calls[1].arguments[0], { _id: { $in: [engineering._id] } });
+  });
+
+  test('should fall back to the oldest workspace without an ID', async () => {
+    mockFind([engineering, operations]);
+
+    assert.strictEqual(await WorkspaceService.resolve(member, undefined), engineering);
+    assert.strictEqual(await WorkspaceService.resolve(member, ''), engineering);
+  });
+
+  test('should reject users without any workspace', async () => {
+    mockFind([]);
+
+    await assert.rejects(
+      WorkspaceService.resolve({ ...member, workspaces: [] }),
+      (error) => error.statusCode === 403 && /not a member of any workspace/.test(error.message)
+    );
+  });
+
+  test('should report invalid, missing and foreign workspaces as not found', async () => {
+    const findById = mock.method(Workspace, 'findById', (id) => Promise.resolve(
+      [engineering, operations].find((workspace) => workspace._id === id) ?? null
+    ));
+
+    assert.strictEqual(await WorkspaceService.resolve(member, engineering._id), engineering);
+    assert.strictEqual(await WorkspaceService.resolve(admin, operations._id), operations);
+    for (const id of ['nope', operations._id, '507f1f77bcf86cd799439099']) {
+      const user = id === operations._id ? member : admin;
+      await assert.rejects(
+        WorkspaceService.resolve(user, id),
+        (error) => error.statusCode === 404 && error.message === 'Workspace not found'
+      );
+    }
+    // Malformed and foreign IDs are rejected without looking them up
+    assert.strictEqual(findById.mock.callCount(), 3);
+  });
+
+  test('should only delete empty workspaces that are not the last one', async () => {
+    const deleteOne = mock.fn(() => Promise.resolve());
+    mock.method(Workspace, 'findById', () => Promise.resolve({ ...engineering, deleteOne }));
+    const others = mock.method(Workspace, 'countDocuments', () => Promise.resolve(0));
+    const tasks = mock.method(Task, 'countDocuments', () => Promise.resolve(0));
+    const updateMany = mock.method(User, 'updateMany', () => Promise.resolve({ modifiedCount: 2 }));
+
+    await assert.rejects(WorkspaceService.deleteWorkspace(engineering._id), {
+      statusCode: 400,
+      message: 'The last workspace cannot be deleted'
+    });
+
+    others.mock.mockImplementation(() => Promise.resolve(1));
+    tasks.mock.mockImplementation(() => Promise.resolve(1));
+    await assert.rejects(WorkspaceService.deleteWorkspace(engineering._id), {
+      statusCode: 400,
+      message: 'Workspace still has 1 task; move or purge them first'
+    });
+    assert.strictEqual(deleteOne.mock.callCount(), 0);
+
+    tasks.mock.mockImplementation(() => Promise.resolve(0));
+    assert.strictEqual((await WorkspaceService.deleteWorkspace(engineering._id))._id, engineering._id);
+    assert.strictEqual(deleteOne.mock.callCount(), 1);
+    assert.deepStrictEqual(updateMany.mock.calls[0].arguments, [
+      { workspaces: engineering._id },
+      { $pull: { workspaces: engineering._id } }
+    ]);
+  });
+
+  test('should return null when deleting a missing workspace', async () => {
+    mock.method(Workspace, 'findById', () => Promise.resolve(null));
+
+    assert.strictEqual(await WorkspaceService.deleteWorkspace(engineering._id), null);
+  });
+
+  test('should create a default workspace for every user and move existing data into it', async () => {
+    const created = { _id: engineering._id, name: DEFAULT_WORKSPACE_NAME };
+    mock.method(Workspace, 'findOne', () => ({ sort: () => Promise.resolve(null) }));
+    const create = mock.method(Workspace, 'create', () => Promise.resolve(created));
+    const users = mock.method(User, 'updateMany', () => Promise.resolve({ modifiedCount: 2 }));
+    const moves = [Task, TaskHistory, Export].map((model) =>
+      mock.method(model, 'updateMany', () => Promise.resolve({ modifiedCount: 0 }))
+    );
+
+    assert.strictEqual(await WorkspaceService.ensureDefault(), created);
+
+    assert.deepStrictEqual(create.mock.calls[0].arguments[0], { name: DEFAULT_WORKSPACE_NAME });
+    assert.deepStrictEqual(users.mock.calls[0].arguments, [{}, { $addToSet: { workspaces: engineering._id } }]);
+    for (const move of moves) {
+      assert.deepStrictEqual(move.mock.calls[0].arguments, [
+        { workspace: null },
+        { $set: { workspace: engineering._id } }
+      ]);
+    }
+  });
+
+  test('should keep existing workspaces and their members as they are', async () => {
+    mock.method(Workspace, 'findOne', () => ({ sort: () => Promise.resolve(operations) }));
+    const create = mock.method(Workspace, 'create', () => Promise.resolve(null));
+    const users = mock.method(User, 'updateMany', () => Promise.resolve({ modifiedCount: 0 }));
+    for (const model of [Task, TaskHistory, Export]) {
+      mock.method(model, 'updateMany', () => Promise.resolve({ modifiedCount: 0 }));
+    }
+
+    assert.strictEqual(await WorkspaceService.ensureDefault(), operations);
+    assert.strictEqual(create.mock.callCount(), 0);
+    assert.strictEqual(users.mock.callCount(), 0);
+  });
+});
@@ -1,5 +1,9 @@
 import { test, describe, beforeEach, mock } from 'node:test';
 import assert from 'node:assert';
+import SocketHandlers from '../../src/sockets/socketHandlers.js';
+import TaskDueService from '../../src/services/taskDueService.js';
+import AnalyticsService from '../../src/services/analyticsService.js';
+import WorkspaceService from '../../src/services/workspaceService.js';
 
 describe('Socket Handlers Logic Tests', () => {
   let mockIo;
@@ -29,6 +33,9 @@ describe('Socket Handlers Logic Tests', () => {
         mockSocket.rooms = mockSocket.rooms || [];
         mockSocket.rooms.push(room);
       }),
+      leave: mock.fn((room) => {
+        mockSocket.rooms = mockSocket.rooms.filter(joined => joined !== room);
+      }),
       emit: mock.fn((event, data) => {
         emittedEvents.push({ target: 'socket', event, data });
       }),
@@ -309,4 +316,170 @@ describe('Socket Handlers Logic Tests', () => {
       assert(Date.parse(timestamp1) <= Date.parse(timestamp2));
     }, 1);
   });
-});
\ No newline at end of file
+
+  test('should send export job events only to the requesting socket', () => {
+    const handlers = new SocketHandlers(mockIo);
+    const record = { _id: { toString: () => 'export-1' }, format: 'csv', rowCount: 10 };
+
+    handlers.emitExportProgress('socket-a', { exportId: 'export-1', processed: 5, total: 10, percent: 50 });
+    handlers.emitExportComplete('socket-a', record);
+    handlers.emitExportFailed('socket-a', record, new Error('boom'));
+
+    assert.deepStrictEqual(mockIo.to.mock.calls.map(call => call.arguments[0]), ['socket-a', 'socket-a', 'socket-a']);
+    assert.deepStrictEqual(emittedEvents.map(e => e.event), ['export-progress', 'export-complete', 'export-failed']);
+    assert.strictEqual(emittedEvents[0].data.percent, 50);
+    assert.strictEqual(emittedEvents[1].data.rowCount, 10);
+    assert.strictEqual(emittedEvents[2].data.message, 'boom');
+    assert(emittedEvents.every(e => e.target === 'room' && e.data.timestamp));
+  });
+
+  test('should only serve analytics events to users whose role allows them', async () => {
+    new SocketHandlers(mockIo);
+    mockSocket.data = {};
+    mockIo.connectionHandler(mockSocket);
+
+    await mockSocket.handlers['join-workspace']('507f1f77bcf86cd799439021');
+    await mockSocket.handlers['request-analytics']();
+
+    assert.strictEqual(mockSocket.join.mock.callCount(), 0);
+    assert.strictEqual(emittedEvents.find(e => e.event === 'workspace-error').data.message, 'Your role cannot perform workspaces:read');
+    assert.strictEqual(emittedEvents.find(e => e.event === 'analytics-error').data.message, 'Your role cannot perform analytics:read');
+  });
+
+  test('should move a socket between the rooms of the workspaces its user can open', async () => {
+    const workspaces = { a: { _id: 'a', name: 'Engineering' }, b: { _id: 'b', name: 'Operations' } };
+    const resolve = mock.method(WorkspaceService, 'resolve', (user, id) => {
+      if (workspaces[id]) return Promise.resolve(workspaces[id]);
+      const error = new Error('Workspace not found');
+      error.statusCode = 404;
+      return Promise.reject(error);
+    });
+    const getTaskMetrics = mock.method(AnalyticsService, 'getTaskMetrics', (id) => Promise.resolve({ workspace: id }));
+
+    try {
+      new SocketHandlers(mockIo);
+      mockSocket.data = { user: { email: 'grace@example.com', role: 'member' } };
+      mockIo.connectionHandler(mockSocket);
+
+      await mockSocket.handlers['request-analytics']();
+      await mockSocket.handlers['join-workspace']('a');
+      await mockSocket.handlers['join-workspace']('b');
+      await mockSocket.handlers['join-workspace']('c');
+      await mockSocket.handlers['request-analytics']();
+    } finally {
+      resolve.mock.restore();
+      getTaskMetrics.mock.restore();
+    }
+
+    assert.deepStrictEqual(mockSocket.rooms, ['workspace:b']);
+    assert.strictEqual(mockSocket.data.workspaceId, 'b');
+    assert.deepStrictEqual(emittedEvents.map(e => [e.event, e.data.workspace ?? e.data.message]), [
+      ['analytics-error', 'Join a workspace before requesting analytics'],
+      ['analytics-update', 'a'],
+      ['analytics-update', 'b'],
+      ['workspace-error', 'Workspace not found'],
+      ['analytics-update', 'b']
+    ]);
+  });
+
+  test('should only target export events at sockets of the requesting user', () => {
+    mockIo.sockets = {
+      sockets: new Map([
+        ['socket-a', { data: { user: { _id: { toString: () => 'user-1' } } } }],
+        ['socket-b', { data: { user: { _id: 'user-2' } } }]
+      ])
+    };
+    const handlers = new SocketHandlers(mockIo);
+    const user = { _id: 'user-1' };
+
+    assert.strictEqual(handlers.ownSocketId('socket-a', user), 'socket-a');
+    assert.strictEqual(handlers.ownSocketId('socket-b', user), null);
+    assert.strictEqual(handlers.ownSocketId('socket-gone', user), null);
+    assert.strictEqual(handlers.ownSocketId(undefined, user), null);
+  });
+
+  test('should skip export job events when no socket requested them', () => {
+    const handlers = new SocketHandlers(mockIo);
+
+    handlers.emitExportProgress(undefined, { percent: 10 });
+    handlers.emitExportComplete(null, { _id: 'x' });
+
+    assert.strictEqual(mockIo.to.mock.calls.length, 0);
+    assert.strictEqual(emittedEvents.length, 0);
+  });
+
+  test('should broadcast a bulk operation as a single task-update event per workspace', () => {
+    const handlers = new SocketHandlers(mockIo);
+    handlers.broadcastAnalyticsUpdate = mock.fn();
+    const tasks = [{ _id: 'task-1', workspace: 'a' }, { _id: 'task-2', workspace: 'a' }, { _id: 'task-3', workspace: 'b' }];
+
+    handlers.broadcastTaskBatch('updated', tasks);
+
+    const taskEvents = emittedEvents.filter(e => e.event === 'task-update');
+    assert.deepStrictEqual(taskEvents.map(e => e.room), ['workspace:a', 'workspace:b']);
+    assert.strictEqual(taskEvents[0].data.action, 'updated');
+    assert.deepStrictEqual(taskEvents[0].data.tasks, tasks.slice(0, 2));
+    assert.deepStrictEqual(handlers.broadcastAnalyticsUpdate.mock.calls.map(call => call.arguments[0]), ['a', 'b']);
+  });
+
+  test('should send task updates and analytics only to the task\'s workspace', async () => {
+    mockIo.sockets = { adapter: { rooms: new Map([['workspace:a', new Set()], ['socket-1', new Set()]]) } };
+    const getTaskMetrics = mock.method(AnalyticsService, 'getTaskMetrics', (id) => Promise.resolve({ workspace: id }));
+
+    try {
+      const handlers = new SocketHandlers(mockIo);
+      handlers.broadcastTaskUpdate('created', { _id: 'task-1', workspace: 'b' });
+      await handlers.broadcastAnalyticsUpdate();
+    } finally {
+      getTaskMetrics.mock.restore();
+    }
+
+    assert.deepStrictEqual(emittedEvents.map(e => [e.event, e.room]), [
+      ['task-update', 'workspace:b'],
+      ['analytics-update', 'workspace:b'],
+      ['analytics-update', 'workspace:a']
+    ]);
+  });
+
+  test('should warn about each task that became overdue since the last check', async () => {
+    const handlers = new SocketHandlers(mockIo);
+    handlers.broadcastAnalyticsUpdate = mock.fn();
+    const since = new Date('2024-03-01T10:00:00Z');
+    const now = new Date('2024-03-01T10:01:00Z');
+    const findNewlyOverdue = mock.method(TaskDueService, 'findNewlyOverdue', () =>
+      Promise.resolve([{ title: 'Renew certificate', workspace: 'a' }, { title: 'Send invoice', workspace: 'b' }])
+    );
+
+    try {
+      assert.strictEqual(await handlers.notifyOverdueTasks(since, now), 2);
+    } finally {
+      findNewlyOverdue.mock.restore();
+    }
+
+    assert.deepStrictEqual(findNewlyOverdue.mock.calls[0].arguments, [since, now]);
+    const notifications = emittedEvents.filter(e => e.event === 'notification');
+    assert.deepStrictEqual(notifications.map(e => [e.room, e.data.message]), [
+      ['workspace:a', '⏰ "Renew certificate" is now overdue'],
+      ['workspace:b', '⏰ "Send invoice" is now overdue']
+    ]);
+    assert(notifications.every(e => e.data.type === 'warning'));
+    assert.strictEqual(handlers.broadcastAnalyticsUpdate.mock.callCount(), 2);
+  });
+
+  test('should summarize overdue warnings when many tasks cross their due date at once', async () => {
+    const handlers = new SocketHandlers(mockIo);
+    handlers.broadcastAnalyticsUpdate = mock.fn();
+    const tasks = Array.from({ length: 8 }, (_, index) => ({ title: `Task ${index}`, workspace: 'a' }));
+    const findNewlyOverdue = mock.method(TaskDueService, 'findNewlyOverdue', () => Promise.resolve(tasks));
+
+    try {
+      await handlers.notifyOverdueTasks(new Date());
+    } finally {
+      findNewlyOverdue.mock.restore();
+    }
+
+    const notifications = emittedEvents.filter(e => e.event === 'notification');
+    assert.strictEqual(notifications.length, 1);
+    assert.strictEqual(notifications[0].data.message, '⏰ 8 tasks are now overdue');
+  });
+});
@@ -5,6 +5,92 @@
 
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001'
 
+/**
+ * Methods sent with an Idempotency-Key so the server can replay, rather than repeat, retries
+ * @type {Array<string>}
+ */
+const IDEMPOTENT_METHODS = ['POST', 'PUT', 'DELETE']
+
+/**
+ * Times a request is retried after a network error, and the delay before the first retry
+ * (doubled for each further attempt)
+ */
+const MAX_NETWORK_RETRIES = 2
+const RETRY_DELAY_MS = 500
+
+/**
+ * localStorage key holding the signed-in session (tokens and user), shared by all tabs
+ * @type {string}
+ */
+const SESSION_KEY = 'authSession'
+
+/**
+ * localStorage key holding the ID of the workspace this browser works in
+ * @type {string}
+ */
+const WORKSPACE_KEY = 'workspaceId'
+
+/**
+ * Generates a random Idempotency-Key. crypto.randomUUID needs a secure context, so plain
+ * HTTP deployments fall back to random bytes.
+ * @function createIdempotencyKey
+ * @returns {string} Unique key
+ */
+function createIdempotencyKey() {
+  if (window.crypto.randomUUID) return window.crypto.randomUUID()
+
+  return Array.from(window.crypto.getRandomValues(new window.Uint8Array(16)))
+    .map((byte) => byte.toString(16).padStart(2, '0'))
+    .join('')
+}
+
+/**
+ * Waits before retrying a request
+ * @function wait
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+function wait(ms) {
+  return new Promise((resolve) => window.setTimeout(resolve, ms))
+}
+
+/**
+ * Builds a readable message from an API error response, including any field errors
+ * @function getErrorMessage
+ * @param {Object} data - Parsed error response body
+ * @param {number} status - HTTP status code
+ * @returns {string} Error message
+ */
+function getErrorMessage(data, status) {
+  const message = data.message || `HTTP error! status: ${status}`
+  return Array.isArray(data.errors) && data.errors.length > 0
+    ? `${message}: ${data.errors.join('; ')}`
+    : message
+}
+
+/**
+ * Tells whether an API error reports that a task changed since the client read it.
+ * Such errors carry the current server copy of the task as `data`.
+ * @function isVersionConflict
+ * @param {Error} error - Error thrown by ApiClient
+ * @returns {boolean} True for 409 and 412 responses that include the current task
+ */
+export function isVersionConflict(error) {
+  return (error?.status === 409 || error?.status === 412) && !!error.data
+}
+
+/**
+ * Builds the If-Match header for a task version, or no headers when the version is unknown
+ * @function ifMatch
+ * @param {number} [version] - Task version the change is based on
+ * @returns {Object} Request headers
+ */
+function ifMatch(version) {
+  return version === undefined || version === null
+    ? {}
+    : { 'If-Match': `"${version}"` }
+}
+
 /**
  * HTTP client for communicating with the task management API
  * @class ApiClient
@@ -15,24 +101,193 @@ class ApiClient {
    */
   constructor() {
     this.baseURL = `${API_BASE_URL}/api`
+    this.refreshing = null
+    this.sessionExpiredHandlers = new Set()
+  }
+
+  /**
+   * Reads the signed-in session. It is read from storage on every call, so a token
+   * refreshed in another tab is picked up here too.
+   * @returns {Object|null} Session with accessToken, refreshToken and user, or null
+   */
+  getSession() {
+    try {
+      return JSON.parse(window.localStorage.getItem(SESSION_KEY))
+    } catch {
+      return null
+    }
+  }
+
+  /**
+   * Stores the tokens and user returned by login or refresh
+   * @param {Object} session - Session data from the API
+   */
+  setSession({ accessToken, refreshToken, user }) {
+    window.localStorage.setItem(
+      SESSION_KEY,
+      JSON.stringify({ accessToken, refreshToken, user })
+    )
+  }
+
+  /**
+   * Forgets the signed-in session
+   */
+  clearSession() {
+    window.localStorage.removeItem(SESSION_KEY)
+  }
+
+  /**
+   * Reads the ID of the workspace requests work in
+   * @returns {string|null} Workspace ID, or null to let the server pick the user's first one
+   */
+  getWorkspace() {
+    return window.localStorage.getItem(WORKSPACE_KEY)
   }
 
   /**
-   * Makes HTTP request to API endpoint with error handling
+   * Sets the workspace later requests work in, sent as the X-Workspace-Id header
+   * @param {string|null} id - Workspace ID, or null to forget it
+   */
+  setWorkspace(id) {
+    if (id) {
+      window.localStorage.setItem(WORKSPACE_KEY, id)
+    } else {
+      window.localStorage.removeItem(WORKSPACE_KEY)
+    }
+  }
+
+  /**
+   * Returns the current access token, e.g. for the Socket.IO handshake
+   * @returns {string|null} Access token, or null when signed out
+   */
+  getAccessToken() {
+    return this.getSession()?.accessToken || null
+  }
+
+  /**
+   * Registers a callback run when the session ends because the server rejected its
+   * refresh token
+   * @param {Function} handler - Callback without arguments
+   * @returns {Function} Unsubscribe function
+   */
+  onSessionExpired(handler) {
+    this.sessionExpiredHandlers.add(handler)
+    return () => this.sessionExpiredHandlers.delete(handler)
+  }
+
+  /**
+   * Exchanges the refresh token for new tokens. Concurrent callers share one request,
+   * since each refresh token works only once.
+   * @async
+   * @returns {Promise<boolean>} True when a fresh access token is available
+   */
+  refreshSession() {
+    if (!this.refreshing) {
+      this.refreshing = this.exchangeRefreshToken().finally(() => {
+        this.refreshing = null
+      })
+    }
+    return this.refreshing
+  }
+
+  /**
+   * Sends the refresh request behind refreshSession. A rejected refresh token ends the
+   * session; network and server errors keep it so a later request can try again.
+   * @async
+   * @private
+   * @returns {Promise<boolean>} True when the session was refreshed
+   */
+  async exchangeRefreshToken() {
+    const refreshToken = this.getSession()?.refreshToken
+    if (!refreshToken) return false
+
+    let response
+    try {
+      response = await this.fetchWithRetry(`${this.baseURL}/auth/refresh`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken })
+      })
+    } catch (error) {
+      console.error('Session refresh failed:', error)
+      return false
+    }
+
+    if (response.ok) {
+      const { data } = await response.json()
+      this.setSession(data)
+      return true
+    }
+
+    // Another tab may have used the token first and stored its successor
+    if (this.getSession()?.refreshToken !== refreshToken) return true
+
+    if (response.status === 401) {
+      this.clearSession()
+      this.sessionExpiredHandlers.forEach((handler) => handler())
+    }
+    return false
+  }
+
+  /**
+   * Fetches a URL with the access token and the current workspace. When the token is
+   * rejected with 401 the session is refreshed and the request sent once more, with the
+   * same Idempotency-Key.
+   * @async
+   * @param {string} url - Request URL
+   * @param {Object} config - Fetch options
+   * @returns {Promise<Response>} Fetch response
+   */
+  async fetchAuthorized(url, config) {
+    const send = () => {
+      const token = this.getAccessToken()
+      const workspace = this.getWorkspace()
+      return this.fetchWithRetry(url, {
+        ...config,
+        headers: {
+          ...config.headers,
+          ...(token && { Authorization: `Bearer ${token}` }),
+          ...(workspace && { 'X-Workspace-Id': workspace })
+        }
+      })
+    }
+
+    const response = await send()
+    if (response.status !== 401 || !(await this.refreshSession())) {
+      return response
+    }
+    return send()
+  }
+
+  /**
+   * Makes HTTP request to API endpoint with error handling. Requests carry the access
+   * token, refreshing it when it has expired. POST, PUT and DELETE requests other than
+   * signing in and out get an Idempotency-Key, and requests failing with a network error
+   * are retried with the same key so the server never applies a change twice.
    * @async
    * @param {string} endpoint - API endpoint path
    * @param {Object} [options={}] - Fetch options
+   * @param {boolean} [options.auth=true] - Send the access token; false for the sign-in endpoints
+   * @param {boolean} [options.idempotent=true] - Send an Idempotency-Key with POST, PUT and DELETE;
+   * false for the sign-in endpoints, whose responses carry session tokens
    * @returns {Promise<Object>} API response data
-   * @throws {Error} Network or API errors
+   * @throws {Error} Network or API errors; API errors carry the HTTP `status` and any
+   * `data` from the response body
    */
   async request(endpoint, options = {}) {
+    const { auth = true, idempotent = true, ...fetchOptions } = options
     const url = `${this.baseURL}${endpoint}`
+    const method = (fetchOptions.method || 'GET').toUpperCase()
     const config = {
+      ...fetchOptions,
       headers: {
         'Content-Type': 'application/json',
-        ...options.headers
-      },
-      ...options
+        ...(idempotent &&
+          IDEMPOTENT_METHODS.includes(method) && {
+            'Idempotency-Key': createIdempotencyKey()
+          }),
+        ...fetchOptions.headers
+      }
     }
 
     if (config.body && typeof config.body === 'object') {
@@ -40,13 +295,16 @@ class ApiClient {
     }
 
     try {
-      const response = await fetch(url, config)
+      const response = auth
+        ? await this.fetchAuthorized(url, config)
+        : await this.fetchWithRetry(url, config)
       const data = await response.json()
 
       if (!response.ok) {
-        throw new Error(
-          data.message || `HTTP error! status: ${response.status}`
-        )
+        const apiError = new Error(getErrorMessage(data, response.status))
+        apiError.status = response.status
+        apiError.data = data.data
+        throw apiError
       }
 
       return data
@@ -56,6 +314,25 @@ class ApiClient {
     }
   }
 
+  /**
+   * Fetches a URL, retrying network errors; HTTP error responses are returned, not retried
+   * @async
+   * @param {string} url - Request URL
+   * @param {Object} config - Fetch options
+   * @returns {Promise<Response>} Fetch response
+   * @throws {Error} The last network error once retries are exhausted
+   */
+  async fetchWithRetry(url, config) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await fetch(url, config)
+      } catch (error) {
+        if (attempt >= MAX_NETWORK_RETRIES) throw error
+        await wait(RETRY_DELAY_MS * 2 ** attempt)
+      }
+    }
+  }
+
   /**
    * Makes GET request to API endpoint
    * @async
@@ -69,6 +346,39 @@ class ApiClient {
     return this.request(url, { method: 'GET' })
   }
 
+  /**
+   * Downloads a file from an API endpoint
+   * @async
+   * @param {string} endpoint - API endpoint path
+   * @param {Object} [params={}] - URL query parameters
+   * @returns {Promise<{blob: Blob, filename: string|null}>} File contents and server-suggested filename
+   * @throws {Error} Network or API errors
+   */
+  async download(endpoint, params = {}) {
+    const query = new window.URLSearchParams(params).toString()
+    const url = `${this.baseURL}${query ? `${endpoint}?${query}` : endpoint}`
+
+    try {
+      const response = await this.fetchAuthorized(url, { method: 'GET' })
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}))
+        throw new Error(getErrorMessage(data, response.status))
+      }
+
+      const disposition = response.headers.get('Content-Disposition') || ''
+      const match = disposition.match(/filename="?([^";]+)"?/)
+
+      return {
+        blob: await response.blob(),
+        filename: match ? match[1] : null
+      }
+    } catch (error) {
+      console.error('API Download failed:', error)
+      throw error
+    }
+  }
+
   /**
    * Makes POST request to API endpoint
    * @async
@@ -88,12 +398,14 @@ class ApiClient {
    * @async
    * @param {string} endpoint - API endpoint path
    * @param {Object} data - Request body data
+   * @param {Object} [headers={}] - Extra request headers
    * @returns {Promise<Object>} API response data
    */
-  async put(endpoint, data) {
+  async put(endpoint, data, headers = {}) {
     return this.request(endpoint, {
       method: 'PUT',
-      body: data
+      body: data,
+      headers
     })
   }
 
@@ -101,10 +413,11 @@ class ApiClient {
    * Makes DELETE request to API endpoint
    * @async
    * @param {string} endpoint - API endpoint path
+   * @param {Object} [headers={}] - Extra request headers
    * @returns {Promise<Object>} API response data
    */
-  async delete(endpoint) {
-    return this.request(endpoint, { method: 'DELETE' })
+  async delete(endpoint, headers = {}) {
+    return this.request(endpoint, { method: 'DELETE', headers })
   }
 
   /**
@@ -127,6 +440,17 @@ class ApiClient {
     return this.get(`/tasks/${id}`)
   }
 
+  /**
+   * Retrieves a page of a task's change history, newest first
+   * @async
+   * @param {string} id - Task ID
+   * @param {Object} [params={}] - Query parameters (page, limit)
+   * @returns {Promise<Object>} History entries and pagination
+   */
+  async getTaskHistory(id, params = {}) {
+    return this.get(`/tasks/${id}/history`, params)
+  }
+
   /**
    * Creates a new task
    * @async
@@ -142,20 +466,281 @@ class ApiClient {
    * @async
    * @param {string} id - Task ID
    * @param {Object} updates - Task update data
+   * @param {number} [version] - Version the edit is based on; sent as If-Match so the
+   * update fails with 412 if someone else changed the task first
    * @returns {Promise<Object>} Updated task response
    */
-  async updateTask(id, updates) {
-    return this.put(`/tasks/${id}`, updates)
+  async updateTask(id, updates, version) {
+    return this.put(`/tasks/${id}`, updates, ifMatch(version))
   }
 
   /**
-   * Deletes a task by ID
+   * Moves a task to the trash
    * @async
    * @param {string} id - Task ID
+   * @param {number} [version] - Version the client last saw; sent as If-Match
    * @returns {Promise<Object>} Deletion confirmation response
    */
-  async deleteTask(id) {
-    return this.delete(`/tasks/${id}`)
+  async deleteTask(id, version) {
+    return this.delete(`/tasks/${id}`, ifMatch(version))
+  }
+
+  /**
+   * Retrieves a page of deleted tasks, most recently deleted first
+   * @async
+   * @param {Object} [params={}] - Query parameters (page, limit)
+   * @returns {Promise<Object>} Deleted tasks, pagination and the retention period
+   */
+  async getTrash(params = {}) {
+    return this.get('/tasks/trash', params)
+  }
+
+  /**
+   * Restores a deleted task from the trash
+   * @async
+   * @param {string} id - Task ID
+   * @returns {Promise<Object>} Restored task response
+   */
+  async restoreTask(id) {
+    return this.post(`/tasks/${id}/restore`)
+  }
+
+  /**
+   * Permanently deletes a task from the trash
+   * @async
+   * @param {string} id - Task ID
+   * @returns {Promise<Object>} Purge confirmation response
+   */
+  async purgeTask(id) {
+    return this.delete(`/tasks/${id}/purge`)
+  }
+
+  /**
+   * Updates or deletes many tasks at once
+   * @async
+   * @param {Object} request - Bulk request
+   * @param {string} request.action - 'update' or 'delete'
+   * @param {Array<string>} [request.ids] - Task IDs to change
+   * @param {Object} [request.filters] - Task filters selecting the tasks (instead of ids)
+   * @param {Object} [request.updates] - Status and/or priority to set
+   * @returns {Promise<Object>} Affected task IDs and documents
+   */
+  async bulkTasks(request) {
+    return this.post('/tasks/bulk', request)
+  }
+
+  /**
+   * Imports tasks from CSV or JSON file content, or validates it with a dry run
+   * @async
+   * @param {Object} request - Import request
+   * @param {string} request.format - 'csv' or 'json'
+   * @param {string} request.content - File content
+   * @param {Object} [request.mapping] - File column for each task field
+   * @param {boolean} [request.dryRun] - Validate only, write nothing
+   * @param {boolean} [request.skipInvalid] - Import valid rows even if some rows are invalid
+   * @returns {Promise<Object>} Import report response
+   */
+  async importTasks(request) {
+    return this.post('/tasks/import', request)
+  }
+
+  /**
+   * Exports tasks matching the given filters as a file
+   * @async
+   * @param {Object} [params={}] - Query parameters (format plus the GET /tasks filters)
+   * @returns {Promise<{blob: Blob, filename: string|null}>} Export file
+   */
+  async exportTasks(params = {}) {
+    return this.download('/tasks/export', params)
+  }
+
+  /**
+   * Retrieves past exports with pagination
+   * @async
+   * @param {Object} [params={}] - Query parameters (page, limit, format, status)
+   * @returns {Promise<Object>} Paginated exports response
+   */
+  async getExports(params = {}) {
+    return this.get('/exports', params)
+  }
+
+  /**
+   * Retrieves a single export record by ID
+   * @async
+   * @param {string} id - Export ID
+   * @returns {Promise<Object>} Export record
+   */
+  async getExport(id) {
+    return this.get(`/exports/${id}`)
+  }
+
+  /**
+   * Starts a background export job
+   * @async
+   * @param {Object} job - Export job options
+   * @param {string} job.format - Export format (csv, json, ndjson)
+   * @param {Object} [job.filters] - Task filters (same as getTasks params)
+   * @param {string} [job.socketId] - Socket.IO id that receives progress events
+   * @returns {Promise<Object>} Queued export record response
+   */
+  async createExportJob(job) {
+    return this.post('/exports', job)
+  }
+
+  /**
+   * Downloads the file produced by a background export job
+   * @async
+   * @param {string} id - Export ID
+   * @returns {Promise<{blob: Blob, filename: string|null}>} Export file
+   */
+  async downloadExportFile(id) {
+    return this.download(`/exports/${id}/file`)
+  }
+
+  /**
+   * Re-runs a past export with its original filters and format
+   * @async
+   * @param {string} id - Export ID
+   * @returns {Promise<{blob: Blob, filename: string|null}>} Export file
+   */
+  async downloadExport(id) {
+    return this.download(`/exports/${id}/download`)
+  }
+
+  /**
+   * Signs in and stores the session
+   * @async
+   * @param {string} email - Email address
+   * @param {string} password - Password
+   * @returns {Promise<Object>} Session response (user, accessToken, refreshToken)
+   */
+  async login(email, password) {
+    const response = await this.request('/auth/login', {
+      method: 'POST',
+      body: { email, password },
+      auth: false,
+      idempotent: false
+    })
+    this.setSession(response.data)
+    return response
+  }
+
+  /**
+   * Forgets the session and revokes its refresh token on the server
+   * @async
+   * @returns {Promise<void>}
+   */
+  async logout() {
+    const refreshToken = this.getSession()?.refreshToken
+    this.clearSession()
+    if (!refreshToken) return
+
+    await this.request('/auth/logout', {
+      method: 'POST',
+      body: { refreshToken },
+      auth: false,
+      idempotent: false
+    })
+  }
+
+  /**
+   * Retrieves the signed-in user
+   * @async
+   * @returns {Promise<Object>} User response
+   */
+  async getCurrentUser() {
+    return this.get('/auth/me')
+  }
+
+  /**
+   * Retrieves the members of the current workspace sorted by name, or every user for admins
+   * @async
+   * @param {Object} [params={}] - Query parameters (page, limit, search)
+   * @returns {Promise<Object>} Paginated users response
+   */
+  async getUsers(params = {}) {
+    return this.get('/users', params)
+  }
+
+  /**
+   * Retrieves a single user by ID
+   * @async
+   * @param {string} id - User ID
+   * @returns {Promise<Object>} User response
+   */
+  async getUser(id) {
+    return this.get(`/users/${id}`)
+  }
+
+  /**
+   * Creates a new user
+   * @async
+   * @param {Object} user - User data (name, email, avatarUrl, password)
+   * @returns {Promise<Object>} Created user response
+   */
+  async createUser(user) {
+    return this.post('/users', user)
+  }
+
+  /**
+   * Updates an existing user
+   * @async
+   * @param {string} id - User ID
+   * @param {Object} updates - Changed user fields
+   * @returns {Promise<Object>} Updated user response
+   */
+  async updateUser(id, updates) {
+    return this.put(`/users/${id}`, updates)
+  }
+
+  /**
+   * Deletes a user; their tasks become unassigned
+   * @async
+   * @param {string} id - User ID
+   * @returns {Promise<Object>} Number of unassigned tasks
+   */
+  async deleteUser(id) {
+    return this.delete(`/users/${id}`)
+  }
+
+  /**
+   * Lists the workspaces the signed-in user can open
+   * @async
+   * @returns {Promise<Object>} Workspaces response
+   */
+  async getWorkspaces() {
+    return this.get('/workspaces')
+  }
+
+  /**
+   * Creates a workspace (admins only)
+   * @async
+   * @param {Object} workspace - Workspace data (name, description)
+   * @returns {Promise<Object>} Created workspace response
+   */
+  async createWorkspace(workspace) {
+    return this.post('/workspaces', workspace)
+  }
+
+  /**
+   * Renames or describes a workspace (admins only)
+   * @async
+   * @param {string} id - Workspace ID
+   * @param {Object} updates - Changed workspace fields
+   * @returns {Promise<Object>} Updated workspace response
+   */
+  async updateWorkspace(id, updates) {
+    return this.put(`/workspaces/${id}`, updates)
+  }
+
+  /**
+   * Deletes an empty workspace (admins only)
+   * @async
+   * @param {string} id - Workspace ID
+   * @returns {Promise<Object>} Deleted workspace response
+   */
+  async deleteWorkspace(id) {
+    return this.delete(`/workspaces/${id}`)
   }
 
   /**
@@ -167,6 +752,44 @@ class ApiClient {
     return this.get('/analytics')
   }
 
+  /**
+   * Retrieves created and completed task counts over time
+   * @async
+   * @param {Object} [params={}] - Query parameters (interval, from, to)
+   * @returns {Promise<Object>} Time series response
+   */
+  async getAnalyticsTimeSeries(params = {}) {
+    return this.get('/analytics/timeseries', params)
+  }
+
+  /**
+   * Retrieves lead and cycle time percentiles of completed tasks
+   * @async
+   * @returns {Promise<Object>} Lead time response
+   */
+  async getAnalyticsLeadTime() {
+    return this.get('/analytics/lead-time')
+  }
+
+  /**
+   * Retrieves how estimated time compares with actual time for completed tasks
+   * @async
+   * @returns {Promise<Object>} Estimate accuracy response
+   */
+  async getAnalyticsEstimates() {
+    return this.get('/analytics/estimates')
+  }
+
+  /**
+   * Retrieves daily total, completed and remaining task counts for burndown and burnup charts
+   * @async
+   * @param {Object} [params={}] - Query parameters (from, to, tags, tagMode, priority, assignee, search)
+   * @returns {Promise<Object>} Burndown response
+   */
+  async getAnalyticsBurndown(params = {}) {
+    return this.get('/analytics/burndown', params)
+  }
+
   /**
    * Checks API health status
    * @async
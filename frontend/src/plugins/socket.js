@@ -4,15 +4,18 @@
  */
 
 import { io } from 'socket.io-client'
+import apiClient from '../api/client.js'
 
 /**
  * Socket.IO client instance configured for the task management backend
  * @type {Socket}
- * @description Configured with manual connection control and fallback transports
+ * @description Configured with manual connection control and fallback transports. Every
+ * handshake, including reconnections, sends the current access token.
  */
 const socket = io(import.meta.env.VITE_API_URL || 'http://localhost:3001', {
   autoConnect: false,
-  transports: ['websocket', 'polling']
+  transports: ['websocket', 'polling'],
+  auth: (callback) => callback({ token: apiClient.getAccessToken() })
 })
 
 socket.on('connect', () => {
@@ -23,8 +26,13 @@ socket.on('disconnect', () => {
   console.log('🔌 Disconnected from server')
 })
 
-socket.on('connect_error', (error) => {
+socket.on('connect_error', async (error) => {
   console.error('❌ Connection error:', error)
+
+  // The server refused the access token; Socket.IO does not retry that by itself
+  if (error.data?.status === 401 && (await apiClient.refreshSession())) {
+    socket.connect()
+  }
 })
 
 export default socket
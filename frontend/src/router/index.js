@@ -7,13 +7,28 @@ import { createRouter, createWebHistory } from 'vue-router'
 import Dashboard from '../views/Dashboard.vue'
 import Tasks from '../views/Tasks.vue'
 import Analytics from '../views/Analytics.vue'
+import Reports from '../views/Reports.vue'
+import ExportHistory from '../views/ExportHistory.vue'
+import TaskDetail from '../views/TaskDetail.vue'
+import Trash from '../views/Trash.vue'
+import Users from '../views/Users.vue'
+import Login from '../views/Login.vue'
+import { useAuthStore } from '../stores/authStore.js'
 
 /**
  * Application route definitions
  * @type {Array<Object>}
- * @description Defines all available routes in the application
+ * @description Defines all available routes in the application. Routes without
+ * `meta.public` require a signed-in user, and routes with `meta.permission` a role
+ * holding that permission.
  */
 const routes = [
+  {
+    path: '/login',
+    name: 'Login',
+    component: Login,
+    meta: { public: true }
+  },
   {
     path: '/',
     name: 'Dashboard',
@@ -24,10 +39,36 @@ const routes = [
     name: 'Tasks',
     component: Tasks
   },
+  {
+    path: '/tasks/:id',
+    name: 'TaskDetail',
+    component: TaskDetail
+  },
   {
     path: '/analytics',
     name: 'Analytics',
     component: Analytics
+  },
+  {
+    path: '/reports',
+    name: 'Reports',
+    component: Reports
+  },
+  {
+    path: '/exports',
+    name: 'ExportHistory',
+    component: ExportHistory
+  },
+  {
+    path: '/trash',
+    name: 'Trash',
+    component: Trash,
+    meta: { permission: 'tasks:trash' }
+  },
+  {
+    path: '/users',
+    name: 'Users',
+    component: Users
   }
 ]
 
@@ -41,4 +82,20 @@ const router = createRouter({
   routes
 })
 
+// Sends signed-out visitors to the login page, remembering where they were going, and
+// users whose role lacks a page's permission to the dashboard
+router.beforeEach((to) => {
+  const authStore = useAuthStore()
+
+  if (!to.meta.public && !authStore.isAuthenticated) {
+    return { name: 'Login', query: { redirect: to.fullPath } }
+  }
+  if (to.name === 'Login' && authStore.isAuthenticated) {
+    return { path: '/' }
+  }
+  if (to.meta.permission && !authStore.can(to.meta.permission)) {
+    return { path: '/' }
+  }
+})
+
 export default router
@@ -8,6 +8,19 @@ import { ref, computed } from 'vue'
 import apiClient from '../api/client.js'
 import socket from '../plugins/socket.js'
 
+/**
+ * Colours cycled through for the bars of the tag distribution chart
+ * @type {Array<string>}
+ */
+const TAG_COLORS = [
+  '#7E57C2',
+  '#26A69A',
+  '#42A5F5',
+  '#FFA726',
+  '#EC407A',
+  '#8D6E63'
+]
+
 /**
  * Pinia store for analytics data, notifications, and real-time Socket.IO updates
  * @function useAnalyticsStore
@@ -18,10 +31,14 @@ export const useAnalyticsStore = defineStore('analytics', () => {
     totalTasks: 0,
     tasksByStatus: { pending: 0, 'in-progress': 0, completed: 0 },
     tasksByPriority: { low: 0, medium: 0, high: 0 },
+    tasksByTag: {},
+    workloadByAssignee: [],
     completionRate: 0,
     averageCompletionTime: 0,
     tasksCreatedToday: 0,
     tasksCompletedToday: 0,
+    overdueTasks: 0,
+    dueSoonTasks: 0,
     recentActivity: [],
     lastUpdated: null
   })
@@ -29,7 +46,16 @@ export const useAnalyticsStore = defineStore('analytics', () => {
   const loading = ref(false)
   const error = ref(null)
   const notifications = ref([])
+  const exportJobs = ref([])
   const connected = ref(false)
+  const timeSeries = ref(null)
+  const timeSeriesInterval = ref('day')
+  const timeSeriesLoading = ref(false)
+  const leadTime = ref(null)
+  // Bumped per lead time request and on clear, so only the latest response is kept
+  let leadTimeRequest = 0
+  const estimates = ref(null)
+  let estimatesRequest = 0
 
   const statusData = computed(() => [
     {
@@ -67,6 +93,17 @@ export const useAnalyticsStore = defineStore('analytics', () => {
     }
   ])
 
+  // Tags arrive most used first; keep that order for the chart
+  const tagData = computed(() =>
+    Object.entries(analytics.value.tasksByTag || {}).map(
+      ([name, value], index) => ({
+        name,
+        value,
+        color: TAG_COLORS[index % TAG_COLORS.length]
+      })
+    )
+  )
+
   /**
    * Fetches analytics data from API
    * @async
@@ -88,6 +125,100 @@ export const useAnalyticsStore = defineStore('analytics', () => {
     }
   }
 
+  /**
+   * Fetches created and completed task counts over time. Once loaded, the series is
+   * refreshed whenever a task changes, until clearTimeSeries is called.
+   * @async
+   * @function fetchTimeSeries
+   * @param {string} [interval] - Bucket size (hour, day, week or month); the last one by default
+   * @returns {Promise<void>}
+   */
+  async function fetchTimeSeries(interval = timeSeriesInterval.value) {
+    timeSeriesInterval.value = interval
+    timeSeriesLoading.value = true
+
+    try {
+      const response = await apiClient.getAnalyticsTimeSeries({ interval })
+      // A newer request for another interval may have finished first
+      if (interval === timeSeriesInterval.value) {
+        timeSeries.value = response.data
+      }
+    } catch (err) {
+      error.value = err.message
+      console.error('Error fetching time series:', err)
+    } finally {
+      timeSeriesLoading.value = false
+    }
+  }
+
+  /**
+   * Forgets the time series, so task changes no longer refresh it
+   * @function clearTimeSeries
+   */
+  function clearTimeSeries() {
+    timeSeries.value = null
+  }
+
+  /**
+   * Fetches lead and cycle time percentiles with the lead time histogram and breakdowns.
+   * Once loaded, they are refreshed whenever a task changes, until clearLeadTime is called.
+   * @async
+   * @function fetchLeadTime
+   * @returns {Promise<void>}
+   */
+  async function fetchLeadTime() {
+    const request = ++leadTimeRequest
+
+    try {
+      const response = await apiClient.getAnalyticsLeadTime()
+      if (request === leadTimeRequest) {
+        leadTime.value = response.data
+      }
+    } catch (err) {
+      error.value = err.message
+      console.error('Error fetching lead time:', err)
+    }
+  }
+
+  /**
+   * Forgets the lead time statistics, so task changes no longer refresh them
+   * @function clearLeadTime
+   */
+  function clearLeadTime() {
+    leadTimeRequest++
+    leadTime.value = null
+  }
+
+  /**
+   * Fetches estimate accuracy: over/under-run ratios, the worst estimates and points to plot.
+   * Once loaded, it is refreshed whenever a task changes, until clearEstimates is called.
+   * @async
+   * @function fetchEstimates
+   * @returns {Promise<void>}
+   */
+  async function fetchEstimates() {
+    const request = ++estimatesRequest
+
+    try {
+      const response = await apiClient.getAnalyticsEstimates()
+      if (request === estimatesRequest) {
+        estimates.value = response.data
+      }
+    } catch (err) {
+      error.value = err.message
+      console.error('Error fetching estimate accuracy:', err)
+    }
+  }
+
+  /**
+   * Forgets the estimate accuracy, so task changes no longer refresh it
+   * @function clearEstimates
+   */
+  function clearEstimates() {
+    estimatesRequest++
+    estimates.value = null
+  }
+
   /**
    * Updates analytics data with new values
    * @function updateAnalytics
@@ -135,15 +266,143 @@ export const useAnalyticsStore = defineStore('analytics', () => {
     notifications.value = []
   }
 
+  /**
+   * Finds a tracked export job by ID
+   * @function findExportJob
+   * @param {string} id - Export ID
+   * @returns {Object|undefined} Export job
+   */
+  function findExportJob(id) {
+    return exportJobs.value.find((job) => job.id === id)
+  }
+
+  /**
+   * Starts a background export job whose progress is pushed to this socket
+   * @async
+   * @function startExportJob
+   * @param {string} format - Export format (csv, json, ndjson)
+   * @param {Object} [filters={}] - Task filters
+   * @returns {Promise<Object>} Tracked export job
+   */
+  async function startExportJob(format, filters = {}) {
+    const response = await apiClient.createExportJob({
+      format,
+      filters,
+      socketId: socket.id
+    })
+
+    const job = {
+      id: response.data._id,
+      format,
+      status: response.data.status,
+      processed: 0,
+      total: 0,
+      percent: 0,
+      rowCount: 0,
+      error: null,
+      createdAt: response.data.createdAt
+    }
+
+    exportJobs.value.unshift(job)
+    return job
+  }
+
+  /**
+   * Applies an export-progress event to its tracked job
+   * @function handleExportProgress
+   * @param {Object} progress - Progress payload
+   */
+  function handleExportProgress(progress) {
+    const job = findExportJob(progress.exportId)
+    if (!job) return
+
+    Object.assign(job, {
+      status: 'running',
+      processed: progress.processed,
+      total: progress.total,
+      percent: progress.percent
+    })
+  }
+
+  /**
+   * Marks a tracked export job as finished
+   * @function handleExportComplete
+   * @param {Object} data - Completion payload
+   */
+  function handleExportComplete(data) {
+    const job = findExportJob(data.exportId)
+    if (!job) return
+
+    Object.assign(job, {
+      status: 'completed',
+      percent: 100,
+      rowCount: data.rowCount
+    })
+
+    addNotification({
+      message: `${data.format.toUpperCase()} export of ${data.rowCount} tasks is ready`,
+      type: 'success'
+    })
+  }
+
+  /**
+   * Marks a tracked export job as failed
+   * @function handleExportFailed
+   * @param {Object} data - Failure payload
+   */
+  function handleExportFailed(data) {
+    const job = findExportJob(data.exportId)
+    if (!job) return
+
+    Object.assign(job, { status: 'failed', error: data.message })
+
+    addNotification({
+      message: `Export failed: ${data.message}`,
+      type: 'error'
+    })
+  }
+
+  /**
+   * Downloads the file of a finished export job
+   * @async
+   * @function downloadExportJob
+   * @param {string} id - Export ID
+   * @returns {Promise<{blob: Blob, filename: string|null}>} Export file
+   */
+  async function downloadExportJob(id) {
+    return apiClient.downloadExportFile(id)
+  }
+
+  /**
+   * Stops tracking an export job
+   * @function removeExportJob
+   * @param {string} id - Export ID
+   */
+  function removeExportJob(id) {
+    exportJobs.value = exportJobs.value.filter((job) => job.id !== id)
+  }
+
+  /**
+   * Moves this socket into a workspace's room, so task, analytics and notification
+   * updates come from that workspace only. Disconnected sockets join on connect.
+   * @function joinWorkspace
+   * @param {string|null} workspaceId - Workspace ID, or null for the user's first one
+   */
+  function joinWorkspace(workspaceId) {
+    if (socket.connected) {
+      socket.emit('join-workspace', workspaceId)
+    }
+  }
+
   /**
    * Sets up Socket.IO event listeners for real-time updates
    * @function initializeSocketListeners
    */
   function initializeSocketListeners() {
+    // Joining a workspace answers with its analytics, so no separate request is needed
     socket.on('connect', () => {
       connected.value = true
-      socket.emit('join-analytics')
-      socket.emit('request-analytics')
+      joinWorkspace(apiClient.getWorkspace())
     })
 
     socket.on('disconnect', () => {
@@ -162,10 +421,22 @@ export const useAnalyticsStore = defineStore('analytics', () => {
       })
     })
 
+    socket.on('workspace-error', (error) => {
+      console.error('Workspace error:', error)
+      addNotification({
+        message: error.message || 'Failed to join workspace',
+        type: 'error'
+      })
+    })
+
     socket.on('notification', (notification) => {
       addNotification(notification)
     })
 
+    socket.on('export-progress', handleExportProgress)
+    socket.on('export-complete', handleExportComplete)
+    socket.on('export-failed', handleExportFailed)
+
     socket.on('task-update', (data) => {
       console.log(
         '📊 Task update detected, refreshing analytics...',
@@ -173,6 +444,9 @@ export const useAnalyticsStore = defineStore('analytics', () => {
       )
       // Immediately request fresh analytics when a task is updated
       socket.emit('request-analytics')
+      if (timeSeries.value) fetchTimeSeries()
+      if (leadTime.value) fetchLeadTime()
+      if (estimates.value) fetchEstimates()
     })
   }
 
@@ -185,7 +459,11 @@ export const useAnalyticsStore = defineStore('analytics', () => {
     socket.off('disconnect')
     socket.off('analytics-update')
     socket.off('analytics-error')
+    socket.off('workspace-error')
     socket.off('notification')
+    socket.off('export-progress')
+    socket.off('export-complete')
+    socket.off('export-failed')
     socket.off('task-update')
   }
 
@@ -214,14 +492,34 @@ export const useAnalyticsStore = defineStore('analytics', () => {
     loading,
     error,
     notifications,
+    exportJobs,
     connected,
+    timeSeries,
+    timeSeriesInterval,
+    timeSeriesLoading,
+    leadTime,
+    estimates,
     statusData,
     priorityData,
+    tagData,
     fetchAnalytics,
+    fetchTimeSeries,
+    clearTimeSeries,
+    fetchLeadTime,
+    clearLeadTime,
+    fetchEstimates,
+    clearEstimates,
     updateAnalytics,
     addNotification,
     removeNotification,
     clearNotifications,
+    startExportJob,
+    handleExportProgress,
+    handleExportComplete,
+    handleExportFailed,
+    downloadExportJob,
+    removeExportJob,
+    joinWorkspace,
     initializeSocketListeners,
     cleanup,
     connect,
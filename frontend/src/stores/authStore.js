@@ -0,0 +1,140 @@
+/**
+ * @fileoverview Auth store for the signed-in user and their session
+ * @module stores/authStore
+ */
+
+import { defineStore } from 'pinia'
+import { ref, computed } from 'vue'
+import apiClient from '../api/client.js'
+import {
+  can as roleCan,
+  canEditTask as roleCanEditTask
+} from '../utils/permissions.js'
+
+/**
+ * Pinia store for authentication
+ * @function useAuthStore
+ * @returns {Object} Auth store with reactive state and methods
+ */
+export const useAuthStore = defineStore('auth', () => {
+  const user = ref(apiClient.getSession()?.user || null)
+  const loading = ref(false)
+  const error = ref(null)
+
+  /**
+   * Whether a user is signed in on this browser
+   * @type {ComputedRef<boolean>}
+   */
+  const isAuthenticated = computed(() => !!user.value)
+
+  /**
+   * Role of the signed-in user (viewer, member or admin)
+   * @type {ComputedRef<string|null>}
+   */
+  const role = computed(() => user.value?.role || null)
+
+  /**
+   * Tells whether the signed-in user's role grants a permission
+   * @function can
+   * @param {string} permission - Permission name, e.g. tasks:delete
+   * @returns {boolean} True when allowed
+   */
+  function can(permission) {
+    return roleCan(user.value, permission)
+  }
+
+  /**
+   * Tells whether the signed-in user may edit a task
+   * @function canEditTask
+   * @param {Object} task - Task with createdBy and assignee IDs
+   * @returns {boolean} True when allowed
+   */
+  function canEditTask(task) {
+    return roleCanEditTask(user.value, task)
+  }
+
+  // Signs out here when the API client can no longer refresh the session
+  apiClient.onSessionExpired(() => {
+    user.value = null
+  })
+
+  /**
+   * Runs a sign-in request, keeping loading and error in sync
+   * @async
+   * @function startSession
+   * @param {Function} signIn - Returns the API session response
+   * @returns {Promise<Object>} Signed-in user
+   */
+  async function startSession(signIn) {
+    loading.value = true
+    error.value = null
+
+    try {
+      const response = await signIn()
+      user.value = response.data.user
+      return user.value
+    } catch (err) {
+      error.value = err.message
+      throw err
+    } finally {
+      loading.value = false
+    }
+  }
+
+  /**
+   * Signs in with email and password
+   * @async
+   * @function login
+   * @param {string} email - Email address
+   * @param {string} password - Password
+   * @returns {Promise<Object>} Signed-in user
+   */
+  async function login(email, password) {
+    return startSession(() => apiClient.login(email, password))
+  }
+
+  /**
+   * Signs out, revoking the session on the server when it can be reached
+   * @async
+   * @function logout
+   * @returns {Promise<void>}
+   */
+  async function logout() {
+    user.value = null
+    try {
+      await apiClient.logout()
+    } catch (err) {
+      console.error('Error logging out:', err)
+    }
+  }
+
+  /**
+   * Reloads the signed-in user, picking up profile changes made elsewhere
+   * @async
+   * @function fetchCurrentUser
+   * @returns {Promise<void>}
+   */
+  async function fetchCurrentUser() {
+    try {
+      const response = await apiClient.getCurrentUser()
+      user.value = response.data
+      const session = apiClient.getSession()
+      if (session) apiClient.setSession({ ...session, user: response.data })
+    } catch (err) {
+      console.error('Error fetching current user:', err)
+    }
+  }
+
+  return {
+    user,
+    loading,
+    error,
+    isAuthenticated,
+    role,
+    can,
+    canEditTask,
+    login,
+    logout,
+    fetchCurrentUser
+  }
+})
@@ -0,0 +1,118 @@
+/**
+ * @fileoverview Export store for browsing the export history and re-downloading past exports
+ * @module stores/exportStore
+ */
+
+import { defineStore } from 'pinia'
+import { ref } from 'vue'
+import apiClient from '../api/client.js'
+
+/**
+ * Pinia store for the task export audit trail
+ * @function useExportStore
+ * @returns {Object} Export store with reactive state and methods
+ */
+export const useExportStore = defineStore('exports', () => {
+  const exports = ref([])
+  const loading = ref(false)
+  const downloading = ref(null)
+  const error = ref(null)
+  const pagination = ref({
+    page: 1,
+    limit: 10,
+    total: 0,
+    pages: 0
+  })
+
+  /**
+   * Fetches a page of past exports
+   * @async
+   * @function fetchExports
+   * @param {Object} [params={}] - Query parameters
+   * @returns {Promise<void>}
+   */
+  async function fetchExports(params = {}) {
+    loading.value = true
+    error.value = null
+
+    try {
+      const response = await apiClient.getExports({
+        page: pagination.value.page,
+        limit: pagination.value.limit,
+        ...params
+      })
+
+      exports.value = response.data.exports
+      pagination.value = response.data.pagination
+    } catch (err) {
+      error.value = err.message
+      console.error('Error fetching exports:', err)
+    } finally {
+      loading.value = false
+    }
+  }
+
+  /**
+   * Re-runs a past export and refreshes the history
+   * @async
+   * @function downloadExport
+   * @param {string} id - Export ID
+   * @returns {Promise<{blob: Blob, filename: string|null}>} Export file
+   */
+  async function downloadExport(id) {
+    downloading.value = id
+
+    try {
+      const file = await apiClient.downloadExport(id)
+      await fetchExports()
+      return file
+    } catch (err) {
+      console.error('Error downloading export:', err)
+      throw err
+    } finally {
+      downloading.value = null
+    }
+  }
+
+  /**
+   * Downloads the file produced by a background export job
+   * @async
+   * @function downloadExportFile
+   * @param {string} id - Export ID
+   * @returns {Promise<{blob: Blob, filename: string|null}>} Export file
+   */
+  async function downloadExportFile(id) {
+    downloading.value = id
+
+    try {
+      return await apiClient.downloadExportFile(id)
+    } catch (err) {
+      console.error('Error downloading export file:', err)
+      throw err
+    } finally {
+      downloading.value = null
+    }
+  }
+
+  /**
+   * Sets pagination page and refetches data
+   * @function setPage
+   * @param {number} page - Page number
+   */
+  function setPage(page) {
+    pagination.value.page = page
+    fetchExports()
+  }
+
+  return {
+    exports,
+    loading,
+    downloading,
+    error,
+    pagination,
+    fetchExports,
+    downloadExport,
+    downloadExportFile,
+    setPage
+  }
+})
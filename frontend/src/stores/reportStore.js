@@ -0,0 +1,102 @@
+/**
+ * @fileoverview Report store for burndown and burnup series over a date window
+ * @module stores/reportStore
+ */
+
+import { defineStore } from 'pinia'
+import { ref } from 'vue'
+import apiClient from '../api/client.js'
+import { burndownWindow } from '../utils/burndown.js'
+
+/**
+ * Days in the window the reports page opens with, a two-week sprint
+ * @type {number}
+ */
+const DEFAULT_WINDOW_DAYS = 14
+
+/**
+ * Pinia store for sprint reports
+ * @function useReportStore
+ * @returns {Object} Report store with reactive state and methods
+ */
+export const useReportStore = defineStore('report', () => {
+  const burndown = ref(null)
+  const loading = ref(false)
+  const error = ref(null)
+  const filters = ref({
+    ...burndownWindow(DEFAULT_WINDOW_DAYS),
+    tags: [],
+    tagMode: 'any',
+    priority: [],
+    assignee: []
+  })
+  // Bumped per request, so a slow response for older filters is dropped
+  let burndownRequest = 0
+
+  /**
+   * Turns the filters into query parameters, joining lists and leaving out empty ones
+   * @function buildParams
+   * @returns {Object} Query parameters
+   */
+  function buildParams() {
+    const params = { from: filters.value.from, to: filters.value.to }
+    for (const key of ['tags', 'priority', 'assignee']) {
+      if (filters.value[key].length > 0) {
+        params[key] = filters.value[key].join(',')
+      }
+    }
+    if (params.tags && filters.value.tagMode === 'all') {
+      params.tagMode = 'all'
+    }
+    return params
+  }
+
+  /**
+   * Fetches the burndown series for the current filters
+   * @async
+   * @function fetchBurndown
+   * @returns {Promise<void>}
+   */
+  async function fetchBurndown() {
+    const request = ++burndownRequest
+    loading.value = true
+    error.value = null
+
+    try {
+      const response = await apiClient.getAnalyticsBurndown(buildParams())
+      if (request === burndownRequest) {
+        burndown.value = response.data
+      }
+    } catch (err) {
+      if (request === burndownRequest) {
+        error.value = err.message
+      }
+      console.error('Error fetching burndown:', err)
+    } finally {
+      if (request === burndownRequest) {
+        loading.value = false
+      }
+    }
+  }
+
+  /**
+   * Changes some filters and fetches the series again
+   * @async
+   * @function setFilters
+   * @param {Object} changes - Filters to change (from, to, tags, tagMode, priority, assignee)
+   * @returns {Promise<void>}
+   */
+  async function setFilters(changes) {
+    filters.value = { ...filters.value, ...changes }
+    await fetchBurndown()
+  }
+
+  return {
+    burndown,
+    loading,
+    error,
+    filters,
+    fetchBurndown,
+    setFilters
+  }
+})
@@ -0,0 +1,143 @@
+/**
+ * @fileoverview Task history store backing the task detail view and its change timeline
+ * @module stores/taskHistoryStore
+ */
+
+import { defineStore } from 'pinia'
+import { ref, computed } from 'vue'
+import apiClient from '../api/client.js'
+import socket from '../plugins/socket.js'
+
+/**
+ * Pinia store for a single task and its change history
+ * @function useTaskHistoryStore
+ * @returns {Object} Task history store with reactive state and methods
+ */
+export const useTaskHistoryStore = defineStore('taskHistory', () => {
+  const taskId = ref(null)
+  const task = ref(null)
+  const entries = ref([])
+  const loading = ref(false)
+  const error = ref(null)
+  const pagination = ref({
+    page: 1,
+    limit: 10,
+    total: 0,
+    pages: 0
+  })
+
+  /**
+   * Whether older history entries remain to be loaded
+   * @type {ComputedRef<boolean>}
+   */
+  const hasMore = computed(() => pagination.value.page < pagination.value.pages)
+
+  /**
+   * Loads a task and the first page of its history. A deleted task keeps its history,
+   * so a missing task is not treated as an error.
+   * @async
+   * @function loadTask
+   * @param {string} id - Task ID
+   * @returns {Promise<void>}
+   */
+  async function loadTask(id) {
+    if (taskId.value !== id) {
+      task.value = null
+      entries.value = []
+    }
+    taskId.value = id
+    loading.value = true
+    error.value = null
+
+    try {
+      const [taskResult, historyResult] = await Promise.allSettled([
+        apiClient.getTask(id),
+        apiClient.getTaskHistory(id, { page: 1, limit: pagination.value.limit })
+      ])
+
+      if (historyResult.status === 'rejected') throw historyResult.reason
+
+      task.value =
+        taskResult.status === 'fulfilled' ? taskResult.value.data : null
+      entries.value = historyResult.value.data.entries
+      pagination.value = historyResult.value.data.pagination
+    } catch (err) {
+      error.value = err.message
+      console.error('Error fetching task history:', err)
+    } finally {
+      loading.value = false
+    }
+  }
+
+  /**
+   * Appends the next page of older history entries
+   * @async
+   * @function loadMore
+   * @returns {Promise<void>}
+   */
+  async function loadMore() {
+    if (!hasMore.value) return
+    loading.value = true
+
+    try {
+      const response = await apiClient.getTaskHistory(taskId.value, {
+        page: pagination.value.page + 1,
+        limit: pagination.value.limit
+      })
+
+      const known = new Set(entries.value.map((entry) => entry._id))
+      entries.value.push(
+        ...response.data.entries.filter((entry) => !known.has(entry._id))
+      )
+      pagination.value = response.data.pagination
+    } catch (err) {
+      error.value = err.message
+      console.error('Error fetching task history:', err)
+    } finally {
+      loading.value = false
+    }
+  }
+
+  /**
+   * Reloads the open task when a real-time update touches it
+   * @function handleTaskUpdate
+   * @param {Object} data - Task update data with a task, or tasks for bulk operations
+   */
+  function handleTaskUpdate(data) {
+    const changed = data.tasks || [data.task]
+    if (taskId.value && changed.some((t) => t?._id === taskId.value)) {
+      loadTask(taskId.value)
+    }
+  }
+
+  /**
+   * Sets up Socket.IO event listeners
+   * @function initializeSocketListeners
+   */
+  function initializeSocketListeners() {
+    socket.on('task-update', handleTaskUpdate)
+  }
+
+  /**
+   * Removes Socket.IO event listeners
+   * @function cleanup
+   */
+  function cleanup() {
+    socket.off('task-update', handleTaskUpdate)
+  }
+
+  return {
+    taskId,
+    task,
+    entries,
+    loading,
+    error,
+    pagination,
+    hasMore,
+    loadTask,
+    loadMore,
+    handleTaskUpdate,
+    initializeSocketListeners,
+    cleanup
+  }
+})
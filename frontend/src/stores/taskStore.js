@@ -5,9 +5,27 @@
 
 import { defineStore } from 'pinia'
 import { ref, computed } from 'vue'
-import apiClient from '../api/client.js'
+import apiClient, { isVersionConflict } from '../api/client.js'
 import socket from '../plugins/socket.js'
 
+/**
+ * Removes empty values so they are not sent as query parameters, and joins
+ * multi-value filters into the comma-separated form the API expects
+ * @function compactParams
+ * @param {Object} params - Query parameters
+ * @returns {Object} Parameters without empty values
+ */
+function compactParams(params) {
+  const result = {}
+
+  Object.entries(params).forEach(([key, value]) => {
+    const compacted = Array.isArray(value) ? value.join(',') : value
+    if (compacted || compacted === 0) result[key] = compacted
+  })
+
+  return result
+}
+
 /**
  * Pinia store for task management with pagination, filtering, and real-time updates
  * @function useTaskStore
@@ -25,12 +43,41 @@ export const useTaskStore = defineStore('tasks', () => {
   })
 
   const filters = ref({
-    status: '',
-    priority: '',
+    status: [],
+    priority: [],
+    due: '',
+    tags: [],
+    tagMode: '',
+    assignee: [],
+    search: '',
+    searchMode: '',
+    createdFrom: '',
+    createdTo: '',
+    completedFrom: '',
+    completedTo: '',
+    updatedFrom: '',
+    updatedTo: '',
+    minEstimatedTime: '',
+    maxEstimatedTime: '',
+    minActualTime: '',
+    maxActualTime: '',
     sortBy: 'createdAt',
     sortOrder: 'desc'
   })
 
+  const paginationMode = ref('pages')
+  const nextCursor = ref(null)
+  const hasMore = ref(false)
+  const loadingMore = ref(false)
+
+  const activeFilters = computed(() => compactParams(filters.value))
+
+  // Ranked text search orders by relevance, which the API cannot page with cursors
+  const usesCursor = computed(
+    () =>
+      paginationMode.value === 'infinite' && filters.value.searchMode !== 'text'
+  )
+
   const pendingTasks = computed(() =>
     tasks.value.filter((task) => task.status === 'pending')
   )
@@ -71,15 +118,26 @@ export const useTaskStore = defineStore('tasks', () => {
     error.value = null
 
     try {
-      const queryParams = {
+      if (usesCursor.value) {
+        const response = await apiClient.getTasks(
+          compactParams({
+            limit: pagination.value.limit,
+            ...filters.value,
+            ...params,
+            pagination: 'cursor'
+          })
+        )
+
+        tasks.value = response.data.tasks
+        setCursor(response.data.pagination)
+        return
+      }
+
+      const queryParams = compactParams({
         page: pagination.value.page,
         limit: pagination.value.limit,
         ...filters.value,
         ...params
-      }
-
-      Object.keys(queryParams).forEach((key) => {
-        if (!queryParams[key]) delete queryParams[key]
       })
 
       const response = await apiClient.getTasks(queryParams)
@@ -94,6 +152,65 @@ export const useTaskStore = defineStore('tasks', () => {
     }
   }
 
+  /**
+   * Stores the cursor returned with an infinite-scroll page
+   * @function setCursor
+   * @param {Object} cursorPagination - Cursor pagination metadata from the API
+   */
+  function setCursor(cursorPagination) {
+    nextCursor.value = cursorPagination.nextCursor
+    hasMore.value = cursorPagination.hasNext
+    pagination.value = { ...pagination.value, total: cursorPagination.total }
+  }
+
+  /**
+   * Appends the next cursor page of tasks in infinite-scroll mode
+   * @async
+   * @function fetchMoreTasks
+   * @returns {Promise<boolean>} True if more tasks remain after this page
+   */
+  async function fetchMoreTasks() {
+    if (!hasMore.value || loadingMore.value) return hasMore.value
+
+    loadingMore.value = true
+
+    try {
+      const response = await apiClient.getTasks(
+        compactParams({
+          limit: pagination.value.limit,
+          ...filters.value,
+          pagination: 'cursor',
+          after: nextCursor.value
+        })
+      )
+
+      // Tasks received live over Socket.IO may already be in the list
+      const loaded = new Set(tasks.value.map((task) => task._id))
+      tasks.value.push(
+        ...response.data.tasks.filter((task) => !loaded.has(task._id))
+      )
+      setCursor(response.data.pagination)
+
+      return hasMore.value
+    } catch (err) {
+      console.error('Error fetching more tasks:', err)
+      throw err
+    } finally {
+      loadingMore.value = false
+    }
+  }
+
+  /**
+   * Switches between numbered pages and infinite scroll, then refetches from the start
+   * @function setPaginationMode
+   * @param {string} mode - 'pages' or 'infinite'
+   */
+  function setPaginationMode(mode) {
+    paginationMode.value = mode
+    pagination.value.page = 1
+    fetchTasks()
+  }
+
   /**
    * Fetches a single task by ID
    * @async
@@ -150,14 +267,16 @@ export const useTaskStore = defineStore('tasks', () => {
    * @function updateTask
    * @param {string} id - Task ID
    * @param {Object} updates - Update data
+   * @param {number} [version] - Version the edit is based on; when it is stale the
+   * update is rejected and the error carries the current task as `data`
    * @returns {Promise<Object>} Updated task
    */
-  async function updateTask(id, updates) {
+  async function updateTask(id, updates, version) {
     loading.value = true
     error.value = null
 
     try {
-      const response = await apiClient.updateTask(id, updates)
+      const response = await apiClient.updateTask(id, updates, version)
 
       const index = tasks.value.findIndex((task) => task._id === id)
       if (index !== -1) {
@@ -166,7 +285,7 @@ export const useTaskStore = defineStore('tasks', () => {
 
       return response.data
     } catch (err) {
-      error.value = err.message
+      handleWriteError(err)
       console.error('Error updating task:', err)
       throw err
     } finally {
@@ -179,14 +298,16 @@ export const useTaskStore = defineStore('tasks', () => {
    * @async
    * @function deleteTask
    * @param {string} id - Task ID
+   * @param {number} [version] - Version the user last saw; when it is stale the
+   * delete is rejected and the error carries the current task as `data`
    * @returns {Promise<void>}
    */
-  async function deleteTask(id) {
+  async function deleteTask(id, version) {
     loading.value = true
     error.value = null
 
     try {
-      await apiClient.deleteTask(id)
+      await apiClient.deleteTask(id, version)
 
       const index = tasks.value.findIndex((task) => task._id === id)
       if (index !== -1) {
@@ -194,7 +315,7 @@ export const useTaskStore = defineStore('tasks', () => {
         pagination.value.total--
       }
     } catch (err) {
-      error.value = err.message
+      handleWriteError(err)
       console.error('Error deleting task:', err)
       throw err
     } finally {
@@ -202,6 +323,92 @@ export const useTaskStore = defineStore('tasks', () => {
     }
   }
 
+  /**
+   * Restores a task from the trash, e.g. to undo a delete
+   * @async
+   * @function restoreTask
+   * @param {string} id - Task ID
+   * @returns {Promise<Object>} Restored task
+   */
+  async function restoreTask(id) {
+    try {
+      const response = await apiClient.restoreTask(id)
+      applyTaskChange('restored', response.data)
+      return response.data
+    } catch (err) {
+      error.value = err.message
+      console.error('Error restoring task:', err)
+      throw err
+    }
+  }
+
+  /**
+   * Records a failed single-task write. Version conflicts are left to the caller to
+   * resolve, so they refresh the loaded task instead of setting the store error.
+   * @function handleWriteError
+   * @param {Error} err - Error thrown by the API client
+   */
+  function handleWriteError(err) {
+    if (isVersionConflict(err)) {
+      applyTaskChange('updated', err.data)
+    } else {
+      error.value = err.message
+    }
+  }
+
+  /**
+   * Updates or deletes many tasks with one request. Without ids, every task matching
+   * the current filters is changed.
+   * @async
+   * @function bulkTasks
+   * @param {string} action - 'update' or 'delete'
+   * @param {Object} [options={}] - Bulk options
+   * @param {Array<string>} [options.ids] - Task IDs to change
+   * @param {Object} [options.updates] - Status and/or priority to set
+   * @returns {Promise<Object>} Affected task IDs and documents
+   */
+  async function bulkTasks(action, { ids, updates } = {}) {
+    error.value = null
+
+    try {
+      const response = await apiClient.bulkTasks({
+        action,
+        ...(ids ? { ids } : { filters: activeFilters.value }),
+        ...(updates && { updates })
+      })
+
+      if (action === 'delete') {
+        await fetchTasks()
+      } else {
+        handleTaskUpdate({ action: 'updated', tasks: response.data.tasks })
+      }
+
+      return response.data
+    } catch (err) {
+      error.value = err.message
+      console.error('Error applying bulk action:', err)
+      throw err
+    }
+  }
+
+  /**
+   * Imports tasks from a file, or validates it when dryRun is set. Failures are
+   * thrown to the caller rather than stored, so the task list stays visible.
+   * @async
+   * @function importTasks
+   * @param {Object} request - Import request (format, content, mapping, dryRun, skipInvalid)
+   * @returns {Promise<Object>} Import report with per-row errors and a preview
+   */
+  async function importTasks(request) {
+    const response = await apiClient.importTasks(request)
+
+    if (response.data.inserted > 0) {
+      await fetchTasks()
+    }
+
+    return response.data
+  }
+
   /**
    * Updates task filters and refetches data
    * @function updateFilters
@@ -224,15 +431,27 @@ export const useTaskStore = defineStore('tasks', () => {
   }
 
   /**
-   * Handles real-time task updates from Socket.IO
+   * Handles real-time task updates from Socket.IO; bulk operations send a tasks array
    * @function handleTaskUpdate
-   * @param {Object} data - Task update data
+   * @param {Object} data - Task update data with a task, or tasks for bulk operations
    */
   function handleTaskUpdate(data) {
-    const { action, task } = data
+    const { action, task, tasks: batch } = data
+    const changes = batch || [task]
+
+    changes.forEach((changed) => applyTaskChange(action, changed))
+  }
 
+  /**
+   * Applies a single created, updated or deleted task to the loaded list
+   * @function applyTaskChange
+   * @param {string} action - Action performed (created, updated, deleted, restored)
+   * @param {Object} task - Changed task
+   */
+  function applyTaskChange(action, task) {
     switch (action) {
       case 'created':
+      case 'restored':
         if (!tasks.value.find((t) => t._id === task._id)) {
           tasks.value.unshift(task)
           pagination.value.total++
@@ -240,7 +459,8 @@ export const useTaskStore = defineStore('tasks', () => {
         break
       case 'updated': {
         const index = tasks.value.findIndex((t) => t._id === task._id)
-        if (index !== -1) {
+        // Ignore updates that arrive after a newer version of the task
+        if (index !== -1 && !(tasks.value[index].version > task.version)) {
           tasks.value[index] = task
         }
         break
@@ -278,6 +498,11 @@ export const useTaskStore = defineStore('tasks', () => {
     error,
     pagination,
     filters,
+    activeFilters,
+    paginationMode,
+    hasMore,
+    loadingMore,
+    usesCursor,
     pendingTasks,
     inProgressTasks,
     completedTasks,
@@ -289,7 +514,12 @@ export const useTaskStore = defineStore('tasks', () => {
     createTask,
     updateTask,
     deleteTask,
+    restoreTask,
+    bulkTasks,
+    importTasks,
     updateFilters,
+    fetchMoreTasks,
+    setPaginationMode,
     setPage,
     handleTaskUpdate,
     initializeSocketListeners,
@@ -0,0 +1,160 @@
+/**
+ * @fileoverview Trash store for browsing deleted tasks and restoring or purging them
+ * @module stores/trashStore
+ */
+
+import { defineStore } from 'pinia'
+import { ref } from 'vue'
+import apiClient from '../api/client.js'
+import socket from '../plugins/socket.js'
+
+/**
+ * Task update actions that change what the trash contains
+ * @type {Array<string>}
+ */
+const TRASH_ACTIONS = ['deleted', 'restored', 'purged']
+
+/**
+ * Pinia store for soft-deleted tasks
+ * @function useTrashStore
+ * @returns {Object} Trash store with reactive state and methods
+ */
+export const useTrashStore = defineStore('trash', () => {
+  const tasks = ref([])
+  const loading = ref(false)
+  const error = ref(null)
+  const retentionDays = ref(null)
+  const pagination = ref({
+    page: 1,
+    limit: 10,
+    total: 0,
+    pages: 0
+  })
+
+  /**
+   * Fetches a page of deleted tasks
+   * @async
+   * @function fetchTrash
+   * @returns {Promise<void>}
+   */
+  async function fetchTrash() {
+    loading.value = true
+    error.value = null
+
+    try {
+      const response = await apiClient.getTrash({
+        page: pagination.value.page,
+        limit: pagination.value.limit
+      })
+
+      tasks.value = response.data.tasks
+      pagination.value = response.data.pagination
+      retentionDays.value = response.data.retentionDays
+    } catch (err) {
+      error.value = err.message
+      console.error('Error fetching trash:', err)
+    } finally {
+      loading.value = false
+    }
+  }
+
+  /**
+   * Removes a task from the loaded page after it left the trash
+   * @function removeTask
+   * @param {string} id - Task ID
+   */
+  function removeTask(id) {
+    const index = tasks.value.findIndex((task) => task._id === id)
+    if (index !== -1) {
+      tasks.value.splice(index, 1)
+      pagination.value.total--
+    }
+  }
+
+  /**
+   * Restores a deleted task
+   * @async
+   * @function restoreTask
+   * @param {string} id - Task ID
+   * @returns {Promise<Object>} Restored task
+   */
+  async function restoreTask(id) {
+    try {
+      const response = await apiClient.restoreTask(id)
+      removeTask(id)
+      return response.data
+    } catch (err) {
+      console.error('Error restoring task:', err)
+      throw err
+    }
+  }
+
+  /**
+   * Permanently deletes a task from the trash
+   * @async
+   * @function purgeTask
+   * @param {string} id - Task ID
+   * @returns {Promise<void>}
+   */
+  async function purgeTask(id) {
+    try {
+      await apiClient.purgeTask(id)
+      removeTask(id)
+    } catch (err) {
+      console.error('Error purging task:', err)
+      throw err
+    }
+  }
+
+  /**
+   * Sets pagination page and refetches data
+   * @function setPage
+   * @param {number} page - Page number
+   */
+  function setPage(page) {
+    pagination.value.page = page
+    fetchTrash()
+  }
+
+  /**
+   * Refetches the trash when tasks are deleted, restored or purged elsewhere
+   * @function handleTaskUpdate
+   * @param {Object} data - Task update data
+   */
+  function handleTaskUpdate(data) {
+    if (TRASH_ACTIONS.includes(data.action)) {
+      fetchTrash()
+    }
+  }
+
+  /**
+   * Sets up Socket.IO event listeners
+   * @function initializeSocketListeners
+   */
+  function initializeSocketListeners() {
+    socket.on('task-update', handleTaskUpdate)
+  }
+
+  /**
+   * Removes Socket.IO event listeners
+   * @function cleanup
+   */
+  function cleanup() {
+    socket.off('task-update', handleTaskUpdate)
+  }
+
+  return {
+    tasks,
+    loading,
+    error,
+    retentionDays,
+    pagination,
+    fetchTrash,
+    restoreTask,
+    purgeTask,
+    setPage,
+    handleTaskUpdate,
+    initializeSocketListeners,
+    cleanup
+  }
+})
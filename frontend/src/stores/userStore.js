@@ -0,0 +1,153 @@
+/**
+ * @fileoverview User store for the user directory and assignee lookups
+ * @module stores/userStore
+ */
+
+import { defineStore } from 'pinia'
+import { ref, computed } from 'vue'
+import apiClient from '../api/client.js'
+
+/**
+ * Users loaded for pickers and name lookups; the API's largest page size
+ * @type {number}
+ */
+const USER_LIMIT = 100
+
+/**
+ * Sorts users by name, as the API lists them
+ * @function byName
+ * @param {Object} a - User
+ * @param {Object} b - User
+ * @returns {number} Sort order
+ */
+function byName(a, b) {
+  return a.name.localeCompare(b.name)
+}
+
+/**
+ * Pinia store for users
+ * @function useUserStore
+ * @returns {Object} User store with reactive state and methods
+ */
+export const useUserStore = defineStore('users', () => {
+  const users = ref([])
+  const loading = ref(false)
+  const error = ref(null)
+
+  /**
+   * Users keyed by ID
+   * @type {ComputedRef<Object<string, Object>>}
+   */
+  const usersById = computed(() =>
+    Object.fromEntries(users.value.map((user) => [user._id, user]))
+  )
+
+  /**
+   * User names keyed by ID, for formatting assignee changes
+   * @type {ComputedRef<Object<string, string>>}
+   */
+  const userNames = computed(() =>
+    Object.fromEntries(users.value.map((user) => [user._id, user.name]))
+  )
+
+  /**
+   * Fetches the user directory: the members of the current workspace, or everyone for admins
+   * @async
+   * @function fetchUsers
+   * @returns {Promise<void>}
+   */
+  async function fetchUsers() {
+    loading.value = true
+    error.value = null
+
+    try {
+      const response = await apiClient.getUsers({ limit: USER_LIMIT })
+      users.value = response.data.users
+    } catch (err) {
+      error.value = err.message
+      console.error('Error fetching users:', err)
+    } finally {
+      loading.value = false
+    }
+  }
+
+  /**
+   * Looks up a loaded user
+   * @function getUser
+   * @param {string|null} id - User ID
+   * @returns {Object|null} User, or null when unknown or unassigned
+   */
+  function getUser(id) {
+    return (id && usersById.value[id]) || null
+  }
+
+  /**
+   * Creates a new user
+   * @async
+   * @function createUser
+   * @param {Object} userData - User data (name, email, avatarUrl, password)
+   * @returns {Promise<Object>} Created user
+   */
+  async function createUser(userData) {
+    try {
+      const response = await apiClient.createUser(userData)
+      users.value = [...users.value, response.data].sort(byName)
+      return response.data
+    } catch (err) {
+      console.error('Error creating user:', err)
+      throw err
+    }
+  }
+
+  /**
+   * Updates an existing user
+   * @async
+   * @function updateUser
+   * @param {string} id - User ID
+   * @param {Object} updates - Changed user fields
+   * @returns {Promise<Object>} Updated user
+   */
+  async function updateUser(id, updates) {
+    try {
+      const response = await apiClient.updateUser(id, updates)
+      users.value = users.value
+        .map((user) => (user._id === id ? response.data : user))
+        .sort(byName)
+      return response.data
+    } catch (err) {
+      console.error('Error updating user:', err)
+      throw err
+    }
+  }
+
+  /**
+   * Deletes a user; their tasks become unassigned
+   * @async
+   * @function deleteUser
+   * @param {string} id - User ID
+   * @returns {Promise<number>} Number of tasks that were unassigned
+   */
+  async function deleteUser(id) {
+    try {
+      const response = await apiClient.deleteUser(id)
+      users.value = users.value.filter((user) => user._id !== id)
+      return response.data.unassignedTasks
+    } catch (err) {
+      console.error('Error deleting user:', err)
+      throw err
+    }
+  }
+
+  return {
+    users,
+    loading,
+    error,
+    usersById,
+    userNames,
+    fetchUsers,
+    getUser,
+    createUser,
+    updateUser,
+    deleteUser
+  }
+})
@@ -0,0 +1,95 @@
+/**
+ * @fileoverview Workspace store for the workspaces the user can open and the one they work in
+ * @module stores/workspaceStore
+ */
+
+import { defineStore } from 'pinia'
+import { ref, computed } from 'vue'
+import apiClient from '../api/client.js'
+
+/**
+ * Pinia store for workspaces
+ * @function useWorkspaceStore
+ * @returns {Object} Workspace store with reactive state and methods
+ */
+export const useWorkspaceStore = defineStore('workspaces', () => {
+  const workspaces = ref([])
+  const currentId = ref(apiClient.getWorkspace())
+  const loading = ref(false)
+  const error = ref(null)
+
+  /**
+   * Workspace the app works in, once the list has loaded
+   * @type {ComputedRef<Object|null>}
+   */
+  const currentWorkspace = computed(
+    () =>
+      workspaces.value.find((workspace) => workspace._id === currentId.value) ||
+      null
+  )
+
+  /**
+   * Switches the workspace requests and socket updates are scoped to
+   * @function selectWorkspace
+   * @param {string|null} id - Workspace ID
+   */
+  function selectWorkspace(id) {
+    apiClient.setWorkspace(id)
+    currentId.value = id
+  }
+
+  /**
+   * Fetches the workspaces the user can open. A stored workspace the user can no longer
+   * open, or none at all, is replaced by the first one, as the server does.
+   * @async
+   * @function fetchWorkspaces
+   * @returns {Promise<void>}
+   */
+  async function fetchWorkspaces() {
+    loading.value = true
+    error.value = null
+
+    try {
+      const response = await apiClient.getWorkspaces()
+      workspaces.value = response.data
+      if (!currentWorkspace.value) {
+        selectWorkspace(workspaces.value[0]?._id || null)
+      }
+    } catch (err) {
+      error.value = err.message
+      console.error('Error fetching workspaces:', err)
+    } finally {
+      loading.value = false
+    }
+  }
+
+  /**
+   * Creates a workspace (admins only)
+   * @async
+   * @function createWorkspace
+   * @param {Object} workspaceData - Workspace data (name, description)
+   * @returns {Promise<Object>} Created workspace
+   */
+  async function createWorkspace(workspaceData) {
+    try {
+      const response = await apiClient.createWorkspace(workspaceData)
+      // The API lists workspaces oldest first, so a new one goes last
+      workspaces.value = [...workspaces.value, response.data]
+      return response.data
+    } catch (err) {
+      console.error('Error creating workspace:', err)
+      throw err
+    }
+  }
+
+  return {
+    workspaces,
+    currentId,
+    loading,
+    error,
+    currentWorkspace,
+    selectWorkspace,
+    fetchWorkspaces,
+    createWorkspace
+  }
+})
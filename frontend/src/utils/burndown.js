@@ -0,0 +1,47 @@
+/**
+ * @fileoverview Windows and reference lines for burndown and burnup charts
+ * @module utils/burndown
+ */
+
+/**
+ * Window presets offered on the reports page, in days ending today
+ * @type {Array<{value: number, title: string}>}
+ */
+export const BURNDOWN_WINDOWS = [
+  { value: 7, title: '1 week' },
+  { value: 14, title: '2 weeks' },
+  { value: 30, title: '30 days' }
+]
+
+/**
+ * Builds a window of whole days ending today. Burndown days are UTC, so the dates are too.
+ * @function burndownWindow
+ * @param {number} days - Days in the window, today included
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {{from: string, to: string}} First and last day as YYYY-MM-DD
+ * @example
+ * burndownWindow(7, new Date('2024-03-14T10:00:00Z')) // { from: '2024-03-08', to: '2024-03-14' }
+ */
+export function burndownWindow(days, now = new Date()) {
+  const from = new Date(now.getTime() - (days - 1) * 24 * 60 * 60 * 1000)
+  return {
+    from: from.toISOString().slice(0, 10),
+    to: now.toISOString().slice(0, 10)
+  }
+}
+
+/**
+ * Computes the ideal burndown: a straight line from the work remaining on the first day
+ * to none on the last
+ * @function idealRemaining
+ * @param {Array<{remaining: number}>} days - Burndown days, oldest first
+ * @returns {Array<number>} Ideal remaining tasks per day, rounded to one decimal
+ */
+export function idealRemaining(days) {
+  if (days.length === 0) return []
+  const start = days[0].remaining
+  const steps = Math.max(days.length - 1, 1)
+  return days.map(
+    (day, index) => Math.round(start * (1 - index / steps) * 10) / 10
+  )
+}
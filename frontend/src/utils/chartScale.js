@@ -0,0 +1,17 @@
+/**
+ * @fileoverview Axis scaling shared by the SVG charts
+ * @module utils/chartScale
+ */
+
+/**
+ * Rounds a tick interval up to 1, 2 or 5 times a power of ten, never below 1
+ * @function niceStep
+ * @param {number} rough - Unrounded interval
+ * @returns {number} Tick interval
+ */
+export function niceStep(rough) {
+  if (rough <= 1) return 1
+  const magnitude = 10 ** Math.floor(Math.log10(rough))
+  const factor = [1, 2, 5, 10].find((f) => f * magnitude >= rough)
+  return factor * magnitude
+}
@@ -0,0 +1,23 @@
+/**
+ * @fileoverview Browser helpers for saving downloaded files
+ * @module utils/download
+ */
+
+/**
+ * Prompts the browser to save a Blob under the given filename
+ * @function saveBlob
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested filename
+ */
+export function saveBlob(blob, filename) {
+  const url = window.URL.createObjectURL(blob)
+  const link = document.createElement('a')
+
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  document.body.removeChild(link)
+
+  window.URL.revokeObjectURL(url)
+}
@@ -0,0 +1,28 @@
+/**
+ * @fileoverview Labels for estimate accuracy, where a ratio is actual divided by estimated time
+ * @module utils/estimates
+ */
+
+/**
+ * Formats an actual-to-estimated time ratio
+ * @function formatRatio
+ * @param {number} ratio - Actual divided by estimated time
+ * @returns {string} Label, e.g. "1.5×"; "—" when there is no ratio
+ */
+export function formatRatio(ratio) {
+  return ratio > 0 ? `${ratio}×` : '—'
+}
+
+/**
+ * Describes how far a task's actual time was from its estimate
+ * @function describeRatio
+ * @param {number} ratio - Actual divided by estimated time
+ * @returns {string} Description, e.g. "50% over", "25% under" or "on estimate"
+ * @example
+ * describeRatio(0.75) // '25% under'
+ */
+export function describeRatio(ratio) {
+  const percent = Math.round((ratio - 1) * 100)
+  if (percent === 0) return 'on estimate'
+  return percent > 0 ? `${percent}% over` : `${-percent}% under`
+}
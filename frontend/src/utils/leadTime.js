@@ -0,0 +1,58 @@
+/**
+ * @fileoverview Statistics and labels for task lead and cycle times, which the API reports in hours
+ * @module utils/leadTime
+ */
+
+/**
+ * Statistics offered for the completion time card: the mean and the reported percentiles
+ * @type {Array<{value: string, title: string}>}
+ */
+export const COMPLETION_TIME_STATISTICS = [
+  { value: 'mean', title: 'Mean' },
+  { value: 'p50', title: 'Median' },
+  { value: 'p75', title: 'p75' },
+  { value: 'p90', title: 'p90' },
+  { value: 'p95', title: 'p95' }
+]
+
+/**
+ * Formats a duration for display, in minutes, hours or days depending on its length
+ * @function formatDuration
+ * @param {number} hours - Duration in hours
+ * @returns {string} Label, e.g. "45m", "6.5h" or "2.3d"; "N/A" when there is no duration
+ */
+export function formatDuration(hours) {
+  if (!hours || hours <= 0) {
+    return 'N/A'
+  }
+
+  if (hours < 1) {
+    return `${Math.round(hours * 60)}m`
+  } else if (hours < 24) {
+    return `${hours}h`
+  }
+  return `${Math.round((hours / 24) * 10) / 10}d`
+}
+
+/**
+ * Formats a histogram edge in the largest whole unit
+ * @param {number} hours - Edge in hours
+ * @returns {string} Label, e.g. "4h", "3d" or "2w"
+ */
+function formatEdge(hours) {
+  if (hours > 0 && hours % 168 === 0) return `${hours / 168}w`
+  if (hours > 0 && hours % 24 === 0) return `${hours / 24}d`
+  return `${hours}h`
+}
+
+/**
+ * Labels a lead time histogram bucket by its range
+ * @function formatHistogramBucket
+ * @param {{min: number, max: number|null}} bucket - Bucket edges in hours; max is null for the last bucket
+ * @returns {string} Label, e.g. "< 1h", "1d–3d" or "2w+"
+ */
+export function formatHistogramBucket({ min, max }) {
+  if (max === null) return `${formatEdge(min)}+`
+  if (min === 0) return `< ${formatEdge(max)}`
+  return `${formatEdge(min)}–${formatEdge(max)}`
+}
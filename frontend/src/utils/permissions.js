@@ -0,0 +1,62 @@
+/**
+ * @fileoverview What each role may do, mirroring the API's access rules so the UI can hide or
+ * disable actions the server would refuse
+ * @module utils/permissions
+ */
+
+/**
+ * Roles from least to most privileged, with their labels
+ * @type {Array<{value: string, title: string}>}
+ */
+export const ROLES = [
+  { value: 'viewer', title: 'Viewer' },
+  { value: 'member', title: 'Member' },
+  { value: 'admin', title: 'Admin' }
+]
+
+/**
+ * Roles granted each permission; keep in sync with backend/src/services/accessService.js
+ * @type {Object<string, Array<string>>}
+ */
+export const PERMISSIONS = {
+  'tasks:read': ['viewer', 'member', 'admin'],
+  'tasks:create': ['member', 'admin'],
+  'tasks:update': ['member', 'admin'],
+  'tasks:update:any': ['admin'],
+  'tasks:delete': ['admin'],
+  'tasks:bulk': ['admin'],
+  'tasks:import': ['admin'],
+  'tasks:trash': ['admin'],
+  'exports:read': ['viewer', 'member', 'admin'],
+  'exports:read:any': ['admin'],
+  'users:read': ['viewer', 'member', 'admin'],
+  'users:manage': ['admin'],
+  'workspaces:read': ['viewer', 'member', 'admin'],
+  'workspaces:manage': ['admin'],
+  'analytics:read': ['viewer', 'member', 'admin']
+}
+
+/**
+ * Tells whether a user's role grants a permission
+ * @function can
+ * @param {Object|null} user - Signed-in user
+ * @param {string} permission - Permission name, e.g. tasks:delete
+ * @returns {boolean} True when allowed; unknown permissions are never allowed
+ */
+export function can(user, permission) {
+  return Boolean(user && PERMISSIONS[permission]?.includes(user.role))
+}
+
+/**
+ * Tells whether a user may edit a task: admins edit any task, members the ones they created
+ * or are assigned to
+ * @function canEditTask
+ * @param {Object|null} user - Signed-in user
+ * @param {Object} task - Task with createdBy and assignee IDs
+ * @returns {boolean} True when the edit would be accepted
+ */
+export function canEditTask(user, task) {
+  if (!can(user, 'tasks:update')) return false
+  if (can(user, 'tasks:update:any')) return true
+  return [task.createdBy, task.assignee].some((id) => id && id === user._id)
+}
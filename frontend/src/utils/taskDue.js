@@ -0,0 +1,102 @@
+/**
+ * @fileoverview Due date urgency of tasks and conversions for due date inputs
+ * @module utils/taskDue
+ */
+
+/**
+ * Hours before its due date that an open task counts as due soon; matches the API default
+ * @type {number}
+ */
+export const DUE_SOON_HOURS = 24
+
+/**
+ * Icon, colour and label shown for each due date urgency
+ * @type {Object<string, {icon: string, color: string, label: string}>}
+ */
+export const DUE_STATES = {
+  overdue: { icon: 'mdi-alert-circle', color: 'error', label: 'Overdue' },
+  'due-soon': {
+    icon: 'mdi-clock-alert-outline',
+    color: 'warning',
+    label: 'Due soon'
+  },
+  upcoming: { icon: 'mdi-calendar-clock', color: 'grey', label: 'Due' }
+}
+
+const HOUR_MS = 60 * 60 * 1000
+
+/**
+ * Classifies how urgent a task's due date is
+ * @function getDueState
+ * @param {Object} task - Task with dueDate and status
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {string|null} 'overdue', 'due-soon' or 'upcoming'; null for completed tasks and
+ * tasks without a due date
+ */
+export function getDueState(task, now = new Date()) {
+  if (!task.dueDate || task.status === 'completed') return null
+
+  const remaining = new Date(task.dueDate).getTime() - now.getTime()
+  if (remaining < 0) return 'overdue'
+  return remaining <= DUE_SOON_HOURS * HOUR_MS ? 'due-soon' : 'upcoming'
+}
+
+/**
+ * Formats a duration as whole minutes, hours or days, whichever reads best
+ * @function formatDuration
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Duration such as '45m', '5h' or '3d'
+ */
+function formatDuration(ms) {
+  if (ms < HOUR_MS) return `${Math.max(1, Math.round(ms / 60000))}m`
+  if (ms < 48 * HOUR_MS) return `${Math.round(ms / HOUR_MS)}h`
+  return `${Math.round(ms / (24 * HOUR_MS))}d`
+}
+
+/**
+ * Describes a task's due date relative to now
+ * @function describeDue
+ * @param {Object} task - Task with dueDate and status
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {string} Description, or an empty string when the task has no due date
+ * @example
+ * describeDue({ status: 'pending', dueDate: '2024-03-01T10:00:00Z' }, new Date('2024-03-01T13:00:00Z'))
+ * // 'Overdue by 3h'
+ */
+export function describeDue(task, now = new Date()) {
+  if (!task.dueDate) return ''
+
+  const due = new Date(task.dueDate)
+  switch (getDueState(task, now)) {
+    case 'overdue':
+      return `Overdue by ${formatDuration(now - due)}`
+    case 'due-soon':
+      return `Due in ${formatDuration(due - now)}`
+    default:
+      return `Due ${due.toLocaleDateString()}`
+  }
+}
+
+/**
+ * Converts an ISO date into the local "YYYY-MM-DDTHH:mm" value of a datetime-local input
+ * @function toDateTimeLocal
+ * @param {string|null} value - ISO 8601 date
+ * @returns {string} Input value, or an empty string when unset
+ */
+export function toDateTimeLocal(value) {
+  if (!value) return ''
+
+  const date = new Date(value)
+  const pad = (number) => String(number).padStart(2, '0')
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`
+}
+
+/**
+ * Converts a datetime-local input value, read as local time, into an ISO date
+ * @function fromDateTimeLocal
+ * @param {string} value - Input value
+ * @returns {string|null} ISO 8601 date, or null when the input is empty
+ */
+export function fromDateTimeLocal(value) {
+  return value ? new Date(value).toISOString() : null
+}
@@ -0,0 +1,135 @@
+/**
+ * @fileoverview Display helpers for task history entries and their field changes
+ * @module utils/taskHistory
+ */
+
+/**
+ * Labels of the fields recorded in the task history
+ * @type {Object<string, string>}
+ */
+export const FIELD_LABELS = {
+  title: 'Title',
+  description: 'Description',
+  status: 'Status',
+  priority: 'Priority',
+  estimatedTime: 'Estimated time',
+  actualTime: 'Actual time',
+  dueDate: 'Due date',
+  tags: 'Tags',
+  assignee: 'Assignee',
+  completedAt: 'Completed'
+}
+
+/**
+ * Icon, colour and label shown for each history action
+ * @type {Object<string, {icon: string, color: string, label: string}>}
+ */
+export const HISTORY_ACTIONS = {
+  created: { icon: 'mdi-plus-circle', color: 'success', label: 'Created' },
+  updated: { icon: 'mdi-pencil-circle', color: 'info', label: 'Updated' },
+  deleted: { icon: 'mdi-delete-circle', color: 'error', label: 'Deleted' },
+  restored: { icon: 'mdi-restore', color: 'success', label: 'Restored' },
+  purged: {
+    icon: 'mdi-delete-forever',
+    color: 'error',
+    label: 'Permanently deleted'
+  }
+}
+
+/**
+ * Longest value shown in a change summary before it is shortened
+ * @type {number}
+ */
+const MAX_VALUE_LENGTH = 40
+
+/**
+ * Formats a recorded field value for display
+ * @function formatChangeValue
+ * @param {string} field - Field name
+ * @param {*} value - Recorded value; null when unset
+ * @param {Object} [options={}] - Formatting options
+ * @param {Object<string, string>} [options.userNames={}] - User names keyed by ID, for assignees
+ * @returns {string} Display value
+ * @example
+ * formatChangeValue('status', 'in-progress') // 'In Progress'
+ * formatChangeValue('estimatedTime', 4) // '4h'
+ */
+export function formatChangeValue(field, value, { userNames = {} } = {}) {
+  if (value === null || value === undefined) return '—'
+
+  switch (field) {
+    case 'status':
+    case 'priority':
+      return value.replace('-', ' ').replace(/\b\w/g, (l) => l.toUpperCase())
+    case 'estimatedTime':
+    case 'actualTime':
+      return `${value}h`
+    case 'dueDate':
+    case 'completedAt':
+      return new Date(value).toLocaleString()
+    case 'tags':
+      return value.join(', ')
+    case 'assignee':
+      return userNames[value] || 'Unknown user'
+    default:
+      return String(value)
+  }
+}
+
+/**
+ * Shortens a display value for one-line summaries
+ * @function truncate
+ * @param {string} text - Display value
+ * @returns {string} Text of at most MAX_VALUE_LENGTH characters
+ */
+function truncate(text) {
+  return text.length > MAX_VALUE_LENGTH
+    ? `${text.slice(0, MAX_VALUE_LENGTH - 1)}…`
+    : text
+}
+
+/**
+ * Describes one field change as "Label: before → after"
+ * @function describeChange
+ * @param {{field: string, before: *, after: *}} change - Field change
+ * @param {Object} [options={}] - Formatting options
+ * @param {boolean} [options.short=false] - Shorten long values
+ * @param {Object<string, string>} [options.userNames={}] - User names keyed by ID, for assignees
+ * @returns {string} Change description
+ * @example
+ * describeChange({ field: 'priority', before: 'low', after: 'high' })
+ * // 'Priority: Low → High'
+ */
+export function describeChange(change, { short = false, userNames } = {}) {
+  const label = FIELD_LABELS[change.field] || change.field
+  const format = (value) => {
+    const text = formatChangeValue(change.field, value, { userNames })
+    return short ? truncate(text) : text
+  }
+
+  return `${label}: ${format(change.before)} → ${format(change.after)}`
+}
+
+/**
+ * Summarizes a history entry in one line for activity feeds. Updates list their changed
+ * fields; creates and deletes only name the action.
+ * @function summarizeEntry
+ * @param {Object} entry - History entry
+ * @param {Object} [options={}] - Formatting options
+ * @param {Object<string, string>} [options.userNames={}] - User names keyed by ID, for assignees
+ * @returns {string} Summary
+ * @example
+ * summarizeEntry({ action: 'updated', changes: [{ field: 'status', before: 'pending', after: 'completed' }] })
+ * // 'Status: Pending → Completed'
+ */
+export function summarizeEntry(entry, { userNames } = {}) {
+  const action = HISTORY_ACTIONS[entry.action]?.label || entry.action
+  const source =
+    entry.source && entry.source !== 'single' ? ` (${entry.source})` : ''
+
+  if (entry.action !== 'updated' || !entry.changes?.length) {
+    return `${action}${source}`
+  }
+
+  return `${entry.changes.map((change) => describeChange(change, { short: true, userNames })).join(', ')}${source}`
+}
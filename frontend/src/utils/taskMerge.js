@@ -0,0 +1,92 @@
+/**
+ * @fileoverview Three-way comparison of local task edits with a newer server copy
+ * @module utils/taskMerge
+ */
+
+/**
+ * Editable task fields compared when resolving a version conflict
+ * @type {Array<{key: string, label: string}>}
+ */
+export const MERGE_FIELDS = [
+  { key: 'title', label: 'Title' },
+  { key: 'description', label: 'Description' },
+  { key: 'priority', label: 'Priority' },
+  { key: 'status', label: 'Status' },
+  { key: 'estimatedTime', label: 'Estimated time' },
+  { key: 'actualTime', label: 'Actual time' },
+  { key: 'dueDate', label: 'Due date' },
+  { key: 'tags', label: 'Tags' },
+  { key: 'assignee', label: 'Assignee' }
+]
+
+/**
+ * Treats missing and empty values alike so untouched optional fields do not show as changes
+ * @function normalize
+ * @param {*} value - Field value
+ * @returns {*} The value, or null when empty
+ */
+function normalize(value) {
+  if (Array.isArray(value)) return value.length > 0 ? value : null
+  return value === undefined || value === '' ? null : value
+}
+
+/**
+ * Compares two normalized field values; lists such as tags are equal when their items are
+ * @function isSameValue
+ * @param {*} a - Field value
+ * @param {*} b - Field value
+ * @returns {boolean} True when both hold the same value
+ */
+export function isSameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b)
+}
+
+/**
+ * Compares each field of the local edits and the server copy with the task both started
+ * from. A field conflicts when both sides changed it to different values. Each row starts
+ * with the local value chosen if the user edited the field, and the server value otherwise.
+ * @function compareTaskEdits
+ * @param {Object} base - Task as it was when editing started
+ * @param {Object} local - Edited form values
+ * @param {Object} server - Current server copy
+ * @returns {Array<Object>} One row per field: key, label, local, server, localChanged,
+ * serverChanged, conflict and choice ('local' or 'server')
+ * @example
+ * compareTaskEdits({ title: 'A' }, { title: 'B' }, { title: 'C' })[0]
+ * // { key: 'title', local: 'B', server: 'C', conflict: true, choice: 'local', ... }
+ */
+export function compareTaskEdits(base, local, server) {
+  return MERGE_FIELDS.map(({ key, label }) => {
+    const original = normalize(base[key])
+    const mine = normalize(local[key])
+    const theirs = normalize(server[key])
+    const localChanged = !isSameValue(mine, original)
+    const serverChanged = !isSameValue(theirs, original)
+
+    return {
+      key,
+      label,
+      local: mine,
+      server: theirs,
+      localChanged,
+      serverChanged,
+      conflict: localChanged && serverChanged && !isSameValue(mine, theirs),
+      choice: localChanged ? 'local' : 'server'
+    }
+  })
+}
+
+/**
+ * Builds task field values from the chosen side of each compared field
+ * @function mergeTaskEdits
+ * @param {Array<Object>} rows - Rows from compareTaskEdits
+ * @returns {Object} Merged field values
+ */
+export function mergeTaskEdits(rows) {
+  return Object.fromEntries(
+    rows.map((row) => [
+      row.key,
+      row.choice === 'local' ? row.local : row.server
+    ])
+  )
+}
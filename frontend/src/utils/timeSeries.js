@@ -0,0 +1,42 @@
+/**
+ * @fileoverview Bucket sizes and labels for analytics time series
+ * @module utils/timeSeries
+ */
+
+/**
+ * Bucket sizes offered for the task trend, with the range the API returns by default
+ * @type {Array<{value: string, title: string, range: string}>}
+ */
+export const TIME_SERIES_INTERVALS = [
+  { value: 'hour', title: 'Hourly', range: 'Last 48 hours' },
+  { value: 'day', title: 'Daily', range: 'Last 30 days' },
+  { value: 'week', title: 'Weekly', range: 'Last 12 weeks' },
+  { value: 'month', title: 'Monthly', range: 'Last 12 months' }
+]
+
+/**
+ * Date parts shown for a bucket of each size. Buckets are UTC, so they are labelled in UTC
+ * too; local time would put a day bucket on the previous day west of Greenwich.
+ * @type {Object<string, Object>}
+ */
+const LABEL_FORMATS = {
+  hour: { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' },
+  day: { month: 'short', day: 'numeric' },
+  week: { month: 'short', day: 'numeric' },
+  month: { month: 'short', year: 'numeric' }
+}
+
+/**
+ * Labels a time series bucket by its start
+ * @function formatBucket
+ * @param {string|Date} start - Bucket start
+ * @param {string} interval - Bucket size (hour, day, week or month)
+ * @param {string} [locale] - Locale, the browser's by default
+ * @returns {string} Label, e.g. "Mar 14" for a day or "Mar 2024" for a month
+ */
+export function formatBucket(start, interval, locale) {
+  return new Date(start).toLocaleString(locale, {
+    ...(LABEL_FORMATS[interval] || LABEL_FORMATS.day),
+    timeZone: 'UTC'
+  })
+}
@@ -0,0 +1,167 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import apiClient from '../../src/api/client.js'
+
+const okResponse = (data) => ({
+  ok: true,
+  status: 200,
+  json: () => Promise.resolve({ success: true, data })
+})
+
+describe('ApiClient', () => {
+  let fetchMock
+
+  beforeEach(() => {
+    window.localStorage.clear()
+    fetchMock = vi.fn()
+    vi.stubGlobal('fetch', fetchMock)
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    vi.useFakeTimers()
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+    vi.unstubAllGlobals()
+    vi.restoreAllMocks()
+  })
+
+  it('should send an Idempotency-Key with mutations only', async () => {
+    fetchMock.mockResolvedValue(okResponse({}))
+
+    await apiClient.createTask({ title: 'A' })
+    await apiClient.createTask({ title: 'A' })
+    await apiClient.getTasks()
+
+    const keys = fetchMock.mock.calls.map(
+      ([, config]) => config.headers['Idempotency-Key']
+    )
+    expect(keys[0]).toBeTruthy()
+    expect(keys[1]).toBeTruthy()
+    expect(keys[1]).not.toBe(keys[0])
+    expect(keys[2]).toBeUndefined()
+  })
+
+  it('should not send an Idempotency-Key when signing in or out', async () => {
+    fetchMock.mockResolvedValue(
+      okResponse({ user: {}, accessToken: 'a', refreshToken: 'r' })
+    )
+
+    await apiClient.login('ada@example.com', 'password123')
+    await apiClient.logout()
+
+    expect(fetchMock).toHaveBeenCalledTimes(2)
+    fetchMock.mock.calls.forEach(([, config]) => {
+      expect(config.headers['Idempotency-Key']).toBeUndefined()
+    })
+  })
+
+  it('should retry network errors with the same key', async () => {
+    fetchMock
+      .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+      .mockResolvedValueOnce(okResponse({ _id: '1' }))
+
+    const request = apiClient.updateTask('1', { title: 'B' }, 2)
+    await vi.runAllTimersAsync()
+
+    await expect(request).resolves.toEqual({
+      success: true,
+      data: { _id: '1' }
+    })
+    const [first, second] = fetchMock.mock.calls.map(([, config]) => config)
+    expect(second.headers['Idempotency-Key']).toBe(
+      first.headers['Idempotency-Key']
+    )
+    expect(second.headers['If-Match']).toBe('"2"')
+  })
+
+  it('should give up after the retry limit', async () => {
+    fetchMock.mockRejectedValue(new TypeError('Failed to fetch'))
+
+    const request = apiClient.deleteTask('1')
+    const assertion = expect(request).rejects.toThrow('Failed to fetch')
+    await vi.runAllTimersAsync()
+
+    await assertion
+    expect(fetchMock).toHaveBeenCalledTimes(3)
+  })
+
+  it('should not retry HTTP errors', async () => {
+    fetchMock.mockResolvedValue({
+      ok: false,
+      status: 412,
+      json: () =>
+        Promise.resolve({
+          success: false,
+          message: 'Stale',
+          data: { _id: '1' }
+        })
+    })
+
+    const error = await apiClient.deleteTask('1', 0).catch((err) => err)
+
+    expect(fetchMock).toHaveBeenCalledTimes(1)
+    expect(error).toMatchObject({ status: 412, data: { _id: '1' } })
+  })
+
+  it('should refresh an expired access token once and retry with the same key', async () => {
+    apiClient.setSession({ accessToken: 'old', refreshToken: 'r1', user: {} })
+    fetchMock
+      .mockResolvedValueOnce({
+        ok: false,
+        status: 401,
+        json: () => Promise.resolve({ success: false })
+      })
+      .mockResolvedValueOnce(
+        okResponse({ accessToken: 'new', refreshToken: 'r2', user: {} })
+      )
+      .mockResolvedValueOnce(okResponse({ _id: '1' }))
+
+    await expect(apiClient.createTask({ title: 'A' })).resolves.toEqual({
+      success: true,
+      data: { _id: '1' }
+    })
+
+    const [[, first], [refreshUrl, refresh], [, retry]] = fetchMock.mock.calls
+    expect(first.headers.Authorization).toBe('Bearer old')
+    expect(refreshUrl).toMatch(/\/api\/auth\/refresh$/)
+    expect(JSON.parse(refresh.body)).toEqual({ refreshToken: 'r1' })
+    expect(retry.headers.Authorization).toBe('Bearer new')
+    expect(retry.headers['Idempotency-Key']).toBe(
+      first.headers['Idempotency-Key']
+    )
+    expect(apiClient.getSession().refreshToken).toBe('r2')
+  })
+
+  it('should end the session when the refresh token is rejected', async () => {
+    const onExpired = vi.fn()
+    const unsubscribe = apiClient.onSessionExpired(onExpired)
+    apiClient.setSession({ accessToken: 'old', refreshToken: 'r1', user: {} })
+    fetchMock.mockResolvedValue({
+      ok: false,
+      status: 401,
+      json: () => Promise.resolve({ success: false, message: 'Expired' })
+    })
+
+    const error = await apiClient.getTasks().catch((err) => err)
+    unsubscribe()
+
+    expect(error.status).toBe(401)
+    expect(fetchMock).toHaveBeenCalledTimes(2)
+    expect(apiClient.getSession()).toBeNull()
+    expect(onExpired).toHaveBeenCalledTimes(1)
+  })
+  it('should send the selected workspace with every request', async () => {
+    fetchMock.mockResolvedValue(okResponse({}))
+
+    await apiClient.getTasks()
+    apiClient.setWorkspace('w1')
+    await apiClient.getTasks()
+    apiClient.setWorkspace(null)
+    await apiClient.getTasks()
+
+    const workspaces = fetchMock.mock.calls.map(
+      ([, config]) => config.headers['X-Workspace-Id']
+    )
+    expect(workspaces).toEqual([undefined, 'w1', undefined])
+    expect(apiClient.getWorkspace()).toBeNull()
+  })
+})
@@ -10,11 +10,19 @@ const VIcon = {
   props: ['color', 'size']
 }
 
+const VSelect = {
+  template:
+    '<select class="v-select" :value="modelValue" @change="$emit(\'update:modelValue\', $event.target.value)"><option v-for="item in items" :key="item.value" :value="item.value">{{ item.title }}</option></select>',
+  props: ['modelValue', 'items'],
+  emits: ['update:modelValue']
+}
+
 const vuetify = {
   install(app) {
     app.component('VCard', VCard)
     app.component('VCardText', VCardText)
     app.component('VIcon', VIcon)
+    app.component('VSelect', VSelect)
   }
 }
 
@@ -68,4 +76,34 @@ describe('MetricCard', () => {
 
     expect(wrapper.text()).toContain('85%')
   })
+
+  it('offers alternative statistics only when given options', async () => {
+    const props = {
+      title: 'Completion Time',
+      value: '6h',
+      icon: 'mdi-clock',
+      color: 'info'
+    }
+    expect(
+      mount(MetricCard, { global: { plugins: [vuetify] }, props })
+        .find('.v-select')
+        .exists()
+    ).toBe(false)
+
+    const wrapper = mount(MetricCard, {
+      global: { plugins: [vuetify] },
+      props: {
+        ...props,
+        options: [
+          { value: 'mean', title: 'Mean' },
+          { value: 'p90', title: 'p90' }
+        ],
+        option: 'mean'
+      }
+    })
+
+    await wrapper.find('.v-select').setValue('p90')
+
+    expect(wrapper.emitted('update:option')).toEqual([['p90']])
+  })
 })
@@ -0,0 +1,217 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { setActivePinia, createPinia } from 'pinia'
+import { useAnalyticsStore } from '../../src/stores/analyticsStore.js'
+import apiClient from '../../src/api/client.js'
+import socket from '../../src/plugins/socket.js'
+
+// Mock the API client
+vi.mock('../../src/api/client.js', () => ({
+  default: {
+    getAnalytics: vi.fn(),
+    getAnalyticsTimeSeries: vi.fn(),
+    getAnalyticsLeadTime: vi.fn(),
+    getAnalyticsEstimates: vi.fn(),
+    getWorkspace: vi.fn(),
+    createExportJob: vi.fn(),
+    downloadExportFile: vi.fn()
+  }
+}))
+
+// Mock the socket
+vi.mock('../../src/plugins/socket.js', () => ({
+  default: {
+    id: 'socket-123',
+    on: vi.fn(),
+    off: vi.fn(),
+    emit: vi.fn()
+  }
+}))
+
+describe('Analytics Store', () => {
+  beforeEach(() => {
+    setActivePinia(createPinia())
+    vi.clearAllMocks()
+    apiClient.createExportJob.mockResolvedValue({
+      data: { _id: 'export-1', status: 'queued', createdAt: '2024-01-01' }
+    })
+  })
+
+  it('should chart tags in the order the API ranks them', () => {
+    const analyticsStore = useAnalyticsStore()
+
+    analyticsStore.updateAnalytics({ tasksByTag: { design: 5, planning: 2 } })
+
+    expect(
+      analyticsStore.tagData.map(({ name, value }) => [name, value])
+    ).toEqual([
+      ['design', 5],
+      ['planning', 2]
+    ])
+    expect(analyticsStore.tagData[0].color).not.toBe(
+      analyticsStore.tagData[1].color
+    )
+  })
+
+  it('should start an export job for this socket', async () => {
+    const analyticsStore = useAnalyticsStore()
+
+    const job = await analyticsStore.startExportJob('csv', {
+      status: 'pending'
+    })
+
+    expect(apiClient.createExportJob).toHaveBeenCalledWith({
+      format: 'csv',
+      filters: { status: 'pending' },
+      socketId: 'socket-123'
+    })
+    expect(job.id).toBe('export-1')
+    expect(analyticsStore.exportJobs).toHaveLength(1)
+  })
+
+  it('should track export progress and completion', async () => {
+    const analyticsStore = useAnalyticsStore()
+    await analyticsStore.startExportJob('json')
+
+    analyticsStore.handleExportProgress({
+      exportId: 'export-1',
+      processed: 40,
+      total: 80,
+      percent: 50
+    })
+    expect(analyticsStore.exportJobs[0]).toMatchObject({
+      status: 'running',
+      percent: 50
+    })
+
+    analyticsStore.handleExportComplete({
+      exportId: 'export-1',
+      format: 'json',
+      rowCount: 80
+    })
+    expect(analyticsStore.exportJobs[0]).toMatchObject({
+      status: 'completed',
+      percent: 100,
+      rowCount: 80
+    })
+    expect(analyticsStore.notifications[0].type).toBe('success')
+  })
+
+  it('should record failed exports and ignore unknown jobs', async () => {
+    const analyticsStore = useAnalyticsStore()
+    await analyticsStore.startExportJob('csv')
+
+    analyticsStore.handleExportProgress({ exportId: 'other', percent: 10 })
+    analyticsStore.handleExportFailed({ exportId: 'export-1', message: 'boom' })
+
+    expect(analyticsStore.exportJobs[0]).toMatchObject({
+      status: 'failed',
+      error: 'boom'
+    })
+    expect(analyticsStore.notifications[0].type).toBe('error')
+
+    analyticsStore.removeExportJob('export-1')
+    expect(analyticsStore.exportJobs).toHaveLength(0)
+  })
+  it('should join the stored workspace on connect and switch rooms later', () => {
+    apiClient.getWorkspace.mockReturnValue('w1')
+    const analyticsStore = useAnalyticsStore()
+    analyticsStore.initializeSocketListeners()
+    const onConnect = socket.on.mock.calls.find(
+      ([event]) => event === 'connect'
+    )[1]
+
+    socket.connected = true
+    onConnect()
+    analyticsStore.joinWorkspace('w2')
+    socket.connected = false
+    analyticsStore.joinWorkspace('w3')
+
+    expect(socket.emit.mock.calls).toEqual([
+      ['join-workspace', 'w1'],
+      ['join-workspace', 'w2']
+    ])
+    expect(analyticsStore.connected).toBe(true)
+  })
+
+  it('should refresh a loaded time series on task changes until cleared', async () => {
+    const series = { interval: 'week', buckets: [{ created: 2 }] }
+    apiClient.getAnalyticsTimeSeries.mockResolvedValue({ data: series })
+    const analyticsStore = useAnalyticsStore()
+    analyticsStore.initializeSocketListeners()
+    const onTaskUpdate = socket.on.mock.calls.find(
+      ([event]) => event === 'task-update'
+    )[1]
+
+    await analyticsStore.fetchTimeSeries('week')
+    onTaskUpdate({ action: 'create' })
+    analyticsStore.clearTimeSeries()
+    onTaskUpdate({ action: 'create' })
+
+    expect(apiClient.getAnalyticsTimeSeries.mock.calls).toEqual([
+      [{ interval: 'week' }],
+      [{ interval: 'week' }]
+    ])
+    expect(analyticsStore.timeSeriesInterval).toBe('week')
+  })
+
+  it('should refresh loaded lead times on task changes until cleared', async () => {
+    const stats = { leadTime: { count: 3, p50: 4 }, histogram: [] }
+    apiClient.getAnalyticsLeadTime.mockResolvedValue({ data: stats })
+    const analyticsStore = useAnalyticsStore()
+    analyticsStore.initializeSocketListeners()
+    const onTaskUpdate = socket.on.mock.calls.find(
+      ([event]) => event === 'task-update'
+    )[1]
+
+    onTaskUpdate({ action: 'create' })
+    await analyticsStore.fetchLeadTime()
+    onTaskUpdate({ action: 'create' })
+    analyticsStore.clearLeadTime()
+    onTaskUpdate({ action: 'create' })
+    await Promise.resolve()
+
+    // The refresh started before clearing does not bring the statistics back
+    expect(apiClient.getAnalyticsLeadTime).toHaveBeenCalledTimes(2)
+    expect(analyticsStore.leadTime).toBeNull()
+  })
+
+  it('should refresh loaded estimate accuracy on task changes until cleared', async () => {
+    apiClient.getAnalyticsEstimates.mockResolvedValue({
+      data: { count: 2, medianRatio: 1.5, points: [] }
+    })
+    const analyticsStore = useAnalyticsStore()
+    analyticsStore.initializeSocketListeners()
+    const onTaskUpdate = socket.on.mock.calls.find(
+      ([event]) => event === 'task-update'
+    )[1]
+
+    await analyticsStore.fetchEstimates()
+    expect(analyticsStore.estimates.medianRatio).toBe(1.5)
+    onTaskUpdate({ action: 'update' })
+    analyticsStore.clearEstimates()
+    onTaskUpdate({ action: 'update' })
+    await Promise.resolve()
+
+    expect(apiClient.getAnalyticsEstimates).toHaveBeenCalledTimes(2)
+    expect(analyticsStore.estimates).toBeNull()
+  })
+
+  it('should keep the time series of the latest interval requested', async () => {
+    let resolveDay
+    apiClient.getAnalyticsTimeSeries
+      .mockReturnValueOnce(
+        new Promise((resolve) => {
+          resolveDay = resolve
+        })
+      )
+      .mockResolvedValueOnce({ data: { interval: 'month', buckets: [] } })
+    const analyticsStore = useAnalyticsStore()
+
+    const day = analyticsStore.fetchTimeSeries('day')
+    await analyticsStore.fetchTimeSeries('month')
+    resolveDay({ data: { interval: 'day', buckets: [] } })
+    await day
+
+    expect(analyticsStore.timeSeries.interval).toBe('month')
+  })
+})
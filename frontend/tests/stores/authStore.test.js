@@ -0,0 +1,92 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { setActivePinia, createPinia } from 'pinia'
+import { useAuthStore } from '../../src/stores/authStore.js'
+import apiClient from '../../src/api/client.js'
+
+// Mock the API client
+vi.mock('../../src/api/client.js', () => ({
+  default: {
+    getSession: vi.fn(),
+    setSession: vi.fn(),
+    onSessionExpired: vi.fn(),
+    login: vi.fn(),
+    logout: vi.fn(),
+    getCurrentUser: vi.fn()
+  }
+}))
+
+const ada = { _id: 'u1', name: 'Ada Lovelace', email: 'ada@example.com' }
+
+describe('Auth Store', () => {
+  beforeEach(() => {
+    setActivePinia(createPinia())
+    vi.clearAllMocks()
+    apiClient.getSession.mockReturnValue(null)
+  })
+
+  it('should restore the user of a stored session', () => {
+    apiClient.getSession.mockReturnValue({ accessToken: 'a', user: ada })
+
+    const authStore = useAuthStore()
+
+    expect(authStore.isAuthenticated).toBe(true)
+    expect(authStore.user).toEqual(ada)
+  })
+
+  it('should sign in and out', async () => {
+    const authStore = useAuthStore()
+    apiClient.login.mockResolvedValue({ data: { user: ada } })
+
+    await authStore.login('ada@example.com', 'password123')
+
+    expect(apiClient.login).toHaveBeenCalledWith(
+      'ada@example.com',
+      'password123'
+    )
+    expect(authStore.user).toEqual(ada)
+
+    await authStore.logout()
+
+    expect(apiClient.logout).toHaveBeenCalled()
+    expect(authStore.isAuthenticated).toBe(false)
+  })
+
+  it('should keep the error of a failed sign-in', async () => {
+    const authStore = useAuthStore()
+    apiClient.login.mockRejectedValue(new Error('Invalid email or password'))
+
+    await expect(authStore.login('ada@example.com', 'wrong')).rejects.toThrow(
+      'Invalid email or password'
+    )
+
+    expect(authStore.error).toBe('Invalid email or password')
+    expect(authStore.loading).toBe(false)
+    expect(authStore.isAuthenticated).toBe(false)
+  })
+
+  it('should sign out when the session can no longer be refreshed', () => {
+    apiClient.getSession.mockReturnValue({ accessToken: 'a', user: ada })
+    const authStore = useAuthStore()
+
+    const [[onExpired]] = apiClient.onSessionExpired.mock.calls
+    onExpired()
+
+    expect(authStore.isAuthenticated).toBe(false)
+  })
+
+  it('should answer permission checks for the signed-in role', () => {
+    apiClient.getSession.mockReturnValue({
+      accessToken: 'a',
+      user: { ...ada, role: 'member' }
+    })
+    const authStore = useAuthStore()
+
+    expect(authStore.role).toBe('member')
+    expect(authStore.can('tasks:create')).toBe(true)
+    expect(authStore.can('tasks:delete')).toBe(false)
+    expect(authStore.canEditTask({ createdBy: 'u1' })).toBe(true)
+    expect(authStore.canEditTask({ createdBy: 'u2', assignee: 'u3' })).toBe(
+      false
+    )
+  })
+})
@@ -0,0 +1,67 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { setActivePinia, createPinia } from 'pinia'
+import { useExportStore } from '../../src/stores/exportStore.js'
+import apiClient from '../../src/api/client.js'
+
+// Mock the API client
+vi.mock('../../src/api/client.js', () => ({
+  default: {
+    getExports: vi.fn(),
+    downloadExport: vi.fn()
+  }
+}))
+
+const page = {
+  data: {
+    exports: [{ _id: 'e1', format: 'csv', rowCount: 3 }],
+    pagination: { page: 1, limit: 10, total: 1, pages: 1 }
+  }
+}
+
+describe('Export Store', () => {
+  beforeEach(() => {
+    setActivePinia(createPinia())
+    vi.clearAllMocks()
+  })
+
+  it('should initialize with empty state', () => {
+    const exportStore = useExportStore()
+
+    expect(exportStore.exports).toEqual([])
+    expect(exportStore.loading).toBe(false)
+    expect(exportStore.downloading).toBe(null)
+  })
+
+  it('should fetch a page of exports', async () => {
+    const exportStore = useExportStore()
+    apiClient.getExports.mockResolvedValue(page)
+
+    await exportStore.fetchExports()
+
+    expect(apiClient.getExports).toHaveBeenCalledWith({ page: 1, limit: 10 })
+    expect(exportStore.exports).toHaveLength(1)
+    expect(exportStore.pagination.total).toBe(1)
+  })
+
+  it('should record fetch errors', async () => {
+    const exportStore = useExportStore()
+    apiClient.getExports.mockRejectedValue(new Error('offline'))
+
+    await exportStore.fetchExports()
+
+    expect(exportStore.error).toBe('offline')
+    expect(exportStore.loading).toBe(false)
+  })
+
+  it('should re-download an export and refresh the history', async () => {
+    const exportStore = useExportStore()
+    const file = { blob: {}, filename: 'tasks.csv' }
+    apiClient.downloadExport.mockResolvedValue(file)
+    apiClient.getExports.mockResolvedValue(page)
+
+    await expect(exportStore.downloadExport('e1')).resolves.toBe(file)
+    expect(apiClient.downloadExport).toHaveBeenCalledWith('e1')
+    expect(apiClient.getExports).toHaveBeenCalled()
+    expect(exportStore.downloading).toBe(null)
+  })
+})
@@ -0,0 +1,90 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { setActivePinia, createPinia } from 'pinia'
+import { useReportStore } from '../../src/stores/reportStore.js'
+import apiClient from '../../src/api/client.js'
+
+// Mock the API client
+vi.mock('../../src/api/client.js', () => ({
+  default: {
+    getAnalyticsBurndown: vi.fn()
+  }
+}))
+
+const burndown = (remaining) => ({
+  data: {
+    from: '2024-03-01T00:00:00.000Z',
+    to: '2024-03-02T23:59:59.999Z',
+    days: [
+      { date: '2024-03-01T00:00:00.000Z', total: 5, completed: 1, remaining }
+    ]
+  }
+})
+
+describe('Report Store', () => {
+  beforeEach(() => {
+    setActivePinia(createPinia())
+    vi.clearAllMocks()
+  })
+
+  it('should open on a two-week window without filters', () => {
+    const reportStore = useReportStore()
+    const { from, to } = reportStore.filters
+
+    expect((new Date(to) - new Date(from)) / (24 * 60 * 60 * 1000)).toBe(13)
+    expect(reportStore.filters.tags).toEqual([])
+  })
+
+  it('should send only the filters in use as comma-separated lists', async () => {
+    apiClient.getAnalyticsBurndown.mockResolvedValue(burndown(4))
+    const reportStore = useReportStore()
+
+    await reportStore.setFilters({
+      from: '2024-03-01',
+      to: '2024-03-02',
+      tags: ['sprint-4', 'api'],
+      tagMode: 'all',
+      assignee: ['u1']
+    })
+
+    expect(apiClient.getAnalyticsBurndown).toHaveBeenCalledWith({
+      from: '2024-03-01',
+      to: '2024-03-02',
+      tags: 'sprint-4,api',
+      tagMode: 'all',
+      assignee: 'u1'
+    })
+    expect(reportStore.burndown.days[0].remaining).toBe(4)
+    expect(reportStore.loading).toBe(false)
+  })
+
+  it('should keep the series of the latest filters', async () => {
+    let resolveFirst
+    apiClient.getAnalyticsBurndown
+      .mockReturnValueOnce(
+        new Promise((resolve) => {
+          resolveFirst = resolve
+        })
+      )
+      .mockResolvedValueOnce(burndown(2))
+    const reportStore = useReportStore()
+
+    const first = reportStore.fetchBurndown()
+    await reportStore.setFilters({ tags: ['sprint-5'] })
+    resolveFirst(burndown(9))
+    await first
+
+    expect(reportStore.burndown.days[0].remaining).toBe(2)
+  })
+
+  it('should report errors', async () => {
+    apiClient.getAnalyticsBurndown.mockRejectedValue(
+      new Error('from must not be after to')
+    )
+    const reportStore = useReportStore()
+
+    await reportStore.fetchBurndown()
+
+    expect(reportStore.error).toBe('from must not be after to')
+    expect(reportStore.loading).toBe(false)
+  })
+})
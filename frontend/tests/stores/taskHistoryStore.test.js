@@ -0,0 +1,92 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { setActivePinia, createPinia } from 'pinia'
+import { useTaskHistoryStore } from '../../src/stores/taskHistoryStore.js'
+import apiClient from '../../src/api/client.js'
+
+// Mock the API client
+vi.mock('../../src/api/client.js', () => ({
+  default: {
+    getTask: vi.fn(),
+    getTaskHistory: vi.fn()
+  }
+}))
+
+// Mock the socket
+vi.mock('../../src/plugins/socket.js', () => ({
+  default: {
+    on: vi.fn(),
+    off: vi.fn()
+  }
+}))
+
+const historyPage = (page, ids) => ({
+  data: {
+    entries: ids.map((id) => ({ _id: id, taskId: 't1', action: 'updated' })),
+    pagination: { page, limit: 10, total: 12, pages: 2 }
+  }
+})
+
+describe('Task History Store', () => {
+  beforeEach(() => {
+    setActivePinia(createPinia())
+    vi.clearAllMocks()
+  })
+
+  it('should load a task with the first page of its history', async () => {
+    const historyStore = useTaskHistoryStore()
+    apiClient.getTask.mockResolvedValue({ data: { _id: 't1', title: 'Docs' } })
+    apiClient.getTaskHistory.mockResolvedValue(historyPage(1, ['h2', 'h1']))
+
+    await historyStore.loadTask('t1')
+
+    expect(apiClient.getTaskHistory).toHaveBeenCalledWith('t1', {
+      page: 1,
+      limit: 10
+    })
+    expect(historyStore.task.title).toBe('Docs')
+    expect(historyStore.entries).toHaveLength(2)
+    expect(historyStore.hasMore).toBe(true)
+  })
+
+  it('should keep the history of a deleted task', async () => {
+    const historyStore = useTaskHistoryStore()
+    apiClient.getTask.mockRejectedValue(new Error('Task not found'))
+    apiClient.getTaskHistory.mockResolvedValue(historyPage(1, ['h1']))
+
+    await historyStore.loadTask('t1')
+
+    expect(historyStore.task).toBe(null)
+    expect(historyStore.entries).toHaveLength(1)
+    expect(historyStore.error).toBe(null)
+  })
+
+  it('should append older entries without duplicates', async () => {
+    const historyStore = useTaskHistoryStore()
+    apiClient.getTask.mockResolvedValue({ data: { _id: 't1' } })
+    apiClient.getTaskHistory
+      .mockResolvedValueOnce(historyPage(1, ['h3', 'h2']))
+      .mockResolvedValueOnce(historyPage(2, ['h2', 'h1']))
+
+    await historyStore.loadTask('t1')
+    await historyStore.loadMore()
+
+    expect(historyStore.entries.map((entry) => entry._id)).toEqual([
+      'h3',
+      'h2',
+      'h1'
+    ])
+    expect(historyStore.hasMore).toBe(false)
+  })
+
+  it('should reload only when a socket update touches the open task', async () => {
+    const historyStore = useTaskHistoryStore()
+    apiClient.getTask.mockResolvedValue({ data: { _id: 't1' } })
+    apiClient.getTaskHistory.mockResolvedValue(historyPage(1, ['h1']))
+    await historyStore.loadTask('t1')
+
+    historyStore.handleTaskUpdate({ action: 'updated', task: { _id: 't2' } })
+    historyStore.handleTaskUpdate({ action: 'updated', tasks: [{ _id: 't1' }] })
+
+    expect(apiClient.getTaskHistory).toHaveBeenCalledTimes(2)
+  })
+})
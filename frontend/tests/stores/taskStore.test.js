@@ -1,15 +1,20 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest'
 import { setActivePinia, createPinia } from 'pinia'
 import { useTaskStore } from '../../src/stores/taskStore.js'
+import apiClient from '../../src/api/client.js'
 
 // Mock the API client
-vi.mock('../../src/api/client.js', () => ({
+vi.mock('../../src/api/client.js', async (importOriginal) => ({
+  ...(await importOriginal()),
   default: {
     getTasks: vi.fn(),
     getTask: vi.fn(),
     createTask: vi.fn(),
     updateTask: vi.fn(),
-    deleteTask: vi.fn()
+    deleteTask: vi.fn(),
+    restoreTask: vi.fn(),
+    bulkTasks: vi.fn(),
+    importTasks: vi.fn()
   }
 }))
 
@@ -25,6 +30,7 @@ vi.mock('../../src/plugins/socket.js', () => ({
 describe('Task Store', () => {
   beforeEach(() => {
     setActivePinia(createPinia())
+    vi.clearAllMocks()
   })
 
   it('should initialize with empty state', () => {
@@ -94,4 +100,296 @@ describe('Task Store', () => {
       high: 2
     })
   })
+
+  it('should expose only the non-empty filters', () => {
+    const taskStore = useTaskStore()
+
+    taskStore.filters.priority = 'high'
+
+    expect(taskStore.activeFilters).toEqual({
+      priority: 'high',
+      sortBy: 'createdAt',
+      sortOrder: 'desc'
+    })
+  })
+
+  it('should send multi-value filters as comma-separated params', () => {
+    const taskStore = useTaskStore()
+    apiClient.getTasks.mockResolvedValue({
+      data: {
+        tasks: [],
+        pagination: { page: 1, limit: 10, total: 0, pages: 0 }
+      }
+    })
+
+    taskStore.updateFilters({
+      status: ['pending', 'in-progress'],
+      search: 'report',
+      createdFrom: '2024-01-01'
+    })
+
+    expect(apiClient.getTasks).toHaveBeenCalledWith({
+      page: 1,
+      limit: 10,
+      status: 'pending,in-progress',
+      search: 'report',
+      createdFrom: '2024-01-01',
+      sortBy: 'createdAt',
+      sortOrder: 'desc'
+    })
+  })
+
+  it('should send the updated date range as params', () => {
+    const taskStore = useTaskStore()
+    apiClient.getTasks.mockResolvedValue({
+      data: {
+        tasks: [],
+        pagination: { page: 1, limit: 10, total: 0, pages: 0 }
+      }
+    })
+
+    expect(taskStore.filters).toMatchObject({ updatedFrom: '', updatedTo: '' })
+
+    taskStore.updateFilters({
+      updatedFrom: '2024-02-01',
+      updatedTo: '2024-02-29'
+    })
+
+    expect(apiClient.getTasks).toHaveBeenCalledWith({
+      page: 1,
+      limit: 10,
+      updatedFrom: '2024-02-01',
+      updatedTo: '2024-02-29',
+      sortBy: 'createdAt',
+      sortOrder: 'desc'
+    })
+  })
+
+  it('should page with cursors and append more tasks in infinite mode', async () => {
+    const taskStore = useTaskStore()
+    apiClient.getTasks
+      .mockResolvedValueOnce({
+        data: {
+          tasks: [{ _id: '1' }, { _id: '2' }],
+          pagination: {
+            mode: 'cursor',
+            total: 3,
+            hasNext: true,
+            nextCursor: 'c2'
+          }
+        }
+      })
+      .mockResolvedValueOnce({
+        data: {
+          tasks: [{ _id: '2' }, { _id: '3' }],
+          pagination: {
+            mode: 'cursor',
+            total: 3,
+            hasNext: false,
+            nextCursor: null
+          }
+        }
+      })
+
+    taskStore.paginationMode = 'infinite'
+    await taskStore.fetchTasks()
+
+    expect(apiClient.getTasks).toHaveBeenLastCalledWith({
+      limit: 10,
+      pagination: 'cursor',
+      sortBy: 'createdAt',
+      sortOrder: 'desc'
+    })
+    expect(taskStore.hasMore).toBe(true)
+
+    const more = await taskStore.fetchMoreTasks()
+
+    expect(apiClient.getTasks).toHaveBeenLastCalledWith(
+      expect.objectContaining({ pagination: 'cursor', after: 'c2' })
+    )
+    expect(more).toBe(false)
+    expect(taskStore.tasks.map((task) => task._id)).toEqual(['1', '2', '3'])
+    expect(taskStore.pagination.total).toBe(3)
+  })
+
+  it('should use page numbers for ranked text search in infinite mode', () => {
+    const taskStore = useTaskStore()
+
+    taskStore.paginationMode = 'infinite'
+    expect(taskStore.usesCursor).toBe(true)
+
+    taskStore.filters.search = 'report'
+    taskStore.filters.searchMode = 'text'
+    expect(taskStore.usesCursor).toBe(false)
+  })
+
+  it('should bulk update selected tasks by id and apply the result', async () => {
+    const taskStore = useTaskStore()
+    taskStore.tasks = [
+      { _id: '1', status: 'pending' },
+      { _id: '2', status: 'pending' },
+      { _id: '3', status: 'pending' }
+    ]
+    apiClient.bulkTasks.mockResolvedValue({
+      data: {
+        action: 'update',
+        count: 2,
+        ids: ['1', '2'],
+        tasks: [
+          { _id: '1', status: 'completed' },
+          { _id: '2', status: 'completed' }
+        ]
+      }
+    })
+
+    const result = await taskStore.bulkTasks('update', {
+      ids: ['1', '2'],
+      updates: { status: 'completed' }
+    })
+
+    expect(apiClient.bulkTasks).toHaveBeenCalledWith({
+      action: 'update',
+      ids: ['1', '2'],
+      updates: { status: 'completed' }
+    })
+    expect(result.count).toBe(2)
+    expect(taskStore.tasks.map((task) => task.status)).toEqual([
+      'completed',
+      'completed',
+      'pending'
+    ])
+  })
+
+  it('should bulk delete every task matching the filters', async () => {
+    const taskStore = useTaskStore()
+    taskStore.filters.status = ['completed']
+    apiClient.bulkTasks.mockResolvedValue({
+      data: { action: 'delete', count: 4, ids: [], tasks: [] }
+    })
+    apiClient.getTasks.mockResolvedValue({
+      data: {
+        tasks: [],
+        pagination: { page: 1, limit: 10, total: 0, pages: 0 }
+      }
+    })
+
+    await taskStore.bulkTasks('delete')
+
+    expect(apiClient.bulkTasks).toHaveBeenCalledWith({
+      action: 'delete',
+      filters: { status: 'completed', sortBy: 'createdAt', sortOrder: 'desc' }
+    })
+    expect(apiClient.getTasks).toHaveBeenCalled()
+  })
+
+  it('should apply batched socket updates', () => {
+    const taskStore = useTaskStore()
+    taskStore.tasks = [
+      { _id: '1', title: 'A' },
+      { _id: '2', title: 'B' },
+      { _id: '3', title: 'C' }
+    ]
+    taskStore.pagination.total = 3
+
+    taskStore.handleTaskUpdate({
+      action: 'deleted',
+      tasks: [{ _id: '1' }, { _id: '3' }]
+    })
+
+    expect(taskStore.tasks).toEqual([{ _id: '2', title: 'B' }])
+    expect(taskStore.pagination.total).toBe(1)
+  })
+
+  it('should put a restored task back into the list', async () => {
+    const taskStore = useTaskStore()
+    taskStore.tasks = [{ _id: '2', title: 'B' }]
+    taskStore.pagination.total = 1
+    apiClient.restoreTask.mockResolvedValue({
+      data: { _id: '1', title: 'A', version: 2 }
+    })
+
+    await taskStore.restoreTask('1')
+    taskStore.handleTaskUpdate({
+      action: 'restored',
+      task: { _id: '1', title: 'A', version: 2 }
+    })
+
+    expect(apiClient.restoreTask).toHaveBeenCalledWith('1')
+    expect(taskStore.tasks.map((task) => task._id)).toEqual(['1', '2'])
+    expect(taskStore.pagination.total).toBe(2)
+  })
+
+  it('should return dry-run import reports without refreshing tasks', async () => {
+    const taskStore = useTaskStore()
+    const report = { dryRun: true, total: 2, valid: 1, invalid: 1, inserted: 0 }
+    apiClient.importTasks.mockResolvedValue({ data: report })
+
+    const request = { format: 'csv', content: 'title\nA\n', dryRun: true }
+    await expect(taskStore.importTasks(request)).resolves.toEqual(report)
+
+    expect(apiClient.importTasks).toHaveBeenCalledWith(request)
+    expect(apiClient.getTasks).not.toHaveBeenCalled()
+  })
+
+  it('should refresh tasks after an import and keep failures out of the list state', async () => {
+    const taskStore = useTaskStore()
+    apiClient.importTasks.mockResolvedValueOnce({
+      data: { dryRun: false, inserted: 3 }
+    })
+    apiClient.getTasks.mockResolvedValue({
+      data: {
+        tasks: [],
+        pagination: { page: 1, limit: 10, total: 3, pages: 1 }
+      }
+    })
+
+    await taskStore.importTasks({ format: 'json', content: '[]' })
+    expect(apiClient.getTasks).toHaveBeenCalled()
+
+    apiClient.importTasks.mockRejectedValueOnce(new Error('2 of 3 rows failed'))
+    await expect(
+      taskStore.importTasks({ format: 'json', content: '[]' })
+    ).rejects.toThrow('2 of 3 rows failed')
+    expect(taskStore.error).toBe(null)
+  })
+  it('should send the edited version and load the server copy on a conflict', async () => {
+    const taskStore = useTaskStore()
+    taskStore.tasks = [{ _id: '1', title: 'Mine', version: 2 }]
+
+    const current = { _id: '1', title: 'Theirs', version: 3 }
+    const conflict = Object.assign(new Error('Task was modified'), {
+      status: 412,
+      data: current
+    })
+    apiClient.updateTask.mockRejectedValueOnce(conflict)
+
+    await expect(
+      taskStore.updateTask('1', { title: 'Mine again' }, 2)
+    ).rejects.toBe(conflict)
+
+    expect(apiClient.updateTask).toHaveBeenCalledWith(
+      '1',
+      { title: 'Mine again' },
+      2
+    )
+    expect(taskStore.tasks[0]).toEqual(current)
+    expect(taskStore.error).toBe(null)
+  })
+
+  it('should ignore socket updates older than the loaded task', () => {
+    const taskStore = useTaskStore()
+    taskStore.tasks = [{ _id: '1', title: 'New', version: 4 }]
+
+    taskStore.handleTaskUpdate({
+      action: 'updated',
+      task: { _id: '1', title: 'Old', version: 3 }
+    })
+    expect(taskStore.tasks[0].title).toBe('New')
+
+    taskStore.handleTaskUpdate({
+      action: 'updated',
+      task: { _id: '1', title: 'Newer', version: 5 }
+    })
+    expect(taskStore.tasks[0].title).toBe('Newer')
+  })
 })
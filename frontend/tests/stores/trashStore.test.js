@@ -0,0 +1,89 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { setActivePinia, createPinia } from 'pinia'
+import { useTrashStore } from '../../src/stores/trashStore.js'
+import apiClient from '../../src/api/client.js'
+
+// Mock the API client
+vi.mock('../../src/api/client.js', () => ({
+  default: {
+    getTrash: vi.fn(),
+    restoreTask: vi.fn(),
+    purgeTask: vi.fn()
+  }
+}))
+
+// Mock the socket
+vi.mock('../../src/plugins/socket.js', () => ({
+  default: {
+    on: vi.fn(),
+    off: vi.fn()
+  }
+}))
+
+const trashPage = () => ({
+  data: {
+    tasks: [
+      { _id: 't1', title: 'Old', deletedAt: '2024-03-01T00:00:00.000Z' },
+      { _id: 't2', title: 'Older', deletedAt: '2024-02-01T00:00:00.000Z' }
+    ],
+    pagination: { page: 1, limit: 10, total: 2, pages: 1 },
+    retentionDays: 30
+  }
+})
+
+describe('Trash Store', () => {
+  beforeEach(() => {
+    setActivePinia(createPinia())
+    vi.clearAllMocks()
+  })
+
+  it('should fetch a page of deleted tasks', async () => {
+    const trashStore = useTrashStore()
+    apiClient.getTrash.mockResolvedValue(trashPage())
+
+    await trashStore.fetchTrash()
+
+    expect(apiClient.getTrash).toHaveBeenCalledWith({ page: 1, limit: 10 })
+    expect(trashStore.tasks).toHaveLength(2)
+    expect(trashStore.retentionDays).toBe(30)
+  })
+
+  it('should drop restored and purged tasks from the page', async () => {
+    const trashStore = useTrashStore()
+    apiClient.getTrash.mockResolvedValue(trashPage())
+    apiClient.restoreTask.mockResolvedValue({ data: { _id: 't1' } })
+    apiClient.purgeTask.mockResolvedValue({ success: true })
+    await trashStore.fetchTrash()
+
+    const restored = await trashStore.restoreTask('t1')
+    await trashStore.purgeTask('t2')
+
+    expect(restored._id).toBe('t1')
+    expect(trashStore.tasks).toHaveLength(0)
+    expect(trashStore.pagination.total).toBe(0)
+  })
+
+  it('should keep the task listed when a restore fails', async () => {
+    const trashStore = useTrashStore()
+    apiClient.getTrash.mockResolvedValue(trashPage())
+    apiClient.restoreTask.mockRejectedValue(
+      new Error('Task not found in trash')
+    )
+    await trashStore.fetchTrash()
+
+    await expect(trashStore.restoreTask('t1')).rejects.toThrow(
+      'Task not found in trash'
+    )
+    expect(trashStore.tasks).toHaveLength(2)
+  })
+
+  it('should refetch only for updates that change the trash', () => {
+    const trashStore = useTrashStore()
+    apiClient.getTrash.mockResolvedValue(trashPage())
+
+    trashStore.handleTaskUpdate({ action: 'updated', task: { _id: 't3' } })
+    trashStore.handleTaskUpdate({ action: 'deleted', task: { _id: 't3' } })
+
+    expect(apiClient.getTrash).toHaveBeenCalledTimes(1)
+  })
+})
@@ -0,0 +1,72 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { setActivePinia, createPinia } from 'pinia'
+import { useUserStore } from '../../src/stores/userStore.js'
+import apiClient from '../../src/api/client.js'
+
+// Mock the API client
+vi.mock('../../src/api/client.js', () => ({
+  default: {
+    getUsers: vi.fn(),
+    createUser: vi.fn(),
+    updateUser: vi.fn(),
+    deleteUser: vi.fn()
+  }
+}))
+
+const ada = { _id: 'u1', name: 'Ada Lovelace', email: 'ada@example.com' }
+const grace = { _id: 'u2', name: 'Grace Hopper', email: 'grace@example.com' }
+
+describe('User Store', () => {
+  beforeEach(() => {
+    setActivePinia(createPinia())
+    vi.clearAllMocks()
+    apiClient.getUsers.mockResolvedValue({
+      data: { users: [ada, grace], pagination: { total: 2 } }
+    })
+  })
+
+  it('should fetch the directory and look users up by ID', async () => {
+    const userStore = useUserStore()
+
+    await userStore.fetchUsers()
+
+    expect(apiClient.getUsers).toHaveBeenCalledWith({ limit: 100 })
+    expect(userStore.getUser('u2')).toEqual(grace)
+    expect(userStore.getUser(null)).toBeNull()
+    expect(userStore.userNames).toEqual({
+      u1: 'Ada Lovelace',
+      u2: 'Grace Hopper'
+    })
+  })
+
+  it('should keep the directory sorted by name after changes', async () => {
+    const userStore = useUserStore()
+    await userStore.fetchUsers()
+    apiClient.createUser.mockResolvedValue({
+      data: { _id: 'u3', name: 'Alan Turing' }
+    })
+    apiClient.updateUser.mockResolvedValue({
+      data: { ...ada, name: 'Zoe Ada' }
+    })
+
+    await userStore.createUser({ name: 'Alan Turing' })
+    await userStore.updateUser('u1', { name: 'Zoe Ada' })
+
+    expect(userStore.users.map((user) => user.name)).toEqual([
+      'Alan Turing',
+      'Grace Hopper',
+      'Zoe Ada'
+    ])
+  })
+
+  it('should report how many tasks a deleted user leaves unassigned', async () => {
+    const userStore = useUserStore()
+    await userStore.fetchUsers()
+    apiClient.deleteUser.mockResolvedValue({ data: { unassignedTasks: 3 } })
+
+    const unassigned = await userStore.deleteUser('u1')
+
+    expect(unassigned).toBe(3)
+    expect(userStore.users).toEqual([grace])
+  })
+})
@@ -0,0 +1,89 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { setActivePinia, createPinia } from 'pinia'
+import { useWorkspaceStore } from '../../src/stores/workspaceStore.js'
+import apiClient from '../../src/api/client.js'
+
+// Mock the API client
+vi.mock('../../src/api/client.js', () => ({
+  default: {
+    getWorkspace: vi.fn(),
+    setWorkspace: vi.fn(),
+    getWorkspaces: vi.fn(),
+    createWorkspace: vi.fn()
+  }
+}))
+
+const engineering = {
+  _id: 'w1',
+  name: 'Engineering',
+  createdAt: '2024-01-01T00:00:00.000Z'
+}
+const operations = {
+  _id: 'w2',
+  name: 'Operations',
+  createdAt: '2024-02-01T00:00:00.000Z'
+}
+
+describe('Workspace Store', () => {
+  beforeEach(() => {
+    setActivePinia(createPinia())
+    vi.clearAllMocks()
+    apiClient.getWorkspace.mockReturnValue(null)
+    apiClient.getWorkspaces.mockResolvedValue({
+      data: [engineering, operations]
+    })
+  })
+
+  it('should keep the stored workspace when the user can still open it', async () => {
+    apiClient.getWorkspace.mockReturnValue('w2')
+    const workspaceStore = useWorkspaceStore()
+
+    await workspaceStore.fetchWorkspaces()
+
+    expect(workspaceStore.currentWorkspace).toEqual(operations)
+    expect(apiClient.setWorkspace).not.toHaveBeenCalled()
+  })
+
+  it('should fall back to the first workspace for missing or foreign ones', async () => {
+    for (const stored of [null, 'w9']) {
+      setActivePinia(createPinia())
+      apiClient.getWorkspace.mockReturnValue(stored)
+      const workspaceStore = useWorkspaceStore()
+
+      await workspaceStore.fetchWorkspaces()
+
+      expect(workspaceStore.currentId).toBe('w1')
+      expect(apiClient.setWorkspace).toHaveBeenLastCalledWith('w1')
+    }
+  })
+
+  it('should switch workspaces and remember the choice', () => {
+    const workspaceStore = useWorkspaceStore()
+
+    workspaceStore.selectWorkspace('w2')
+
+    expect(workspaceStore.currentId).toBe('w2')
+    expect(apiClient.setWorkspace).toHaveBeenCalledWith('w2')
+  })
+
+  it('should list created workspaces last', async () => {
+    apiClient.createWorkspace.mockResolvedValue({
+      data: {
+        _id: 'w3',
+        name: 'Support',
+        createdAt: '2024-03-01T00:00:00.000Z'
+      }
+    })
+    const workspaceStore = useWorkspaceStore()
+    await workspaceStore.fetchWorkspaces()
+
+    await workspaceStore.createWorkspace({ name: 'Support' })
+
+    expect(apiClient.createWorkspace).toHaveBeenCalledWith({ name: 'Support' })
+    expect(workspaceStore.workspaces.map(({ _id }) => _id)).toEqual([
+      'w1',
+      'w2',
+      'w3'
+    ])
+  })
+})
@@ -0,0 +1,23 @@
+import { describe, it, expect } from 'vitest'
+import { burndownWindow, idealRemaining } from '../../src/utils/burndown.js'
+
+describe('burndown utils', () => {
+  it('builds windows of whole UTC days ending today', () => {
+    expect(burndownWindow(7, new Date('2024-03-14T10:00:00Z'))).toEqual({
+      from: '2024-03-08',
+      to: '2024-03-14'
+    })
+    expect(burndownWindow(1, new Date('2024-03-14T23:30:00Z'))).toEqual({
+      from: '2024-03-14',
+      to: '2024-03-14'
+    })
+  })
+
+  it('draws the ideal line from the first day down to zero', () => {
+    expect(
+      idealRemaining([{ remaining: 9 }, { remaining: 8 }, { remaining: 7 }])
+    ).toEqual([9, 4.5, 0])
+    expect(idealRemaining([{ remaining: 5 }])).toEqual([5])
+    expect(idealRemaining([])).toEqual([])
+  })
+})
@@ -0,0 +1,15 @@
+import { describe, it, expect } from 'vitest'
+import { formatRatio, describeRatio } from '../../src/utils/estimates.js'
+
+describe('estimates utils', () => {
+  it('formats ratios', () => {
+    expect(formatRatio(1.5)).toBe('1.5×')
+    expect(formatRatio(0)).toBe('—')
+  })
+
+  it('describes overruns and underruns', () => {
+    expect(describeRatio(1.5)).toBe('50% over')
+    expect(describeRatio(0.75)).toBe('25% under')
+    expect(describeRatio(1.001)).toBe('on estimate')
+  })
+})
@@ -0,0 +1,21 @@
+import { describe, it, expect } from 'vitest'
+import {
+  formatDuration,
+  formatHistogramBucket
+} from '../../src/utils/leadTime.js'
+
+describe('leadTime utils', () => {
+  it('formats durations in minutes, hours or days', () => {
+    expect(formatDuration(0)).toBe('N/A')
+    expect(formatDuration(0.5)).toBe('30m')
+    expect(formatDuration(6.5)).toBe('6.5h')
+    expect(formatDuration(55)).toBe('2.3d')
+  })
+
+  it('labels histogram buckets by their range', () => {
+    expect(formatHistogramBucket({ min: 0, max: 1 })).toBe('< 1h')
+    expect(formatHistogramBucket({ min: 8, max: 24 })).toBe('8h–1d')
+    expect(formatHistogramBucket({ min: 72, max: 168 })).toBe('3d–1w')
+    expect(formatHistogramBucket({ min: 336, max: null })).toBe('2w+')
+  })
+})
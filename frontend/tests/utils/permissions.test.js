@@ -0,0 +1,29 @@
+import { describe, it, expect } from 'vitest'
+import { can, canEditTask } from '../../src/utils/permissions.js'
+
+const viewer = { _id: 'u1', role: 'viewer' }
+const member = { _id: 'u2', role: 'member' }
+const admin = { _id: 'u3', role: 'admin' }
+
+describe('permissions utils', () => {
+  it('grants permissions by role', () => {
+    expect(can(viewer, 'tasks:read')).toBe(true)
+    expect(can(viewer, 'tasks:create')).toBe(false)
+    expect(can(member, 'tasks:create')).toBe(true)
+    expect(can(member, 'tasks:delete')).toBe(false)
+    expect(can(admin, 'tasks:bulk')).toBe(true)
+  })
+
+  it('refuses signed-out users and unknown permissions', () => {
+    expect(can(null, 'tasks:read')).toBe(false)
+    expect(can(admin, 'tasks:fly')).toBe(false)
+  })
+
+  it('lets members edit only the tasks they created or are assigned to', () => {
+    expect(canEditTask(member, { createdBy: 'u2', assignee: null })).toBe(true)
+    expect(canEditTask(member, { createdBy: 'u3', assignee: 'u2' })).toBe(true)
+    expect(canEditTask(member, { createdBy: 'u3', assignee: 'u1' })).toBe(false)
+    expect(canEditTask(admin, { createdBy: 'u1', assignee: null })).toBe(true)
+    expect(canEditTask(viewer, { createdBy: 'u1', assignee: 'u1' })).toBe(false)
+  })
+})
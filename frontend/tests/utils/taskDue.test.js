@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest'
+import {
+  getDueState,
+  describeDue,
+  toDateTimeLocal,
+  fromDateTimeLocal
+} from '../../src/utils/taskDue.js'
+
+const now = new Date('2024-03-01T12:00:00Z')
+
+describe('taskDue utils', () => {
+  it('classifies open tasks by how close their due date is', () => {
+    expect(
+      getDueState({ status: 'pending', dueDate: '2024-03-01T11:00:00Z' }, now)
+    ).toBe('overdue')
+    expect(
+      getDueState(
+        { status: 'in-progress', dueDate: '2024-03-02T06:00:00Z' },
+        now
+      )
+    ).toBe('due-soon')
+    expect(
+      getDueState({ status: 'pending', dueDate: '2024-03-05T12:00:00Z' }, now)
+    ).toBe('upcoming')
+  })
+
+  it('ignores completed tasks and tasks without a due date', () => {
+    expect(
+      getDueState({ status: 'completed', dueDate: '2024-02-01T00:00:00Z' }, now)
+    ).toBeNull()
+    expect(getDueState({ status: 'pending', dueDate: null }, now)).toBeNull()
+  })
+
+  it('describes the due date relative to now', () => {
+    expect(
+      describeDue({ status: 'pending', dueDate: '2024-03-01T09:00:00Z' }, now)
+    ).toBe('Overdue by 3h')
+    expect(
+      describeDue({ status: 'pending', dueDate: '2024-02-25T12:00:00Z' }, now)
+    ).toBe('Overdue by 5d')
+    expect(
+      describeDue({ status: 'pending', dueDate: '2024-03-01T12:30:00Z' }, now)
+    ).toBe('Due in 30m')
+    expect(describeDue({ status: 'pending' }, now)).toBe('')
+  })
+
+  it('round-trips due dates through datetime-local input values', () => {
+    const value = toDateTimeLocal('2024-03-01T12:30:00.000Z')
+
+    expect(value).toMatch(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/)
+    expect(fromDateTimeLocal(value)).toBe('2024-03-01T12:30:00.000Z')
+    expect(toDateTimeLocal(null)).toBe('')
+    expect(fromDateTimeLocal('')).toBeNull()
+  })
+})
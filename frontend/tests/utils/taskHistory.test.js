@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest'
+import {
+  formatChangeValue,
+  describeChange,
+  summarizeEntry
+} from '../../src/utils/taskHistory.js'
+
+describe('taskHistory', () => {
+  it('should format recorded values per field', () => {
+    expect(formatChangeValue('status', 'in-progress')).toBe('In Progress')
+    expect(formatChangeValue('estimatedTime', 4)).toBe('4h')
+    expect(formatChangeValue('description', null)).toBe('—')
+  })
+
+  it('should describe a field change', () => {
+    expect(
+      describeChange({ field: 'priority', before: 'low', after: 'high' })
+    ).toBe('Priority: Low → High')
+  })
+
+  it('should summarize updates by their changes and other actions by name', () => {
+    expect(
+      summarizeEntry({
+        action: 'updated',
+        source: 'single',
+        changes: [
+          { field: 'status', before: 'pending', after: 'completed' },
+          { field: 'title', before: 'a'.repeat(60), after: 'b' }
+        ]
+      })
+    ).toBe(`Status: Pending → Completed, Title: ${'a'.repeat(39)}… → b`)
+    expect(summarizeEntry({ action: 'deleted', source: 'bulk' })).toBe(
+      'Deleted (bulk)'
+    )
+  })
+  it('should show assignees by name', () => {
+    const userNames = { u1: 'Ada Lovelace' }
+
+    expect(formatChangeValue('assignee', 'u1', { userNames })).toBe(
+      'Ada Lovelace'
+    )
+    expect(formatChangeValue('assignee', 'u2', { userNames })).toBe(
+      'Unknown user'
+    )
+    expect(
+      summarizeEntry(
+        {
+          action: 'updated',
+          source: 'bulk',
+          changes: [{ field: 'assignee', before: 'u1', after: null }]
+        },
+        { userNames }
+      )
+    ).toBe('Assignee: Ada Lovelace → — (bulk)')
+  })
+})
@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest'
+import { compareTaskEdits, mergeTaskEdits } from '../../src/utils/taskMerge.js'
+
+const base = {
+  title: 'Write docs',
+  description: '',
+  priority: 'medium',
+  status: 'pending',
+  estimatedTime: 2
+}
+
+describe('taskMerge', () => {
+  it('should flag fields changed differently on both sides', () => {
+    const rows = compareTaskEdits(
+      base,
+      { ...base, title: 'Write the docs', priority: 'high' },
+      { ...base, title: 'Write API docs', status: 'in-progress', version: 3 }
+    )
+    const byKey = Object.fromEntries(rows.map((row) => [row.key, row]))
+
+    expect(byKey.title).toMatchObject({ conflict: true, choice: 'local' })
+    expect(byKey.priority).toMatchObject({ conflict: false, choice: 'local' })
+    expect(byKey.status).toMatchObject({
+      conflict: false,
+      choice: 'server',
+      server: 'in-progress'
+    })
+    expect(byKey.description).toMatchObject({
+      localChanged: false,
+      local: null,
+      server: null
+    })
+  })
+
+  it('should compare tag lists by their items', () => {
+    const tagged = { ...base, tags: ['design'] }
+    const rows = compareTaskEdits(
+      tagged,
+      { ...tagged, tags: ['design'] },
+      { ...tagged, tags: ['design', 'ux'] }
+    )
+    const tags = rows.find((row) => row.key === 'tags')
+
+    expect(tags).toMatchObject({
+      localChanged: false,
+      serverChanged: true,
+      choice: 'server'
+    })
+    expect(
+      compareTaskEdits(base, { ...base, tags: [] }, base).find(
+        (row) => row.key === 'tags'
+      ).localChanged
+    ).toBe(false)
+  })
+
+  it('should merge the chosen side of each field', () => {
+    const rows = compareTaskEdits(
+      base,
+      { ...base, title: 'Mine', priority: 'high' },
+      { ...base, title: 'Theirs', status: 'completed' }
+    )
+    rows.find((row) => row.key === 'title').choice = 'server'
+
+    expect(mergeTaskEdits(rows)).toEqual({
+      title: 'Theirs',
+      description: null,
+      priority: 'high',
+      status: 'completed',
+      estimatedTime: 2,
+      actualTime: null,
+      dueDate: null,
+      tags: null,
+      assignee: null
+    })
+  })
+})
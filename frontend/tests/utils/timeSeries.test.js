@@ -0,0 +1,15 @@
+import { describe, it, expect } from 'vitest'
+import { formatBucket } from '../../src/utils/timeSeries.js'
+
+describe('timeSeries utils', () => {
+  it('labels buckets in UTC by their size', () => {
+    const start = '2024-03-01T00:00:00.000Z'
+
+    expect(formatBucket(start, 'day', 'en-US')).toBe('Mar 1')
+    expect(formatBucket(start, 'week', 'en-US')).toBe('Mar 1')
+    expect(formatBucket(start, 'month', 'en-US')).toBe('Mar 2024')
+    expect(formatBucket('2024-03-01T15:00:00.000Z', 'hour', 'en-US')).toBe(
+      'Mar 1, 03:00 PM'
+    )
+  })
+})